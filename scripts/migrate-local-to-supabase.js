@@ -19,8 +19,11 @@ export async function migrateLocalToSupabase() {
     // 2. Read local data
     const localUsers = JSON.parse(localStorage.getItem('crm_users') || '[]');
     const localTasks = JSON.parse(localStorage.getItem('crm_tasks') || '[]');
+    const localClients = JSON.parse(localStorage.getItem('crm_clients') || '[]');
+    const localProjects = JSON.parse(localStorage.getItem('crm_projects') || '[]');
+    const localAgency = JSON.parse(localStorage.getItem('crm_agency') || '{}');
 
-    console.log(`Found ${localUsers.length} local users, ${localTasks.length} local tasks`);
+    console.log(`Found ${localUsers.length} local users, ${localTasks.length} local tasks, ${localClients.length} local clients`);
 
     if (localTasks.length === 0) {
         console.log('No local tasks to migrate.');
@@ -56,7 +59,87 @@ export async function migrateLocalToSupabase() {
         }
     }
 
-    // 4. Insert tasks one by one (to handle errors gracefully)
+    // 4. Upsert clients and map lowercased name → Supabase UUID
+    const clientNameToUUID = {};
+    const { data: supaClients } = await supabase.from('clients').select('id, name');
+    for (const c of supaClients || []) {
+        clientNameToUUID[c.name.toLowerCase()] = c.id;
+    }
+
+    const clientNames = [...localClients.map(c => c.name), ...localTasks.map(t => t.client)].filter(Boolean);
+    for (const name of clientNames) {
+        const key = name.toLowerCase();
+        if (clientNameToUUID[key]) continue;
+
+        const lc = localClients.find(c => (c.name || '').toLowerCase() === key) || {};
+        const { data: insertedClient, error: clientError } = await supabase
+            .from('clients')
+            .insert({
+                name,
+                contact_person: lc.contactPerson || '',
+                email: lc.email || '',
+                phone: lc.phone || '',
+                company: lc.company || '',
+                notes: lc.notes || '',
+            })
+            .select()
+            .single();
+
+        if (clientError) {
+            console.error(`  FAILED client "${name}":`, clientError.message);
+            continue;
+        }
+        clientNameToUUID[key] = insertedClient.id;
+        console.log(`  Migrated client "${name}" → ${insertedClient.id}`);
+    }
+
+    // 5. Insert projects and map local project ID → Supabase UUID
+    const projectIdToUUID = {};
+    for (const lp of localProjects) {
+        const clientId = lp.client ? clientNameToUUID[lp.client.toLowerCase()] || null : null;
+        const { data: insertedProject, error: projectError } = await supabase
+            .from('projects')
+            .insert({
+                name: lp.name || '',
+                client: lp.client || '',
+                client_id: clientId,
+                type: lp.type || 'One-Time',
+                start_date: lp.startDate || null,
+                end_date: lp.endDate || null,
+                status: lp.status || 'Active',
+                notes: lp.notes || '',
+            })
+            .select()
+            .single();
+
+        if (projectError) {
+            console.error(`  FAILED project "${lp.name}":`, projectError.message);
+            continue;
+        }
+        projectIdToUUID[lp.id] = insertedProject.id;
+        console.log(`  Migrated project "${lp.name}" → ${insertedProject.id}`);
+    }
+
+    if (Object.keys(localAgency).length > 0) {
+        const { error: agencyError } = await supabase
+            .from('agency_settings')
+            .upsert({
+                id: 1,
+                name: localAgency.name || '',
+                registration_no: localAgency.registrationNo || '',
+                address: localAgency.address || '',
+                phone: localAgency.phone || '',
+                email: localAgency.email || '',
+                website: localAgency.website || '',
+                gst_number: localAgency.gstNumber || '',
+                pan_number: localAgency.panNumber || '',
+                bank_details: localAgency.bankDetails || '',
+            });
+        if (agencyError) console.error('  FAILED agency settings:', agencyError.message);
+        else console.log('  Migrated agency settings');
+    }
+
+    // 6. Insert tasks one by one (to handle errors gracefully)
     let migrated = 0;
     let skipped = 0;
     let errors = 0;
@@ -69,6 +152,9 @@ export async function migrateLocalToSupabase() {
         const taskInsert = {
             date: task.date || new Date().toISOString().split('T')[0],
             client: task.client || '',
+            client_id: task.client ? clientNameToUUID[task.client.toLowerCase()] || null : null,
+            project: task.project || '',
+            project_id: task.projectId ? projectIdToUUID[task.projectId] || null : null,
             type: task.type || 'Static',
             reference_creative: task.referenceCreative || null,
             completed_creative: task.completedCreative || null,
@@ -112,7 +198,7 @@ export async function migrateLocalToSupabase() {
         console.log(`  Migrated Task #${task.slNo} "${task.client}" → ${insertedTask.id}`);
         migrated++;
 
-        // 5. Insert iterations for this task
+        // 7. Insert iterations for this task
         const iterations = task.iterations || [];
         for (const iter of iterations) {
             const { error: iterError } = await supabase
@@ -0,0 +1,268 @@
+// ==========================================
+// CRM Tracker — Local Razorpay API Stub
+// Stands in for api.razorpay.com so the Razorpay edge functions can be
+// exercised end to end without real keys or money.
+//
+// Usage:
+//   RAZORPAY_KEY_SECRET=test_secret RAZORPAY_WEBHOOK_SECRET=whsec \
+//   WEBHOOK_URL=http://localhost:54321/functions/v1/razorpay-webhook \
+//   node scripts/razorpay-stub.js
+//
+//   Then serve the functions with RAZORPAY_API_BASE=http://host.docker.internal:4010/v1
+//   and the same secrets.
+//
+// Implements:
+//   POST /v1/orders              create an order
+//   GET  /v1/orders/:id          fetch an order
+//   GET  /v1/payments/:id        fetch a payment
+//   POST /v1/contacts            create a RazorpayX contact
+//   POST /v1/fund_accounts       create a bank_account / vpa fund account
+//   POST /v1/payouts             create a payout (starts 'queued')
+//   GET  /v1/payouts/:id         fetch a payout
+// Test controls:
+//   POST /__stub/pay/:orderId    capture a payment; returns the signed Checkout
+//                                response and delivers payment.captured to WEBHOOK_URL
+//   POST /__stub/fail/:orderId   delivers payment.failed to WEBHOOK_URL
+//   POST /__stub/payout/:payoutId/:status
+//                                moves a payout to processing / processed /
+//                                reversed / rejected and delivers payout.<status>
+// ==========================================
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const PORT = parseInt(process.env.PORT || '4010');
+const keySecret = process.env.RAZORPAY_KEY_SECRET;
+const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+const webhookUrl = process.env.WEBHOOK_URL;
+
+if (!keySecret) {
+    console.error('Missing env var: RAZORPAY_KEY_SECRET');
+    process.exit(1);
+}
+
+const orders = new Map();
+const payments = new Map();
+const contacts = new Map();
+const fundAccounts = new Map();
+const payouts = new Map();
+const payoutsByIdempotencyKey = new Map();
+
+const newId = prefix => `${prefix}_stub${crypto.randomBytes(7).toString('hex')}`;
+const sign = (secret, message) => crypto.createHmac('sha256', secret).update(message).digest('hex');
+
+function send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function fail(res, status, description) {
+    send(res, status, { error: { code: 'BAD_REQUEST_ERROR', description } });
+}
+
+async function readBody(req) {
+    let raw = '';
+    for await (const chunk of req) raw += chunk;
+    return raw ? JSON.parse(raw) : {};
+}
+
+async function deliverWebhook(event, payment, order, payout = null) {
+    if (!webhookUrl || !webhookSecret) {
+        console.log(`  (no WEBHOOK_URL / RAZORPAY_WEBHOOK_SECRET — skipped ${event} webhook)`);
+        return null;
+    }
+    const body = JSON.stringify({
+        entity: 'event',
+        event,
+        payload: payout ? { payout: { entity: payout } } : { payment: { entity: payment }, order: { entity: order } },
+        created_at: Math.floor(Date.now() / 1000),
+    });
+    const res = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'X-Razorpay-Signature': sign(webhookSecret, body),
+            'X-Razorpay-Event-Id': newId('evt'),
+        },
+        body,
+    });
+    const result = await res.json().catch(() => null);
+    console.log(`  webhook ${event} -> ${res.status} ${JSON.stringify(result)}`);
+    return { status: res.status, body: result };
+}
+
+function createPayment(order, status, extra = {}) {
+    const payment = {
+        id: newId('pay'),
+        entity: 'payment',
+        amount: order.amount,
+        currency: order.currency,
+        status,
+        order_id: order.id,
+        method: 'upi',
+        created_at: Math.floor(Date.now() / 1000),
+        ...extra,
+    };
+    payments.set(payment.id, payment);
+    return payment;
+}
+
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+    console.log(`${req.method} ${pathname}`);
+
+    try {
+        if (pathname.startsWith('/v1/') && !(req.headers.authorization || '').startsWith('Basic ')) {
+            return fail(res, 401, 'The api key provided is invalid');
+        }
+
+        if (req.method === 'POST' && pathname === '/v1/orders') {
+            const { amount, currency = 'INR', receipt, notes = {} } = await readBody(req);
+            if (!Number.isInteger(amount) || amount < 100) {
+                return fail(res, 400, 'The amount must be atleast INR 1.00');
+            }
+            const order = {
+                id: newId('order'),
+                entity: 'order',
+                amount,
+                amount_paid: 0,
+                amount_due: amount,
+                currency,
+                receipt,
+                notes,
+                status: 'created',
+                attempts: 0,
+                created_at: Math.floor(Date.now() / 1000),
+            };
+            orders.set(order.id, order);
+            return send(res, 200, order);
+        }
+
+        let match = pathname.match(/^\/v1\/orders\/([\w]+)$/);
+        if (req.method === 'GET' && match) {
+            const order = orders.get(match[1]);
+            return order ? send(res, 200, order) : fail(res, 400, 'The id provided does not exist');
+        }
+
+        match = pathname.match(/^\/v1\/payments\/([\w]+)$/);
+        if (req.method === 'GET' && match) {
+            const payment = payments.get(match[1]);
+            return payment ? send(res, 200, payment) : fail(res, 400, 'The id provided does not exist');
+        }
+
+        if (req.method === 'POST' && pathname === '/v1/contacts') {
+            const { name, email, contact, type, reference_id } = await readBody(req);
+            if (!name) return fail(res, 400, 'The name field is required.');
+            const record = { id: newId('cont'), entity: 'contact', name, email, contact, type, reference_id, active: true };
+            contacts.set(record.id, record);
+            return send(res, 200, record);
+        }
+
+        if (req.method === 'POST' && pathname === '/v1/fund_accounts') {
+            const body = await readBody(req);
+            if (!contacts.has(body.contact_id)) return fail(res, 400, 'The contact id provided does not exist');
+            if (body.account_type === 'bank_account' && !/^[A-Z]{4}0[A-Z0-9]{6}$/.test(body.bank_account?.ifsc || '')) {
+                return fail(res, 400, 'The ifsc is invalid.');
+            }
+            if (body.account_type === 'vpa' && !(body.vpa?.address || '').includes('@')) {
+                return fail(res, 400, 'Invalid VPA. Please enter a valid Virtual Payment Address');
+            }
+            const record = { id: newId('fa'), entity: 'fund_account', active: true, ...body };
+            fundAccounts.set(record.id, record);
+            return send(res, 200, record);
+        }
+
+        if (req.method === 'POST' && pathname === '/v1/payouts') {
+            const idempotencyKey = req.headers['x-payout-idempotency'];
+            if (idempotencyKey && payoutsByIdempotencyKey.has(idempotencyKey)) {
+                return send(res, 200, payouts.get(payoutsByIdempotencyKey.get(idempotencyKey)));
+            }
+            const body = await readBody(req);
+            if (!body.account_number) return fail(res, 400, 'The account number field is required.');
+            if (!fundAccounts.has(body.fund_account_id)) return fail(res, 400, 'The fund account id provided does not exist');
+            const payout = {
+                id: newId('pout'),
+                entity: 'payout',
+                fund_account_id: body.fund_account_id,
+                amount: body.amount,
+                currency: body.currency,
+                fees: 0,
+                tax: 0,
+                status: 'queued',
+                utr: null,
+                mode: body.mode,
+                purpose: body.purpose,
+                reference_id: body.reference_id,
+                narration: body.narration,
+                status_details: { description: 'Payout is queued', source: 'internal', reason: 'low_balance' },
+                created_at: Math.floor(Date.now() / 1000),
+            };
+            payouts.set(payout.id, payout);
+            if (idempotencyKey) payoutsByIdempotencyKey.set(idempotencyKey, payout.id);
+            return send(res, 200, payout);
+        }
+
+        match = pathname.match(/^\/v1\/payouts\/([\w]+)$/);
+        if (req.method === 'GET' && match) {
+            const payout = payouts.get(match[1]);
+            return payout ? send(res, 200, payout) : fail(res, 400, 'The id provided does not exist');
+        }
+
+        match = pathname.match(/^\/__stub\/payout\/([\w]+)\/(processing|processed|reversed|rejected)$/);
+        if (req.method === 'POST' && match) {
+            const payout = payouts.get(match[1]);
+            if (!payout) return fail(res, 404, 'Unknown payout');
+            const status = match[2];
+            Object.assign(payout, {
+                status,
+                utr: status === 'processed' ? `STUB${Date.now()}` : payout.utr,
+                status_details: {
+                    processing: { description: 'Payout is being processed by the bank' },
+                    processed: { description: 'Payout is processed' },
+                    reversed: { description: 'Beneficiary bank rejected the transfer (stub)' },
+                    rejected: { description: 'Payout rejected by approver (stub)' },
+                }[status],
+            });
+            const webhook = await deliverWebhook(`payout.${status}`, null, null, payout);
+            return send(res, 200, { payout, webhook });
+        }
+
+        match = pathname.match(/^\/__stub\/pay\/([\w]+)$/);
+        if (req.method === 'POST' && match) {
+            const order = orders.get(match[1]);
+            if (!order) return fail(res, 404, 'Unknown order');
+            const payment = createPayment(order, 'captured');
+            Object.assign(order, { status: 'paid', amount_paid: order.amount, amount_due: 0, attempts: order.attempts + 1 });
+            const webhook = await deliverWebhook('payment.captured', payment, order);
+            // Exactly what Checkout hands the browser's `handler` callback
+            return send(res, 200, {
+                razorpay_order_id: order.id,
+                razorpay_payment_id: payment.id,
+                razorpay_signature: sign(keySecret, `${order.id}|${payment.id}`),
+                webhook,
+            });
+        }
+
+        match = pathname.match(/^\/__stub\/fail\/([\w]+)$/);
+        if (req.method === 'POST' && match) {
+            const order = orders.get(match[1]);
+            if (!order) return fail(res, 404, 'Unknown order');
+            const payment = createPayment(order, 'failed', {
+                error_code: 'BAD_REQUEST_ERROR',
+                error_description: 'Payment was declined by the bank (stub)',
+                error_reason: 'payment_failed',
+            });
+            order.attempts += 1;
+            const webhook = await deliverWebhook('payment.failed', payment, order);
+            return send(res, 200, { razorpay_order_id: order.id, razorpay_payment_id: payment.id, webhook });
+        }
+
+        fail(res, 404, 'The requested URL was not found on the server.');
+    } catch (err) {
+        fail(res, 500, err.message);
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Razorpay stub listening on http://localhost:${PORT}/v1`);
+});
@@ -13,6 +13,34 @@ const ACTION_ICONS = {
     task_rejected: icons.x,
     task_deleted: icons.trash,
     iteration_requested: icons.refreshCw,
+    client_created: icons.users,
+    client_updated: icons.edit,
+    client_deleted: icons.trash,
+    task_status_changed: icons.kanban,
+    workflow_updated: icons.settings || '⚙️',
+    review_link_created: icons.link,
+    review_link_revoked: icons.link,
+    recurring_tasks_generated: icons.refreshCw,
+    amount_overridden: icons.edit,
+    invoice_created: icons.fileText,
+    invoice_sent: icons.send,
+    invoice_paid: icons.checkCircle,
+    invoice_void: icons.trash,
+    payment_confirmed: icons.dollarSign,
+    payment_failed: icons.alertTriangle,
+    payout_processed: icons.dollarSign,
+    payout_failed: icons.alertTriangle,
+    payment_recorded: icons.dollarSign,
+    payout_batch_created: icons.download,
+    payout_batch_settled: icons.checkCircle,
+    payout_batch_cancelled: icons.trash,
+    expense_claimed: icons.fileText,
+    expense_approved: icons.checkCircle,
+    expense_rejected: icons.x,
+    dependency_added: icons.link,
+    dependency_removed: icons.x,
+    milestone_added: icons.calendar,
+    milestone_completed: icons.checkCircle,
 };
 
 const ACTION_LABELS = {
@@ -23,6 +51,34 @@ const ACTION_LABELS = {
     task_rejected: 'Task Rejected',
     task_deleted: 'Task Deleted',
     iteration_requested: 'Iteration Requested',
+    client_created: 'Client Created',
+    client_updated: 'Client Updated',
+    client_deleted: 'Client Deleted',
+    task_status_changed: 'Status Changed',
+    workflow_updated: 'Workflow Updated',
+    review_link_created: 'Review Link Shared',
+    review_link_revoked: 'Review Link Revoked',
+    recurring_tasks_generated: 'Recurring Tasks Generated',
+    amount_overridden: 'Amount Set Manually',
+    invoice_created: 'Invoice Drafted',
+    invoice_sent: 'Invoice Sent',
+    invoice_paid: 'Invoice Paid',
+    invoice_void: 'Invoice Voided',
+    payment_confirmed: 'Payment Confirmed',
+    payment_failed: 'Payment Failed',
+    payout_processed: 'Payout Processed',
+    payout_failed: 'Payout Failed',
+    payment_recorded: 'Payment Recorded',
+    payout_batch_created: 'Payout Batch Generated',
+    payout_batch_settled: 'Payout Batch Settled',
+    payout_batch_cancelled: 'Payout Batch Cancelled',
+    expense_claimed: 'Expense Claimed',
+    expense_approved: 'Expense Approved',
+    expense_rejected: 'Expense Rejected',
+    dependency_added: 'Dependency Added',
+    dependency_removed: 'Dependency Removed',
+    milestone_added: 'Milestone Added',
+    milestone_completed: 'Milestone Completed',
 };
 
 async function renderActivityLog() {
@@ -4,7 +4,8 @@
 
 import {
     getCurrentUser, isAdmin, getTasks, getTasksByFreelancer, getFreelancers,
-    getStats, MONTHS, formatDate, sanitizeHTML,
+    getStats, MONTHS, formatDate, sanitizeHTML, getWorkflow, taskMargin, summarizeMargin,
+    getCurrencyConverter, formatMoney,
 } from './store-async.js';
 import icons from './icons.js';
 
@@ -31,6 +32,12 @@ async function renderAnalytics() {
 
     // ---- Data Preparation ----
 
+    // Every amount is reported in the agency's base currency, converted at the
+    // rate on the task's date
+    const converter = await getCurrencyConverter();
+    const toBase = converter.toBase;
+    const costInBase = t => toBase(t.amount, t.currency, t.date);
+
     // Monthly task counts (current year)
     const currentYear = new Date().getFullYear();
     const monthlyData = MONTHS.map((m, i) => {
@@ -42,19 +49,16 @@ async function renderAnalytics() {
             month: m,
             total: monthTasks.length,
             approved: monthTasks.filter(t => t.status === 'approved').length,
-            revenue: monthTasks.reduce((sum, t) => sum + (parseFloat(t.amount) || 0), 0),
+            revenue: monthTasks.reduce((sum, t) => sum + costInBase(t), 0),
         };
     });
 
-    // Status distribution
-    const statusCounts = {
-        assigned: allTasks.filter(t => t.status === 'assigned').length,
-        in_progress: allTasks.filter(t => t.status === 'in_progress').length,
-        submitted: allTasks.filter(t => t.status === 'submitted').length,
-        approved: allTasks.filter(t => t.status === 'approved').length,
-        iteration: allTasks.filter(t => t.status === 'iteration').length,
-        rejected: allTasks.filter(t => t.status === 'rejected').length,
-    };
+    // Status distribution (one entry per workflow state)
+    const workflow = await getWorkflow();
+    const statusCounts = {};
+    for (const state of workflow.states) {
+        statusCounts[state.id] = allTasks.filter(t => t.status === state.id).length;
+    }
 
     // Type distribution
     const typeCounts = {};
@@ -66,6 +70,7 @@ async function renderAnalytics() {
     const paymentCounts = {
         Paid: allTasks.filter(t => t.paymentStatus === 'Paid').length,
         Pending: allTasks.filter(t => t.paymentStatus === 'Pending').length,
+        Partial: allTasks.filter(t => t.paymentStatus === 'Partial').length,
         Unpaid: allTasks.filter(t => !t.paymentStatus || t.paymentStatus === 'Unpaid').length,
     };
 
@@ -76,7 +81,7 @@ async function renderAnalytics() {
             const fTasks = allTasks.filter(t => t.assignedTo === f.id);
             const approved = fTasks.filter(t => t.status === 'approved').length;
             const totalIter = fTasks.reduce((sum, t) => sum + (t.iterations || []).length, 0);
-            const revenue = fTasks.reduce((sum, t) => sum + (parseFloat(t.amount) || 0), 0);
+            const revenue = fTasks.reduce((sum, t) => sum + costInBase(t), 0);
             return { name: f.name, tasks: fTasks.length, approved, iterations: totalIter, revenue };
         }).sort((a, b) => b.tasks - a.tasks);
 
@@ -114,7 +119,7 @@ async function renderAnalytics() {
                   <td>${f.tasks}</td>
                   <td>${f.approved}</td>
                   <td>${f.iterations}</td>
-                  <td>₹${f.revenue.toLocaleString('en-IN')}</td>
+                  <td>${converter.format(f.revenue)}</td>
                 </tr>
               `).join('')}
             </tbody>
@@ -124,6 +129,144 @@ async function renderAnalytics() {
     `;
     }
 
+    // Margin: client price (billableAmount) minus freelancer cost (amount), admin only
+    let marginHTML = '';
+    const totals = summarizeMargin(allTasks, toBase);
+    if (adminUser && allTasks.length > 0) {
+        const groupMargin = (keyFn) => {
+            const groups = {};
+            for (const t of allTasks) {
+                const key = keyFn(t) || '—';
+                (groups[key] = groups[key] || []).push(t);
+            }
+            return Object.entries(groups)
+                .map(([key, tasks]) => ({ key, tasks: tasks.length, ...summarizeMargin(tasks, toBase) }))
+                .sort((a, b) => b.margin - a.margin);
+        };
+        const money = (n, currency = converter.baseCurrency) => `<span style="color: ${n < 0 ? 'var(--status-rejected)' : 'inherit'};">${formatMoney(n, currency)}</span>`;
+        const marginTable = (title, label, rows) => `
+        <h4 style="margin: 16px 0 8px;">${title}</h4>
+        <div class="table-container">
+          <table class="data-table">
+            <thead>
+              <tr><th>${label}</th><th>Tasks</th><th>Billed</th><th>Cost</th><th>Margin</th></tr>
+            </thead>
+            <tbody>
+              ${rows.map(r => `
+                <tr>
+                  <td><strong>${sanitizeHTML(r.key)}</strong></td>
+                  <td>${r.tasks}</td>
+                  <td>${converter.format(r.billable)}</td>
+                  <td>${converter.format(r.cost)}</td>
+                  <td>${money(r.margin)} <span style="font-size:0.75rem;color:var(--text-muted);">${r.marginPercent}%</span></td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+      `;
+
+        const byMonth = groupMargin(t => t.date ? t.date.slice(0, 7) : '').sort((a, b) => b.key.localeCompare(a.key));
+        const lowestTasks = [...allTasks]
+            .sort((a, b) => toBase(taskMargin(a).margin, a.currency, a.date) - toBase(taskMargin(b).margin, b.currency, b.date))
+            .slice(0, 5);
+
+        marginHTML = `
+      <div class="analytics-card">
+        <h3>Margin</h3>
+        ${marginTable('By Month', 'Month', byMonth)}
+        ${marginTable('By Client', 'Client', groupMargin(t => t.client))}
+        ${marginTable('By Project', 'Project', groupMargin(t => t.project))}
+        <h4 style="margin: 16px 0 8px;">Lowest Margin Tasks</h4>
+        ${lowestTasks.map(t => `
+          <div class="bar-row" style="cursor: pointer;" onclick="navigateTo('task-detail', { selectedTaskId: '${t.id}' })">
+            <div class="bar-label">#${t.slNo} ${sanitizeHTML(t.client)}</div>
+            <div class="bar-value">${formatMoney(taskMargin(t).billable, t.currency)} − ${formatMoney(taskMargin(t).cost, t.currency)} = ${money(taskMargin(t).margin, t.currency)}</div>
+          </div>
+        `).join('')}
+      </div>
+    `;
+    }
+
+    // Estimated vs actual hours (tasks with an estimate)
+    const estimatedTasks = allTasks.filter(t => parseFloat(t.estimatedHours) > 0);
+    let hoursHTML = '';
+    if (estimatedTasks.length > 0) {
+        const hoursByType = {};
+        for (const t of estimatedTasks) {
+            const key = t.type || '—';
+            if (!hoursByType[key]) hoursByType[key] = { estimated: 0, actual: 0, tasks: 0 };
+            hoursByType[key].estimated += parseFloat(t.estimatedHours) || 0;
+            hoursByType[key].actual += parseFloat(t.actualHours) || 0;
+            hoursByType[key].tasks++;
+        }
+        const totalEstimated = estimatedTasks.reduce((s, t) => s + (parseFloat(t.estimatedHours) || 0), 0);
+        const totalActual = estimatedTasks.reduce((s, t) => s + (parseFloat(t.actualHours) || 0), 0);
+        const overEstimate = estimatedTasks
+            .filter(t => (parseFloat(t.actualHours) || 0) > parseFloat(t.estimatedHours))
+            .sort((a, b) => (b.actualHours - b.estimatedHours) - (a.actualHours - a.estimatedHours))
+            .slice(0, 5);
+        const variance = (est, act) => {
+            const pct = est > 0 ? Math.round(((act - est) / est) * 100) : 0;
+            return `<span style="color: ${pct > 0 ? 'var(--status-rejected)' : 'var(--status-approved)'};">${pct > 0 ? '+' : ''}${pct}%</span>`;
+        };
+
+        hoursHTML = `
+      <div class="analytics-card">
+        <h3>Estimated vs Actual Hours</h3>
+        <div class="analytics-bar-chart">
+          <div class="bar-row">
+            <div class="bar-label">Estimated</div>
+            <div class="bar-track">
+              <div class="bar-fill purple" style="width: ${(totalEstimated / Math.max(totalEstimated, totalActual, 1)) * 100}%"></div>
+            </div>
+            <div class="bar-value">${totalEstimated.toFixed(1)}h</div>
+          </div>
+          <div class="bar-row">
+            <div class="bar-label">Actual</div>
+            <div class="bar-track">
+              <div class="bar-fill teal" style="width: ${(totalActual / Math.max(totalEstimated, totalActual, 1)) * 100}%"></div>
+            </div>
+            <div class="bar-value">${totalActual.toFixed(1)}h</div>
+          </div>
+        </div>
+        <div class="table-container" style="margin-top: 16px;">
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>Type</th>
+                <th>Tasks</th>
+                <th>Estimated</th>
+                <th>Actual</th>
+                <th>Variance</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${Object.entries(hoursByType).map(([type, h]) => `
+                <tr>
+                  <td><strong>${sanitizeHTML(type)}</strong></td>
+                  <td>${h.tasks}</td>
+                  <td>${h.estimated.toFixed(1)}h</td>
+                  <td>${h.actual.toFixed(1)}h</td>
+                  <td>${variance(h.estimated, h.actual)}</td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        ${overEstimate.length > 0 ? `
+        <h4 style="margin: 16px 0 8px;">Most Over Estimate</h4>
+        ${overEstimate.map(t => `
+          <div class="bar-row" style="cursor: pointer;" onclick="navigateTo('task-detail', { selectedTaskId: '${t.id}' })">
+            <div class="bar-label">#${t.slNo} ${sanitizeHTML(t.client)}</div>
+            <div class="bar-value">${(parseFloat(t.actualHours) || 0).toFixed(1)}h / ${parseFloat(t.estimatedHours).toFixed(1)}h ${variance(parseFloat(t.estimatedHours), parseFloat(t.actualHours) || 0)}</div>
+          </div>
+        `).join('')}
+        ` : ''}
+      </div>
+    `;
+    }
+
     // Overdue tasks
     const today = new Date().toISOString().split('T')[0];
     const overdueTasks = allTasks.filter(t =>
@@ -152,7 +295,7 @@ async function renderAnalytics() {
     <div class="chart-bar-col">
       <div class="chart-bar-wrapper">
         <div class="chart-bar teal" style="height: ${(m.revenue / maxRevenue) * 100}%">
-          <span class="chart-bar-tooltip">₹${m.revenue.toLocaleString('en-IN')}</span>
+          <span class="chart-bar-tooltip">${converter.format(m.revenue)}</span>
         </div>
       </div>
       <div class="chart-bar-label">${m.month}</div>
@@ -161,14 +304,11 @@ async function renderAnalytics() {
 
     // Status donut
     const statusTotal = Object.values(statusCounts).reduce((a, b) => a + b, 0) || 1;
-    const statusItems = [
-        { label: 'Assigned', count: statusCounts.assigned, color: 'var(--status-assigned)' },
-        { label: 'In Progress', count: statusCounts.in_progress, color: 'var(--status-in-progress)' },
-        { label: 'Submitted', count: statusCounts.submitted, color: 'var(--status-submitted)' },
-        { label: 'Approved', count: statusCounts.approved, color: 'var(--status-approved)' },
-        { label: 'Iteration', count: statusCounts.iteration, color: 'var(--status-iteration)' },
-        { label: 'Rejected', count: statusCounts.rejected, color: 'var(--status-rejected)' },
-    ];
+    const statusItems = workflow.states.map(state => ({
+        label: sanitizeHTML(state.label),
+        count: statusCounts[state.id],
+        color: sanitizeHTML(state.color) || 'var(--text-muted)',
+    }));
 
     let cumulativePercent = 0;
     const donutSegments = statusItems.filter(s => s.count > 0).map(s => {
@@ -187,6 +327,7 @@ async function renderAnalytics() {
     const payItems = [
         { label: 'Paid', count: paymentCounts.Paid, color: 'var(--payment-paid)' },
         { label: 'Pending', count: paymentCounts.Pending, color: 'var(--payment-pending)' },
+        { label: 'Partial', count: paymentCounts.Partial, color: 'var(--status-in-progress)' },
         { label: 'Unpaid', count: paymentCounts.Unpaid, color: 'var(--payment-unpaid)' },
     ];
     let payCumulative = 0;
@@ -230,6 +371,11 @@ async function renderAnalytics() {
         </div>
       </div>
 
+      ${converter.missing.size > 0 ? `
+      <div class="task-detail-section" style="margin-bottom:16px;color:var(--status-rejected);font-size:0.85rem;">
+        ${icons.alertTriangle} No exchange rate on file for ${[...converter.missing].join(', ')} on some task dates — those amounts are left out. Add rates under Settings.
+      </div>` : ''}
+
       <!-- Top Stats -->
       <div class="stat-cards">
         <div class="stat-card purple">
@@ -244,9 +390,16 @@ async function renderAnalytics() {
         </div>
         <div class="stat-card teal">
           <div class="stat-icon">${icons.dollarSign}</div>
-          <div class="stat-value">₹${allTasks.reduce((s, t) => s + (parseFloat(t.amount) || 0), 0).toLocaleString('en-IN')}</div>
+          <div class="stat-value">${converter.format(allTasks.reduce((s, t) => s + costInBase(t), 0))}</div>
           <div class="stat-label">Total Payment</div>
         </div>
+        ${adminUser ? `
+        <div class="stat-card green">
+          <div class="stat-icon">${icons.dollarSign}</div>
+          <div class="stat-value">${converter.format(totals.margin)}</div>
+          <div class="stat-label">Margin (${totals.marginPercent}% of ${converter.format(totals.billable)} billed)</div>
+        </div>
+        ` : ''}
         <div class="stat-card red">
           <div class="stat-icon">${icons.alertTriangle}</div>
           <div class="stat-value">${overdueTasks.length}</div>
@@ -322,6 +475,12 @@ async function renderAnalytics() {
           </div>
         </div>
 
+        <!-- Margin -->
+        ${marginHTML}
+
+        <!-- Estimated vs Actual Hours -->
+        ${hoursHTML}
+
         <!-- Freelancer Performance -->
         ${freelancerPerformanceHTML}
       </div>
@@ -0,0 +1,104 @@
+// ==========================================
+// CRM Tracker — Client Review Page (public, token-based)
+// ==========================================
+
+import { getClientReview, submitClientReview, formatDate, formatDateTime, sanitizeHTML } from './store-async.js';
+import { showToast } from './toast.js';
+import icons from './icons.js';
+
+// Kept out of the markup: the token comes straight from the URL
+let reviewToken = null;
+
+function renderReviewMessage(title, text) {
+    return `
+    <div class="login-page">
+      <div class="login-card review-card">
+        <h1>${title}</h1>
+        <p>${text}</p>
+      </div>
+    </div>
+    <div class="toast-container" id="toast-container"></div>
+  `;
+}
+
+async function renderClientReview(token) {
+    reviewToken = token;
+    let review;
+    try {
+        review = await getClientReview(token);
+    } catch (err) {
+        return renderReviewMessage('Something went wrong', sanitizeHTML(err.message));
+    }
+    if (!review) {
+        return renderReviewMessage('Link unavailable', 'This review link is invalid, has expired or was revoked. Please ask us for a new one.');
+    }
+
+    const { task } = review;
+    const awaitingReview = task.status === 'submitted';
+
+    let actionsHTML;
+    if (awaitingReview) {
+        actionsHTML = `
+        <div class="form-group">
+          <label for="review-comment">Comments</label>
+          <textarea class="form-control" id="review-comment" rows="3" placeholder="Describe any changes you need (required when requesting changes)"></textarea>
+        </div>
+        <div style="display: flex; gap: 10px; flex-wrap: wrap;">
+          <button class="btn btn-primary" onclick="handleClientReview('approved')" id="review-approve-btn">
+            ${icons.checkCircle} Approve
+          </button>
+          <button class="btn btn-secondary" onclick="handleClientReview('changes_requested')" id="review-changes-btn">
+            ${icons.refreshCw} Request Changes
+          </button>
+        </div>
+      `;
+    } else if (task.status === 'approved') {
+        actionsHTML = `<div class="review-status approved">${icons.checkCircle} This creative has been approved. Thank you!</div>`;
+    } else {
+        actionsHTML = `<div class="review-status">${icons.clock} We're working on this creative. Check back on this link once the next version is ready.</div>`;
+    }
+
+    const lastResponseHTML = review.respondedAt ? `
+      <p class="review-meta">
+        Last response: <strong>${review.decision === 'approved' ? 'Approved' : 'Changes requested'}</strong> on ${formatDateTime(review.respondedAt)}
+        ${review.comment ? `<br>"${sanitizeHTML(review.comment)}"` : ''}
+      </p>
+    ` : '';
+
+    return `
+    <div class="login-page">
+      <div class="login-card review-card">
+        <h1>Creative Review</h1>
+        <p>${sanitizeHTML(task.client || review.clientName || '')} — ${sanitizeHTML(task.type || '')} (Task #${task.slNo})</p>
+        ${task.description ? `<div class="review-description">${sanitizeHTML(task.description)}</div>` : ''}
+        ${task.completedCreative ? `
+          <a href="${sanitizeHTML(task.completedCreative)}" target="_blank" rel="noopener">
+            <img class="review-creative" src="${sanitizeHTML(task.completedCreative)}" alt="Creative for review" />
+          </a>
+        ` : '<div class="review-status">No creative has been uploaded yet.</div>'}
+        ${lastResponseHTML}
+        ${actionsHTML}
+        <p class="review-meta">This link expires on ${formatDate(review.expiresAt)}.</p>
+      </div>
+    </div>
+    <div class="toast-container" id="toast-container"></div>
+  `;
+}
+
+window.handleClientReview = async function (decision) {
+    const input = document.getElementById('review-comment');
+    const comment = input ? input.value.trim() : '';
+    if (decision === 'changes_requested' && !comment) {
+        showToast('Please describe the changes you need', 'error');
+        return;
+    }
+    try {
+        await submitClientReview(reviewToken, decision, comment);
+        await window.renderApp();
+        showToast(decision === 'approved' ? 'Creative approved' : 'Change request sent', 'success');
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+export { renderClientReview };
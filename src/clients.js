@@ -2,46 +2,40 @@
 // CRM Tracker — Client Database
 // ==========================================
 
-import { getCurrentUser, isAdmin, getTasks, getTasksByFreelancer, sanitizeHTML } from './store-async.js';
+import {
+    getCurrentUser, isAdmin, getTasks, getTasksByFreelancer, sanitizeHTML,
+    getClients, getClientById, addClient, updateClient, deleteClient,
+    summarizeMargin, TASK_TYPES, INDIAN_STATES, gstStateCode,
+    CURRENCIES, DEFAULT_CURRENCY, formatMoney, getCurrencyConverter,
+} from './store-async.js';
 import { showToast } from './toast.js';
 import icons from './icons.js';
 
-function getClients() {
-    return JSON.parse(localStorage.getItem('crm_clients') || '[]');
-}
-
-function saveClients(clients) {
-    localStorage.setItem('crm_clients', JSON.stringify(clients));
-}
-
 async function renderClients() {
     const adminUser = await isAdmin();
     const user = await getCurrentUser();
     const tasks = adminUser ? await getTasks() : await getTasksByFreelancer(user.id);
-    const clients = getClients();
-
-    // Auto-discover clients from tasks
-    const taskClients = [...new Set(tasks.map(t => t.client).filter(Boolean))];
-
-    // Merge discovered clients with saved clients
-    const allClients = [...clients];
-    for (const name of taskClients) {
-        if (!allClients.find(c => c.name.toLowerCase() === name.toLowerCase())) {
-            allClients.push({ id: crypto.randomUUID(), name, contactPerson: '', email: '', phone: '', company: '', notes: '', createdAt: new Date().toISOString() });
-        }
-    }
-
-    // Calculate stats per client
-    const clientRows = allClients.map(c => {
-        const clientTasks = tasks.filter(t => (t.client || '').toLowerCase() === c.name.toLowerCase());
-        const totalAmount = clientTasks.reduce((s, t) => s + (parseFloat(t.amount) || 0), 0);
+    const clients = await getClients();
+    const converter = await getCurrencyConverter();
+
+    // Calculate stats per client (tasks link by clientId; unlinked tasks fall back to name).
+    // Totals stay in the task currency when all of a client's tasks share one,
+    // otherwise they are converted to the base currency.
+    const clientRows = clients.map(c => {
+        const clientTasks = tasks.filter(t => t.clientId
+            ? t.clientId === c.id
+            : (t.client || '').toLowerCase() === c.name.toLowerCase());
+        const currencies = new Set(clientTasks.map(t => t.currency || DEFAULT_CURRENCY));
+        const currency = currencies.size > 1 ? converter.baseCurrency : [...currencies][0] || c.currency || DEFAULT_CURRENCY;
+        const toBase = currencies.size > 1 ? converter.toBase : null;
+        const totalAmount = clientTasks.reduce((s, t) => s + (toBase ? toBase(t.amount, t.currency, t.date) : parseFloat(t.amount) || 0), 0);
         const completedTasks = clientTasks.filter(t => t.status === 'approved').length;
-        return { ...c, taskCount: clientTasks.length, totalAmount, completedTasks };
+        return { ...c, taskCount: clientTasks.length, totalAmount, completedTasks, currency, billing: summarizeMargin(clientTasks, toBase) };
     }).sort((a, b) => b.taskCount - a.taskCount);
 
     let tableRows = '';
     if (clientRows.length === 0) {
-        tableRows = `<tr><td colspan="8"><div class="empty-state"><div class="empty-icon">${icons.users}</div><div class="empty-title">No clients yet</div><div class="empty-text">Clients will appear here from your tasks.</div></div></td></tr>`;
+        tableRows = `<tr><td colspan="${adminUser ? 9 : 8}"><div class="empty-state"><div class="empty-icon">${icons.users}</div><div class="empty-title">No clients yet</div><div class="empty-text">Add a client, or create a task for one.</div></div></td></tr>`;
     } else {
         tableRows = clientRows.map(c => `
             <tr>
@@ -51,9 +45,13 @@ async function renderClients() {
                 <td>${sanitizeHTML(c.phone || '—')}</td>
                 <td>${sanitizeHTML(c.company || '—')}</td>
                 <td>${c.taskCount}</td>
-                <td>₹${c.totalAmount.toLocaleString('en-IN')}</td>
-                <td>
+                ${adminUser ? `
+                <td>${formatMoney(c.billing.billable, c.currency)}</td>
+                <td style="color:${c.billing.margin < 0 ? 'var(--status-rejected)' : 'inherit'};">${formatMoney(c.billing.margin, c.currency)} <span style="font-size:0.75rem;color:var(--text-muted);">${c.billing.marginPercent}%</span></td>
+                ` : `<td>${formatMoney(c.totalAmount, c.currency)}</td>`}
+                <td class="row-actions">
                     <button class="btn btn-secondary btn-sm" onclick="editClient('${c.id}')">Edit</button>
+                    <button class="btn-icon" onclick="handleDeleteClient('${c.id}')" title="Delete">${icons.trash}</button>
                 </td>
             </tr>
         `).join('');
@@ -75,7 +73,7 @@ async function renderClients() {
               <th>Phone</th>
               <th>Company</th>
               <th>Tasks</th>
-              <th>Total Amount</th>
+              ${adminUser ? '<th>Billed</th><th>Margin</th>' : '<th>Total Amount</th>'}
               <th>Actions</th>
             </tr>
           </thead>
@@ -86,9 +84,8 @@ async function renderClients() {
   `;
 }
 
-window.showAddClientModal = function(clientId) {
-    const clients = getClients();
-    const client = clientId ? clients.find(c => c.id === clientId) : null;
+window.showAddClientModal = async function(clientId) {
+    const client = clientId ? await getClientById(clientId) : null;
 
     const overlay = document.createElement('div');
     overlay.className = 'modal-overlay active';
@@ -105,7 +102,28 @@ window.showAddClientModal = function(clientId) {
                 <div class="form-group"><label>Email</label><input class="form-control" id="client-email" value="${client ? sanitizeHTML(client.email || '') : ''}" /></div>
                 <div class="form-group"><label>Phone</label><input class="form-control" id="client-phone" value="${client ? sanitizeHTML(client.phone || '') : ''}" /></div>
                 <div class="form-group"><label>Company</label><input class="form-control" id="client-company" value="${client ? sanitizeHTML(client.company || '') : ''}" /></div>
+                <div class="form-group"><label>Billing Address</label><textarea class="form-control" id="client-address" rows="2">${client ? sanitizeHTML(client.address || '') : ''}</textarea></div>
+                <div class="form-row">
+                    <div class="form-group"><label>GSTIN</label><input class="form-control" id="client-gstin" value="${client ? sanitizeHTML(client.gstin || '') : ''}" placeholder="29ABCDE1234F1Z5" /></div>
+                    <div class="form-group">
+                        <label>State (place of supply)</label>
+                        <select class="form-control" id="client-state">
+                            <option value="">From GSTIN</option>
+                            ${INDIAN_STATES.map(st => `<option value="${st.code}" ${client && client.state === st.code ? 'selected' : ''}>${st.code} — ${st.name}</option>`).join('')}
+                        </select>
+                    </div>
+                </div>
                 <div class="form-group"><label>Notes</label><textarea class="form-control" id="client-notes" rows="3">${client ? sanitizeHTML(client.notes || '') : ''}</textarea></div>
+                <div class="form-group">
+                    <label>Billing Currency</label>
+                    <select class="form-control" id="client-currency">
+                        ${Object.entries(CURRENCIES).map(([code, c]) => `<option value="${code}" ${(client?.currency || DEFAULT_CURRENCY) === code ? 'selected' : ''}>${code} — ${c.label}</option>`).join('')}
+                    </select>
+                </div>
+                <label style="display:block;margin:8px 0;">Client Rates (per task in the billing currency, used as the client price)</label>
+                <div class="form-row" style="flex-wrap:wrap;">
+                    ${TASK_TYPES.map(t => `<div class="form-group" style="flex:1 1 45%;"><label>${t}</label><input type="number" class="form-control client-rate" data-type="${t}" value="${client?.rates?.[t] || ''}" placeholder="0" min="0" /></div>`).join('')}
+                </div>
             </div>
             <div class="modal-footer">
                 <button class="btn btn-secondary" onclick="document.getElementById('client-modal-overlay').remove()">Cancel</button>
@@ -118,11 +136,10 @@ window.showAddClientModal = function(clientId) {
 
 window.editClient = function(id) { window.showAddClientModal(id); };
 
-window.saveClient = function(existingId) {
+window.saveClient = async function(existingId) {
     const name = document.getElementById('client-name').value.trim();
     if (!name) { showToast('Client name is required', 'error'); return; }
 
-    const clients = getClients();
     const data = {
         name,
         contactPerson: document.getElementById('client-contact-person').value.trim(),
@@ -130,19 +147,43 @@ window.saveClient = function(existingId) {
         phone: document.getElementById('client-phone').value.trim(),
         company: document.getElementById('client-company').value.trim(),
         notes: document.getElementById('client-notes').value.trim(),
+        address: document.getElementById('client-address').value.trim(),
+        gstin: document.getElementById('client-gstin').value.trim().toUpperCase(),
+        state: document.getElementById('client-state').value,
+        currency: document.getElementById('client-currency').value,
+        rates: {},
     };
-
-    if (existingId) {
-        const idx = clients.findIndex(c => c.id === existingId);
-        if (idx >= 0) clients[idx] = { ...clients[idx], ...data };
-    } else {
-        clients.push({ id: crypto.randomUUID(), ...data, createdAt: new Date().toISOString() });
+    if (data.gstin && !gstStateCode(data.gstin)) { showToast('GSTIN should start with a valid state code', 'error'); return; }
+    document.querySelectorAll('.client-rate').forEach(input => {
+        const val = parseFloat(input.value);
+        if (val > 0) data.rates[input.dataset.type] = val;
+    });
+
+    try {
+        if (existingId) {
+            await updateClient(existingId, data);
+        } else {
+            await addClient(data);
+        }
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
     }
 
-    saveClients(clients);
     document.getElementById('client-modal-overlay').remove();
     showToast('Client saved!', 'success');
-    window.renderApp();
+    await window.renderApp();
+};
+
+window.handleDeleteClient = async function(id) {
+    if (!confirm('Delete this client? Its tasks will be kept but unlinked.')) return;
+    try {
+        await deleteClient(id);
+        showToast('Client deleted', 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
 };
 
 export { renderClients };
@@ -5,6 +5,7 @@
 import {
     getCurrentUser, isAdmin, getTasks, getTasksByFreelancer,
     getStats, MONTHS, getFreelancers, sanitizeHTML,
+    getWorkflow, formatStatusLabel, statusBadgeStyle, formatMoney,
 } from './store-async.js';
 import icons from './icons.js';
 
@@ -32,7 +33,7 @@ async function renderDashboard() {
       </div>
       <div class="stat-card teal">
         <div class="stat-icon">${icons.dollarSign}</div>
-        <div class="stat-value">₹${stats.totalAmount.toLocaleString('en-IN')}</div>
+        <div class="stat-value">${formatMoney(stats.totalAmount, stats.currency)}</div>
         <div class="stat-label">Total Amount</div>
       </div>
       <div class="stat-card green">
@@ -119,6 +120,7 @@ async function renderDashboard() {
     const recentTasks = tasks.slice(-5).reverse();
     let recentHTML = '';
     if (recentTasks.length > 0) {
+        const workflow = await getWorkflow();
         recentHTML = `
       <div class="task-detail-section" style="margin-top: 8px;">
         <h3>${icons.pin} Recent Tasks</h3>
@@ -140,8 +142,8 @@ async function renderDashboard() {
                   <td>${t.slNo}</td>
                   <td><strong>${t.client || '—'}</strong></td>
                   <td>${t.type}</td>
-                  <td><span class="badge badge-${t.status}">${formatStatusLabel(t.status)}</span></td>
-                  <td>₹${(parseFloat(t.amount) || 0).toLocaleString('en-IN')}</td>
+                  <td><span class="badge badge-${t.status}" ${statusBadgeStyle(workflow, t.status)}>${sanitizeHTML(formatStatusLabel(workflow, t.status))}</span></td>
+                  <td>${formatMoney(t.amount, t.currency)}</td>
                   <td>${(t.iterations || []).length}</td>
                 </tr>
               `).join('')}
@@ -165,16 +167,4 @@ async function renderDashboard() {
   `;
 }
 
-function formatStatusLabel(status) {
-    const labels = {
-        'assigned': 'Assigned',
-        'in_progress': 'In Progress',
-        'submitted': 'Submitted',
-        'approved': 'Approved',
-        'iteration': 'Iteration',
-        'rejected': 'Rejected',
-    };
-    return labels[status] || status;
-}
-
 export { renderDashboard };
@@ -2,112 +2,288 @@
 // Gantt / Timeline View
 // ==========================================
 
-import { getCurrentUser, isAdmin, getTasks, getTasksByFreelancer, sanitizeHTML, formatDate } from './store-async.js';
+import {
+    getCurrentUser, isAdmin, getTasks, getTasksByFreelancer, getTaskById, updateTask, getFreelancers,
+    getTaskDependencies, getTaskBlockers, getProjects, getProjectMilestones, sanitizeHTML, formatDate,
+} from './store-async.js';
+import { showToast } from './toast.js';
 import icons from './icons.js';
 
+// Must match .gantt-row height and .gantt-row-label width in index.css
+const ROW_HEIGHT = 36;
+const LABEL_WIDTH = 200;
+const DAY_MS = 1000 * 60 * 60 * 24;
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const ZOOM_LEVELS = {
+    day: { label: 'Day', dayWidth: 40 },
+    week: { label: 'Week', dayWidth: 12 },
+    month: { label: 'Month', dayWidth: 4 },
+};
+
+const GROUP_BY = {
+    none: 'No grouping',
+    freelancer: 'Freelancer',
+    project: 'Project',
+    client: 'Client',
+};
+
+const STATUS_COLORS = {
+    assigned: '#6c5ce7', in_progress: '#0984e3', submitted: '#a29bfe',
+    approved: '#00b894', iteration: '#fdcb6e', rejected: '#d63031'
+};
+
+// Dates are handled as whole days since the epoch so zoom, drag and the
+// headers all share one scale
+function dayNumber(value) {
+    return Math.floor(Date.parse(String(value).split('T')[0]) / DAY_MS);
+}
+
+function isoDay(day) {
+    return new Date(day * DAY_MS).toISOString().split('T')[0];
+}
+
+// Keeps the time of day on datetime due dates
+function shiftDate(value, days) {
+    if (String(value).includes('T')) return new Date(new Date(value).getTime() + days * DAY_MS).toISOString();
+    return isoDay(dayNumber(value) + days);
+}
+
+function defaultRange() {
+    const today = dayNumber(new Date().toISOString());
+    return { from: isoDay(today - 15), to: isoDay(today + 45) };
+}
+
+// Consecutive days sharing a key become one header cell
+function scaleCells(cellClass, from, totalDays, dayWidth, keyOf, labelOf, classOf = () => '') {
+    let html = '';
+    let runStart = 0;
+    for (let i = 1; i <= totalDays; i++) {
+        if (i < totalDays && keyOf(from + i) === keyOf(from + runStart)) continue;
+        html += `<div class="${cellClass} ${classOf(from + runStart)}" style="left:${runStart * dayWidth}px;width:${(i - runStart) * dayWidth}px;">${labelOf(from + runStart)}</div>`;
+        runStart = i;
+    }
+    return html;
+}
+
+function renderScale(zoom, from, totalDays, dayWidth, today) {
+    const date = day => new Date(day * DAY_MS);
+    const monthKey = day => `${date(day).getUTCFullYear()}-${date(day).getUTCMonth()}`;
+    const monthLabel = day => `${MONTH_NAMES[date(day).getUTCMonth()]} ${date(day).getUTCFullYear()}`;
+    const top = zoom === 'month'
+        ? scaleCells('gantt-month', from, totalDays, dayWidth, day => date(day).getUTCFullYear(), day => date(day).getUTCFullYear())
+        : scaleCells('gantt-month', from, totalDays, dayWidth, monthKey, monthLabel);
+
+    let bottom;
+    if (zoom === 'day') {
+        bottom = scaleCells('gantt-day', from, totalDays, dayWidth, day => day, day => date(day).getUTCDate(), day => [
+            day === today ? 'gantt-today' : '',
+            [0, 6].includes(date(day).getUTCDay()) ? 'gantt-weekend' : '',
+        ].join(' '));
+    } else if (zoom === 'week') {
+        // Weeks start on Monday; epoch day 0 was a Thursday
+        bottom = scaleCells('gantt-day', from, totalDays, dayWidth, day => Math.floor((day + 3) / 7),
+            day => `${date(day).getUTCDate()} ${MONTH_NAMES[date(day).getUTCMonth()]}`,
+            day => Math.floor((day + 3) / 7) === Math.floor((today + 3) / 7) ? 'gantt-today' : '');
+    } else {
+        bottom = scaleCells('gantt-day', from, totalDays, dayWidth, monthKey, day => MONTH_NAMES[date(day).getUTCMonth()],
+            day => monthKey(day) === monthKey(today) ? 'gantt-today' : '');
+    }
+
+    return `
+        <div class="gantt-months">${top}</div>
+        <div class="gantt-days">${bottom}</div>
+    `;
+}
+
+// Finish-to-start arrow from the end of one bar to the start of another.
+// A successor drawn starting before its predecessor ends is flagged.
+function connectorPath(from, to) {
+    const y1 = from.row * ROW_HEIGHT + ROW_HEIGHT / 2;
+    const y2 = to.row * ROW_HEIGHT + ROW_HEIGHT / 2;
+    const conflict = to.left < from.right;
+    if (!conflict && to.left - from.right >= 12) {
+        const xm = from.right + 6;
+        return { d: `M${from.right},${y1} H${xm} V${y2} H${to.left}`, conflict };
+    }
+    // Not enough room between the bars: step out, run along the row gap, step back in
+    const gap = y2 > y1 ? y2 - ROW_HEIGHT / 2 : y2 + ROW_HEIGHT / 2;
+    return { d: `M${from.right},${y1} h6 V${gap} H${to.left - 6} V${y2} H${to.left}`, conflict };
+}
+
 async function renderGantt() {
     const user = await getCurrentUser();
     const adminUser = await isAdmin();
     const allTasks = adminUser ? await getTasks() : await getTasksByFreelancer(user.id);
+    const [dependencies, blockers, projects, milestones] = await Promise.all([
+        getTaskDependencies(), getTaskBlockers(), getProjects(), getProjectMilestones(),
+    ]);
+
+    const zoom = ZOOM_LEVELS[window.appState.ganttZoom] ? window.appState.ganttZoom : 'day';
+    const groupBy = GROUP_BY[window.appState.ganttGroupBy] ? window.appState.ganttGroupBy : 'none';
+    const projectId = projects.some(p => p.id === window.appState.ganttProjectId) ? window.appState.ganttProjectId : '';
+    const range = { ...defaultRange(), ...(window.appState.ganttRange || {}) };
+    const from = Math.min(dayNumber(range.from), dayNumber(range.to));
+    const to = Math.max(dayNumber(range.from), dayNumber(range.to));
+    const totalDays = to - from + 1;
+    const { dayWidth } = ZOOM_LEVELS[zoom];
+    const today = dayNumber(new Date().toISOString());
 
-    // Filter to tasks that have dates
-    const tasks = allTasks.filter(t => t.date || t.dueDate).sort((a, b) =>
-        new Date(a.date || a.dueDate) - new Date(b.date || b.dueDate)
-    );
+    // Tasks with dates that overlap the range; due dates are inclusive
+    const tasks = allTasks
+        .filter(t => (t.date || t.dueDate) && (!projectId || t.projectId === projectId))
+        .map(t => {
+            const start = dayNumber(t.date || t.dueDate);
+            return { task: t, start, end: Math.max(start, t.dueDate ? dayNumber(t.dueDate) : start) };
+        })
+        .filter(({ start, end }) => end >= from && start <= to)
+        .sort((a, b) => a.start - b.start);
+
+    // Project milestones due in the range, as diamonds on a project's row
+    const projectNames = Object.fromEntries(projects.map(p => [p.id, p.name]));
+    const visibleMilestones = milestones.filter(m => (!projectId || m.projectId === projectId)
+        && dayNumber(m.dueDate) >= from && dayNumber(m.dueDate) <= to);
+    const milestoneMarkers = list => list.map(m => `<div class="gantt-milestone ${m.completedAt ? 'done' : ''}" style="left:${(dayNumber(m.dueDate) - from) * dayWidth + dayWidth / 2}px;" title="${sanitizeHTML(`${projectNames[m.projectId] || ''}: ${m.name} (${formatDate(m.dueDate)})${m.completedAt ? ' — done' : ''}`)}"></div>`).join('');
+
+    const toolbar = `
+      <div class="gantt-toolbar">
+        <div class="month-tabs" style="margin-bottom: 0;">
+          ${Object.entries(ZOOM_LEVELS).map(([id, z]) => `<button class="month-tab ${id === zoom ? 'active' : ''}" onclick="setGanttZoom('${id}')">${z.label}</button>`).join('')}
+        </div>
+        <input type="date" class="form-control" style="font-size:0.8rem;padding:6px 10px;width:140px;" value="${isoDay(from)}" onchange="setGanttRange('from', this.value)" title="From date" />
+        <input type="date" class="form-control" style="font-size:0.8rem;padding:6px 10px;width:140px;" value="${isoDay(to)}" onchange="setGanttRange('to', this.value)" title="To date" />
+        <button class="btn btn-secondary btn-sm" onclick="setGanttRange('reset')">Today</button>
+        ${projects.length > 0 ? `
+        <select class="form-control" style="font-size:0.8rem;padding:6px 10px;width:auto;" onchange="setGanttProject(this.value)">
+          <option value="">All projects</option>
+          ${projects.map(p => `<option value="${p.id}" ${p.id === projectId ? 'selected' : ''}>${sanitizeHTML(p.name)}</option>`).join('')}
+        </select>` : ''}
+        <select class="form-control" style="font-size:0.8rem;padding:6px 10px;width:auto;" onchange="setGanttGroupBy(this.value)">
+          ${Object.entries(GROUP_BY).map(([id, label]) => `<option value="${id}" ${id === groupBy ? 'selected' : ''}>${id === 'none' ? label : `Group by ${label.toLowerCase()}`}</option>`).join('')}
+        </select>
+        ${adminUser ? '<span class="gantt-hint">Drag a bar to move it, or its edges to change the dates</span>' : ''}
+      </div>`;
 
     if (tasks.length === 0) {
         return `
         <div class="page-header"><h1>${icons.analytics} Timeline</h1></div>
         <div class="page-body">
-          <div class="empty-state"><div class="empty-icon">${icons.kanban}</div><div class="empty-title">No tasks with dates</div></div>
+          ${toolbar}
+          <div class="empty-state"><div class="empty-icon">${icons.kanban}</div><div class="empty-title">No tasks with dates in this range</div></div>
         </div>`;
     }
 
-    // Calculate date range — show last 15 days + next 45 days from today
-    const today = new Date();
-    const startDate = new Date(today);
-    startDate.setDate(startDate.getDate() - 15);
-    const endDate = new Date(today);
-    endDate.setDate(endDate.getDate() + 45);
-
-    const totalDays = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-    const dayWidth = 40; // pixels per day
-
-    // Generate date headers
-    let dateHeaders = '';
-    let monthHeaders = '';
-    let currentMonth = -1;
-    let monthStartX = 0;
-    let monthDayCount = 0;
-
-    for (let i = 0; i < totalDays; i++) {
-        const d = new Date(startDate);
-        d.setDate(d.getDate() + i);
-        const isToday = d.toISOString().split('T')[0] === today.toISOString().split('T')[0];
-        const isWeekend = d.getDay() === 0 || d.getDay() === 6;
-
-        if (d.getMonth() !== currentMonth) {
-            if (currentMonth !== -1) {
-                const monthNames = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
-                monthHeaders += `<div class="gantt-month" style="left:${monthStartX}px;width:${monthDayCount * dayWidth}px;">${monthNames[currentMonth]}</div>`;
-            }
-            currentMonth = d.getMonth();
-            monthStartX = i * dayWidth;
-            monthDayCount = 0;
+    // Group rows sit above their tasks
+    let groups = [{ label: null, items: tasks }];
+    if (groupBy !== 'none') {
+        const freelancerNames = {};
+        if (groupBy === 'freelancer') {
+            for (const f of adminUser ? await getFreelancers() : [user]) freelancerNames[f.id] = f.name;
         }
-        monthDayCount++;
-
-        dateHeaders += `<div class="gantt-day ${isToday ? 'gantt-today' : ''} ${isWeekend ? 'gantt-weekend' : ''}" style="left:${i * dayWidth}px;width:${dayWidth}px;">${d.getDate()}</div>`;
+        const labelOf = {
+            freelancer: t => (t.assignedTo && freelancerNames[t.assignedTo]) || 'Unassigned',
+            project: t => t.project || 'No project',
+            client: t => t.client || 'No client',
+        }[groupBy];
+        const byLabel = new Map();
+        for (const item of tasks) {
+            const label = labelOf(item.task);
+            if (!byLabel.has(label)) byLabel.set(label, []);
+            byLabel.get(label).push(item);
+        }
+        groups = [...byLabel.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([label, items]) => ({ label, items }));
     }
-    // Last month
-    const monthNames = ['Jan','Feb','Mar','Apr','May','Jun','Jul','Aug','Sep','Oct','Nov','Dec'];
-    monthHeaders += `<div class="gantt-month" style="left:${monthStartX}px;width:${monthDayCount * dayWidth}px;">${monthNames[currentMonth]}</div>`;
 
-    // Today line position
-    const todayOffset = Math.ceil((today - startDate) / (1000 * 60 * 60 * 24));
+    const bars = {};
+    let row = 0;
 
-    // Task bars
-    const taskRows = tasks.slice(0, 30).map(t => {
-        const taskStart = new Date(t.date || t.dueDate);
-        const taskEnd = t.dueDate ? new Date(t.dueDate) : new Date(taskStart);
-        if (taskEnd <= taskStart) taskEnd.setDate(taskStart.getDate() + 1);
+    // Grouped by project, milestones sit on their project's row; otherwise
+    // they share one row at the top
+    let milestoneRow = '';
+    if (groupBy !== 'project' && visibleMilestones.length > 0) {
+        milestoneRow = `
+            <div class="gantt-row gantt-group-row">
+                <div class="gantt-row-label"><strong>Milestones</strong> <span class="gantt-group-count">${visibleMilestones.length}</span></div>
+                <div class="gantt-row-chart" style="width:${totalDays * dayWidth}px;">${milestoneMarkers(visibleMilestones)}</div>
+            </div>`;
+        row++;
+    }
 
-        const startOffset = Math.max(0, Math.ceil((taskStart - startDate) / (1000 * 60 * 60 * 24)));
-        const duration = Math.max(1, Math.ceil((taskEnd - taskStart) / (1000 * 60 * 60 * 24)));
+    const rowsHTML = milestoneRow + groups.map(group => {
+        const groupProject = groupBy === 'project' ? projects.find(p => p.name === group.label) : null;
+        const header = group.label === null ? '' : `
+            <div class="gantt-row gantt-group-row">
+                <div class="gantt-row-label" ${groupProject && adminUser ? `onclick="navigateTo('project-detail', { selectedProjectId: '${groupProject.id}' })" style="cursor:pointer;"` : ''}><strong>${sanitizeHTML(group.label)}</strong> <span class="gantt-group-count">${group.items.length}</span></div>
+                <div class="gantt-row-chart" style="width:${totalDays * dayWidth}px;">${groupProject ? milestoneMarkers(visibleMilestones.filter(m => m.projectId === groupProject.id)) : ''}</div>
+            </div>`;
+        if (group.label !== null) row++;
 
-        const statusColors = {
-            assigned: '#6c5ce7', in_progress: '#0984e3', submitted: '#a29bfe',
-            approved: '#00b894', iteration: '#fdcb6e', rejected: '#d63031'
-        };
-        const color = statusColors[t.status] || '#6c5ce7';
+        return header + group.items.map(({ task: t, start, end }) => {
+            const left = (Math.max(start, from) - from) * dayWidth;
+            const right = (Math.min(end, to) + 1 - from) * dayWidth;
+            bars[t.id] = { row: row++, left, right };
+            const waitingOn = blockers[t.id];
+            const color = STATUS_COLORS[t.status] || '#6c5ce7';
+            const title = `${t.client || ''} (${formatDate(t.date || t.dueDate)} → ${t.dueDate ? formatDate(t.dueDate) : '—'})${waitingOn ? ` — waiting on ${waitingOn.map(p => `#${p.slNo}`).join(', ')}` : ''}`;
 
-        return `
+            return `
             <div class="gantt-row">
                 <div class="gantt-row-label" onclick="navigateTo('task-detail', { selectedTaskId: '${t.id}' })" style="cursor:pointer;">
                     <strong>${sanitizeHTML(t.client || '—')}</strong>
                     <span class="badge badge-${t.status}" style="font-size:0.65rem;padding:1px 5px;margin-left:4px;">${t.status}</span>
+                    ${waitingOn ? '<span class="badge badge-blocked" style="font-size:0.65rem;padding:1px 5px;">Blocked</span>' : ''}
                 </div>
                 <div class="gantt-row-chart" style="width:${totalDays * dayWidth}px;">
-                    <div class="gantt-bar" style="left:${startOffset * dayWidth}px;width:${duration * dayWidth}px;background:${color};" title="${sanitizeHTML(t.client || '')} (${formatDate(t.date)} → ${t.dueDate ? formatDate(t.dueDate) : '—'})"></div>
+                    <div class="gantt-bar ${waitingOn ? 'gantt-bar-blocked' : ''} ${adminUser ? 'gantt-bar-editable' : ''}"
+                         data-task-id="${t.id}" data-days="${end - start + 1}"
+                         style="left:${left}px;width:${right - left}px;background-color:${color};" title="${sanitizeHTML(title)}">
+                        ${adminUser ? '<span class="gantt-bar-handle start" data-handle="start"></span><span class="gantt-bar-handle end" data-handle="end"></span>' : ''}
+                    </div>
                 </div>
-            </div>
-        `;
+            </div>`;
+        }).join('');
     }).join('');
 
+    // Dependency connectors between bars that are both on screen
+    const connectors = dependencies
+        .filter(d => bars[d.predecessorId] && bars[d.taskId])
+        .map(d => {
+            const { d: path, conflict } = connectorPath(bars[d.predecessorId], bars[d.taskId]);
+            return `<path d="${path}" class="gantt-connector ${conflict ? 'conflict' : ''}" marker-end="url(#gantt-arrow${conflict ? '-conflict' : ''})" />`;
+        }).join('');
+    const connectorLayer = connectors ? `
+            <svg class="gantt-connectors" style="left:${LABEL_WIDTH}px;" width="${totalDays * dayWidth}" height="${row * ROW_HEIGHT}">
+                <defs>
+                    <marker id="gantt-arrow" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto"><path d="M0,0 L6,3 L0,6 z" class="gantt-arrowhead" /></marker>
+                    <marker id="gantt-arrow-conflict" viewBox="0 0 6 6" refX="6" refY="3" markerWidth="6" markerHeight="6" orient="auto"><path d="M0,0 L6,3 L0,6 z" class="gantt-arrowhead conflict" /></marker>
+                </defs>
+                ${connectors}
+            </svg>` : '';
+
+    const todayLine = today >= from && today <= to
+        ? `<div class="gantt-today-line" style="left:${LABEL_WIDTH + (today - from) * dayWidth + dayWidth / 2}px;"></div>`
+        : '';
+
     return `
     <div class="page-header">
       <h1>${icons.analytics} Timeline</h1>
     </div>
     <div class="page-body">
+      ${toolbar}
       <div class="gantt-container">
-        <div class="gantt-chart">
-          <div class="gantt-header" style="width:${totalDays * dayWidth}px;">
-            <div class="gantt-months">${monthHeaders}</div>
-            <div class="gantt-days">${dateHeaders}</div>
+        <div class="gantt-chart" data-day-width="${dayWidth}" style="width:${LABEL_WIDTH + totalDays * dayWidth}px;">
+          <div class="gantt-header">
+            <div class="gantt-header-label">Task</div>
+            <div class="gantt-header-scale" style="width:${totalDays * dayWidth}px;">
+              ${renderScale(zoom, from, totalDays, dayWidth, today)}
+            </div>
           </div>
           <div class="gantt-body">
-            <div class="gantt-today-line" style="left:${todayOffset * dayWidth + dayWidth/2}px;"></div>
-            ${taskRows}
+            ${todayLine}
+            ${rowsHTML}
+            ${connectorLayer}
           </div>
         </div>
       </div>
@@ -115,4 +291,116 @@ async function renderGantt() {
   `;
 }
 
-export { renderGantt };
+// ==========================================
+// Controls
+// ==========================================
+
+window.setGanttZoom = function (zoom) {
+    window.appState.ganttZoom = zoom;
+    window.renderApp();
+};
+
+window.setGanttProject = function (projectId) {
+    window.appState.ganttProjectId = projectId || null;
+    window.renderApp();
+};
+
+window.setGanttGroupBy = function (groupBy) {
+    window.appState.ganttGroupBy = groupBy;
+    window.renderApp();
+};
+
+window.setGanttRange = function (edge, value) {
+    if (edge === 'reset') {
+        window.appState.ganttRange = null;
+    } else if (value) {
+        window.appState.ganttRange = { ...defaultRange(), ...(window.appState.ganttRange || {}), [edge]: value };
+    }
+    window.renderApp();
+};
+
+// ==========================================
+// Drag to reschedule / resize
+// ==========================================
+
+// `mode` is 'move' (both dates), 'start' or 'end'
+async function rescheduleTask(taskId, mode, days) {
+    const task = await getTaskById(taskId);
+    if (!task) throw new Error('Task not found');
+
+    const start = task.date || task.dueDate;
+    const end = task.dueDate || task.date;
+    const changes = {};
+    if (mode === 'move') {
+        if (task.date) changes.date = shiftDate(task.date, days);
+        if (task.dueDate) changes.dueDate = shiftDate(task.dueDate, days);
+    } else if (mode === 'start') {
+        changes.date = shiftDate(start, days);
+    } else {
+        changes.dueDate = shiftDate(end, days);
+    }
+    if (dayNumber(changes.date || start) > dayNumber(changes.dueDate || end)) {
+        throw new Error('A task can\'t be due before it starts');
+    }
+    if (changes.date) changes.month = new Date(changes.date).getMonth();
+    return updateTask(taskId, changes);
+}
+
+function initGanttDrag() {
+    const chart = document.querySelector('.gantt-chart[data-day-width]');
+    if (!chart) return;
+    const dayWidth = Number(chart.dataset.dayWidth);
+
+    chart.querySelectorAll('.gantt-bar-editable').forEach(bar => {
+        bar.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0) return;
+            e.preventDefault();
+            const mode = e.target.dataset.handle || 'move';
+            const length = Number(bar.dataset.days);
+            const startX = e.clientX;
+            const left = bar.offsetLeft;
+            const width = bar.offsetWidth;
+            let days = 0;
+
+            bar.setPointerCapture(e.pointerId);
+            bar.classList.add('dragging');
+
+            const onMove = (ev) => {
+                days = Math.round((ev.clientX - startX) / dayWidth);
+                // A resized task keeps at least one day
+                if (mode === 'start') days = Math.min(days, length - 1);
+                if (mode === 'end') days = Math.max(days, 1 - length);
+                const dx = days * dayWidth;
+                if (mode === 'move') bar.style.left = `${left + dx}px`;
+                if (mode === 'start') {
+                    bar.style.left = `${left + dx}px`;
+                    bar.style.width = `${Math.max(dayWidth, width - dx)}px`;
+                }
+                if (mode === 'end') bar.style.width = `${Math.max(dayWidth, width + dx)}px`;
+            };
+
+            const onUp = async () => {
+                bar.removeEventListener('pointermove', onMove);
+                bar.removeEventListener('pointerup', onUp);
+                bar.removeEventListener('pointercancel', onUp);
+                bar.classList.remove('dragging');
+                if (days === 0) return;
+                try {
+                    const task = await rescheduleTask(bar.dataset.taskId, mode, days);
+                    showToast(`Task #${task.slNo} now ${formatDate(task.date || task.dueDate)} → ${task.dueDate ? formatDate(task.dueDate) : '—'}`, 'success');
+                } catch (err) {
+                    showToast(err.message || 'Failed to reschedule task', 'error');
+                }
+                await window.renderApp();
+            };
+
+            bar.addEventListener('pointermove', onMove);
+            bar.addEventListener('pointerup', onUp);
+            bar.addEventListener('pointercancel', onUp);
+        });
+    });
+}
+
+window.initGanttDrag = initGanttDrag;
+
+export { renderGantt, initGanttDrag };
@@ -1,13 +1,23 @@
 // ==========================================
-// PDF Invoice Generator
+// Invoices — client GST invoices and freelancer payout statements
 // ==========================================
 
-import { getCurrentUser, isAdmin, getTasks, getTasksByFreelancer, getFreelancers, getUserById, sanitizeHTML } from './store-async.js';
+import {
+    getCurrentUser, isAdmin, getTasks, getFreelancers, getUserById, getClients, getClientById, getProjects,
+    getAgencySettings, getInvoices, getInvoiceById, getBillableTasks, createInvoice, updateInvoiceStatus, deleteInvoice,
+    getPaymentTransactions, taskBalance, taskPaidAmount, calculateGst, gstStateCode, stateName, DEFAULT_GST_RATE, INVOICE_STATUSES, formatDate, sanitizeHTML,
+    getCurrencyConverter, formatMoney, DEFAULT_CURRENCY, getBillableExpenses, getTaskExpenses, EXPENSE_CATEGORIES,
+} from './store-async.js';
 import { showToast } from './toast.js';
 import icons from './icons.js';
 
+const money = (n, currency = DEFAULT_CURRENCY) => formatMoney(n, currency, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+function invoiceStatusBadge(status) {
+    return `<span class="badge badge-${status}">${status.charAt(0).toUpperCase() + status.slice(1)}</span>`;
+}
+
 async function renderInvoice() {
-    const user = await getCurrentUser();
     const adminUser = await isAdmin();
 
     if (!adminUser) {
@@ -16,28 +26,133 @@ async function renderInvoice() {
 
     const tasks = await getTasks();
     const freelancers = await getFreelancers();
+    const clients = await getClients();
+    const allInvoices = await getInvoices();
+    const converter = await getCurrencyConverter();
+
+    // List filters
+    const inf = window.appState.invoiceFilters || {};
+    const invoices = allInvoices.filter(inv =>
+        (!inf.status || inv.status === inf.status) &&
+        (!inf.client || inv.clientId === inf.client) &&
+        (!inf.dateFrom || inv.invoiceDate >= inf.dateFrom) &&
+        (!inf.dateTo || inv.invoiceDate <= inf.dateTo) &&
+        (!inf.search || (inv.invoiceNumber || '').toLowerCase().includes(inf.search.toLowerCase())));
+    const outstanding = allInvoices.filter(inv => inv.status === 'sent')
+        .reduce((s, inv) => s + converter.toBase(inv.total, inv.currency, inv.invoiceDate), 0);
 
     const freelancerOptions = freelancers.map(f => {
         const fTasks = tasks.filter(t => t.assignedTo === f.id && t.status === 'approved');
-        const unpaid = fTasks.filter(t => t.paymentStatus !== 'Paid');
-        const totalUnpaid = unpaid.reduce((s, t) => s + (parseFloat(t.amount) || 0), 0);
-        return `<option value="${f.id}">${sanitizeHTML(f.name)} — ₹${totalUnpaid.toLocaleString('en-IN')} (${unpaid.length} tasks)</option>`;
+        const unpaid = fTasks.filter(t => taskBalance(t) > 0);
+        const totalUnpaid = unpaid.reduce((s, t) => s + converter.toBase(taskBalance(t), t.currency, t.date), 0);
+        return `<option value="${f.id}">${sanitizeHTML(f.name)} — ${converter.format(totalUnpaid)} (${unpaid.length} tasks)</option>`;
     }).join('');
 
+    const invoiceRows = invoices.length === 0
+        ? `<tr><td colspan="7" style="text-align:center;color:var(--text-muted);padding:30px;">${allInvoices.length === 0 ? 'No client invoices yet. Draft one below.' : 'No invoices match these filters.'}</td></tr>`
+        : invoices.map(inv => `
+            <tr>
+                <td><strong>${inv.invoiceNumber ? sanitizeHTML(inv.invoiceNumber) : '<span style="color:var(--text-muted);">Draft</span>'}</strong></td>
+                <td>${sanitizeHTML(inv.clientName)}</td>
+                <td>${formatDate(inv.invoiceDate)}</td>
+                <td>${inv.dueDate ? formatDate(inv.dueDate) : '—'}</td>
+                <td>${money(inv.total, inv.currency)}</td>
+                <td>${invoiceStatusBadge(inv.status)}</td>
+                <td class="row-actions">
+                    <button class="btn btn-secondary btn-sm" onclick="viewInvoice('${inv.id}')">View</button>
+                    ${inv.status === 'draft' ? `
+                        <button class="btn btn-primary btn-sm" onclick="handleInvoiceStatus('${inv.id}', 'sent')">${icons.send} Mark Sent</button>
+                        <button class="btn-icon" onclick="handleDeleteInvoice('${inv.id}')" title="Delete draft">${icons.trash}</button>
+                    ` : ''}
+                    ${inv.status === 'sent' ? `
+                        <button class="btn btn-primary btn-sm" onclick="openInvoicePaidModal('${inv.id}')">${icons.checkCircle} Mark Paid</button>
+                        <button class="btn btn-secondary btn-sm" onclick="handleInvoiceStatus('${inv.id}', 'void')">Void</button>
+                    ` : ''}
+                </td>
+            </tr>
+        `).join('');
+
     return `
     <div class="page-header">
       <h1>${icons.fileText} Invoices</h1>
     </div>
     <div class="page-body">
-      <div style="background:var(--bg-card);border-radius:var(--radius-lg);padding:24px;box-shadow:var(--shadow-md);">
-        <h3 style="margin-bottom:16px;">Generate Invoice</h3>
+      <div class="task-detail-section">
+        <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:16px;">
+          <h3>Client Invoices</h3>
+          <span style="font-size:0.85rem;color:var(--text-secondary);">Outstanding: <strong>${money(outstanding, converter.baseCurrency)}</strong></span>
+        </div>
+        <div class="toolbar" style="margin-bottom: 12px;">
+          <div class="toolbar-filters">
+            <select class="form-control" style="font-size:0.8rem;padding:6px 10px;" onchange="filterInvoices('status', this.value)">
+              <option value="">All Statuses</option>
+              ${INVOICE_STATUSES.map(st => `<option value="${st}" ${inf.status === st ? 'selected' : ''}>${st.charAt(0).toUpperCase() + st.slice(1)}</option>`).join('')}
+            </select>
+            <select class="form-control" style="font-size:0.8rem;padding:6px 10px;" onchange="filterInvoices('client', this.value)">
+              <option value="">All Clients</option>
+              ${clients.map(c => `<option value="${c.id}" ${inf.client === c.id ? 'selected' : ''}>${sanitizeHTML(c.name)}</option>`).join('')}
+            </select>
+            <input type="date" class="form-control" style="font-size:0.8rem;padding:6px 10px;" value="${inf.dateFrom || ''}" onchange="filterInvoices('dateFrom', this.value)" title="From date" />
+            <input type="date" class="form-control" style="font-size:0.8rem;padding:6px 10px;" value="${inf.dateTo || ''}" onchange="filterInvoices('dateTo', this.value)" title="To date" />
+            <input type="text" class="form-control" style="font-size:0.8rem;padding:6px 10px;width:150px;" placeholder="Invoice no..." value="${sanitizeHTML(inf.search || '')}" onchange="filterInvoices('search', this.value)" />
+            ${Object.values(inf).some(Boolean) ? `<button class="btn btn-sm btn-outline" onclick="clearInvoiceFilters()">Clear</button>` : ''}
+          </div>
+        </div>
+        <div class="table-container">
+          <table class="data-table">
+            <thead>
+              <tr><th>Number</th><th>Client</th><th>Date</th><th>Due</th><th>Total</th><th>Status</th><th>Actions</th></tr>
+            </thead>
+            <tbody>${invoiceRows}</tbody>
+          </table>
+        </div>
+      </div>
+
+      <div class="task-detail-section" style="margin-top:24px;">
+        <h3 style="margin-bottom:16px;">New Client Invoice</h3>
+        <div style="display:flex;gap:12px;flex-wrap:wrap;align-items:end;">
+          <div class="form-group" style="flex:1;min-width:200px;">
+            <label>Client</label>
+            <select class="form-control" id="new-invoice-client" onchange="loadInvoiceTasks(true)">
+              <option value="">Select Client</option>
+              ${clients.map(c => `<option value="${c.id}">${sanitizeHTML(c.name)}</option>`).join('')}
+            </select>
+          </div>
+          <div class="form-group" style="flex:1;min-width:200px;">
+            <label>Project</label>
+            <select class="form-control" id="new-invoice-project" onchange="loadInvoiceTasks(false)">
+              <option value="">All Projects</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label>Invoice Date</label>
+            <input type="date" class="form-control" id="new-invoice-date" value="${new Date().toISOString().split('T')[0]}" onchange="updateInvoiceTotals()" />
+          </div>
+          <div class="form-group">
+            <label>Due Date</label>
+            <input type="date" class="form-control" id="new-invoice-due-date" value="${new Date(Date.now() + 15*24*60*60*1000).toISOString().split('T')[0]}" />
+          </div>
+        </div>
+        <div id="new-invoice-tasks" class="invoice-task-list">
+          <p style="color:var(--text-muted);font-size:0.85rem;">Pick a client to list their approved tasks.</p>
+        </div>
+        <div id="new-invoice-totals"></div>
+        <div class="form-group">
+          <label>Notes</label>
+          <input type="text" class="form-control" id="new-invoice-notes" placeholder="Payment terms, PO number..." />
+        </div>
+        <button class="btn btn-primary" onclick="saveInvoiceDraft()">Save Draft</button>
+      </div>
+
+      <div class="task-detail-section" style="margin-top:24px;">
+        <h3 style="margin-bottom:16px;">Freelancer Payout Statement</h3>
         <div style="display:flex;gap:12px;flex-wrap:wrap;align-items:end;">
           <div class="form-group" style="flex:1;min-width:200px;">
             <label>Freelancer</label>
             <select class="form-control" id="invoice-freelancer">${freelancerOptions}</select>
           </div>
           <div class="form-group">
-            <label>Invoice Date</label>
+            <label>Statement Date</label>
             <input type="date" class="form-control" id="invoice-date" value="${new Date().toISOString().split('T')[0]}" />
           </div>
           <div class="form-group">
@@ -52,7 +167,7 @@ async function renderInvoice() {
               <option value="all">All Tasks</option>
             </select>
           </div>
-          <button class="btn btn-primary" onclick="generateInvoice()">Preview Invoice</button>
+          <button class="btn btn-primary" onclick="generateInvoice()">Preview Statement</button>
         </div>
       </div>
       <div id="invoice-preview" style="margin-top:20px;"></div>
@@ -60,6 +175,261 @@ async function renderInvoice() {
   `;
 }
 
+// ==========================================
+// New client invoice
+// ==========================================
+
+// Tasks and approved expenses listed in the new-invoice form, for the totals preview
+let draftTasks = [];
+let draftExpenses = [];
+
+window.loadInvoiceTasks = async function (clientChanged) {
+    const clientId = document.getElementById('new-invoice-client').value;
+    const projectSelect = document.getElementById('new-invoice-project');
+    const list = document.getElementById('new-invoice-tasks');
+
+    if (clientChanged) {
+        const projects = clientId ? (await getProjects()).filter(p => p.clientId === clientId) : [];
+        projectSelect.innerHTML = `<option value="">All Projects</option>` +
+            projects.map(p => `<option value="${p.id}">${sanitizeHTML(p.name)}</option>`).join('');
+    }
+
+    draftTasks = clientId ? await getBillableTasks(clientId, projectSelect.value || null) : [];
+    draftExpenses = clientId ? await getBillableExpenses(clientId, projectSelect.value || null) : [];
+    list.innerHTML = draftTasks.length === 0 && draftExpenses.length === 0
+        ? `<p style="color:var(--text-muted);font-size:0.85rem;">${clientId ? 'No approved tasks to bill.' : 'Pick a client to list their approved tasks.'}</p>`
+        : draftTasks.map(t => `
+            <label class="invoice-task-row">
+                <input type="checkbox" class="new-invoice-task" value="${t.id}" ${parseFloat(t.billableAmount) > 0 ? 'checked' : ''} onchange="updateInvoiceTotals()" />
+                <span>#${t.slNo} ${sanitizeHTML(t.type)}${t.project ? ` — ${sanitizeHTML(t.project)}` : ''} <span style="color:var(--text-muted);">${formatDate(t.date)}</span></span>
+                ${parseFloat(t.billableAmount) > 0
+                    ? `<span class="invoice-task-amount">${money(t.billableAmount, t.currency)}</span>`
+                    : '<span class="invoice-task-amount" style="color:var(--status-rejected);">No billable amount</span>'}
+            </label>
+        `).join('') + draftExpenses.map(e => `
+            <label class="invoice-task-row">
+                <input type="checkbox" class="new-invoice-expense" value="${e.id}" checked onchange="updateInvoiceTotals()" />
+                <span>Expense: ${sanitizeHTML(e.description)} <span style="color:var(--text-muted);">${EXPENSE_CATEGORIES[e.category] || 'Other'} · Task #${e.task.slNo}</span></span>
+                <span class="invoice-task-amount">${money(e.amount, e.task.currency)}</span>
+            </label>
+        `).join('');
+    await window.updateInvoiceTotals();
+};
+
+window.updateInvoiceTotals = async function () {
+    const totalsEl = document.getElementById('new-invoice-totals');
+    const clientId = document.getElementById('new-invoice-client').value;
+    const checked = [...document.querySelectorAll('.new-invoice-task:checked, .new-invoice-expense:checked')].map(el => el.value);
+    const selected = [
+        ...draftTasks.filter(t => checked.includes(t.id)).map(t => ({ amount: t.billableAmount, currency: t.currency })),
+        ...draftExpenses.filter(e => checked.includes(e.id)).map(e => ({ amount: e.amount, currency: e.task.currency })),
+    ];
+    if (!clientId || selected.length === 0) { totalsEl.innerHTML = ''; return; }
+    // An invoice is raised in one currency
+    const currencies = [...new Set(selected.map(line => line.currency || DEFAULT_CURRENCY))];
+    if (currencies.length > 1) {
+        totalsEl.innerHTML = `<p style="color:var(--status-rejected);font-size:0.85rem;">The selected tasks are in ${currencies.join(' and ')} — invoice each currency separately.</p>`;
+        return;
+    }
+    const currency = currencies[0];
+
+    const agency = await getAgencySettings();
+    const client = await getClientById(clientId);
+    const supplierState = agency.state || gstStateCode(agency.gstNumber);
+    const placeOfSupply = client.state || gstStateCode(client.gstin) || supplierState;
+    const rate = agency.gstRate ?? DEFAULT_GST_RATE;
+    const gst = calculateGst(selected.reduce((s, line) => s + (parseFloat(line.amount) || 0), 0), parseFloat(rate) || 0, supplierState, placeOfSupply);
+
+    totalsEl.innerHTML = `
+        <div class="invoice-totals">
+            <div><span>Subtotal</span><span>${money(gst.subtotal, currency)}</span></div>
+            ${gst.interState
+                ? `<div><span>IGST @ ${gst.rate}%</span><span>${money(gst.igst, currency)}</span></div>`
+                : `<div><span>CGST @ ${gst.rate / 2}%</span><span>${money(gst.cgst, currency)}</span></div>
+                   <div><span>SGST @ ${gst.rate / 2}%</span><span>${money(gst.sgst, currency)}</span></div>`}
+            <div class="invoice-totals-total"><span>Total</span><span>${money(gst.total, currency)}</span></div>
+            <div style="font-size:0.78rem;color:var(--text-muted);">Place of supply: ${placeOfSupply ? `${placeOfSupply} — ${sanitizeHTML(stateName(placeOfSupply))}` : 'not set — add the agency and client states for GST'}</div>
+        </div>
+    `;
+};
+
+window.saveInvoiceDraft = async function () {
+    const taskIds = [...document.querySelectorAll('.new-invoice-task:checked')].map(el => el.value);
+    const expenseIds = [...document.querySelectorAll('.new-invoice-expense:checked')].map(el => el.value);
+    try {
+        const invoice = await createInvoice({
+            clientId: document.getElementById('new-invoice-client').value,
+            projectId: document.getElementById('new-invoice-project').value || null,
+            taskIds,
+            expenseIds,
+            invoiceDate: document.getElementById('new-invoice-date').value,
+            dueDate: document.getElementById('new-invoice-due-date').value,
+            notes: document.getElementById('new-invoice-notes').value,
+        });
+        showToast('Invoice draft saved', 'success');
+        await window.renderApp();
+        await window.viewInvoice(invoice.id);
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.filterInvoices = function (key, value) {
+    if (!window.appState.invoiceFilters) window.appState.invoiceFilters = {};
+    window.appState.invoiceFilters[key] = value;
+    window.renderApp();
+};
+
+window.clearInvoiceFilters = function () {
+    window.appState.invoiceFilters = {};
+    window.renderApp();
+};
+
+const STATUS_CONFIRMATIONS = {
+    sent: 'Mark this invoice as sent? It gets its invoice number and can no longer be deleted.',
+    void: 'Void this invoice? It keeps its number, and its tasks can be billed again on a new invoice.',
+};
+
+window.handleInvoiceStatus = async function (id, status, options = {}) {
+    if (STATUS_CONFIRMATIONS[status] && !confirm(STATUS_CONFIRMATIONS[status])) return;
+    try {
+        const invoice = await updateInvoiceStatus(id, status, options);
+        const messages = { sent: `Invoice ${invoice.invoiceNumber} issued`, paid: 'Invoice marked paid', void: 'Invoice voided' };
+        showToast(messages[status], 'success');
+        document.getElementById('invoice-paid-overlay')?.remove();
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.openInvoicePaidModal = async function (id) {
+    const invoice = await getInvoiceById(id);
+    if (!invoice) return;
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.id = 'invoice-paid-overlay';
+    overlay.innerHTML = `
+    <div class="modal" style="max-width:420px;">
+      <div class="modal-header">
+        <h3>Record Payment — ${sanitizeHTML(invoice.invoiceNumber)}</h3>
+        <button class="btn-icon" onclick="document.getElementById('invoice-paid-overlay').remove()">✕</button>
+      </div>
+      <div class="modal-body">
+        <p style="margin-bottom:12px;">${sanitizeHTML(invoice.clientName)} paid <strong>${money(invoice.total, invoice.currency)}</strong>.</p>
+        <div class="form-group">
+          <label>Payment Reference</label>
+          <input type="text" class="form-control" id="invoice-paid-reference" placeholder="UTR / cheque number" />
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="document.getElementById('invoice-paid-overlay').remove()">Cancel</button>
+        <button class="btn btn-primary" onclick="handleInvoiceStatus('${id}', 'paid', { reference: document.getElementById('invoice-paid-reference').value })">Mark Paid</button>
+      </div>
+    </div>
+    `;
+    document.body.appendChild(overlay);
+};
+
+window.handleDeleteInvoice = async function (id) {
+    if (!confirm('Delete this draft invoice?')) return;
+    try {
+        await deleteInvoice(id);
+        showToast('Draft deleted', 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+// ==========================================
+// Client invoice document
+// ==========================================
+
+window.viewInvoice = async function (id) {
+    const invoice = await getInvoiceById(id);
+    if (!invoice) return;
+    const agency = await getAgencySettings();
+    const client = invoice.clientId ? await getClientById(invoice.clientId) : null;
+    const interState = invoice.igst > 0;
+    const receipt = invoice.paymentTransactionId
+        ? (await getPaymentTransactions(null, 500)).find(txn => txn.id === invoice.paymentTransactionId)
+        : null;
+
+    const rows = invoice.items.map((item, i) => `
+        <tr>
+            <td>${i + 1}</td>
+            <td>${sanitizeHTML(item.description)}</td>
+            <td style="text-align:right;">${money(item.amount, invoice.currency)}</td>
+        </tr>
+    `).join('');
+
+    const preview = document.getElementById('invoice-preview');
+    preview.innerHTML = `
+        <div class="invoice-doc" id="invoice-doc">
+            <div class="invoice-header-bar">
+                <div>
+                    <h2 style="margin:0;color:var(--accent-primary);">TAX INVOICE</h2>
+                    <div style="color:var(--text-muted);font-size:0.85rem;">${invoice.invoiceNumber ? sanitizeHTML(invoice.invoiceNumber) : 'DRAFT — not yet numbered'}</div>
+                </div>
+                <div style="text-align:right;font-size:0.85rem;">
+                    <strong style="font-size:1rem;">${sanitizeHTML(agency.name || 'CRM Tracker')}</strong><br/>
+                    ${agency.address ? `${sanitizeHTML(agency.address)}<br/>` : ''}
+                    ${agency.gstNumber ? `GSTIN: ${sanitizeHTML(agency.gstNumber)}<br/>` : ''}
+                    ${agency.panNumber ? `PAN: ${sanitizeHTML(agency.panNumber)}` : ''}
+                </div>
+            </div>
+            <div style="display:flex;justify-content:space-between;margin-bottom:20px;flex-wrap:wrap;gap:12px;">
+                <div>
+                    <div style="font-size:0.8rem;color:var(--text-muted);margin-bottom:4px;">Bill To:</div>
+                    <strong>${sanitizeHTML(invoice.clientName)}</strong><br/>
+                    ${client?.company ? `<span style="font-size:0.85rem;color:var(--text-secondary);">${sanitizeHTML(client.company)}</span><br/>` : ''}
+                    ${client?.address ? `<span style="font-size:0.85rem;color:var(--text-secondary);">${sanitizeHTML(client.address)}</span><br/>` : ''}
+                    ${invoice.clientGstin ? `<span style="font-size:0.85rem;">GSTIN: ${sanitizeHTML(invoice.clientGstin)}</span><br/>` : ''}
+                    <span style="font-size:0.85rem;">Place of supply: ${invoice.placeOfSupply ? `${invoice.placeOfSupply} — ${sanitizeHTML(stateName(invoice.placeOfSupply))}` : '—'}</span>
+                </div>
+                <div style="text-align:right;">
+                    <div><span style="color:var(--text-muted);font-size:0.8rem;">Invoice Date:</span> ${formatDate(invoice.invoiceDate)}</div>
+                    <div><span style="color:var(--text-muted);font-size:0.8rem;">Due Date:</span> ${invoice.dueDate ? formatDate(invoice.dueDate) : '—'}</div>
+                    <div style="margin-top:4px;">${invoiceStatusBadge(invoice.status)}</div>
+                </div>
+            </div>
+            <table class="data-table" style="margin-bottom:20px;">
+                <thead>
+                    <tr><th>#</th><th>Description</th><th style="text-align:right;">Amount</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+                <tfoot>
+                    <tr><td colspan="2" style="text-align:right;">Subtotal:</td><td style="text-align:right;">${money(invoice.subtotal, invoice.currency)}</td></tr>
+                    ${interState
+                        ? `<tr><td colspan="2" style="text-align:right;">IGST @ ${invoice.gstRate}%:</td><td style="text-align:right;">${money(invoice.igst, invoice.currency)}</td></tr>`
+                        : `<tr><td colspan="2" style="text-align:right;">CGST @ ${invoice.gstRate / 2}%:</td><td style="text-align:right;">${money(invoice.cgst, invoice.currency)}</td></tr>
+                           <tr><td colspan="2" style="text-align:right;">SGST @ ${invoice.gstRate / 2}%:</td><td style="text-align:right;">${money(invoice.sgst, invoice.currency)}</td></tr>`}
+                    <tr style="font-weight:700;font-size:1rem;">
+                        <td colspan="2" style="text-align:right;">Total:</td>
+                        <td style="text-align:right;">${money(invoice.total, invoice.currency)}</td>
+                    </tr>
+                </tfoot>
+            </table>
+            ${invoice.notes ? `<p style="font-size:0.85rem;">${sanitizeHTML(invoice.notes)}</p>` : ''}
+            ${receipt ? `<p style="font-size:0.85rem;"><strong>Paid:</strong> ${money(receipt.amount, receipt.currency)} on ${formatDate(receipt.createdAt)}${receipt.notes ? ` (${sanitizeHTML(receipt.notes)})` : ''}</p>` : ''}
+            ${invoice.status === 'void' ? `<p style="font-size:0.85rem;color:var(--status-rejected);"><strong>VOID</strong>${invoice.voidedAt ? ` since ${formatDate(invoice.voidedAt)}` : ''}</p>` : ''}
+            ${agency.bankDetails ? `<p style="font-size:0.85rem;"><strong>Bank details:</strong> ${sanitizeHTML(agency.bankDetails)}</p>` : ''}
+            <div style="text-align:center;color:var(--text-muted);font-size:0.8rem;margin-top:20px;padding-top:12px;border-top:1px solid var(--border-color);">
+                Generated by CRM Tracker Portal
+            </div>
+        </div>
+        <div style="display:flex;gap:8px;margin-top:12px;">
+            <button class="btn btn-primary" onclick="printInvoice()">Print / Save as PDF</button>
+        </div>
+    `;
+    preview.scrollIntoView({ behavior: 'smooth' });
+};
+
+// ==========================================
+// Freelancer payout statement
+// ==========================================
+
 window.generateInvoice = async function() {
     const freelancerId = document.getElementById('invoice-freelancer')?.value;
     const invoiceDate = document.getElementById('invoice-date')?.value;
@@ -68,26 +438,45 @@ window.generateInvoice = async function() {
 
     if (!freelancerId) { showToast('Select a freelancer', 'error'); return; }
 
-    const { getTasks, getUserById, sanitizeHTML } = await import('./store-async.js');
     const tasks = await getTasks();
     const freelancer = await getUserById(freelancerId);
 
     let fTasks = tasks.filter(t => t.assignedTo === freelancerId);
-    if (filter === 'unpaid') fTasks = fTasks.filter(t => t.status === 'approved' && t.paymentStatus !== 'Paid');
+    if (filter === 'unpaid') fTasks = fTasks.filter(t => t.status === 'approved' && taskBalance(t) > 0);
     else if (filter === 'approved') fTasks = fTasks.filter(t => t.status === 'approved');
 
     if (fTasks.length === 0) { showToast('No tasks found for this filter', 'error'); return; }
 
-    const totalAmount = fTasks.reduce((s, t) => s + (parseFloat(t.amount) || 0), 0);
-    const invoiceNum = `INV-${Date.now().toString(36).toUpperCase()}`;
+    // Freelancers are paid their cost (amount), never the client price, plus
+    // approved expenses as lines of their own. An unpaid statement only lists
+    // what is still due; part payments settle the fee before expenses.
+    const expenses = (await getTaskExpenses({ freelancerId, status: 'approved' }))
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    const lines = [];
+    for (const t of fTasks) {
+        const fee = parseFloat(t.amount) || 0;
+        const paid = filter === 'unpaid' ? taskPaidAmount(t) : 0;
+        const line = { client: t.client, date: t.date, currency: t.currency || DEFAULT_CURRENCY };
+        if (fee - paid > 0) lines.push({ ...line, description: t.type, amount: Math.round((fee - paid) * 100) / 100 });
+        let covered = Math.max(paid - fee, 0);
+        for (const e of expenses.filter(e => e.taskId === t.id)) {
+            const due = Math.round(Math.max((parseFloat(e.amount) || 0) - covered, 0) * 100) / 100;
+            covered = Math.max(covered - (parseFloat(e.amount) || 0), 0);
+            if (due > 0) lines.push({ ...line, description: `Expense: ${e.description} (Task #${t.slNo})`, amount: due });
+        }
+    }
+    // Tasks in different currencies are totalled separately
+    const totals = {};
+    lines.forEach(line => { totals[line.currency] = (totals[line.currency] || 0) + line.amount; });
+    const invoiceNum = `STMT-${Date.now().toString(36).toUpperCase()}`;
 
-    const rows = fTasks.map((t, i) => `
+    const rows = lines.map((line, i) => `
         <tr>
             <td>${i + 1}</td>
-            <td>${sanitizeHTML(t.client || '—')}</td>
-            <td>${sanitizeHTML(t.type || '—')}</td>
-            <td>${t.date ? new Date(t.date).toLocaleDateString('en-IN') : '—'}</td>
-            <td style="text-align:right;">₹${(parseFloat(t.amount) || 0).toLocaleString('en-IN')}</td>
+            <td>${sanitizeHTML(line.client || '—')}</td>
+            <td>${sanitizeHTML(line.description || '—')}</td>
+            <td>${line.date ? new Date(line.date).toLocaleDateString('en-IN') : '—'}</td>
+            <td style="text-align:right;">${formatMoney(line.amount, line.currency)}</td>
         </tr>
     `).join('');
 
@@ -96,7 +485,7 @@ window.generateInvoice = async function() {
         <div class="invoice-doc" id="invoice-doc">
             <div class="invoice-header-bar">
                 <div>
-                    <h2 style="margin:0;color:var(--accent-primary);">INVOICE</h2>
+                    <h2 style="margin:0;color:var(--accent-primary);">PAYOUT STATEMENT</h2>
                     <div style="color:var(--text-muted);font-size:0.85rem;">${invoiceNum}</div>
                 </div>
                 <div style="text-align:right;">
@@ -106,25 +495,26 @@ window.generateInvoice = async function() {
             </div>
             <div style="display:flex;justify-content:space-between;margin-bottom:20px;flex-wrap:wrap;gap:12px;">
                 <div>
-                    <div style="font-size:0.8rem;color:var(--text-muted);margin-bottom:4px;">Bill To:</div>
+                    <div style="font-size:0.8rem;color:var(--text-muted);margin-bottom:4px;">Pay To:</div>
                     <strong>${sanitizeHTML(freelancer?.name || '—')}</strong><br/>
                     <span style="font-size:0.85rem;color:var(--text-secondary);">${sanitizeHTML(freelancer?.email || '')}</span>
                 </div>
                 <div style="text-align:right;">
-                    <div><span style="color:var(--text-muted);font-size:0.8rem;">Invoice Date:</span> ${invoiceDate || '—'}</div>
+                    <div><span style="color:var(--text-muted);font-size:0.8rem;">Statement Date:</span> ${invoiceDate || '—'}</div>
                     <div><span style="color:var(--text-muted);font-size:0.8rem;">Due Date:</span> ${dueDate || '—'}</div>
                 </div>
             </div>
             <table class="data-table" style="margin-bottom:20px;">
                 <thead>
-                    <tr><th>#</th><th>Client</th><th>Type</th><th>Date</th><th style="text-align:right;">Amount</th></tr>
+                    <tr><th>#</th><th>Client</th><th>Item</th><th>Date</th><th style="text-align:right;">Amount</th></tr>
                 </thead>
                 <tbody>${rows}</tbody>
                 <tfoot>
+                    ${Object.entries(totals).map(([currency, total]) => `
                     <tr style="font-weight:700;font-size:1rem;">
-                        <td colspan="4" style="text-align:right;">Total:</td>
-                        <td style="text-align:right;">₹${totalAmount.toLocaleString('en-IN')}</td>
-                    </tr>
+                        <td colspan="4" style="text-align:right;">Total${Object.keys(totals).length > 1 ? ` (${currency})` : ''}:</td>
+                        <td style="text-align:right;">${formatMoney(total, currency)}</td>
+                    </tr>`).join('')}
                 </tfoot>
             </table>
             <div style="text-align:center;color:var(--text-muted);font-size:0.8rem;margin-top:20px;padding-top:12px;border-top:1px solid var(--border-color);">
@@ -152,6 +542,7 @@ window.printInvoice = function() {
             th { background: #f8f8f8; font-weight: 600; }
             tfoot td { border-top: 2px solid #333; }
             h2 { color: #6c5ce7; }
+            .invoice-header-bar { display: flex; justify-content: space-between; align-items: center; margin-bottom: 24px; padding-bottom: 16px; border-bottom: 2px solid #6c5ce7; }
             @media print { body { padding: 20px; } }
         </style>
         </head><body>${invoiceEl.innerHTML}</body></html>
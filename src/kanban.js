@@ -5,22 +5,14 @@
 import {
     getCurrentUser, isAdmin, getTasks, getTasksByFreelancer,
     getFreelancers, getUserById,
-    pickUpTask, submitTask, approveTask, updateTask,
-    resolveIteration,
-    formatDate, sanitizeHTML,
+    pickUpTask, submitTask, approveTask, transitionTask,
+    resolveIteration, getSubtaskSummaries, getTaskBlockers,
+    getWorkflow, formatStatusLabel,
+    formatDate, formatMoney, sanitizeHTML,
 } from './store-async.js';
 import { showToast } from './toast.js';
 import icons from './icons.js';
 
-const KANBAN_COLUMNS = [
-    { id: 'assigned', label: 'Assigned', color: 'var(--status-assigned)' },
-    { id: 'in_progress', label: 'In Progress', color: 'var(--status-in-progress)' },
-    { id: 'submitted', label: 'Submitted', color: 'var(--status-submitted)' },
-    { id: 'approved', label: 'Approved', color: 'var(--status-approved)' },
-    { id: 'iteration', label: 'Iteration', color: 'var(--status-iteration)' },
-    { id: 'rejected', label: 'Rejected', color: 'var(--status-rejected)' },
-];
-
 async function renderKanban() {
     const user = await getCurrentUser();
     const adminUser = await isAdmin();
@@ -32,6 +24,13 @@ async function renderKanban() {
         allTasks = await getTasksByFreelancer(user.id);
     }
 
+    const subtaskSummaries = await getSubtaskSummaries();
+    const blockers = await getTaskBlockers();
+
+    // Columns come from the configured workflow states
+    const workflow = await getWorkflow();
+    const columns = workflow.states;
+
     // Build freelancer map
     const freelancers = adminUser ? await getFreelancers() : [];
     const freelancerMap = {};
@@ -68,17 +67,19 @@ async function renderKanban() {
 
     // Group tasks by status
     const tasksByStatus = {};
-    for (const col of KANBAN_COLUMNS) {
+    for (const col of columns) {
         tasksByStatus[col.id] = tasks.filter(t => t.status === col.id);
     }
 
-    const columnsHTML = KANBAN_COLUMNS.map(col => {
+    const columnsHTML = columns.map(col => {
         const colTasks = tasksByStatus[col.id] || [];
         const cardsHTML = colTasks.length === 0
             ? `<div class="kanban-empty">No tasks</div>`
             : colTasks.map(t => {
                 const freelancer = t.assignedTo ? freelancerMap[t.assignedTo] : null;
                 const isOverdue = t.dueDate && t.dueDate.split('T')[0] < new Date().toISOString().split('T')[0] && !['approved', 'rejected'].includes(t.status);
+                const checklist = subtaskSummaries[t.id];
+                const waitingOn = blockers[t.id];
                 return `
             <div class="kanban-card ${isOverdue ? 'overdue' : ''}"
                  draggable="true"
@@ -88,17 +89,19 @@ async function renderKanban() {
               <div class="kanban-card-header">
                 <span class="kanban-card-id">#${t.slNo}</span>
                 ${isOverdue ? '<span class="kanban-overdue-badge">Overdue</span>' : ''}
+                ${waitingOn ? `<span class="kanban-blocked-badge" title="Waiting on ${sanitizeHTML(waitingOn.map(p => `#${p.slNo} ${p.client || ''}`.trim()).join(', '))}">Blocked</span>` : ''}
               </div>
               <div class="kanban-card-client">${sanitizeHTML(t.client) || '—'}</div>
               <div class="kanban-card-meta">
                 <span class="badge badge-${(t.type || 'static').toLowerCase() === 'static' ? 'assigned' : 'in_progress'}" style="font-size: 0.68rem; padding: 2px 8px;">${sanitizeHTML(t.type)}</span>
                 <span class="badge priority-${(t.priority || 'medium')}" style="font-size: 0.65rem; padding: 1px 6px;">${(t.priority || 'medium').charAt(0).toUpperCase() + (t.priority || 'medium').slice(1)}</span>
-                <span style="font-size: 0.75rem; color: var(--text-muted);">₹${(parseFloat(t.amount) || 0).toLocaleString('en-IN')}</span>
+                <span style="font-size: 0.75rem; color: var(--text-muted);">${formatMoney(t.amount, t.currency)}</span>
               </div>
               ${t.dueDate ? `<div class="kanban-card-due ${isOverdue ? 'overdue-text' : ''}">Due: ${formatDate(t.dueDate)}</div>` : ''}
               <div class="kanban-card-footer">
                 ${freelancer ? `<span class="kanban-card-avatar" title="${sanitizeHTML(freelancer.name)}">${freelancer.name.charAt(0).toUpperCase()}</span>` : ''}
                 ${(t.iterations || []).length > 0 ? `<span class="kanban-iter-count">🔄 ${(t.iterations || []).length}</span>` : ''}
+                ${checklist ? `<span class="kanban-checklist-count ${checklist.completed === checklist.total ? 'done' : ''}" title="Checklist">☑ ${checklist.completed}/${checklist.total}</span>` : ''}
               </div>
             </div>
           `;
@@ -106,9 +109,9 @@ async function renderKanban() {
 
         return `
       <div class="kanban-column" data-status="${col.id}">
-        <div class="kanban-column-header" style="border-bottom-color: ${col.color};">
-          <span class="kanban-column-dot" style="background: ${col.color};"></span>
-          <span class="kanban-column-title">${col.label}</span>
+        <div class="kanban-column-header" style="border-bottom-color: ${sanitizeHTML(col.color)};">
+          <span class="kanban-column-dot" style="background: ${sanitizeHTML(col.color)};"></span>
+          <span class="kanban-column-title">${sanitizeHTML(col.label)}</span>
           <span class="kanban-column-count">${colTasks.length}</span>
         </div>
         <div class="kanban-column-body" data-status="${col.id}">
@@ -189,17 +192,26 @@ function initKanbanDragDrop() {
             if (!taskId || newStatus === oldStatus) return;
 
             try {
-                // Handle status transitions
-                if (newStatus === 'in_progress' && (oldStatus === 'assigned' || oldStatus === 'iteration')) {
-                    await resolveIteration(taskId);
+                // Lifecycle transitions carry extra bookkeeping; the store
+                // refuses any move the workflow doesn't allow
+                if (newStatus === 'in_progress') {
                     await pickUpTask(taskId);
-                } else if (newStatus === 'approved' && oldStatus === 'submitted') {
+                    if (oldStatus === 'iteration') await resolveIteration(taskId);
+                } else if (newStatus === 'submitted') {
+                    await submitTask(taskId);
+                } else if (newStatus === 'approved') {
                     await approveTask(taskId);
+                } else if (newStatus === 'iteration') {
+                    window.openIterationModal(taskId);
+                    return;
+                } else if (newStatus === 'rejected') {
+                    window.openRejectModal(taskId);
+                    return;
                 } else {
-                    // Generic status update
-                    await updateTask(taskId, { status: newStatus });
+                    await transitionTask(taskId, newStatus);
                 }
-                showToast(`Task moved to ${newStatus.replace('_', ' ')}`, 'success');
+                const workflow = await getWorkflow();
+                showToast(`Task moved to ${formatStatusLabel(workflow, newStatus)}`, 'success');
                 await window.renderApp();
             } catch (err) {
                 showToast(err.message || 'Failed to move task', 'error');
@@ -12,6 +12,7 @@ import { renderLogin } from './auth.js';
 import { renderDashboard } from './dashboard.js';
 import { renderTable } from './table.js';
 import { renderTaskDetail } from './task-detail.js';
+import { renderProjectDetail } from './project-detail.js';
 import { renderUsers } from './users.js';
 import { renderAnalytics } from './analytics.js';
 import { renderKanban, initKanbanDragDrop } from './kanban.js';
@@ -22,9 +23,11 @@ import { renderChat, renderChatBubble } from './chat.js';
 import { renderProfile } from './profile.js';
 import { renderClients } from './clients.js';
 import { renderWorkload } from './workload.js';
-import { renderGantt } from './gantt.js';
+import { renderGantt, initGanttDrag } from './gantt.js';
+import { renderTimeTracking } from './timetracking.js';
 import { renderInvoice } from './invoice.js';
 import { renderSettings } from './settings.js';
+import { renderClientReview } from './client-review.js';
 import { showToast } from './toast.js';
 import { renderNotificationBell } from './notifications.js';
 import { enhanceDateInputs } from './datepicker.js';
@@ -44,6 +47,7 @@ window.appState = {
   typeFilter: 'all',
   freelancerFilter: 'all',
   selectedTaskId: null,
+  selectedProjectId: null,
   tablePage: 1,
   pageSize: 15,
   selectedTaskIds: [],
@@ -81,6 +85,7 @@ async function renderAppShell(content) {
     { id: 'kanban', icon: icons.kanban, label: 'Kanban' },
     { id: 'calendar', icon: icons.calendar, label: 'Calendar' },
     { id: 'timeline', icon: icons.timeline, label: 'Timeline' },
+    { id: 'time', icon: icons.clock, label: 'Time Tracking' },
     { id: 'analytics', icon: icons.analytics, label: 'Analytics' },
   ];
 
@@ -189,6 +194,14 @@ async function renderApp() {
   try {
     // Clear user cache so we fetch fresh data once per render cycle
     clearUserCache();
+
+    // Client review links (?review=<token>) open a public page, no login needed
+    const reviewToken = new URLSearchParams(window.location.search).get('review');
+    if (reviewToken) {
+      app.innerHTML = await renderClientReview(reviewToken);
+      return;
+    }
+
     const user = await getCurrentUser();
 
     if (!user) {
@@ -225,6 +238,9 @@ async function renderApp() {
       case 'timeline':
         pageContent = await renderGantt();
         break;
+      case 'time':
+        pageContent = await renderTimeTracking();
+        break;
       case 'payments':
         pageContent = await renderPayments();
         break;
@@ -252,6 +268,9 @@ async function renderApp() {
       case 'task-detail':
         pageContent = await renderTaskDetail(window.appState.selectedTaskId);
         break;
+      case 'project-detail':
+        pageContent = (await isAdmin()) ? await renderProjectDetail(window.appState.selectedProjectId) : await renderDashboard();
+        break;
       default:
         pageContent = await renderDashboard();
     }
@@ -269,6 +288,11 @@ async function renderApp() {
       setTimeout(() => initKanbanDragDrop(), 0);
     }
 
+    // Gantt bars can be dragged and resized to reschedule
+    if (page === 'timeline') {
+      setTimeout(() => initGanttDrag(), 0);
+    }
+
     // Scroll chat to bottom
     if (page === 'chat') {
       setTimeout(() => {
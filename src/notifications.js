@@ -47,6 +47,7 @@ function notifIcon(type) {
         approved: icons.checkCircle,
         rejected: icons.x,
         iteration: icons.refreshCw,
+        expense: icons.dollarSign,
         info: icons.bell,
     };
     return iconMap[type] || iconMap.info;
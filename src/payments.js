@@ -1,19 +1,20 @@
 // ==========================================
-// CRM Tracker — Payments Page + Razorpay
+// CRM Tracker — Payments Page + RazorpayX Payouts
 // ==========================================
 
 import {
     getCurrentUser, isAdmin, getTasks, getTasksByFreelancer, getFreelancers, updateTask,
-    createPaymentTransaction, getPaymentTransactions,
-    formatDate, sanitizeHTML, MONTHS,
+    getPaymentTransactions, getPayoutAccounts, createPayout, refreshPayoutStatus,
+    getPaymentAllocations, recordPayment, applyAdvance, getFreelancerLedger,
+    getTdsContext, getTdsStatement, calculateTds, financialYear, financialQuarter, quarterRange,
+    getPayoutBatches, createPayoutBatch, settlePayoutBatch, cancelPayoutBatch, BANK_PAYOUT_FORMATS,
+    PAYOUT_IN_FLIGHT, describePayoutAccount, taskPaidAmount, taskBalance, unallocatedAmount, SETTLED_PAYMENT_STATUSES,
+    getTaskExpenses, EXPENSE_CATEGORIES,
+    getCurrencyConverter, formatMoney, DEFAULT_CURRENCY, formatDate, sanitizeHTML, MONTHS,
 } from './store-async.js';
 import { showToast } from './toast.js';
 import icons from './icons.js';
 
-// Razorpay config — update these with your actual keys
-const RAZORPAY_KEY_ID = import.meta.env.VITE_RAZORPAY_KEY_ID || 'rzp_test_XXXXXXXXXX';
-const COMPANY_NAME = 'CRM Tracker';
-
 async function renderPayments() {
     const user = await getCurrentUser();
     const adminUser = await isAdmin();
@@ -31,11 +32,14 @@ async function renderPayments() {
     if (ff !== 'all') tasks = tasks.filter(t => t.assignedTo === ff);
     if (mf !== 'all') tasks = tasks.filter(t => new Date(t.date).getMonth() === parseInt(mf));
 
-    // Stats
-    const totalAmount = tasks.reduce((s, t) => s + (parseFloat(t.amount) || 0), 0);
-    const paidAmount = tasks.filter(t => t.paymentStatus === 'Paid').reduce((s, t) => s + (parseFloat(t.amount) || 0), 0);
-    const pendingAmount = tasks.filter(t => t.paymentStatus === 'Pending').reduce((s, t) => s + (parseFloat(t.amount) || 0), 0);
-    const unpaidAmount = tasks.filter(t => !t.paymentStatus || t.paymentStatus === 'Unpaid').reduce((s, t) => s + (parseFloat(t.amount) || 0), 0);
+    // Stats — part-paid tasks split between Paid and Unpaid, totalled in the base currency
+    const converter = await getCurrencyConverter();
+    const inBase = (amount, t) => converter.toBase(amount, t.currency, t.date);
+    const totalAmount = tasks.reduce((s, t) => s + inBase(t.amount, t), 0);
+    const paidAmount = tasks.reduce((s, t) => s + inBase(taskPaidAmount(t), t), 0);
+    const pendingAmount = tasks.filter(t => t.paymentStatus === 'Pending').reduce((s, t) => s + inBase(taskBalance(t), t), 0);
+    const unpaidAmount = tasks.filter(t => t.paymentStatus !== 'Pending').reduce((s, t) => s + inBase(taskBalance(t), t), 0);
+    const money = n => converter.format(n);
 
     // Freelancer map
     const fMap = {};
@@ -52,57 +56,92 @@ async function renderPayments() {
     // ---- Freelancer Payout Summary ----
     let summaryHTML = '';
     if (adminUser && viewMode === 'summary') {
+        const payoutAccounts = await getPayoutAccounts();
+        const transactions = await getPaymentTransactions(null, 1000);
+        const allocations = await getPaymentAllocations();
+        const batches = await getPayoutBatches();
+        const pendingExpenses = await getTaskExpenses({ status: 'pending' });
         const freelancerSummary = freelancers.map(f => {
             const fTasks = tasks.filter(t => t.assignedTo === f.id);
-            const total = fTasks.reduce((s, t) => s + (parseFloat(t.amount) || 0), 0);
-            const paid = fTasks.filter(t => t.paymentStatus === 'Paid').reduce((s, t) => s + (parseFloat(t.amount) || 0), 0);
-            const pending = fTasks.filter(t => t.paymentStatus === 'Pending').reduce((s, t) => s + (parseFloat(t.amount) || 0), 0);
-            const unpaid = fTasks.filter(t => !t.paymentStatus || t.paymentStatus === 'Unpaid').reduce((s, t) => s + (parseFloat(t.amount) || 0), 0);
-            const unpaidCount = fTasks.filter(t => t.paymentStatus !== 'Paid').length;
+            const total = fTasks.reduce((s, t) => s + inBase(t.amount, t), 0);
+            const expenses = fTasks.reduce((s, t) => s + inBase(t.expenseAmount, t), 0);
+            const paid = fTasks.reduce((s, t) => s + inBase(taskPaidAmount(t), t), 0);
+            const outstanding = fTasks.reduce((s, t) => s + inBase(taskBalance(t), t), 0);
+            // RazorpayX and bank files only move rupees
+            const payable = fTasks.filter(t => (t.currency || DEFAULT_CURRENCY) === 'INR').reduce((s, t) => s + taskBalance(t), 0);
+            // Advances are paid but not yet allocated to any task
+            const advance = transactions
+                .filter(txn => txn.freelancerId === f.id && txn.direction !== 'receipt' && SETTLED_PAYMENT_STATUSES.includes(txn.status))
+                .reduce((s, txn) => s + converter.toBase(unallocatedAmount(txn, allocations), txn.currency, txn.createdAt), 0);
             const taskCount = fTasks.length;
-            return { id: f.id, name: f.name, total, paid, pending, unpaid, unpaidCount, taskCount };
-        }).filter(f => f.taskCount > 0).sort((a, b) => b.total - a.total);
+            return { id: f.id, name: f.name, total, expenses, paid, outstanding, payable, advance, taskCount, account: payoutAccounts[f.id] };
+        }).filter(f => f.taskCount > 0 || f.advance > 0).sort((a, b) => b.total - a.total);
 
         summaryHTML = `
+        ${renderPendingExpenses(pendingExpenses, allTasks)}
+        <div class="toolbar" style="margin-bottom:12px;">
+          <div class="toolbar-filters">
+            <select class="form-control" id="payout-batch-bank" style="font-size:0.8rem;padding:6px 10px;">
+              ${Object.entries(BANK_PAYOUT_FORMATS).map(([code, f]) => `<option value="${code}">${f.label}</option>`).join('')}
+            </select>
+            <button class="btn btn-sm btn-outline" onclick="handleGeneratePayoutBatch()" title="Bulk-upload file for the selected freelancers' outstanding balances">
+              ${icons.download} Generate Payout Batch
+            </button>
+          </div>
+        </div>
         <div class="table-container">
           <table class="data-table">
             <thead>
               <tr>
+                <th><input type="checkbox" onchange="document.querySelectorAll('.payout-batch-select').forEach(cb => { cb.checked = this.checked; })" title="Select all with bank details" /></th>
                 <th>Freelancer</th>
                 <th>Tasks</th>
                 <th>Total</th>
+                <th>Expenses</th>
                 <th>Paid</th>
-                <th>Pending</th>
-                <th>Unpaid</th>
+                <th>Outstanding</th>
+                <th>Advance</th>
+                <th>Net Due</th>
+                <th>Payout To</th>
                 <th>Actions</th>
               </tr>
             </thead>
             <tbody>
               ${freelancerSummary.length === 0
-                ? `<tr><td colspan="7" style="text-align:center;color:var(--text-muted);padding:30px;">No data</td></tr>`
+                ? `<tr><td colspan="11" style="text-align:center;color:var(--text-muted);padding:30px;">No data</td></tr>`
                 : freelancerSummary.map(f => `
                 <tr>
+                  <td>${f.payable > 0 && f.account?.method === 'bank' ? `<input type="checkbox" class="payout-batch-select" value="${f.id}" />` : ''}</td>
                   <td><strong>${sanitizeHTML(f.name)}</strong></td>
                   <td>${f.taskCount}</td>
-                  <td>₹${f.total.toLocaleString('en-IN')}</td>
-                  <td style="color:var(--status-approved);">₹${f.paid.toLocaleString('en-IN')}</td>
-                  <td style="color:var(--payment-pending);">₹${f.pending.toLocaleString('en-IN')}</td>
-                  <td style="color:var(--status-rejected);">₹${f.unpaid.toLocaleString('en-IN')}</td>
+                  <td>${money(f.total)}</td>
+                  <td>${f.expenses > 0 ? money(f.expenses) : '—'}</td>
+                  <td style="color:var(--status-approved);">${money(f.paid)}</td>
+                  <td style="color:var(--status-rejected);">${money(f.outstanding)}</td>
+                  <td style="color:var(--payment-pending);">${f.advance > 0 ? money(f.advance) : '—'}</td>
+                  <td><strong>${money(f.outstanding - f.advance)}</strong></td>
+                  <td style="font-size:0.8rem;">${f.account
+                    ? `${f.account.method === 'upi' ? 'UPI' : 'Bank'} · ${sanitizeHTML(describePayoutAccount(f.account))}`
+                    : '<span style="color:var(--text-muted);">No details</span>'}</td>
                   <td class="row-actions" style="display:flex;gap:4px;flex-wrap:wrap;">
-                    ${f.unpaid > 0 ? `
-                    <button class="btn btn-sm btn-primary" onclick="payFreelancerRazorpay('${f.id}')" title="Pay via Razorpay">
-                      ${icons.dollarSign} Pay ₹${(f.unpaid + f.pending).toLocaleString('en-IN')}
+                    ${f.payable > 0 && f.account ? `
+                    <button class="btn btn-sm btn-primary" onclick="payFreelancerPayout('${f.id}')" title="Send the outstanding INR balance via RazorpayX">
+                      ${icons.dollarSign} Pay ${formatMoney(f.payable, 'INR')}
                     </button>
                     ` : ''}
-                    <button class="btn btn-sm btn-outline" onclick="bulkPayFreelancer('${f.id}')" title="Mark all as Paid">
-                      ${icons.checkCircle} Mark Paid
+                    <button class="btn btn-sm btn-outline" onclick="openRecordPaymentModal('${f.id}')" title="Record a full, partial or advance payment">
+                      ${icons.checkCircle} Record Payment
+                    </button>
+                    <button class="btn btn-sm btn-outline" onclick="viewFreelancerLedger('${f.id}')" title="Running ledger">
+                      ${icons.fileText} Ledger
                     </button>
                   </td>
                 </tr>
               `).join('')}
             </tbody>
           </table>
-        </div>`;
+        </div>
+        ${renderPayoutBatches(batches)}`;
     }
 
     // ---- Transaction History ----
@@ -127,16 +166,26 @@ async function renderPayments() {
               ${transactions.length === 0
                 ? `<tr><td colspan="7" style="text-align:center;color:var(--text-muted);padding:30px;">No transactions yet</td></tr>`
                 : transactions.map(txn => {
-                    const statusClass = txn.status === 'success' ? 'approved'
-                        : txn.status === 'failed' ? 'rejected' : 'assigned';
+                    const statusClass = ['success', 'processed'].includes(txn.status) ? 'approved'
+                        : ['failed', 'reversed', 'rejected', 'cancelled'].includes(txn.status) ? 'rejected' : 'assigned';
+                    const inFlight = txn.razorpayPayoutId && PAYOUT_IN_FLIGHT.includes(txn.status);
                     const taskCount = Array.isArray(txn.taskIds) ? txn.taskIds.length : 0;
                     return `
                     <tr>
                       <td>${formatDate(txn.createdAt)}</td>
-                      <td><strong>${sanitizeHTML(txn.freelancerName)}</strong></td>
-                      <td>₹${(parseFloat(txn.amount) || 0).toLocaleString('en-IN')}</td>
-                      <td style="font-size:0.75rem;font-family:monospace;">${txn.razorpayPaymentId || '—'}</td>
-                      <td><span class="badge badge-${statusClass}">${txn.status}</span></td>
+                      <td><strong>${sanitizeHTML(txn.direction === 'receipt' ? txn.clientName : txn.freelancerName)}</strong>${txn.direction === 'receipt' ? ' <span style="color:var(--text-muted);font-size:0.75rem;">(client receipt)</span>' : ''}</td>
+                      <td>
+                        ${formatMoney(txn.amount, txn.currency)}
+                        ${parseFloat(txn.tdsAmount) > 0 ? `<div style="font-size:0.75rem;color:var(--text-muted);">TDS ${formatMoney(txn.tdsAmount, txn.currency)} · net ${formatMoney(txn.netAmount, txn.currency)}</div>` : ''}
+                      </td>
+                      <td style="font-size:0.75rem;font-family:monospace;">
+                        ${sanitizeHTML(txn.razorpayPayoutId || txn.razorpayPaymentId || '—')}
+                        ${txn.utr ? `<div style="color:var(--text-muted);">UTR ${sanitizeHTML(txn.utr)}</div>` : ''}
+                      </td>
+                      <td>
+                        <span class="badge badge-${statusClass}">${txn.status}</span>
+                        ${inFlight ? `<button class="btn-icon" onclick="refreshPayout('${txn.id}')" title="Check payout status">${icons.refreshCw}</button>` : ''}
+                      </td>
                       <td>${taskCount} task${taskCount !== 1 ? 's' : ''}</td>
                       <td style="font-size:0.8rem;color:var(--text-muted);">${sanitizeHTML(txn.notes || '')}</td>
                     </tr>`;
@@ -159,11 +208,16 @@ async function renderPayments() {
               ${adminUser ? `<td>${sanitizeHTML(t.client)}</td>` : ''}
               <td>${sanitizeHTML(t.type)}</td>
               ${adminUser ? `<td>${fname}</td>` : ''}
-              <td>₹${(parseFloat(t.amount) || 0).toLocaleString('en-IN')}</td>
+              <td>
+                ${formatMoney(t.amount, t.currency)}
+                ${parseFloat(t.expenseAmount) > 0 ? `<div style="font-size:0.75rem;color:var(--text-muted);">+ ${formatMoney(t.expenseAmount, t.currency)} expenses</div>` : ''}
+                ${status === 'Partial' ? `<div style="font-size:0.75rem;color:var(--text-muted);">${formatMoney(taskPaidAmount(t), t.currency)} paid</div>` : ''}
+              </td>
               <td><span class="badge badge-${status.toLowerCase()}">${status}</span></td>
               ${adminUser ? `
               <td class="row-actions">
                 <select class="form-control" style="font-size:0.75rem;padding:4px 8px;width:auto;" onchange="updatePaymentStatus('${t.id}', this.value)">
+                  ${status === 'Partial' ? '<option value="Partial" selected disabled>Partial</option>' : ''}
                   <option value="Unpaid" ${status === 'Unpaid' ? 'selected' : ''}>Unpaid</option>
                   <option value="Pending" ${status === 'Pending' ? 'selected' : ''}>Pending</option>
                   <option value="Paid" ${status === 'Paid' ? 'selected' : ''}>Paid</option>
@@ -193,10 +247,33 @@ async function renderPayments() {
       </table>
     </div>`;
 
+    // ---- Freelancer Ledger ----
+    let ledgerHTML = '';
+    if (viewMode === 'ledger') {
+        const ledgerFreelancerId = adminUser ? (ff !== 'all' ? ff : null) : user.id;
+        // One ledger per currency the freelancer has been paid in
+        const ledgerCurrencies = [...new Set([DEFAULT_CURRENCY, ...allTasks
+            .filter(t => t.assignedTo === ledgerFreelancerId)
+            .map(t => t.currency || DEFAULT_CURRENCY)])];
+        const ledgerCurrency = ledgerCurrencies.includes(window.appState.ledgerCurrency) ? window.appState.ledgerCurrency : DEFAULT_CURRENCY;
+        ledgerHTML = ledgerFreelancerId
+            ? renderLedger(await getFreelancerLedger(ledgerFreelancerId, ledgerCurrency), adminUser, ledgerCurrencies)
+            : `<div class="task-detail-section" style="text-align:center;color:var(--text-muted);padding:30px;">Choose a freelancer above to see their ledger.</div>`;
+    }
+
+    // ---- Quarterly TDS Statement ----
+    let tdsHTML = '';
+    if (viewMode === 'tds') {
+        const { fiscalYear, quarter, statement } = await loadTdsStatement(adminUser, user);
+        tdsHTML = renderTdsStatement(statement, fiscalYear, quarter);
+    }
+
     // Choose which content to show
     let mainContent = tableHTML;
     if (viewMode === 'summary' && adminUser) mainContent = summaryHTML;
     if (viewMode === 'transactions') mainContent = transactionsHTML;
+    if (viewMode === 'ledger') mainContent = ledgerHTML;
+    if (viewMode === 'tds') mainContent = tdsHTML;
 
     return `
     <div class="page-header">
@@ -212,22 +289,22 @@ async function renderPayments() {
       <div class="stat-cards">
         <div class="stat-card purple">
           <div class="stat-icon">${icons.dollarSign}</div>
-          <div class="stat-value">₹${totalAmount.toLocaleString('en-IN')}</div>
+          <div class="stat-value">${money(totalAmount)}</div>
           <div class="stat-label">${adminUser ? 'Total' : 'My Total'}</div>
         </div>
         <div class="stat-card green">
           <div class="stat-icon">${icons.checkCircle}</div>
-          <div class="stat-value">₹${paidAmount.toLocaleString('en-IN')}</div>
+          <div class="stat-value">${money(paidAmount)}</div>
           <div class="stat-label">Paid</div>
         </div>
         <div class="stat-card teal">
           <div class="stat-icon">${icons.clock}</div>
-          <div class="stat-value">₹${pendingAmount.toLocaleString('en-IN')}</div>
+          <div class="stat-value">${money(pendingAmount)}</div>
           <div class="stat-label">Pending</div>
         </div>
         <div class="stat-card red">
           <div class="stat-icon">${icons.alertTriangle}</div>
-          <div class="stat-value">₹${unpaidAmount.toLocaleString('en-IN')}</div>
+          <div class="stat-value">${money(unpaidAmount)}</div>
           <div class="stat-label">Unpaid</div>
         </div>
       </div>
@@ -239,6 +316,7 @@ async function renderPayments() {
             <option value="all" ${pf === 'all' ? 'selected' : ''}>All Status</option>
             <option value="Unpaid" ${pf === 'Unpaid' ? 'selected' : ''}>Unpaid</option>
             <option value="Pending" ${pf === 'Pending' ? 'selected' : ''}>Pending</option>
+            <option value="Partial" ${pf === 'Partial' ? 'selected' : ''}>Partial</option>
             <option value="Paid" ${pf === 'Paid' ? 'selected' : ''}>Paid</option>
           </select>
           ${adminUser ? `
@@ -264,6 +342,12 @@ async function renderPayments() {
             ${icons.fileText} Transactions
           </button>
           ` : ''}
+          <button class="btn btn-sm ${viewMode === 'ledger' ? 'btn-primary' : 'btn-outline'}" onclick="switchPaymentView('ledger')">
+            ${icons.clipboard} Ledger
+          </button>
+          <button class="btn btn-sm ${viewMode === 'tds' ? 'btn-primary' : 'btn-outline'}" onclick="switchPaymentView('tds')">
+            ${icons.fileText} TDS
+          </button>
         </div>
       </div>
 
@@ -272,6 +356,265 @@ async function renderPayments() {
   `;
 }
 
+// Debits are task fees earned, credits are settled payments; the running
+// balance is what the agency owes (negative while an advance is unworked)
+function renderLedger(ledger, adminUser, currencies) {
+    const money = n => formatMoney(n, ledger.currency);
+    const rows = ledger.entries.length === 0
+        ? `<tr><td colspan="5" style="text-align:center;color:var(--text-muted);padding:30px;">No ledger entries yet</td></tr>`
+        : ledger.entries.map(e => `
+            <tr>
+              <td>${formatDate(e.date)}</td>
+              <td>
+                ${sanitizeHTML(e.description)}
+                ${e.unallocated > 0 ? `
+                  <div style="font-size:0.75rem;color:var(--payment-pending);">
+                    ${money(e.unallocated)} unallocated advance
+                    ${adminUser ? `<button class="btn btn-sm btn-outline" style="margin-left:6px;" onclick="handleApplyAdvance('${e.ref}')">Apply to tasks</button>` : ''}
+                  </div>` : ''}
+              </td>
+              <td>${e.debit ? money(e.debit) : ''}</td>
+              <td style="color:var(--status-approved);">${e.credit ? money(e.credit) : ''}</td>
+              <td style="color:${e.balance < 0 ? 'var(--payment-pending)' : 'inherit'};"><strong>${money(e.balance)}</strong></td>
+            </tr>
+        `).join('');
+
+    return `
+    ${currencies.length > 1 ? `
+    <div class="toolbar" style="margin-bottom:12px;">
+      <div class="toolbar-filters">
+        <select class="form-control" style="font-size:0.8rem;padding:6px 10px;" onchange="window.appState.ledgerCurrency = this.value; window.renderApp();">
+          ${currencies.map(c => `<option value="${c}" ${c === ledger.currency ? 'selected' : ''}>${c} ledger</option>`).join('')}
+        </select>
+      </div>
+    </div>` : ''}
+    <div class="stat-cards">
+      <div class="stat-card purple"><div class="stat-value">${money(ledger.earned)}</div><div class="stat-label">Earned</div></div>
+      <div class="stat-card green"><div class="stat-value">${money(ledger.paid)}</div><div class="stat-label">Paid</div></div>
+      <div class="stat-card teal"><div class="stat-value">${money(ledger.advance)}</div><div class="stat-label">Unallocated Advance</div></div>
+      <div class="stat-card red"><div class="stat-value">${money(ledger.balance)}</div><div class="stat-label">${ledger.balance < 0 ? 'Advance Outstanding' : 'Balance Due'}</div></div>
+    </div>
+    <div class="table-container">
+      <table class="data-table">
+        <thead>
+          <tr><th>Date</th><th>Entry</th><th>Earned</th><th>Paid</th><th>Balance</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+    </div>`;
+}
+
+// Expense claims waiting on an admin; approving one adds it to the payout
+function renderPendingExpenses(expenses, tasks) {
+    if (expenses.length === 0) return '';
+    const taskMap = new Map(tasks.map(t => [t.id, t]));
+    return `
+    <div class="task-detail-section" style="margin-bottom:16px;">
+      <h3>Expenses Awaiting Approval (${expenses.length})</h3>
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr><th>Date</th><th>Freelancer</th><th>Task</th><th>Expense</th><th>Amount</th><th>Receipt</th><th>Actions</th></tr>
+          </thead>
+          <tbody>
+            ${expenses.map(e => {
+                const task = taskMap.get(e.taskId);
+                return `
+            <tr>
+              <td>${formatDate(e.createdAt)}</td>
+              <td>${sanitizeHTML(e.freelancerName)}</td>
+              <td><a href="#" onclick="event.preventDefault(); navigateTo('task-detail', { selectedTaskId: '${e.taskId}' })">#${task ? task.slNo : '—'} ${sanitizeHTML(task ? task.client : '')}</a></td>
+              <td>${sanitizeHTML(e.description)} <span style="font-size:0.75rem;color:var(--text-muted);">${EXPENSE_CATEGORIES[e.category] || 'Other'}</span></td>
+              <td>${formatMoney(e.amount, task ? task.currency : DEFAULT_CURRENCY)}</td>
+              <td>${e.receiptUrl ? `<a href="${sanitizeHTML(e.receiptUrl)}" target="_blank" rel="noopener noreferrer">${icons.fileText} View</a>` : '—'}</td>
+              <td class="row-actions" style="display:flex;gap:4px;">
+                <button class="btn btn-sm btn-primary" onclick="handleReviewExpense('${e.id}', 'approved')">Approve</button>
+                <button class="btn btn-sm btn-danger" onclick="handleReviewExpense('${e.id}', 'rejected')">Reject</button>
+              </td>
+            </tr>`;
+            }).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>`;
+}
+
+// Bank files awaiting upload / confirmation, newest first
+function renderPayoutBatches(batches) {
+    if (batches.length === 0) return '';
+    const statusClass = { pending: 'assigned', settled: 'approved', cancelled: 'rejected' };
+    return `
+    <div class="task-detail-section" style="margin-top:24px;">
+      <h3>Payout Batches</h3>
+      <div class="table-container">
+        <table class="data-table">
+          <thead>
+            <tr><th>Date</th><th>Batch</th><th>Bank</th><th>Freelancers</th><th>Net Amount</th><th>Status</th><th>Bank Ref</th><th>Actions</th></tr>
+          </thead>
+          <tbody>
+            ${batches.map(b => `
+            <tr>
+              <td>${formatDate(b.createdAt)}</td>
+              <td style="font-family:monospace;">${b.id.slice(0, 8).toUpperCase()}</td>
+              <td>${b.bank.toUpperCase()}</td>
+              <td>${b.freelancerCount}</td>
+              <td>${formatMoney(b.totalAmount, 'INR')}</td>
+              <td><span class="badge badge-${statusClass[b.status]}">${b.status}</span></td>
+              <td style="font-size:0.75rem;font-family:monospace;">${sanitizeHTML(b.bankReference || '—')}</td>
+              <td class="row-actions" style="display:flex;gap:4px;flex-wrap:wrap;">
+                <button class="btn btn-sm btn-outline" onclick="downloadPayoutBatch('${b.id}')" title="Download the bank file again">${icons.download}</button>
+                ${b.status === 'pending' ? `
+                <button class="btn btn-sm btn-primary" onclick="openSettleBatchModal('${b.id}')">${icons.checkCircle} Mark Settled</button>
+                <button class="btn btn-sm btn-outline" onclick="handleCancelPayoutBatch('${b.id}')" title="The bank rejected it or it was never uploaded">${icons.trash} Cancel</button>
+                ` : ''}
+              </td>
+            </tr>`).join('')}
+          </tbody>
+        </table>
+      </div>
+    </div>`;
+}
+
+// ==========================================
+// TDS Statement
+// ==========================================
+
+const QUARTER_MONTHS = { 1: 'Apr–Jun', 2: 'Jul–Sep', 3: 'Oct–Dec', 4: 'Jan–Mar' };
+
+// The selected quarter defaults to the current one; admins narrow it to one
+// freelancer with the freelancer filter, freelancers only see their own
+async function loadTdsStatement(adminUser, user) {
+    const current = financialQuarter(new Date());
+    const fiscalYear = window.appState.tdsFiscalYear || current.fiscalYear;
+    const quarter = parseInt(window.appState.tdsQuarter) || current.quarter;
+    const ff = window.appState.paymentFreelancerFilter || 'all';
+    const freelancerId = adminUser ? (ff !== 'all' ? ff : null) : user.id;
+    return { fiscalYear, quarter, statement: await getTdsStatement(fiscalYear, quarter, freelancerId) };
+}
+
+function tdsPeriodLabel(fiscalYear, quarter) {
+    const { from, to } = quarterRange(fiscalYear, quarter);
+    return `Q${quarter} FY ${fiscalYear} (${formatDate(from)} – ${formatDate(to)})`;
+}
+
+function renderTdsStatement(statement, fiscalYear, quarter) {
+    const money = n => `₹${n.toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+    const totals = statement.reduce((t, row) => ({ gross: t.gross + row.gross, tds: t.tds + row.tds, net: t.net + row.net }), { gross: 0, tds: 0, net: 0 });
+    const currentStart = parseInt(financialYear(new Date()));
+    const yearOptions = [0, 1, 2].map(back => financialYear(new Date(currentStart - back, 3, 1)))
+        .map(fy => `<option value="${fy}" ${fy === fiscalYear ? 'selected' : ''}>FY ${fy}</option>`).join('');
+
+    return `
+    <div class="toolbar" style="margin-bottom:16px;">
+      <div class="toolbar-filters">
+        <select class="form-control" style="font-size:0.8rem;padding:6px 10px;" onchange="filterTdsStatement('year', this.value)">${yearOptions}</select>
+        <select class="form-control" style="font-size:0.8rem;padding:6px 10px;" onchange="filterTdsStatement('quarter', this.value)">
+          ${[1, 2, 3, 4].map(q => `<option value="${q}" ${q === quarter ? 'selected' : ''}>Q${q} (${QUARTER_MONTHS[q]})</option>`).join('')}
+        </select>
+      </div>
+      <div style="display:flex;gap:4px;">
+        <button class="btn btn-sm btn-outline" onclick="exportTdsCSV()">${icons.download} CSV</button>
+        <button class="btn btn-sm btn-outline" onclick="printTdsStatement()">${icons.fileText} PDF</button>
+      </div>
+    </div>
+    <div class="stat-cards">
+      <div class="stat-card purple"><div class="stat-value">${money(totals.gross)}</div><div class="stat-label">Gross Paid</div></div>
+      <div class="stat-card red"><div class="stat-value">${money(totals.tds)}</div><div class="stat-label">TDS Deducted</div></div>
+      <div class="stat-card green"><div class="stat-value">${money(totals.net)}</div><div class="stat-label">Net Paid</div></div>
+    </div>
+    <div id="tds-statement-doc">
+      <h3 style="margin-bottom:12px;">TDS Statement — ${tdsPeriodLabel(fiscalYear, quarter)}</h3>
+      ${statement.length === 0
+        ? '<div class="task-detail-section" style="text-align:center;color:var(--text-muted);padding:30px;">No payouts settled in this quarter.</div>'
+        : statement.map(row => `
+        <div class="task-detail-section">
+          <h4 style="margin-bottom:8px;">${sanitizeHTML(row.freelancerName)}
+            <span style="font-weight:400;color:var(--text-muted);font-size:0.8rem;">PAN ${sanitizeHTML(row.pan || 'not provided')}${row.sections ? ` · Section ${row.sections}` : ''}</span>
+          </h4>
+          <div class="table-container">
+            <table class="data-table">
+              <thead>
+                <tr><th>Date</th><th>Reference</th><th>Section</th><th>Rate</th><th>Gross</th><th>TDS</th><th>Net</th></tr>
+              </thead>
+              <tbody>
+                ${row.payments.map(p => `
+                <tr>
+                  <td>${formatDate(p.date)}</td>
+                  <td style="font-size:0.75rem;font-family:monospace;">${sanitizeHTML(p.reference || '—')}</td>
+                  <td>${p.section || '—'}</td>
+                  <td>${p.section ? `${p.rate}%` : '—'}</td>
+                  <td>${money(p.gross)}</td>
+                  <td>${money(p.tds)}</td>
+                  <td>${money(p.net)}</td>
+                </tr>`).join('')}
+              </tbody>
+              <tfoot>
+                <tr><td colspan="4"><strong>Total</strong></td><td><strong>${money(row.gross)}</strong></td><td><strong>${money(row.tds)}</strong></td><td><strong>${money(row.net)}</strong></td></tr>
+              </tfoot>
+            </table>
+          </div>
+        </div>`).join('')}
+    </div>`;
+}
+
+window.filterTdsStatement = function (key, value) {
+    if (key === 'year') window.appState.tdsFiscalYear = value;
+    if (key === 'quarter') window.appState.tdsQuarter = value;
+    window.renderApp();
+};
+
+window.exportTdsCSV = async function () {
+    try {
+        const { fiscalYear, quarter, statement } = await loadTdsStatement(await isAdmin(), await getCurrentUser());
+        const quote = v => `"${String(v ?? '').replace(/"/g, '""')}"`;
+        const headers = ['Freelancer', 'PAN', 'Date', 'Reference', 'Section', 'Rate %', 'Gross', 'TDS', 'Net'];
+        const rows = statement.flatMap(row => [
+            ...row.payments.map(p => [
+                quote(row.freelancerName), row.pan, p.date.split('T')[0], quote(p.reference), p.section, p.section ? p.rate : '', p.gross, p.tds, p.net,
+            ]),
+            [quote(`${row.freelancerName} — total`), row.pan, '', '', row.sections, '', row.gross, row.tds, row.net],
+        ]);
+
+        const csv = [headers.join(','), ...rows.map(r => r.join(','))].join('\n');
+        const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `tds-statement-${fiscalYear}-Q${quarter}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        showToast('CSV exported successfully', 'success');
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.printTdsStatement = function () {
+    const statementEl = document.getElementById('tds-statement-doc');
+    if (!statementEl) return;
+    const printWindow = window.open('', '_blank');
+    printWindow.document.write(`
+        <!DOCTYPE html>
+        <html><head><title>TDS Statement</title>
+        <link href="https://fonts.googleapis.com/css2?family=Poppins:wght@300;400;500;600;700&display=swap" rel="stylesheet" />
+        <style>
+            body { font-family: 'Poppins', sans-serif; padding: 40px; color: #333; }
+            table { width: 100%; border-collapse: collapse; margin-bottom: 24px; }
+            th, td { padding: 8px 12px; text-align: left; border-bottom: 1px solid #eee; font-size: 0.85rem; }
+            th { background: #f8f8f8; font-weight: 600; }
+            tfoot td { border-top: 2px solid #333; }
+            h3 { color: #6c5ce7; }
+            @media print { body { padding: 20px; } }
+        </style>
+        </head><body>${statementEl.innerHTML}</body></html>
+    `);
+    printWindow.document.close();
+    printWindow.onload = function() { printWindow.print(); };
+};
+
 // ==========================================
 // Handlers
 // ==========================================
@@ -298,24 +641,135 @@ window.updatePaymentStatus = async function (taskId, status) {
     }
 };
 
-// Bulk mark all tasks for a freelancer as Paid (without Razorpay)
-window.bulkPayFreelancer = async function (freelancerId) {
+window.viewFreelancerLedger = function (freelancerId) {
+    window.appState.paymentFreelancerFilter = freelancerId;
+    window.appState.paymentViewMode = 'ledger';
+    window.renderApp();
+};
+
+window.handleApplyAdvance = async function (transactionId) {
     try {
-        const allTasks = await getTasks();
-        const unpaidTasks = allTasks.filter(t =>
-            t.assignedTo === freelancerId && t.paymentStatus !== 'Paid'
-        );
+        const result = await applyAdvance(transactionId);
+        showToast(`Applied ${formatMoney(result.applied, result.currency)} to ${result.taskCount} task(s)`, 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+// ==========================================
+// Record Payment (full, partial or advance)
+// ==========================================
 
-        if (unpaidTasks.length === 0) {
-            showToast('All tasks already paid', 'info');
-            return;
-        }
+// A payment is in one currency and only settles tasks priced in it
+window.openRecordPaymentModal = async function (freelancerId, currency = null) {
+    const freelancers = await getFreelancers();
+    const freelancer = freelancers.find(f => f.id === freelancerId);
+    const unpaid = (await getTasksByFreelancer(freelancerId))
+        .filter(t => taskBalance(t) > 0)
+        .sort((a, b) => new Date(a.date || a.createdAt) - new Date(b.date || b.createdAt));
+    const currencies = [...new Set([DEFAULT_CURRENCY, ...unpaid.map(t => t.currency || DEFAULT_CURRENCY)])];
+    currency = currency || (unpaid[0] && unpaid[0].currency) || DEFAULT_CURRENCY;
+    const outstanding = unpaid.filter(t => (t.currency || DEFAULT_CURRENCY) === currency);
+    const totalDue = outstanding.reduce((s, t) => s + taskBalance(t), 0);
+    recordPaymentCurrency = currency;
+    // TDS is only withheld on rupee payments
+    recordPaymentTds = currency === 'INR' ? await getTdsContext(freelancerId) : null;
+    document.getElementById('record-payment-overlay')?.remove();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.id = 'record-payment-overlay';
+    overlay.innerHTML = `
+    <div class="modal" style="max-width:560px;">
+      <div class="modal-header">
+        <h3>Record Payment — ${sanitizeHTML(freelancer ? freelancer.name : '')}</h3>
+        <button class="btn-icon" onclick="document.getElementById('record-payment-overlay').remove()">✕</button>
+      </div>
+      <div class="modal-body">
+        <div class="form-row">
+          ${currencies.length > 1 ? `
+          <div class="form-group" style="max-width:110px;">
+            <label>Currency</label>
+            <select class="form-control" id="record-payment-currency" onchange="openRecordPaymentModal('${freelancerId}', this.value)">
+              ${currencies.map(c => `<option value="${c}" ${c === currency ? 'selected' : ''}>${c}</option>`).join('')}
+            </select>
+          </div>` : ''}
+          <div class="form-group">
+            <label>Gross Amount (${currency}) *</label>
+            <input type="number" class="form-control" id="record-payment-amount" value="${totalDue}" min="0" step="0.01" oninput="autoAllocatePayment()" />
+          </div>
+          <div class="form-group">
+            <label>Reference</label>
+            <input type="text" class="form-control" id="record-payment-reference" placeholder="UTR / cheque / note" />
+          </div>
+        </div>
+        <label style="display:block;margin-bottom:6px;">Allocate to tasks</label>
+        <div class="invoice-task-list" style="max-height:260px;overflow:auto;">
+          ${outstanding.length === 0 ? '<p style="color:var(--text-muted);font-size:0.85rem;">No outstanding tasks — the whole amount is recorded as an advance.</p>' : outstanding.map(t => `
+            <div class="invoice-task-row">
+              <span style="flex:1;">#${t.slNo} ${sanitizeHTML(t.client || '')} — ${sanitizeHTML(t.type || '')}
+                <span style="color:var(--text-muted);font-size:0.75rem;">(${formatMoney(taskBalance(t), currency)} due)</span>
+              </span>
+              <input type="number" class="form-control payment-allocation" data-task-id="${t.id}" data-balance="${taskBalance(t)}"
+                style="width:110px;" min="0" max="${taskBalance(t)}" step="0.01" oninput="updateAllocationTotal()" />
+            </div>
+          `).join('')}
+        </div>
+        <p id="record-payment-summary" style="font-size:0.85rem;margin-top:10px;"></p>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="document.getElementById('record-payment-overlay').remove()">Cancel</button>
+        <button class="btn btn-primary" onclick="handleRecordPayment('${freelancerId}')">Record Payment</button>
+      </div>
+    </div>
+    `;
+    document.body.appendChild(overlay);
+    window.autoAllocatePayment();
+};
 
-        for (const t of unpaidTasks) {
-            await updateTask(t.id, { paymentStatus: 'Paid' });
-        }
+// TDS settings and year-to-date totals for the freelancer in the open modal,
+// and the currency it records the payment in
+let recordPaymentTds = null;
+let recordPaymentCurrency = DEFAULT_CURRENCY;
+
+// Fills allocations oldest task first until the amount runs out
+window.autoAllocatePayment = function () {
+    let remaining = parseFloat(document.getElementById('record-payment-amount').value) || 0;
+    document.querySelectorAll('.payment-allocation').forEach(input => {
+        const share = Math.min(parseFloat(input.dataset.balance) || 0, Math.max(remaining, 0));
+        input.value = share > 0 ? Math.round(share * 100) / 100 : '';
+        remaining -= share;
+    });
+    window.updateAllocationTotal();
+};
+
+window.updateAllocationTotal = function () {
+    const amount = parseFloat(document.getElementById('record-payment-amount').value) || 0;
+    const allocated = [...document.querySelectorAll('.payment-allocation')]
+        .reduce((s, input) => s + (parseFloat(input.value) || 0), 0);
+    const advance = Math.round((amount - allocated) * 100) / 100;
+    const tds = calculateTds(amount, recordPaymentTds?.settings, recordPaymentTds?.prior);
+    const money = n => formatMoney(n, recordPaymentCurrency);
+    document.getElementById('record-payment-summary').innerHTML = advance < 0
+        ? `<span style="color:var(--status-rejected);">Allocations exceed the amount by ${money(-advance)}</span>`
+        : `Allocated ${money(allocated)}${advance > 0 ? ` · <strong>${money(advance)}</strong> recorded as an advance` : ''}`
+            + (tds.tds > 0 ? `<br>TDS ${money(tds.tds)} (${tds.section} @ ${tds.rate}%) · <strong>transfer ${money(tds.net)}</strong>` : '');
+};
 
-        showToast(`Marked ${unpaidTasks.length} task(s) as Paid`, 'success');
+window.handleRecordPayment = async function (freelancerId) {
+    try {
+        const allocations = [...document.querySelectorAll('.payment-allocation')]
+            .map(input => ({ taskId: input.dataset.taskId, amount: input.value }));
+        await recordPayment({
+            freelancerId,
+            amount: document.getElementById('record-payment-amount').value,
+            currency: recordPaymentCurrency,
+            allocations,
+            reference: document.getElementById('record-payment-reference').value,
+        });
+        document.getElementById('record-payment-overlay').remove();
+        showToast('Payment recorded', 'success');
         await window.renderApp();
     } catch (err) {
         showToast(err.message, 'error');
@@ -323,117 +777,121 @@ window.bulkPayFreelancer = async function (freelancerId) {
 };
 
 // ==========================================
-// Razorpay Payment
+// RazorpayX Payouts
 // ==========================================
 
-window.payFreelancerRazorpay = async function (freelancerId) {
+window.payFreelancerPayout = async function (freelancerId) {
+    if (!confirm('Send the unpaid total, less any TDS, to this freelancer via RazorpayX? Tasks are marked Paid once the bank confirms the transfer.')) return;
     try {
-        const allTasks = await getTasks();
-        const freelancers = await getFreelancers();
-        const freelancer = freelancers.find(f => f.id === freelancerId);
-        if (!freelancer) {
-            showToast('Freelancer not found', 'error');
-            return;
-        }
-
-        const unpaidTasks = allTasks.filter(t =>
-            t.assignedTo === freelancerId && t.paymentStatus !== 'Paid'
-        );
-
-        if (unpaidTasks.length === 0) {
-            showToast('No pending payments', 'info');
-            return;
-        }
-
-        const totalAmount = unpaidTasks.reduce((s, t) => s + (parseFloat(t.amount) || 0), 0);
-
-        if (totalAmount <= 0) {
-            showToast('Payment amount must be greater than 0', 'error');
-            return;
-        }
-
-        const user = await getCurrentUser();
-
-        // Razorpay expects amount in paise (1 INR = 100 paise)
-        const amountInPaise = Math.round(totalAmount * 100);
-
-        const options = {
-            key: RAZORPAY_KEY_ID,
-            amount: amountInPaise,
-            currency: 'INR',
-            name: COMPANY_NAME,
-            description: `Payment to ${freelancer.name} — ${unpaidTasks.length} task(s)`,
-            prefill: {
-                name: user.name,
-                email: user.email || '',
-            },
-            theme: {
-                color: '#6c5ce7',
-            },
-            handler: async function (response) {
-                // Payment successful
-                try {
-                    // Mark all tasks as Paid
-                    for (const t of unpaidTasks) {
-                        await updateTask(t.id, { paymentStatus: 'Paid' });
-                    }
-
-                    // Record transaction
-                    await createPaymentTransaction({
-                        freelancerId: freelancerId,
-                        freelancerName: freelancer.name,
-                        paidBy: user.id,
-                        paidByName: user.name,
-                        amount: totalAmount,
-                        currency: 'INR',
-                        razorpayPaymentId: response.razorpay_payment_id || '',
-                        razorpayOrderId: response.razorpay_order_id || '',
-                        status: 'success',
-                        taskIds: unpaidTasks.map(t => t.id),
-                        notes: `Paid ${unpaidTasks.length} task(s) via Razorpay`,
-                    });
-
-                    showToast(`Payment of ₹${totalAmount.toLocaleString('en-IN')} to ${freelancer.name} successful!`, 'success');
-                    await window.renderApp();
-                } catch (err) {
-                    showToast('Payment recorded but failed to update tasks: ' + err.message, 'error');
-                }
-            },
-            modal: {
-                ondismiss: function () {
-                    showToast('Payment cancelled', 'info');
-                },
-            },
-        };
-
-        if (typeof window.Razorpay === 'undefined') {
-            showToast('Razorpay SDK not loaded. Check your internet connection.', 'error');
-            return;
-        }
-
-        const rzp = new window.Razorpay(options);
-
-        rzp.on('payment.failed', async function (response) {
-            try {
-                await createPaymentTransaction({
-                    freelancerId: freelancerId,
-                    freelancerName: freelancer.name,
-                    paidBy: user.id,
-                    paidByName: user.name,
-                    amount: totalAmount,
-                    currency: 'INR',
-                    razorpayPaymentId: response.error.metadata?.payment_id || '',
-                    status: 'failed',
-                    taskIds: unpaidTasks.map(t => t.id),
-                    notes: `Failed: ${response.error.description || response.error.reason || 'Unknown error'}`,
-                });
-            } catch (e) {
-                console.error('Failed to log failed transaction:', e);
-            }
-            showToast(`Payment failed: ${response.error.description || 'Unknown error'}`, 'error');
+        const payout = await createPayout(freelancerId);
+        const amount = parseFloat(payout.tdsAmount) > 0
+            ? `${formatMoney(payout.netAmount, 'INR')} (after ${formatMoney(payout.tdsAmount, 'INR')} TDS)`
+            : formatMoney(payout.amount, 'INR');
+        showToast(payout.status === 'processed'
+            ? `Payout of ${amount} to ${payout.freelancerName} processed`
+            : `Payout of ${amount} to ${payout.freelancerName} ${payout.status}`, 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.refreshPayout = async function (transactionId) {
+    try {
+        const result = await refreshPayoutStatus(transactionId);
+        if (result) showToast(`Payout is ${result.status}`, 'info');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+// ==========================================
+// Bank Payout Batches
+// ==========================================
+
+function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+window.handleGeneratePayoutBatch = async function () {
+    const freelancerIds = [...document.querySelectorAll('.payout-batch-select:checked')].map(cb => cb.value);
+    if (freelancerIds.length === 0) {
+        showToast('Select the freelancers to include', 'error');
+        return;
+    }
+    try {
+        const { batch, skipped } = await createPayoutBatch({
+            bank: document.getElementById('payout-batch-bank').value,
+            freelancerIds,
         });
+        downloadFile(batch.fileContent, batch.fileName, 'text/plain;charset=utf-8;');
+        showToast(`Batch of ${formatMoney(batch.totalAmount, 'INR')} for ${batch.freelancerCount} freelancer(s) generated — upload it to your bank, then mark it settled`, 'success');
+        if (skipped.length > 0) showToast(`Left out: ${skipped.join(', ')}`, 'info');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.downloadPayoutBatch = async function (batchId) {
+    const batch = (await getPayoutBatches()).find(b => b.id === batchId);
+    if (batch) downloadFile(batch.fileContent, batch.fileName, 'text/plain;charset=utf-8;');
+};
+
+window.openSettleBatchModal = async function (batchId) {
+    const batch = (await getPayoutBatches()).find(b => b.id === batchId);
+    if (!batch) return;
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.id = 'settle-batch-overlay';
+    overlay.innerHTML = `
+    <div class="modal" style="max-width:420px;">
+      <div class="modal-header">
+        <h3>Settle Batch ${batch.id.slice(0, 8).toUpperCase()}</h3>
+        <button class="btn-icon" onclick="document.getElementById('settle-batch-overlay').remove()">✕</button>
+      </div>
+      <div class="modal-body">
+        <p style="margin-bottom:12px;">${batch.bank.toUpperCase()} processed <strong>${formatMoney(batch.totalAmount, 'INR')}</strong> to ${batch.freelancerCount} freelancer(s). Their tasks will be marked paid.</p>
+        <div class="form-group">
+          <label>Bank Reference *</label>
+          <input type="text" class="form-control" id="settle-batch-reference" placeholder="Batch / UTR reference from the bank" />
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="document.getElementById('settle-batch-overlay').remove()">Cancel</button>
+        <button class="btn btn-primary" onclick="handleSettlePayoutBatch('${batch.id}')">Mark Settled</button>
+      </div>
+    </div>
+    `;
+    document.body.appendChild(overlay);
+};
 
-        rzp.open();
+window.handleSettlePayoutBatch = async function (batchId) {
+    try {
+        await settlePayoutBatch(batchId, document.getElementById('settle-batch-reference').value);
+        document.getElementById('settle-batch-overlay').remove();
+        showToast('Batch settled — tasks marked paid', 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.handleCancelPayoutBatch = async function (batchId) {
+    if (!confirm('Cancel this batch? Its payments are dropped and the tasks become payable again.')) return;
+    try {
+        await cancelPayoutBatch(batchId);
+        showToast('Batch cancelled', 'success');
+        await window.renderApp();
     } catch (err) {
         showToast(err.message, 'error');
     }
@@ -459,7 +917,7 @@ window.exportPaymentsCSV = async function () {
         if (ff !== 'all') tasks = tasks.filter(t => t.assignedTo === ff);
         if (mf !== 'all') tasks = tasks.filter(t => new Date(t.date).getMonth() === parseInt(mf));
 
-        const headers = ['SL No', 'Date', 'Client', 'Type', 'Freelancer', 'Amount', 'Payment Status'];
+        const headers = ['SL No', 'Date', 'Client', 'Type', 'Freelancer', 'Amount', 'Expenses', 'Currency', 'Payment Status'];
         const rows = tasks.map(t => [
             t.slNo,
             t.date,
@@ -467,6 +925,8 @@ window.exportPaymentsCSV = async function () {
             t.type,
             `"${(fMap[t.assignedTo] || 'Unknown').replace(/"/g, '""')}"`,
             parseFloat(t.amount) || 0,
+            parseFloat(t.expenseAmount) || 0,
+            t.currency || DEFAULT_CURRENCY,
             t.paymentStatus || 'Unpaid',
         ]);
 
@@ -1,4 +1,7 @@
-import { getCurrentUser, isAdmin, updateUser, getTasksByFreelancer, getTasks, sanitizeHTML } from './store-async.js';
+import {
+    getCurrentUser, isAdmin, updateUser, getTasksByFreelancer, getTasks, getPayoutAccount, savePayoutAccount,
+    describePayoutAccount, TDS_NO_PAN_RATE, getStats, formatMoney, sanitizeHTML,
+} from './store-async.js';
 import { showToast } from './toast.js';
 import icons from './icons.js';
 
@@ -8,9 +11,11 @@ async function renderProfile() {
     const tasks = adminUser ? await getTasks() : await getTasksByFreelancer(user.id);
 
     const approved = tasks.filter(t => t.status === 'approved').length;
-    const totalAmount = tasks.reduce((s, t) => s + (parseFloat(t.amount) || 0), 0);
+    const stats = await getStats(tasks);
     const initials = user.name.split(' ').map(n => n[0]).join('').toUpperCase();
 
+    const payoutAccount = adminUser ? null : await getPayoutAccount(user.id);
+
     const badgeColor = user.badge === 'Platinum' ? '#7c3aed' : user.badge === 'Gold' ? '#d97706' : user.badge === 'Silver' ? '#6b7280' : 'var(--text-muted)';
 
     return `
@@ -37,7 +42,7 @@ async function renderProfile() {
             <div class="stat-label">Approved</div>
           </div>
           <div class="stat-card teal">
-            <div class="stat-value">₹${totalAmount.toLocaleString('en-IN')}</div>
+            <div class="stat-value">${formatMoney(stats.totalAmount, stats.currency)}</div>
             <div class="stat-label">Earnings</div>
           </div>
           <div class="stat-card purple">
@@ -58,9 +63,81 @@ async function renderProfile() {
             </div>
           </div>
         </div>
+        ${adminUser ? '' : renderPayoutDetails(payoutAccount)}
       </div>
     </div>
   `;
 }
 
+// Where payouts are sent; only the freelancer and admins can read these
+function renderPayoutDetails(account) {
+    const method = account?.method || 'bank';
+    return `
+        <div class="profile-details">
+          <h3>Payout Details</h3>
+          <p style="font-size:0.85rem;color:var(--text-muted);margin-bottom:12px;">
+            ${account ? `Payouts currently go to <strong>${sanitizeHTML(describePayoutAccount(account))}</strong>.` : 'Add your bank account or UPI ID so we can pay you.'}
+          </p>
+          <div class="form-group">
+            <label>Receive payouts by</label>
+            <select class="form-control" id="payout-method" onchange="togglePayoutMethod(this.value)">
+              <option value="bank" ${method === 'bank' ? 'selected' : ''}>Bank transfer (IMPS/NEFT)</option>
+              <option value="upi" ${method === 'upi' ? 'selected' : ''}>UPI</option>
+            </select>
+          </div>
+          <div id="payout-bank-fields" style="${method === 'bank' ? '' : 'display:none;'}">
+            <div class="form-group">
+              <label>Account Holder Name</label>
+              <input type="text" class="form-control" id="payout-account-name" value="${sanitizeHTML(account?.accountName || '')}" />
+            </div>
+            <div style="display:flex;gap:12px;flex-wrap:wrap;">
+              <div class="form-group" style="flex:2;min-width:200px;">
+                <label>Account Number</label>
+                <input type="text" class="form-control" id="payout-account-number" inputmode="numeric" autocomplete="off" value="${sanitizeHTML(account?.accountNumber || '')}" />
+              </div>
+              <div class="form-group" style="flex:1;min-width:140px;">
+                <label>IFSC</label>
+                <input type="text" class="form-control" id="payout-ifsc" style="text-transform:uppercase;" placeholder="HDFC0001234" value="${sanitizeHTML(account?.ifsc || '')}" />
+              </div>
+            </div>
+          </div>
+          <div id="payout-upi-fields" style="${method === 'upi' ? '' : 'display:none;'}">
+            <div class="form-group">
+              <label>UPI ID</label>
+              <input type="text" class="form-control" id="payout-upi-id" placeholder="name@okhdfc" value="${sanitizeHTML(account?.upiId || '')}" />
+            </div>
+          </div>
+          <div class="form-group">
+            <label>PAN</label>
+            <input type="text" class="form-control" id="payout-pan" style="text-transform:uppercase;max-width:200px;" placeholder="ABCDE1234F" value="${sanitizeHTML(account?.pan || '')}" />
+            <small style="color:var(--text-muted);">Needed for TDS — without it tax is deducted at ${TDS_NO_PAN_RATE}%</small>
+          </div>
+          <button class="btn btn-primary" onclick="handleSavePayoutDetails()">Save Payout Details</button>
+        </div>
+    `;
+}
+
+window.togglePayoutMethod = function (method) {
+    document.getElementById('payout-bank-fields').style.display = method === 'bank' ? '' : 'none';
+    document.getElementById('payout-upi-fields').style.display = method === 'upi' ? '' : 'none';
+};
+
+window.handleSavePayoutDetails = async function () {
+    try {
+        const user = await getCurrentUser();
+        await savePayoutAccount(user.id, {
+            method: document.getElementById('payout-method').value,
+            accountName: document.getElementById('payout-account-name').value,
+            accountNumber: document.getElementById('payout-account-number').value,
+            ifsc: document.getElementById('payout-ifsc').value,
+            upiId: document.getElementById('payout-upi-id').value,
+            pan: document.getElementById('payout-pan').value,
+        });
+        showToast('Payout details saved', 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
 export { renderProfile };
@@ -0,0 +1,307 @@
+// ==========================================
+// CRM Tracker — Project Detail Page
+// ==========================================
+
+import {
+    getProjectById, getTasks, getFreelancers, getWorkflow, formatStatusLabel, statusBadgeStyle,
+    getProjectMilestones, addProjectMilestone, setMilestoneCompleted, deleteProjectMilestone,
+    getCurrencyConverter, summarizeProject, projectBurn, retainerQuotaUsage,
+    formatDate, formatMoney, sanitizeHTML,
+} from './store-async.js';
+import { showToast } from './toast.js';
+import icons from './icons.js';
+
+async function renderProjectDetail(projectId) {
+    const project = projectId ? await getProjectById(projectId) : null;
+    if (!project) {
+        return `
+      <div class="page-header">
+        <h1>Project Not Found</h1>
+        <button class="btn btn-secondary" onclick="navigateTo('settings')">← Back to Settings</button>
+      </div>
+      <div class="page-body">
+        <div class="empty-state">
+          <div class="empty-icon">❌</div>
+          <div class="empty-title">Project not found</div>
+        </div>
+      </div>
+    `;
+    }
+
+    const [allTasks, freelancers, workflow, milestones, converter] = await Promise.all([
+        getTasks(), getFreelancers(), getWorkflow(), getProjectMilestones(project.id), getCurrencyConverter(),
+    ]);
+    const tasks = allTasks
+        .filter(t => t.projectId === project.id)
+        .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+    const freelancerMap = Object.fromEntries(freelancers.map(f => [f.id, f]));
+    const summary = summarizeProject(project, tasks, converter.toBase);
+    const money = amount => converter.format(amount);
+
+    const overBudget = summary.budget !== null && summary.committed > summary.budget;
+    const budgetHTML = summary.budget === null
+        ? `<p style="color: var(--text-muted); font-size: 0.85rem;">No budget set. <a href="#" onclick="event.preventDefault(); openProjectModal('${project.id}')">Add one</a> to track spend against it.</p>`
+        : `
+        <div class="project-budget-bar" title="${money(summary.paid)} paid of ${money(summary.committed)} committed">
+          <div class="project-budget-committed ${overBudget ? 'over' : ''}" style="width: ${Math.min(100, summary.budget > 0 ? (summary.committed / summary.budget) * 100 : 100)}%;"></div>
+          <div class="project-budget-paid" style="width: ${Math.min(100, summary.budget > 0 ? (summary.paid / summary.budget) * 100 : 100)}%;"></div>
+        </div>
+        <div class="project-budget-legend">
+          <span><span class="legend-dot paid"></span> Paid ${money(summary.paid)}</span>
+          <span><span class="legend-dot committed"></span> Committed ${money(summary.committed)}</span>
+          <span style="margin-left: auto; ${overBudget ? 'color: var(--status-rejected); font-weight: 600;' : ''}">
+            ${overBudget ? `${money(-summary.remaining)} over budget` : `${money(summary.remaining)} left of ${money(summary.budget)}`}
+          </span>
+        </div>`;
+
+    const taskRows = tasks.length === 0
+        ? `<tr><td colspan="7" style="text-align:center;color:var(--text-muted);padding:30px;">No tasks in this project yet.</td></tr>`
+        : tasks.map(t => `
+            <tr onclick="navigateTo('task-detail', { selectedTaskId: '${t.id}' })" style="cursor:pointer;">
+              <td>${t.slNo}</td>
+              <td>${formatDate(t.date)}</td>
+              <td>${sanitizeHTML(t.type)}</td>
+              <td>${t.assignedTo && freelancerMap[t.assignedTo] ? sanitizeHTML(freelancerMap[t.assignedTo].name) : '—'}</td>
+              <td><span class="badge badge-${t.status}" ${statusBadgeStyle(workflow, t.status)}>${sanitizeHTML(formatStatusLabel(workflow, t.status))}</span></td>
+              <td>${formatMoney(t.amount, t.currency)}${parseFloat(t.expenseAmount) > 0 ? ` <span style="color: var(--text-muted); font-size: 0.75rem;">+ ${formatMoney(t.expenseAmount, t.currency)}</span>` : ''}</td>
+              <td><span class="badge badge-${(t.paymentStatus || 'unpaid').toLowerCase()}">${sanitizeHTML(t.paymentStatus) || 'Unpaid'}</span></td>
+            </tr>
+        `).join('');
+
+    return `
+    <div class="page-header">
+      <div style="display: flex; align-items: center; gap: 16px;">
+        <button class="btn btn-secondary btn-sm" onclick="navigateTo('settings')">← Back</button>
+        <h1>${sanitizeHTML(project.name)}</h1>
+        <span class="badge badge-${project.type === 'Retainer' ? 'approved' : project.type === 'Campaign' ? 'submitted' : 'assigned'}">${sanitizeHTML(project.type)}</span>
+        <span class="badge badge-${project.status === 'Active' ? 'approved' : project.status === 'Completed' ? 'submitted' : 'rejected'}">${sanitizeHTML(project.status)}</span>
+      </div>
+      <div style="display: flex; gap: 8px;">
+        <button class="btn btn-secondary btn-sm" onclick="openProjectOnTimeline('${project.id}')">${icons.timeline} Timeline</button>
+        <button class="btn btn-primary btn-sm" onclick="openProjectModal('${project.id}')">${icons.edit} Edit</button>
+      </div>
+    </div>
+    <div class="page-body">
+      <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 16px;">
+        ${sanitizeHTML(project.client) || 'No client'} · ${project.startDate ? formatDate(project.startDate) : 'No start date'} → ${project.endDate ? formatDate(project.endDate) : 'ongoing'}
+        ${project.notes ? `<br>${sanitizeHTML(project.notes)}` : ''}
+      </p>
+
+      ${converter.missing.size > 0 ? `
+      <div class="task-detail-section" style="margin-bottom:16px;color:var(--status-rejected);font-size:0.85rem;">
+        ${icons.alertTriangle} No exchange rate on file for ${[...converter.missing].join(', ')} on some task dates — those amounts are left out. Add rates under Settings.
+      </div>` : ''}
+
+      <div class="stat-cards">
+        <div class="stat-card green">
+          <div class="stat-icon">${icons.checkCircle}</div>
+          <div class="stat-value">${summary.completion}%</div>
+          <div class="stat-label">Complete (${summary.approved}/${summary.taskCount} approved)</div>
+        </div>
+        <div class="stat-card purple">
+          <div class="stat-icon">${icons.dollarSign}</div>
+          <div class="stat-value">${summary.budget === null ? '—' : money(summary.budget)}</div>
+          <div class="stat-label">Budget</div>
+        </div>
+        <div class="stat-card ${overBudget ? 'red' : 'amber'}">
+          <div class="stat-icon">${icons.clipboard}</div>
+          <div class="stat-value">${money(summary.committed)}</div>
+          <div class="stat-label">Committed</div>
+        </div>
+        <div class="stat-card teal">
+          <div class="stat-icon">${icons.send}</div>
+          <div class="stat-value">${money(summary.paid)}</div>
+          <div class="stat-label">Paid</div>
+        </div>
+      </div>
+
+      <div class="task-detail-section">
+        <h3>${icons.dollarSign} Progress &amp; Budget</h3>
+        <div class="project-progress" title="${summary.completion}% of tasks approved">
+          <div class="project-progress-fill" style="width: ${summary.completion}%;"></div>
+        </div>
+        ${budgetHTML}
+      </div>
+
+      <div class="task-detail-section">
+        <h3>${icons.barChart} Burn</h3>
+        ${renderBurnChart(project, projectBurn(project, tasks, converter.toBase), summary.budget, money)}
+      </div>
+
+      ${project.type === 'Retainer' ? renderQuotaSection(project, tasks) : ''}
+
+      ${renderMilestonesSection(project, milestones)}
+
+      <div class="task-detail-section">
+        <h3>${icons.tasks} Tasks (${tasks.length})</h3>
+        <div class="table-container">
+          <table class="data-table">
+            <thead>
+              <tr>
+                <th>#</th>
+                <th>Date</th>
+                <th>Type</th>
+                <th>Freelancer</th>
+                <th>Status</th>
+                <th>Amount</th>
+                <th>Payment</th>
+              </tr>
+            </thead>
+            <tbody>${taskRows}</tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+// ==========================================
+// Burn chart
+// ==========================================
+
+// Cumulative committed spend against the budget, with the straight-line
+// spend the budget allows when the project has an end date
+function renderBurnChart(project, points, budget, money) {
+    if (points.length < 2) {
+        return `<p style="color: var(--text-muted); font-size: 0.85rem;">Add dated tasks or project dates to see spend over time.</p>`;
+    }
+
+    const width = 600;
+    const height = 200;
+    const pad = { top: 12, right: 12, bottom: 24, left: 12 };
+    const first = Date.parse(points[0].day);
+    const last = Date.parse(points[points.length - 1].day);
+    const maxValue = Math.max(budget || 0, ...points.map(p => p.committed), 1);
+    const x = day => pad.left + ((Date.parse(day) - first) / (last - first)) * (width - pad.left - pad.right);
+    const y = value => height - pad.bottom - (value / maxValue) * (height - pad.top - pad.bottom);
+
+    const actual = points.map(p => `${x(p.day).toFixed(1)},${y(p.committed).toFixed(1)}`).join(' ');
+    const budgetLine = budget !== null
+        ? `<line x1="${pad.left}" x2="${width - pad.right}" y1="${y(budget)}" y2="${y(budget)}" class="burn-budget" />`
+        : '';
+    const ideal = budget !== null && project.startDate && project.endDate && project.endDate > project.startDate
+        ? `<line x1="${x(project.startDate)}" y1="${y(0)}" x2="${x(project.endDate)}" y2="${y(budget)}" class="burn-ideal" />`
+        : '';
+    const today = new Date().toISOString().split('T')[0];
+    const todayLine = Date.parse(today) > first && Date.parse(today) < last
+        ? `<line x1="${x(today)}" x2="${x(today)}" y1="${pad.top}" y2="${height - pad.bottom}" class="burn-today" />`
+        : '';
+
+    return `
+    <svg class="burn-chart" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+      <line x1="${pad.left}" x2="${width - pad.right}" y1="${y(0)}" y2="${y(0)}" class="burn-axis" />
+      ${todayLine}
+      ${budgetLine}
+      ${ideal}
+      <polyline points="${actual}" class="burn-actual" />
+      <text x="${pad.left}" y="${height - 6}" class="burn-label">${formatDate(points[0].day)}</text>
+      <text x="${width - pad.right}" y="${height - 6}" class="burn-label" text-anchor="end">${formatDate(points[points.length - 1].day)}</text>
+    </svg>
+    <div class="project-budget-legend">
+      <span><span class="legend-dot committed"></span> Committed (${money(points[points.length - 1].committed)})</span>
+      ${budget !== null ? '<span><span class="legend-dot budget"></span> Budget</span>' : ''}
+      ${ideal ? '<span><span class="legend-dot ideal"></span> Planned spend</span>' : ''}
+    </div>`;
+}
+
+// ==========================================
+// Retainer quota
+// ==========================================
+
+function renderQuotaSection(project, tasks) {
+    if (!project.monthlyQuota) {
+        return `
+      <div class="task-detail-section">
+        <h3>${icons.refreshCw} Monthly Quota</h3>
+        <p style="color: var(--text-muted); font-size: 0.85rem;">Set a monthly quota on this retainer to track deliverables against it. <a href="#" onclick="event.preventDefault(); openProjectModal('${project.id}')">Edit project</a></p>
+      </div>`;
+    }
+
+    const usage = retainerQuotaUsage(project, tasks);
+    return `
+    <div class="task-detail-section">
+      <h3>${icons.refreshCw} Monthly Quota (${project.monthlyQuota} deliverables / month)</h3>
+      <div class="quota-list">
+        ${usage.map(m => `
+          <div class="quota-row">
+            <span class="quota-month">${m.label}</span>
+            <div class="project-progress" style="flex: 1; margin: 0;">
+              <div class="project-progress-fill ${m.used > m.quota ? 'over' : ''}" style="width: ${Math.min(100, (m.used / m.quota) * 100)}%;"></div>
+            </div>
+            <span class="quota-count ${m.used > m.quota ? 'over' : ''}">${m.used}/${m.quota}</span>
+          </div>
+        `).join('')}
+      </div>
+    </div>`;
+}
+
+// ==========================================
+// Milestones
+// ==========================================
+
+function renderMilestonesSection(project, milestones) {
+    const today = new Date().toISOString().split('T')[0];
+    const listHTML = milestones.length === 0
+        ? `<p style="color: var(--text-muted); font-size: 0.85rem;">No milestones yet. They show as diamonds on the Timeline.</p>`
+        : milestones.map(m => `
+          <div class="review-link-item">
+            <input type="checkbox" ${m.completedAt ? 'checked' : ''} onchange="handleToggleMilestone('${m.id}', this.checked)" title="Done" />
+            <span class="review-link-info" style="${m.completedAt ? 'text-decoration: line-through;' : ''}">
+              <strong>${sanitizeHTML(m.name)}</strong> · ${formatDate(m.dueDate)}
+              ${!m.completedAt && m.dueDate < today ? '<span class="kanban-overdue-badge">Overdue</span>' : ''}
+            </span>
+            <button class="btn-icon" onclick="handleDeleteMilestone('${m.id}')" title="Delete">${icons.trash}</button>
+          </div>
+        `).join('');
+
+    return `
+    <div class="task-detail-section">
+      <h3>${icons.pin} Milestones</h3>
+      <div class="review-link-list">${listHTML}</div>
+      <div class="subtask-add">
+        <input type="text" id="milestone-name" placeholder="Milestone, e.g. Brand guidelines signed off" />
+        <input type="date" class="form-control" id="milestone-date" style="width: 160px;" />
+        <button class="btn btn-primary btn-sm" onclick="handleAddMilestone('${project.id}')">${icons.plus} Add</button>
+      </div>
+    </div>`;
+}
+
+window.handleAddMilestone = async function (projectId) {
+    try {
+        await addProjectMilestone(projectId, {
+            name: document.getElementById('milestone-name').value,
+            dueDate: document.getElementById('milestone-date').value,
+        });
+        showToast('Milestone added', 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.handleToggleMilestone = async function (milestoneId, completed) {
+    try {
+        await setMilestoneCompleted(milestoneId, completed);
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.handleDeleteMilestone = async function (milestoneId) {
+    if (!confirm('Delete this milestone?')) return;
+    try {
+        await deleteProjectMilestone(milestoneId);
+        showToast('Milestone deleted', 'info');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.openProjectOnTimeline = function (projectId) {
+    window.appState.ganttProjectId = projectId;
+    window.navigateTo('timeline');
+};
+
+export { renderProjectDetail };
@@ -6,7 +6,12 @@ import {
     isAdmin, isSuperAdmin, sanitizeHTML,
     getAgencySettings, updateAgencySettings,
     getProjects, addProject, updateProject, deleteProject,
-    TASK_CATEGORIES, PROJECT_TYPES,
+    getClients, getTasks, getFreelancers,
+    getRecurrenceRules, addRecurrenceRule, updateRecurrenceRule, deleteRecurrenceRule, generateRecurringTasks,
+    getTaskTemplates, getTaskTemplateById, addTaskTemplate, updateTaskTemplate, deleteTaskTemplate,
+    getWorkflow, updateWorkflow, CORE_TASK_STATES, WORKFLOW_ROLES, DEFAULT_WORKFLOW,
+    getPricingModifiers, INDIAN_STATES, DEFAULT_GST_RATE, gstStateCode, TASK_CATEGORIES, PROJECT_TYPES, TASK_TYPES,
+    CURRENCIES, DEFAULT_CURRENCY, formatMoney, getExchangeRates, saveExchangeRate, deleteExchangeRate, getBaseCurrency,
 } from './store-async.js';
 import { showToast } from './toast.js';
 import icons from './icons.js';
@@ -16,19 +21,33 @@ async function renderSettings() {
     if (!adminUser) return '<div class="page-header"><h1>Access Denied</h1></div>';
 
     const agency = await getAgencySettings();
+    const modifiers = getPricingModifiers(agency);
     const projects = await getProjects();
+    const workflow = await getWorkflow();
+    const recurrenceRules = await getRecurrenceRules();
+    const templates = await getTaskTemplates();
+    const freelancers = await getFreelancers();
+    const exchangeRates = await getExchangeRates();
+    const monthlyCount = projectId => recurrenceRules
+        .filter(r => r.projectId === projectId && r.active)
+        .reduce((sum, r) => sum + r.quantity, 0);
 
     const projectRows = projects.length === 0
-        ? `<tr><td colspan="7" style="text-align:center;color:var(--text-muted);padding:30px;">No projects yet. Add one above.</td></tr>`
+        ? `<tr><td colspan="8" style="text-align:center;color:var(--text-muted);padding:30px;">No projects yet. Add one above.</td></tr>`
         : projects.map(p => `
             <tr>
-                <td><strong>${sanitizeHTML(p.name)}</strong></td>
+                <td><a href="#" onclick="event.preventDefault(); navigateTo('project-detail', { selectedProjectId: '${p.id}' })"><strong>${sanitizeHTML(p.name)}</strong></a></td>
                 <td>${sanitizeHTML(p.client)}</td>
-                <td><span class="badge badge-${p.type === 'Retainer' ? 'approved' : p.type === 'Campaign' ? 'submitted' : 'assigned'}">${sanitizeHTML(p.type)}</span></td>
+                <td>
+                    <span class="badge badge-${p.type === 'Retainer' ? 'approved' : p.type === 'Campaign' ? 'submitted' : 'assigned'}">${sanitizeHTML(p.type)}</span>
+                    ${monthlyCount(p.id) > 0 ? `<span style="font-size:0.75rem;color:var(--text-muted);margin-left:4px;">${monthlyCount(p.id)}/mo</span>` : ''}
+                </td>
+                <td>${p.budget !== null && p.budget !== undefined ? formatMoney(p.budget, agency.baseCurrency || DEFAULT_CURRENCY) : '—'}</td>
                 <td>${p.startDate || '—'}</td>
                 <td>${p.endDate || '—'}</td>
                 <td><span class="badge badge-${p.status === 'Active' ? 'approved' : p.status === 'Completed' ? 'submitted' : 'rejected'}">${sanitizeHTML(p.status)}</span></td>
                 <td class="row-actions">
+                    <button class="btn-icon" onclick="openRecurrenceModal('${p.id}')" title="Recurring deliverables">${icons.refreshCw}</button>
                     <button class="btn-icon" onclick="editProject('${p.id}')" title="Edit">${icons.edit}</button>
                     <button class="btn-icon" onclick="handleDeleteProject('${p.id}')" title="Delete">${icons.trash}</button>
                 </td>
@@ -83,18 +102,60 @@ async function renderSettings() {
               <input type="text" class="form-control" id="agency-pan" value="${sanitizeHTML(agency.panNumber || '')}" placeholder="AAACD1234E" />
             </div>
           </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label>State (for GST)</label>
+              <select class="form-control" id="agency-state">
+                <option value="">From GST number</option>
+                ${INDIAN_STATES.map(st => `<option value="${st.code}" ${agency.state === st.code ? 'selected' : ''}>${st.code} — ${st.name}</option>`).join('')}
+              </select>
+            </div>
+            <div class="form-group">
+              <label>GST Rate (%)</label>
+              <input type="number" class="form-control" id="agency-gst-rate" value="${agency.gstRate ?? DEFAULT_GST_RATE}" min="0" max="28" step="0.5" />
+            </div>
+          </div>
           <div class="form-group">
             <label>Bank Details</label>
             <input type="text" class="form-control" id="agency-bank" value="${sanitizeHTML(agency.bankDetails || '')}" placeholder="HDFC Bank - 12345678901234" />
           </div>
+          <div class="form-group">
+            <label>Payout Debit Account No.</label>
+            <input type="text" class="form-control" id="agency-payout-debit" value="${sanitizeHTML(agency.payoutDebitAccount || '')}" placeholder="Account freelancer payouts are sent from" inputmode="numeric" />
+          </div>
           <button type="button" class="btn btn-primary" onclick="saveAgencySettings()" style="margin-top:8px;">Save Agency Info</button>
         </form>
       </div>
 
+      <div class="task-detail-section" style="margin-top:24px;">
+        <h3>Task Pricing</h3>
+        <p style="color:var(--text-muted);font-size:0.85rem;margin-bottom:12px;">Task amounts come from the assigned freelancer's rate card, adjusted by these modifiers. Amounts typed in by hand are flagged and logged.</p>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Rush if due within (hours)</label>
+            <input type="number" class="form-control" id="pricing-rush-hours" value="${modifiers.rushWithinHours}" min="0" />
+          </div>
+          <div class="form-group">
+            <label>Rush surcharge (%)</label>
+            <input type="number" class="form-control" id="pricing-rush-percent" value="${modifiers.rushSurchargePercent}" min="0" />
+          </div>
+          <div class="form-group">
+            <label>Per client-caused iteration (%)</label>
+            <input type="number" class="form-control" id="pricing-iteration-percent" value="${modifiers.clientIterationPercent}" min="0" />
+          </div>
+        </div>
+        <button type="button" class="btn btn-primary" onclick="savePricingModifiers()" style="margin-top:8px;">Save Pricing</button>
+      </div>
+
+      ${renderCurrencySection(agency.baseCurrency || DEFAULT_CURRENCY, exchangeRates)}
+
       <div class="task-detail-section" style="margin-top:24px;">
         <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:16px;">
           <h3>Projects</h3>
-          <button class="btn btn-primary btn-sm" onclick="openProjectModal()">${icons.plus} Add Project</button>
+          <div style="display:flex;gap:8px;">
+            <button class="btn btn-secondary btn-sm" onclick="openGenerateRecurringModal()">${icons.refreshCw} Generate Recurring Tasks</button>
+            <button class="btn btn-primary btn-sm" onclick="openProjectModal()">${icons.plus} Add Project</button>
+          </div>
         </div>
         <div class="table-container">
           <table class="data-table">
@@ -103,6 +164,7 @@ async function renderSettings() {
                 <th>Name</th>
                 <th>Client</th>
                 <th>Type</th>
+                <th>Budget</th>
                 <th>Start Date</th>
                 <th>End Date</th>
                 <th>Status</th>
@@ -113,10 +175,474 @@ async function renderSettings() {
           </table>
         </div>
       </div>
+
+      ${renderTemplatesSection(templates, freelancers, agency.baseCurrency || DEFAULT_CURRENCY)}
+
+      ${renderWorkflowSection(workflow)}
     </div>
   `;
 }
 
+// ==========================================
+// Task Templates
+// ==========================================
+
+// Base currency for reporting, plus the dated rates used to convert into it
+function renderCurrencySection(baseCurrency, rates) {
+    const today = new Date().toISOString().split('T')[0];
+    const rows = rates.length === 0
+        ? `<tr><td colspan="4" style="text-align:center;color:var(--text-muted);padding:20px;">No exchange rates yet.</td></tr>`
+        : rates.map(r => `
+            <tr style="${r.baseCurrency === baseCurrency ? '' : 'opacity:0.5;'}">
+                <td>${r.rateDate}</td>
+                <td>1 ${r.currency}</td>
+                <td>${parseFloat(r.rate).toLocaleString('en-IN', { maximumFractionDigits: 6 })} ${r.baseCurrency}</td>
+                <td class="row-actions">
+                    <button class="btn-icon" onclick="handleDeleteExchangeRate('${r.currency}', '${r.baseCurrency}', '${r.rateDate}')" title="Delete">${icons.trash}</button>
+                </td>
+            </tr>
+        `).join('');
+
+    return `
+      <div class="task-detail-section" style="margin-top:24px;">
+        <h3>Currencies</h3>
+        <p style="color:var(--text-muted);font-size:0.85rem;margin-bottom:12px;">Tasks and invoices keep their own currency. Analytics converts them into the base currency at the rate in effect on each task's date.</p>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Base Currency</label>
+            <select class="form-control" id="agency-base-currency">
+              ${Object.entries(CURRENCIES).map(([code, c]) => `<option value="${code}" ${code === baseCurrency ? 'selected' : ''}>${code} — ${c.label}</option>`).join('')}
+            </select>
+          </div>
+          <div class="form-group" style="align-self:flex-end;">
+            <button type="button" class="btn btn-primary" onclick="saveBaseCurrency()">Save Base Currency</button>
+          </div>
+        </div>
+        <div style="margin:8px 0;font-weight:600;font-size:0.85rem;">Exchange Rates (to ${baseCurrency})</div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Currency</label>
+            <select class="form-control" id="rate-currency">
+              ${Object.keys(CURRENCIES).filter(code => code !== baseCurrency).map(code => `<option value="${code}">${code}</option>`).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label>Effective From</label>
+            <input type="date" class="form-control" id="rate-date" value="${today}" />
+          </div>
+          <div class="form-group">
+            <label>1 unit = ? ${baseCurrency}</label>
+            <input type="number" class="form-control" id="rate-value" min="0" step="0.000001" placeholder="83.25" />
+          </div>
+          <div class="form-group" style="align-self:flex-end;">
+            <button type="button" class="btn btn-secondary" onclick="handleSaveExchangeRate()">${icons.plus} Add Rate</button>
+          </div>
+        </div>
+        <div class="table-container">
+          <table class="data-table">
+            <thead><tr><th>Effective From</th><th>Currency</th><th>Rate</th><th>Actions</th></tr></thead>
+            <tbody>${rows}</tbody>
+          </table>
+        </div>
+      </div>`;
+}
+
+window.saveBaseCurrency = async function () {
+    try {
+        await updateAgencySettings({ baseCurrency: document.getElementById('agency-base-currency').value });
+        showToast('Base currency saved', 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.handleSaveExchangeRate = async function () {
+    try {
+        await saveExchangeRate({
+            currency: document.getElementById('rate-currency').value,
+            rateDate: document.getElementById('rate-date').value,
+            rate: document.getElementById('rate-value').value,
+        });
+        showToast('Exchange rate saved', 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.handleDeleteExchangeRate = async function (currency, baseCurrency, rateDate) {
+    if (!confirm(`Delete the ${currency} rate from ${rateDate}?`)) return;
+    try {
+        await deleteExchangeRate({ currency, baseCurrency, rateDate });
+        showToast('Exchange rate deleted', 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+// Template prices are in the base currency, like the rate cards
+function renderTemplatesSection(templates, freelancers, baseCurrency) {
+    const freelancerName = id => (freelancers.find(f => f.id === id) || {}).name || '—';
+
+    const templateRows = templates.length === 0
+        ? `<tr><td colspan="7" style="text-align:center;color:var(--text-muted);padding:30px;">No templates yet. Add one above.</td></tr>`
+        : templates.map(t => `
+            <tr>
+                <td><strong>${sanitizeHTML(t.name)}</strong></td>
+                <td>${sanitizeHTML(t.type)}${t.category ? `<br><span style="font-size:0.75rem;color:var(--text-muted);">${sanitizeHTML(t.category)}</span>` : ''}</td>
+                <td>${formatMoney(t.amount, baseCurrency)}</td>
+                <td>${t.estimatedHours ? `${t.estimatedHours}h` : '—'}</td>
+                <td>${(t.checklist || []).length || '—'}</td>
+                <td>${sanitizeHTML(freelancerName(t.assignedTo))}</td>
+                <td class="row-actions">
+                    <button class="btn-icon" onclick="openTemplateModal('${t.id}')" title="Edit">${icons.edit}</button>
+                    <button class="btn-icon" onclick="handleDeleteTemplate('${t.id}')" title="Delete">${icons.trash}</button>
+                </td>
+            </tr>
+        `).join('');
+
+    return `
+      <div class="task-detail-section" style="margin-top:24px;">
+        <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:16px;">
+          <h3>Task Templates</h3>
+          <button class="btn btn-primary btn-sm" onclick="openTemplateModal()">${icons.plus} Add Template</button>
+        </div>
+        <p style="color:var(--text-muted);font-size:0.85rem;margin-bottom:12px;">Offered in the task template picker and for recurring deliverables. Checklist items are created as subtasks.</p>
+        <div class="table-container">
+          <table class="data-table">
+            <thead>
+              <tr><th>Name</th><th>Type</th><th>Amount</th><th>Est. Hours</th><th>Checklist</th><th>Default Assignee</th><th>Actions</th></tr>
+            </thead>
+            <tbody>${templateRows}</tbody>
+          </table>
+        </div>
+      </div>
+    `;
+}
+
+window.openTemplateModal = async function (templateId) {
+    const template = templateId ? await getTaskTemplateById(templateId) : null;
+    const freelancers = await getFreelancers();
+
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.id = 'template-modal-overlay';
+    overlay.innerHTML = `
+    <div class="modal" style="max-width:520px;">
+      <div class="modal-header">
+        <h3>${template ? 'Edit Template' : 'Add Template'}</h3>
+        <button class="btn-icon" onclick="document.getElementById('template-modal-overlay').remove()">✕</button>
+      </div>
+      <div class="modal-body">
+        <div class="form-group">
+          <label>Template Name *</label>
+          <input type="text" class="form-control" id="tpl-name" value="${template ? sanitizeHTML(template.name) : ''}" placeholder="Monthly Social Pack" />
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Type</label>
+            <select class="form-control" id="tpl-type">
+              ${TASK_TYPES.map(t => `<option value="${t}" ${template && template.type === t ? 'selected' : ''}>${t}</option>`).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label>Category</label>
+            <select class="form-control" id="tpl-category">
+              <option value="">No Category</option>
+              ${TASK_CATEGORIES.map(c => `<option value="${c}" ${template && template.category === c ? 'selected' : ''}>${c}</option>`).join('')}
+            </select>
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Default Amount (₹)</label>
+            <input type="number" class="form-control" id="tpl-amount" value="${template ? template.amount || 0 : 0}" min="0" />
+          </div>
+          <div class="form-group">
+            <label>Estimated Hours</label>
+            <input type="number" class="form-control" id="tpl-hours" value="${template ? template.estimatedHours || '' : ''}" min="0" step="0.5" />
+          </div>
+        </div>
+        <div class="form-group">
+          <label>Default Assignee</label>
+          <select class="form-control" id="tpl-assigned">
+            <option value="">None</option>
+            ${freelancers.map(f => `<option value="${f.id}" ${template && template.assignedTo === f.id ? 'selected' : ''}>${sanitizeHTML(f.name)}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label>Description</label>
+          <textarea class="form-control" id="tpl-description" rows="2">${template ? sanitizeHTML(template.description || '') : ''}</textarea>
+        </div>
+        <div class="form-group">
+          <label>Checklist (one item per line)</label>
+          <textarea class="form-control" id="tpl-checklist" rows="4" placeholder="Mood board&#10;3 concepts&#10;Final files">${template ? sanitizeHTML((template.checklist || []).join('\n')) : ''}</textarea>
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="document.getElementById('template-modal-overlay').remove()">Cancel</button>
+        <button class="btn btn-primary" onclick="saveTemplate('${templateId || ''}')">${template ? 'Update' : 'Create'} Template</button>
+      </div>
+    </div>
+    `;
+    document.body.appendChild(overlay);
+};
+
+window.saveTemplate = async function (existingId) {
+    const data = {
+        name: document.getElementById('tpl-name').value,
+        type: document.getElementById('tpl-type').value,
+        category: document.getElementById('tpl-category').value,
+        amount: document.getElementById('tpl-amount').value,
+        estimatedHours: document.getElementById('tpl-hours').value,
+        assignedTo: document.getElementById('tpl-assigned').value || null,
+        description: document.getElementById('tpl-description').value,
+        checklist: document.getElementById('tpl-checklist').value.split('\n'),
+    };
+
+    try {
+        if (existingId) {
+            await updateTaskTemplate(existingId, data);
+            showToast('Template updated!', 'success');
+        } else {
+            await addTaskTemplate(data);
+            showToast('Template created!', 'success');
+        }
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
+    }
+
+    document.getElementById('template-modal-overlay').remove();
+    await window.renderApp();
+};
+
+window.handleDeleteTemplate = async function (id) {
+    if (!confirm('Delete this template? Tasks created from it are kept.')) return;
+    try {
+        await deleteTaskTemplate(id);
+        showToast('Template deleted', 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+// ==========================================
+// Task Workflow Editor
+// ==========================================
+
+function roleLabel(role) {
+    return role === 'admin' ? 'Admin' : 'Freelancer';
+}
+
+function renderWorkflowSection(workflow) {
+    const stateLabel = id => sanitizeHTML((workflow.states.find(st => st.id === id) || {}).label || id);
+
+    const stateRows = workflow.states.map((st, i) => {
+        const isCore = CORE_TASK_STATES.includes(st.id);
+        return `
+            <tr>
+                <td><code>${st.id}</code></td>
+                <td><input type="text" class="form-control" style="padding:4px 8px;font-size:0.85rem;" value="${sanitizeHTML(st.label)}" onchange="renameWorkflowState('${st.id}', this.value)" /></td>
+                <td>${isCore
+                    ? `<span class="kanban-column-dot" style="background:${sanitizeHTML(st.color)};display:inline-block;" title="Core state colors are set by the theme"></span>`
+                    : `<input type="color" value="${sanitizeHTML(st.color)}" onchange="recolorWorkflowState('${st.id}', this.value)" />`}</td>
+                <td class="row-actions">
+                    <button class="btn-icon" onclick="moveWorkflowState('${st.id}', -1)" title="Move up" ${i === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="btn-icon" onclick="moveWorkflowState('${st.id}', 1)" title="Move down" ${i === workflow.states.length - 1 ? 'disabled' : ''}>↓</button>
+                    ${isCore ? '' : `<button class="btn-icon" onclick="deleteWorkflowState('${st.id}')" title="Delete">${icons.trash}</button>`}
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    const transitionRows = workflow.transitions.map((t, i) => `
+            <tr>
+                <td>${stateLabel(t.from)}</td>
+                <td>${stateLabel(t.to)}</td>
+                <td>
+                    ${WORKFLOW_ROLES.map(role => `
+                        <label style="margin-right:12px;font-size:0.85rem;">
+                            <input type="checkbox" ${t.roles.includes(role) ? 'checked' : ''} onchange="toggleTransitionRole(${i}, '${role}', this.checked)" /> ${roleLabel(role)}
+                        </label>
+                    `).join('')}
+                </td>
+                <td class="row-actions">
+                    <button class="btn-icon" onclick="deleteWorkflowTransition(${i})" title="Delete">${icons.trash}</button>
+                </td>
+            </tr>
+        `).join('');
+
+    const stateOptions = workflow.states.map(st => `<option value="${st.id}">${sanitizeHTML(st.label)}</option>`).join('');
+
+    return `
+      <div class="task-detail-section" style="margin-top:24px;">
+        <div style="display:flex;justify-content:space-between;align-items:center;margin-bottom:16px;">
+          <h3>Task Workflow</h3>
+          <button class="btn btn-secondary btn-sm" onclick="resetWorkflow()">Reset to Default</button>
+        </div>
+        <p style="color:var(--text-muted);font-size:0.85rem;margin-bottom:12px;">States appear as Kanban columns in this order. Core states can be relabelled but not removed.</p>
+        <div class="table-container">
+          <table class="data-table">
+            <thead>
+              <tr><th>ID</th><th>Label</th><th>Color</th><th>Actions</th></tr>
+            </thead>
+            <tbody>${stateRows}</tbody>
+          </table>
+        </div>
+        <div class="form-row" style="margin-top:12px;align-items:flex-end;">
+          <div class="form-group">
+            <label>New State</label>
+            <input type="text" class="form-control" id="wf-state-label" placeholder="Client Review" />
+          </div>
+          <div class="form-group" style="flex:0 0 auto;">
+            <label>Color</label>
+            <input type="color" id="wf-state-color" value="#00b894" />
+          </div>
+          <div class="form-group" style="flex:0 0 auto;">
+            <button class="btn btn-primary btn-sm" onclick="addWorkflowState()">${icons.plus} Add State</button>
+          </div>
+        </div>
+
+        <h4 style="margin:20px 0 12px;">Transitions</h4>
+        <div class="table-container">
+          <table class="data-table">
+            <thead>
+              <tr><th>From</th><th>To</th><th>Who can move it</th><th>Actions</th></tr>
+            </thead>
+            <tbody>${transitionRows || `<tr><td colspan="4" style="text-align:center;color:var(--text-muted);padding:20px;">No transitions defined.</td></tr>`}</tbody>
+          </table>
+        </div>
+        <div class="form-row" style="margin-top:12px;align-items:flex-end;">
+          <div class="form-group">
+            <label>From</label>
+            <select class="form-control" id="wf-trans-from">${stateOptions}</select>
+          </div>
+          <div class="form-group">
+            <label>To</label>
+            <select class="form-control" id="wf-trans-to">${stateOptions}</select>
+          </div>
+          <div class="form-group" style="flex:0 0 auto;">
+            <label>Roles</label>
+            <div>
+              ${WORKFLOW_ROLES.map(role => `
+                <label style="margin-right:12px;font-size:0.85rem;"><input type="checkbox" class="wf-trans-role" value="${role}" ${role === 'admin' ? 'checked' : ''} /> ${roleLabel(role)}</label>
+              `).join('')}
+            </div>
+          </div>
+          <div class="form-group" style="flex:0 0 auto;">
+            <button class="btn btn-primary btn-sm" onclick="addWorkflowTransition()">${icons.plus} Add Transition</button>
+          </div>
+        </div>
+      </div>
+    `;
+}
+
+async function saveWorkflowChange(mutate, message) {
+    try {
+        const workflow = await getWorkflow();
+        const next = {
+            states: workflow.states.map(st => ({ ...st })),
+            transitions: workflow.transitions.map(t => ({ ...t, roles: [...t.roles] })),
+        };
+        mutate(next);
+        await updateWorkflow(next);
+        showToast(message, 'success');
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+    await window.renderApp();
+}
+
+window.addWorkflowState = async function () {
+    const label = document.getElementById('wf-state-label').value.trim();
+    const color = document.getElementById('wf-state-color').value;
+    if (!label) { showToast('Enter a state name', 'error'); return; }
+    const id = label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+    if (!/^[a-z]/.test(id)) { showToast('State name must start with a letter', 'error'); return; }
+
+    await saveWorkflowChange(wf => {
+        if (wf.states.some(st => st.id === id)) throw new Error('A state with this name already exists');
+        // New stages usually sit between submission and approval
+        const approvedIdx = wf.states.findIndex(st => st.id === 'approved');
+        wf.states.splice(approvedIdx === -1 ? wf.states.length : approvedIdx, 0, { id, label, color });
+    }, 'State added — add transitions to use it');
+};
+
+window.renameWorkflowState = async function (id, label) {
+    await saveWorkflowChange(wf => {
+        wf.states.find(st => st.id === id).label = label.trim();
+    }, 'State renamed');
+};
+
+window.recolorWorkflowState = async function (id, color) {
+    await saveWorkflowChange(wf => {
+        wf.states.find(st => st.id === id).color = color;
+    }, 'State color updated');
+};
+
+window.moveWorkflowState = async function (id, direction) {
+    await saveWorkflowChange(wf => {
+        const idx = wf.states.findIndex(st => st.id === id);
+        const target = idx + direction;
+        if (target < 0 || target >= wf.states.length) return;
+        [wf.states[idx], wf.states[target]] = [wf.states[target], wf.states[idx]];
+    }, 'State order updated');
+};
+
+window.deleteWorkflowState = async function (id) {
+    const tasks = await getTasks();
+    const inState = tasks.filter(t => t.status === id).length;
+    if (inState > 0) {
+        showToast(`${inState} task${inState > 1 ? 's are' : ' is'} in this state. Move ${inState > 1 ? 'them' : 'it'} first.`, 'error');
+        return;
+    }
+    if (!confirm('Delete this state and its transitions?')) return;
+    await saveWorkflowChange(wf => {
+        wf.states = wf.states.filter(st => st.id !== id);
+        wf.transitions = wf.transitions.filter(t => t.from !== id && t.to !== id);
+    }, 'State deleted');
+};
+
+window.addWorkflowTransition = async function () {
+    const from = document.getElementById('wf-trans-from').value;
+    const to = document.getElementById('wf-trans-to').value;
+    const roles = [...document.querySelectorAll('.wf-trans-role:checked')].map(el => el.value);
+    await saveWorkflowChange(wf => {
+        wf.transitions.push({ from, to, roles });
+    }, 'Transition added');
+};
+
+window.toggleTransitionRole = async function (index, role, enabled) {
+    await saveWorkflowChange(wf => {
+        const t = wf.transitions[index];
+        t.roles = enabled ? [...new Set([...t.roles, role])] : t.roles.filter(r => r !== role);
+    }, 'Transition updated');
+};
+
+window.deleteWorkflowTransition = async function (index) {
+    await saveWorkflowChange(wf => {
+        wf.transitions.splice(index, 1);
+    }, 'Transition removed');
+};
+
+window.resetWorkflow = async function () {
+    const tasks = await getTasks();
+    const coreIds = DEFAULT_WORKFLOW.states.map(st => st.id);
+    if (tasks.some(t => !coreIds.includes(t.status))) {
+        showToast('Some tasks are in custom states. Move them before resetting.', 'error');
+        return;
+    }
+    if (!confirm('Reset the workflow to the default states and transitions?')) return;
+    await saveWorkflowChange(wf => {
+        wf.states = DEFAULT_WORKFLOW.states.map(st => ({ ...st }));
+        wf.transitions = DEFAULT_WORKFLOW.transitions.map(t => ({ ...t, roles: [...t.roles] }));
+    }, 'Workflow reset');
+};
+
 // Save Agency Settings
 window.saveAgencySettings = async function () {
     const data = {
@@ -129,9 +655,34 @@ window.saveAgencySettings = async function () {
         gstNumber: document.getElementById('agency-gst').value.trim(),
         panNumber: document.getElementById('agency-pan').value.trim(),
         bankDetails: document.getElementById('agency-bank').value.trim(),
+        payoutDebitAccount: document.getElementById('agency-payout-debit').value.replace(/\s/g, ''),
+        state: document.getElementById('agency-state').value,
+        gstRate: parseFloat(document.getElementById('agency-gst-rate').value) || 0,
     };
-    await updateAgencySettings(data);
-    showToast('Agency settings saved!', 'success');
+    if (data.gstNumber && !gstStateCode(data.gstNumber)) {
+        showToast('GST number should start with a valid state code', 'error');
+        return;
+    }
+    try {
+        await updateAgencySettings(data);
+        showToast('Agency settings saved!', 'success');
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.savePricingModifiers = async function () {
+    const data = {
+        rushWithinHours: parseFloat(document.getElementById('pricing-rush-hours').value) || 0,
+        rushSurchargePercent: parseFloat(document.getElementById('pricing-rush-percent').value) || 0,
+        clientIterationPercent: parseFloat(document.getElementById('pricing-iteration-percent').value) || 0,
+    };
+    try {
+        await updateAgencySettings(data);
+        showToast('Pricing modifiers saved!', 'success');
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
 };
 
 // Project Modal
@@ -139,11 +690,8 @@ window.openProjectModal = async function (projectId) {
     const projects = await getProjects();
     const project = projectId ? projects.find(p => p.id === projectId) : null;
 
-    // Get unique client names from localStorage
-    const clients = JSON.parse(localStorage.getItem('crm_clients') || '[]');
-    const tasks = JSON.parse(localStorage.getItem('crm_tasks') || '[]');
-    const taskClients = [...new Set(tasks.map(t => t.client).filter(Boolean))];
-    const allClientNames = [...new Set([...clients.map(c => c.name), ...taskClients])].sort();
+    const clients = await getClients();
+    const baseCurrency = await getBaseCurrency();
 
     const overlay = document.createElement('div');
     overlay.className = 'modal-overlay';
@@ -163,7 +711,7 @@ window.openProjectModal = async function (projectId) {
           <label>Client *</label>
           <select class="form-control" id="proj-client">
             <option value="">Select Client</option>
-            ${allClientNames.map(c => `<option value="${sanitizeHTML(c)}" ${project && project.client === c ? 'selected' : ''}>${sanitizeHTML(c)}</option>`).join('')}
+            ${clients.map(c => `<option value="${c.id}" ${project && project.clientId === c.id ? 'selected' : ''}>${sanitizeHTML(c.name)}</option>`).join('')}
           </select>
         </div>
         <div class="form-row">
@@ -193,6 +741,16 @@ window.openProjectModal = async function (projectId) {
             <input type="date" class="form-control" id="proj-end" value="${project ? project.endDate || '' : ''}" />
           </div>
         </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Budget (${baseCurrency})</label>
+            <input type="number" class="form-control" id="proj-budget" min="0" step="0.01" value="${project && project.budget !== null && project.budget !== undefined ? project.budget : ''}" placeholder="No budget" />
+          </div>
+          <div class="form-group">
+            <label>Monthly Quota</label>
+            <input type="number" class="form-control" id="proj-quota" min="1" step="1" value="${project && project.monthlyQuota ? project.monthlyQuota : ''}" placeholder="Deliverables / month" title="Retainer deliverables per month" />
+          </div>
+        </div>
         <div class="form-group">
           <label>Notes</label>
           <textarea class="form-control" id="proj-notes" rows="2">${project ? sanitizeHTML(project.notes || '') : ''}</textarea>
@@ -211,25 +769,36 @@ window.editProject = function (id) { window.openProjectModal(id); };
 
 window.saveProject = async function (existingId) {
     const name = document.getElementById('proj-name').value.trim();
-    const client = document.getElementById('proj-client').value;
-    if (!name || !client) { showToast('Name and client are required', 'error'); return; }
+    const clientId = document.getElementById('proj-client').value;
+    if (!name || !clientId) { showToast('Name and client are required', 'error'); return; }
+    const budget = document.getElementById('proj-budget').value;
+    const monthlyQuota = document.getElementById('proj-quota').value;
+    if (budget !== '' && !(parseFloat(budget) >= 0)) { showToast('Budget must be 0 or more', 'error'); return; }
+    if (monthlyQuota !== '' && !(parseInt(monthlyQuota) > 0)) { showToast('Monthly quota must be at least 1', 'error'); return; }
 
     const data = {
         name,
-        client,
+        clientId,
         type: document.getElementById('proj-type').value,
         status: document.getElementById('proj-status').value,
         startDate: document.getElementById('proj-start').value || null,
         endDate: document.getElementById('proj-end').value || null,
         notes: document.getElementById('proj-notes').value.trim(),
+        budget: budget === '' ? null : Math.round(parseFloat(budget) * 100) / 100,
+        monthlyQuota: monthlyQuota === '' ? null : parseInt(monthlyQuota),
     };
 
-    if (existingId) {
-        await updateProject(existingId, data);
-        showToast('Project updated!', 'success');
-    } else {
-        await addProject(data);
-        showToast('Project created!', 'success');
+    try {
+        if (existingId) {
+            await updateProject(existingId, data);
+            showToast('Project updated!', 'success');
+        } else {
+            await addProject(data);
+            showToast('Project created!', 'success');
+        }
+    } catch (err) {
+        showToast(err.message, 'error');
+        return;
     }
 
     document.getElementById('project-modal-overlay').remove();
@@ -237,10 +806,199 @@ window.saveProject = async function (existingId) {
 };
 
 window.handleDeleteProject = async function (id) {
-    if (!confirm('Delete this project?')) return;
-    await deleteProject(id);
-    showToast('Project deleted', 'success');
-    await window.renderApp();
+    if (!confirm('Delete this project? Its tasks will be kept but unlinked.')) return;
+    try {
+        await deleteProject(id);
+        showToast('Project deleted', 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+// ==========================================
+// Recurring Deliverables
+// ==========================================
+
+window.openRecurrenceModal = async function (projectId) {
+    const project = (await getProjects()).find(p => p.id === projectId);
+    if (!project) return;
+    const rules = await getRecurrenceRules(projectId);
+    const freelancers = await getFreelancers();
+    const templates = await getTaskTemplates();
+    const freelancerName = id => (freelancers.find(f => f.id === id) || {}).name || 'Unassigned';
+
+    const ruleRows = rules.length === 0
+        ? `<tr><td colspan="6" style="text-align:center;color:var(--text-muted);padding:20px;">No recurring deliverables yet.</td></tr>`
+        : rules.map(r => `
+            <tr style="${r.active ? '' : 'opacity:0.5;'}">
+                <td><strong>${r.quantity} × ${sanitizeHTML(r.type)}</strong>${r.templateName ? `<br><span style="font-size:0.75rem;color:var(--text-muted);">${sanitizeHTML(r.templateName)}</span>` : ''}</td>
+                <td>₹${(parseFloat(r.amount) || 0).toLocaleString('en-IN')}</td>
+                <td>${sanitizeHTML(freelancerName(r.assignedTo))}</td>
+                <td>${r.dueDay}</td>
+                <td><input type="checkbox" ${r.active ? 'checked' : ''} onchange="toggleRecurrenceRule('${r.id}', '${projectId}', this.checked)" title="Active" /></td>
+                <td><button class="btn-icon" onclick="handleDeleteRecurrenceRule('${r.id}', '${projectId}')" title="Delete">${icons.trash}</button></td>
+            </tr>
+        `).join('');
+
+    document.getElementById('recurrence-modal-overlay')?.remove();
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.id = 'recurrence-modal-overlay';
+    overlay.innerHTML = `
+    <div class="modal" style="max-width:640px;">
+      <div class="modal-header">
+        <h3>Recurring Deliverables — ${sanitizeHTML(project.name)}</h3>
+        <button class="btn-icon" onclick="document.getElementById('recurrence-modal-overlay').remove()">✕</button>
+      </div>
+      <div class="modal-body">
+        <p style="color:var(--text-secondary);font-size:0.85rem;margin-bottom:12px;">Created every month by "Generate Recurring Tasks".</p>
+        <div class="table-container" style="margin-bottom:16px;">
+          <table class="data-table">
+            <thead><tr><th>Deliverable</th><th>Amount</th><th>Assign To</th><th>Due Day</th><th>Active</th><th></th></tr></thead>
+            <tbody>${ruleRows}</tbody>
+          </table>
+        </div>
+        <div class="form-group">
+          <label>Start from template</label>
+          <select class="form-control" id="rule-template" onchange="applyRuleTemplate(this.value)">
+            <option value="">Custom</option>
+            ${templates.map(t => `<option value="${t.id}">${sanitizeHTML(t.name)}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Quantity / month</label>
+            <input type="number" class="form-control" id="rule-quantity" value="1" min="1" max="100" />
+          </div>
+          <div class="form-group">
+            <label>Type</label>
+            <select class="form-control" id="rule-type">
+              ${TASK_TYPES.map(t => `<option value="${t}">${t}</option>`).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label>Amount (₹ each)</label>
+            <input type="number" class="form-control" id="rule-amount" value="0" min="0" />
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Assign To</label>
+            <select class="form-control" id="rule-assigned">
+              <option value="">Unassigned</option>
+              ${freelancers.map(f => `<option value="${f.id}">${sanitizeHTML(f.name)}</option>`).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label>Due on day</label>
+            <input type="number" class="form-control" id="rule-due-day" value="25" min="1" max="31" />
+          </div>
+        </div>
+        <div class="form-group">
+          <label>Description</label>
+          <input type="text" class="form-control" id="rule-description" placeholder="Monthly social post" />
+        </div>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="document.getElementById('recurrence-modal-overlay').remove()">Close</button>
+        <button class="btn btn-primary" onclick="handleAddRecurrenceRule('${projectId}')">${icons.plus} Add Deliverable</button>
+      </div>
+    </div>
+    `;
+    document.body.appendChild(overlay);
+};
+
+window.applyRuleTemplate = async function (templateId) {
+    const template = templateId ? await getTaskTemplateById(templateId) : null;
+    if (!template) return;
+    document.getElementById('rule-type').value = template.type;
+    document.getElementById('rule-amount').value = template.amount;
+    document.getElementById('rule-assigned').value = template.assignedTo || '';
+    document.getElementById('rule-description').value = template.description;
+};
+
+window.handleAddRecurrenceRule = async function (projectId) {
+    const templateId = document.getElementById('rule-template').value;
+    try {
+        const template = templateId ? await getTaskTemplateById(templateId) : null;
+        await addRecurrenceRule({
+            projectId,
+            templateId: template ? template.id : null,
+            templateName: template ? template.name : '',
+            quantity: document.getElementById('rule-quantity').value,
+            type: document.getElementById('rule-type').value,
+            amount: document.getElementById('rule-amount').value,
+            assignedTo: document.getElementById('rule-assigned').value || null,
+            dueDay: document.getElementById('rule-due-day').value,
+            description: document.getElementById('rule-description').value,
+        });
+        showToast('Recurring deliverable added', 'success');
+        await window.renderApp();
+        await window.openRecurrenceModal(projectId);
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.toggleRecurrenceRule = async function (ruleId, projectId, active) {
+    try {
+        await updateRecurrenceRule(ruleId, { active });
+        await window.renderApp();
+        await window.openRecurrenceModal(projectId);
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.handleDeleteRecurrenceRule = async function (ruleId, projectId) {
+    if (!confirm('Delete this recurring deliverable? Tasks already generated are kept.')) return;
+    try {
+        await deleteRecurrenceRule(ruleId);
+        showToast('Recurring deliverable deleted', 'success');
+        await window.renderApp();
+        await window.openRecurrenceModal(projectId);
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.openGenerateRecurringModal = function () {
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.id = 'generate-recurring-overlay';
+    overlay.innerHTML = `
+    <div class="modal" style="max-width:420px;">
+      <div class="modal-header">
+        <h3>Generate Recurring Tasks</h3>
+        <button class="btn-icon" onclick="document.getElementById('generate-recurring-overlay').remove()">✕</button>
+      </div>
+      <div class="modal-body">
+        <div class="form-group">
+          <label>Month</label>
+          <input type="month" class="form-control" id="generate-month" value="${new Date().toISOString().slice(0, 7)}" />
+        </div>
+        <p style="color:var(--text-secondary);font-size:0.82rem;">Creates the month's deliverables for every active project. Tasks that were already generated are skipped, so it is safe to run again.</p>
+      </div>
+      <div class="modal-footer">
+        <button class="btn btn-secondary" onclick="document.getElementById('generate-recurring-overlay').remove()">Cancel</button>
+        <button class="btn btn-primary" onclick="handleGenerateRecurring()">Generate</button>
+      </div>
+    </div>
+    `;
+    document.body.appendChild(overlay);
+};
+
+window.handleGenerateRecurring = async function () {
+    const month = document.getElementById('generate-month').value;
+    try {
+        const { created, skipped } = await generateRecurringTasks(month);
+        document.getElementById('generate-recurring-overlay').remove();
+        showToast(`Created ${created} task${created === 1 ? '' : 's'}${skipped ? ` (${skipped} already existed)` : ''}`, created ? 'success' : 'info');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
 };
 
 export { renderSettings };
@@ -6,14 +6,42 @@ import { supabase } from './supabase.js';
 
 // Re-export utility constants and functions from sync store
 import {
-    STORAGE_KEYS, MONTHS, TASK_CATEGORIES, PROJECT_TYPES,
+    STORAGE_KEYS, MONTHS, TASK_CATEGORIES, PROJECT_TYPES, TASK_TYPES,
+    CORE_TASK_STATES, WORKFLOW_ROLES, DEFAULT_WORKFLOW, DEFAULT_TASK_TEMPLATES,
     generateId, formatDate, formatDateTime, timeDiff, sanitizeHTML,
+    validateWorkflow, workflowRole, getWorkflowState, formatStatusLabel, statusBadgeStyle,
+    getAllowedTransitions, canTransition, validateTaskTemplate,
+    DEFAULT_PRICING_MODIFIERS, getPricingModifiers, calculateTaskPrice,
+    clientRate, taskMargin, summarizeMargin,
+    INDIAN_STATES, INVOICE_STATUSES, DEFAULT_GST_RATE,
+    gstStateCode, stateName, financialYear, formatInvoiceNumber, calculateGst,
+    PAYOUT_METHODS, PAYOUT_STATUSES, PAYOUT_IN_FLIGHT, validatePayoutAccount, describePayoutAccount,
+    SETTLED_PAYMENT_STATUSES, taskPayable, taskPaidAmount, taskBalance, allocatedPaymentStatus, unallocatedAmount, buildFreelancerLedger,
+    EXPENSE_CATEGORIES, EXPENSE_STATUSES, findBlockedTasks, createsDependencyCycle,
+    summarizeProject, projectBurn, retainerQuotaUsage,
+    TDS_SECTIONS, TDS_NO_PAN_RATE, calculateTds, financialQuarter, quarterRange, buildTdsStatement,
+    BANK_PAYOUT_FORMATS, buildBankPayoutFile,
+    DEFAULT_CURRENCY, CURRENCIES, formatMoney, toMinorUnits, exchangeRateOn, createCurrencyConverter,
     seedData, migrateTaskData,
 } from './store.js';
 
 export {
-    STORAGE_KEYS, MONTHS, TASK_CATEGORIES, PROJECT_TYPES,
+    STORAGE_KEYS, MONTHS, TASK_CATEGORIES, PROJECT_TYPES, TASK_TYPES,
+    CORE_TASK_STATES, WORKFLOW_ROLES, DEFAULT_WORKFLOW, DEFAULT_TASK_TEMPLATES,
     generateId, formatDate, formatDateTime, timeDiff, sanitizeHTML,
+    validateWorkflow, workflowRole, getWorkflowState, formatStatusLabel, statusBadgeStyle,
+    getAllowedTransitions, canTransition, validateTaskTemplate,
+    DEFAULT_PRICING_MODIFIERS, getPricingModifiers, calculateTaskPrice,
+    clientRate, taskMargin, summarizeMargin,
+    INDIAN_STATES, INVOICE_STATUSES, DEFAULT_GST_RATE,
+    gstStateCode, stateName, financialYear, formatInvoiceNumber, calculateGst,
+    PAYOUT_METHODS, PAYOUT_STATUSES, PAYOUT_IN_FLIGHT, validatePayoutAccount, describePayoutAccount,
+    SETTLED_PAYMENT_STATUSES, taskPayable, taskPaidAmount, taskBalance, allocatedPaymentStatus, unallocatedAmount, buildFreelancerLedger,
+    EXPENSE_CATEGORIES, EXPENSE_STATUSES, findBlockedTasks, createsDependencyCycle,
+    summarizeProject, projectBurn, retainerQuotaUsage,
+    TDS_SECTIONS, TDS_NO_PAN_RATE, calculateTds, financialQuarter, quarterRange, buildTdsStatement,
+    BANK_PAYOUT_FORMATS, buildBankPayoutFile,
+    DEFAULT_CURRENCY, CURRENCIES, formatMoney, toMinorUnits, exchangeRateOn, createCurrencyConverter,
     seedData, migrateTaskData,
 };
 
@@ -80,10 +108,16 @@ import {
     submitTask as _submitTask, approveTask as _approveTask, rejectTask as _rejectTask,
     requestIteration as _requestIteration, resolveIteration as _resolveIteration,
     getStats as _getStats, getFreelancerStats as _getFreelancerStats,
-    getProjects as _getProjects, getProjectById as _getProjectById,
+    getClients as _getClients, getClientById as _getClientById,
+    addClient as _addClient, updateClient as _updateClient, deleteClient as _deleteClient,
+    findOrCreateClient as _findOrCreateClient,
+    getProjects as _getProjects, getProjectById as _getProjectById, getProjectByName as _getProjectByName,
     getProjectsByClient as _getProjectsByClient,
     addProject as _addProject, updateProject as _updateProject, deleteProject as _deleteProject,
     getAgencySettings as _getAgencySettings, updateAgencySettings as _updateAgencySettings,
+    getWorkflow as _getWorkflow, updateWorkflow as _updateWorkflow,
+    getTaskTemplates as _getTaskTemplates, getTaskTemplateById as _getTaskTemplateById,
+    addTaskTemplate as _addTaskTemplate, updateTaskTemplate as _updateTaskTemplate, deleteTaskTemplate as _deleteTaskTemplate,
 } from './store.js';
 
 // ==========================================
@@ -315,8 +349,16 @@ export async function getTasksByFreelancer(freelancerId) {
 }
 
 export async function addTask(taskData) {
+    // Link the free-text client name to a client record
+    if (taskData.client && !taskData.clientId) {
+        const client = await findOrCreateClient(taskData.client);
+        taskData = { ...taskData, client: client.name, clientId: client.id };
+    }
+    taskData = await linkTaskProject(taskData);
+
     if (!isSupabaseConfigured()) {
         const result = _addTask(taskData);
+        logAmountOverride(null, result).catch(() => {});
         // Notify assigned freelancer (localStorage mode)
         if (taskData.assignedTo) {
             try {
@@ -335,16 +377,24 @@ export async function addTask(taskData) {
     const insertData = {
         date: taskData.date || new Date().toISOString().split('T')[0],
         client: taskData.client || '',
+        client_id: taskData.clientId || null,
+        project: taskData.project || '',
+        project_id: taskData.projectId || null,
         type: taskData.type || 'Static',
         reference_creative: taskData.referenceCreative || null,
         editable_file_shared: taskData.editableFileShared || 'No',
         amount: parseFloat(taskData.amount) || 0,
+        amount_overridden: !!taskData.amountOverridden,
+        billable_amount: parseFloat(taskData.billableAmount) || 0,
+        currency: taskData.currency || DEFAULT_CURRENCY,
         payment_status: taskData.paymentStatus || 'Unpaid',
         assigned_to: taskData.assignedTo || null,
         assigned_by: taskData.assignedBy || null,
         due_date: taskData.dueDate || null,
+        estimated_hours: parseFloat(taskData.estimatedHours) || null,
         description: taskData.description || '',
         source_link: taskData.sourceLink || '',
+        recurrence_key: taskData.recurrenceKey || null,
         status: 'assigned',
         assigned_at: new Date().toISOString(),
     };
@@ -355,10 +405,20 @@ export async function addTask(taskData) {
         .select('*, iterations(*)')
         .single();
 
-    // Retry without new columns if they don't exist in DB yet
+    // Retry without new columns if they don't exist in DB yet. A recurring task
+    // can't go without its recurrence_key: the next run would create it again.
     if (error && error.message && error.message.includes('column')) {
+        if (insertData.recurrence_key) throw new Error(`Couldn't save recurring task: ${error.message}`);
         delete insertData.description;
         delete insertData.source_link;
+        delete insertData.client_id;
+        delete insertData.project;
+        delete insertData.project_id;
+        delete insertData.estimated_hours;
+        delete insertData.recurrence_key;
+        delete insertData.amount_overridden;
+        delete insertData.billable_amount;
+        delete insertData.currency;
         ({ data, error } = await supabase
             .from('tasks')
             .insert(insertData)
@@ -383,12 +443,40 @@ export async function addTask(taskData) {
     }
 
     logActivity({ action: 'task_created', entityType: 'task', entityId: task.id, details: `Created task "${taskData.client || 'Untitled'}"` }).catch(() => {});
+    logAmountOverride(null, task).catch(() => {});
 
     return task;
 }
 
 export async function updateTask(id, data) {
-    if (!isSupabaseConfigured()) return _updateTask(id, data);
+    // Re-link the client record when the client name changes
+    if (data.client !== undefined && data.clientId === undefined) {
+        const client = data.client ? await findOrCreateClient(data.client) : null;
+        data = { ...data, client: client ? client.name : '', clientId: client ? client.id : null };
+    }
+    data = await linkTaskProject(data);
+
+    // Status changes must follow the configured workflow
+    if (data.status !== undefined) {
+        await assertTransition(await getTaskById(id), data.status);
+    }
+
+    // Payments are allocated in the task's currency, so it is fixed once any are made
+    if (data.currency !== undefined) {
+        const current = await getTaskById(id);
+        if (current && data.currency !== (current.currency || DEFAULT_CURRENCY) && taskPaidAmount(current) > 0) {
+            throw new Error('This task already has payments recorded; its currency cannot change');
+        }
+    }
+
+    // Compared afterwards so a manual price is logged once, not on every edit
+    const previous = data.amountOverridden ? await getTaskById(id) : null;
+
+    if (!isSupabaseConfigured()) {
+        const result = _updateTask(id, data);
+        logAmountOverride(previous, result).catch(() => {});
+        return result;
+    }
 
     // Convert camelCase keys to snake_case for DB
     const snakeData = toSnakeCase(data);
@@ -410,6 +498,12 @@ export async function updateTask(id, data) {
     if (error && error.message && error.message.includes('column')) {
         delete snakeData.description;
         delete snakeData.source_link;
+        delete snakeData.client_id;
+        delete snakeData.project;
+        delete snakeData.project_id;
+        delete snakeData.amount_overridden;
+        delete snakeData.billable_amount;
+        delete snakeData.currency;
         ({ data: updated, error } = await supabase
             .from('tasks')
             .update(snakeData)
@@ -419,12 +513,15 @@ export async function updateTask(id, data) {
     }
 
     if (error) throw new Error(error.message);
-    return mapTaskFromDB(updated);
+    const result = mapTaskFromDB(updated);
+    logAmountOverride(previous, result).catch(() => {});
+    return result;
 }
 
 export async function deleteTask(id) {
     if (!isSupabaseConfigured()) {
         _deleteTask(id);
+        saveLocalTaskDependencies(getLocalTaskDependencies().filter(d => d.taskId !== id && d.predecessorId !== id));
         logActivity({ action: 'task_deleted', entityType: 'task', entityId: id, details: `Deleted task` }).catch(() => {});
         return;
     }
@@ -442,30 +539,102 @@ export async function deleteTask(id) {
 // Task Lifecycle
 // ==========================================
 
+// `role` overrides the current user's workflow role (client review links act as admin)
+async function assertTransition(task, toStatus, role) {
+    if (!task) throw new Error('Task not found');
+    if (task.status === toStatus) return;
+
+    const workflow = await getWorkflow();
+    const actorRole = role || workflowRole(await getCurrentUser());
+    if (!getWorkflowState(workflow, toStatus)) throw new Error(`Unknown status "${toStatus}"`);
+    if (!canTransition(workflow, task.status, toStatus, actorRole)) {
+        throw new Error(`Cannot move task from ${formatStatusLabel(workflow, task.status)} to ${formatStatusLabel(workflow, toStatus)}`);
+    }
+}
+
+// Work can't start while a predecessor is unapproved (the lifecycle trigger
+// checks this too, for every move into in_progress)
+async function assertNotBlocked(taskId) {
+    const waitingOn = (await getTaskBlockers())[taskId];
+    if (waitingOn) {
+        throw new Error(`Waiting on ${waitingOn.map(t => `task #${t.slNo}`).join(', ')} to be approved first`);
+    }
+}
+
+// Move a task along a workflow transition that needs no extra data
+// (custom stages such as internal or client review)
+export async function transitionTask(taskId, toStatus) {
+    const task = await getTaskById(taskId);
+    if (toStatus === 'in_progress' && task && task.status !== 'in_progress') await assertNotBlocked(taskId);
+    let result;
+    if (isSupabaseConfigured()) {
+        await assertTransition(task, toStatus);
+        result = await callTaskRpc('transition_task', { p_task_id: taskId, p_status: toStatus });
+    } else {
+        result = await updateTask(taskId, { status: toStatus });
+    }
+    const workflow = await getWorkflow();
+    logActivity({ action: 'task_status_changed', entityType: 'task', entityId: taskId, details: `Moved task #${task.slNo} from ${formatStatusLabel(workflow, task.status)} to ${formatStatusLabel(workflow, toStatus)}` }).catch(() => {});
+    return result;
+}
+
+// In Supabase mode lifecycle changes go through RPCs, so Postgres (the
+// tasks_enforce_lifecycle trigger) decides who may make them
+async function callTaskRpc(fn, params) {
+    const { error } = await supabase.rpc(fn, params);
+    if (error) throw new Error(error.message);
+    return getTaskById(params.p_task_id);
+}
+
 export async function pickUpTask(taskId) {
-    const result = await updateTask(taskId, {
-        status: 'in_progress',
-        pickedUpAt: new Date().toISOString(),
-    });
+    await assertNotBlocked(taskId);
+    let result;
+    if (isSupabaseConfigured()) {
+        await assertTransition(await getTaskById(taskId), 'in_progress');
+        result = await callTaskRpc('pick_up_task', { p_task_id: taskId });
+    } else {
+        result = await updateTask(taskId, {
+            status: 'in_progress',
+            pickedUpAt: new Date().toISOString(),
+        });
+    }
     logActivity({ action: 'task_picked_up', entityType: 'task', entityId: taskId, details: `Picked up task #${result.slNo}` }).catch(() => {});
     return result;
 }
 
 export async function uploadCompletedCreative(taskId, creativeUrl) {
-    return updateTask(taskId, {
+    // Keep a creative uploaded before versioning existed as version 1
+    if (!isSupabaseConfigured()) await getCreativeVersions(taskId);
+    const result = await updateTask(taskId, {
         completedCreative: creativeUrl,
         completedCreativeAt: new Date().toISOString(),
     });
+    // Supabase records versions in the tasks_record_creative_version trigger
+    if (creativeUrl && !isSupabaseConfigured()) {
+        const user = await getCurrentUser();
+        recordLocalCreativeVersion(result, user ? user.id : null);
+    }
+    return result;
 }
 
 export async function submitTask(taskId) {
     const task = await getTaskById(taskId);
     if (!task) throw new Error('Task not found');
     if (!task.completedCreative) throw new Error('Please upload a completed creative before submitting');
-    const result = await updateTask(taskId, {
-        status: 'submitted',
-        submittedAt: new Date().toISOString(),
-    });
+    const openPins = (await getAnnotations(taskId)).filter(a => !a.resolvedAt);
+    if (openPins.length > 0) {
+        throw new Error(`Resolve ${openPins.length} open feedback pin${openPins.length > 1 ? 's' : ''} before submitting`);
+    }
+    let result;
+    if (isSupabaseConfigured()) {
+        await assertTransition(task, 'submitted');
+        result = await callTaskRpc('submit_task', { p_task_id: taskId });
+    } else {
+        result = await updateTask(taskId, {
+            status: 'submitted',
+            submittedAt: new Date().toISOString(),
+        });
+    }
 
     // Notify all admins
     try {
@@ -486,12 +655,23 @@ export async function submitTask(taskId) {
     return result;
 }
 
-export async function approveTask(taskId) {
+// `reviewer` is set when a client approves through a review link (local mode;
+// Supabase handles those in the submit_client_review RPC)
+export async function approveTask(taskId, { reviewer } = {}) {
     const task = await getTaskById(taskId);
-    const result = await updateTask(taskId, {
-        status: 'approved',
-        creativeStatus: 'Approved',
-    });
+    let result;
+    if (isSupabaseConfigured()) {
+        await assertTransition(task, 'approved');
+        result = await callTaskRpc('approve_task', { p_task_id: taskId });
+    } else if (reviewer) {
+        await assertTransition(task, 'approved', 'admin');
+        result = _approveTask(taskId);
+    } else {
+        result = await updateTask(taskId, {
+            status: 'approved',
+            creativeStatus: 'Approved',
+        });
+    }
 
     // Notify freelancer
     if (task && task.assignedTo) {
@@ -506,19 +686,30 @@ export async function approveTask(taskId) {
         } catch (e) { console.warn('Notification error:', e); }
     }
 
-    logActivity({ action: 'task_approved', entityType: 'task', entityId: taskId, details: `Approved task #${task.slNo} "${task.client}"` }).catch(() => {});
+    logActivity({
+        action: 'task_approved', entityType: 'task', entityId: taskId, actorName: reviewer,
+        details: reviewer
+            ? `Client approved task #${task.slNo} "${task.client}" via review link`
+            : `Approved task #${task.slNo} "${task.client}"`,
+    }).catch(() => {});
 
     return result;
 }
 
 export async function rejectTask(taskId, reason) {
     const task = await getTaskById(taskId);
-    const result = await updateTask(taskId, {
-        status: 'rejected',
-        creativeStatus: 'Rejected',
-        rejectedAt: new Date().toISOString(),
-        rejectionReason: reason || '',
-    });
+    let result;
+    if (isSupabaseConfigured()) {
+        await assertTransition(task, 'rejected');
+        result = await callTaskRpc('reject_task', { p_task_id: taskId, p_reason: reason || '' });
+    } else {
+        result = await updateTask(taskId, {
+            status: 'rejected',
+            creativeStatus: 'Rejected',
+            rejectedAt: new Date().toISOString(),
+            rejectionReason: reason || '',
+        });
+    }
 
     // Notify freelancer
     if (task && task.assignedTo) {
@@ -538,9 +729,25 @@ export async function rejectTask(taskId, reason) {
     return result;
 }
 
-export async function requestIteration(taskId, reason, blame) {
+// `reviewer` is set when a client requests changes through a review link
+export async function requestIteration(taskId, reason, blame, { reviewer } = {}) {
+    // Check before recording the iteration so a refused transition leaves no trace
+    await assertTransition(await getTaskById(taskId), 'iteration', reviewer ? 'admin' : null);
+
     if (!isSupabaseConfigured()) {
-        const result = _requestIteration(taskId, reason, blame);
+        let result = _requestIteration(taskId, reason, blame);
+        attachLocalAnnotations(taskId, result.iterations[result.iterations.length - 1].id);
+        // Client-caused rework adds a share of the base rate on top of the saved
+        // amount (the iterations trigger does this in Supabase); no rate, no charge
+        if (blame === 'client' && !result.amountOverridden) {
+            const { base } = await getTaskPrice(result);
+            if (base) {
+                const { clientIterationPercent } = getPricingModifiers(await getAgencySettings());
+                const charge = Math.round(base * clientIterationPercent) / 100;
+                result = _updateTask(taskId, { amount: Math.round(((parseFloat(result.amount) || 0) + charge) * 100) / 100 });
+            }
+        }
+        logActivity({ action: 'iteration_requested', entityType: 'task', entityId: taskId, actorName: reviewer, details: `Requested iteration on task #${result.slNo} "${result.client}" (blame: ${blame}). Reason: ${reason}` }).catch(() => {});
         // Notify freelancer
         if (result && result.assignedTo) {
             try {
@@ -559,28 +766,8 @@ export async function requestIteration(taskId, reason, blame) {
     const task = await getTaskById(taskId);
     if (!task) throw new Error('Task not found');
 
-    const iterNumber = (task.iterations || []).length + 1;
-
-    // Insert iteration record
-    const { error: iterError } = await supabase
-        .from('iterations')
-        .insert({
-            task_id: taskId,
-            number: iterNumber,
-            reason: reason,
-            blame: blame,
-            requested_at: new Date().toISOString(),
-        });
-
-    if (iterError) throw new Error(iterError.message);
-
-    // Update task status
-    const result = await updateTask(taskId, {
-        status: 'iteration',
-        creativeStatus: 'Iteration',
-        pickedUpAt: null,
-        submittedAt: null,
-    });
+    // Records the iteration and moves the task in one transaction
+    const result = await callTaskRpc('request_iteration', { p_task_id: taskId, p_reason: reason, p_blame: blame });
 
     // Notify freelancer
     if (task.assignedTo) {
@@ -660,16 +847,22 @@ export async function uploadCreativeFile(file, taskId, type) {
 export async function getStats(tasks) {
     // Stats are computed client-side from the provided tasks array
     const totalTasks = tasks.length;
-    const totalAmount = tasks.reduce((sum, t) => sum + (parseFloat(t.amount) || 0), 0);
+    // Tasks in one currency are totalled as is; a mix is converted to the base currency
+    const currencies = new Set(tasks.map(t => t.currency || DEFAULT_CURRENCY));
+    const converter = currencies.size > 1 ? await getCurrencyConverter() : null;
+    const currency = converter ? converter.baseCurrency : [...currencies][0] || DEFAULT_CURRENCY;
+    const totalAmount = tasks.reduce((sum, t) => sum + (converter
+        ? converter.toBase(t.amount, t.currency, t.date)
+        : parseFloat(t.amount) || 0), 0);
     const approved = tasks.filter(t => t.status === 'approved').length;
-    const pendingPayments = tasks.filter(t => t.paymentStatus === 'Unpaid' || t.paymentStatus === 'Pending').length;
+    const pendingPayments = tasks.filter(t => t.paymentStatus !== 'Paid').length;
     const totalIterations = tasks.reduce((sum, t) => sum + (t.iterations || []).length, 0);
     const inProgress = tasks.filter(t => t.status === 'in_progress').length;
     const submitted = tasks.filter(t => t.status === 'submitted').length;
     const assigned = tasks.filter(t => t.status === 'assigned').length;
 
     return {
-        totalTasks, totalAmount, approved, pendingPayments,
+        totalTasks, totalAmount, currency, approved, pendingPayments,
         totalIterations, inProgress, submitted, assigned,
     };
 }
@@ -802,11 +995,12 @@ function saveLocalActivityLog(log) {
     localStorage.setItem(LOCAL_ACTIVITY_KEY, JSON.stringify(log));
 }
 
-export async function logActivity({ action, entityType, entityId, details }) {
-    const user = await getCurrentUser();
+// `actorName` records someone outside the app (e.g. a client on a review link)
+export async function logActivity({ action, entityType, entityId, details, actorName }) {
+    const user = actorName ? null : await getCurrentUser();
     const entry = {
         userId: user ? user.id : null,
-        userName: user ? user.name : 'System',
+        userName: actorName || (user ? user.name : 'System'),
         action,
         entityType: entityType || 'task',
         entityId: entityId || null,
@@ -917,311 +1111,2955 @@ export async function deleteTaskComment(commentId) {
 }
 
 // ==========================================
-// Chat Messages
+// Task Subtasks (Checklist)
 // ==========================================
 
-const LOCAL_CHAT_KEY = 'crm_chat_messages';
+const LOCAL_SUBTASKS_KEY = 'crm_subtasks';
 
-function getLocalChatMessages() {
-    return JSON.parse(localStorage.getItem(LOCAL_CHAT_KEY) || '[]');
+function getLocalSubtasks() {
+    return JSON.parse(localStorage.getItem(LOCAL_SUBTASKS_KEY) || '[]');
 }
 
-function saveLocalChatMessages(msgs) {
-    localStorage.setItem(LOCAL_CHAT_KEY, JSON.stringify(msgs));
+function saveLocalSubtasks(subtasks) {
+    localStorage.setItem(LOCAL_SUBTASKS_KEY, JSON.stringify(subtasks));
 }
 
-export async function getChatMessages(limit = 100, recipientId = null) {
-    const user = await getCurrentUser();
-    if (!user) return [];
+// Checklist completion drives task progress. In Supabase mode the
+// task_subtasks_sync_progress trigger does this server-side.
+function syncLocalTaskProgress(taskId) {
+    if (!_getTaskById(taskId)) return;
+    const subtasks = getLocalSubtasks().filter(s => s.taskId === taskId);
+    const completed = subtasks.filter(s => s.completed).length;
+    // An emptied checklist resets progress rather than leaving the last percentage
+    _updateTask(taskId, { progress: subtasks.length ? Math.round((completed / subtasks.length) * 100) : 0 });
+}
 
+export async function getSubtasks(taskId) {
     if (!isSupabaseConfigured()) {
-        const msgs = getLocalChatMessages();
-        const filtered = recipientId
-            ? msgs.filter(m =>
-                (m.recipientId === recipientId && m.userId === user.id) ||
-                (m.userId === recipientId && m.recipientId === user.id)
-            )
-            : msgs.filter(m => !m.recipientId);
-        return filtered
-            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
-            .slice(-limit);
+        return getLocalSubtasks()
+            .filter(s => s.taskId === taskId)
+            .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0));
     }
 
-    let query = supabase
-        .from('chat_messages')
+    const { data, error } = await supabase
+        .from('task_subtasks')
         .select('*')
-        .order('created_at', { ascending: true })
-        .limit(limit);
-
-    if (recipientId) {
-        query = query.or(
-            `and(user_id.eq.${user.id},recipient_id.eq.${recipientId}),and(user_id.eq.${recipientId},recipient_id.eq.${user.id})`
-        );
-    } else {
-        query = query.is('recipient_id', null);
-    }
+        .eq('task_id', taskId)
+        .order('created_at', { ascending: true });
 
-    const { data, error } = await query;
     if (error) {
-        console.warn('Chat table not available:', error.message);
+        console.warn('Subtasks table not available:', error.message);
         return [];
     }
     return (data || []).map(toCamelCase);
 }
 
-export async function sendChatMessage(message, recipientId = null, attachment = null) {
-    const user = await getCurrentUser();
-    if (!user) throw new Error('Not logged in');
-
-    let recipientName = null;
-    if (recipientId) {
-        const recipient = await getUserById(recipientId);
-        recipientName = recipient ? recipient.name : 'Unknown';
+// Completed/total checklist counts keyed by task id, for list views
+export async function getSubtaskSummaries() {
+    let rows;
+    if (!isSupabaseConfigured()) {
+        rows = getLocalSubtasks();
+    } else {
+        const { data, error } = await supabase
+            .from('task_subtasks')
+            .select('task_id, completed');
+        if (error) {
+            console.warn('Subtasks table not available:', error.message);
+            return {};
+        }
+        rows = (data || []).map(toCamelCase);
     }
 
-    // Upload attachment to Supabase Storage if provided
-    let attachmentUrl = null;
-    let attachmentName = null;
-    if (attachment) {
-        attachmentName = attachment.name;
-        if (isSupabaseConfigured()) {
-            try {
-                const filePath = `chat/${Date.now()}_${attachment.name}`;
-                const { data: uploadData, error: uploadError } = await supabase.storage
-                    .from('creatives')
-                    .upload(filePath, attachment);
-                if (uploadError) throw uploadError;
-                const { data: urlData } = supabase.storage.from('creatives').getPublicUrl(filePath);
-                attachmentUrl = urlData.publicUrl;
-            } catch (e) {
-                // Fallback to data URL if storage upload fails
-                console.warn('Storage upload failed, using data URL fallback:', e);
-                attachmentUrl = await new Promise((resolve) => {
-                    const reader = new FileReader();
-                    reader.onload = () => resolve(reader.result);
-                    reader.readAsDataURL(attachment);
-                });
-            }
-        } else {
-            // localStorage fallback: store as data URL
-            attachmentUrl = await new Promise((resolve) => {
-                const reader = new FileReader();
-                reader.onload = () => resolve(reader.result);
-                reader.readAsDataURL(attachment);
-            });
-        }
+    const summaries = {};
+    for (const s of rows) {
+        if (!summaries[s.taskId]) summaries[s.taskId] = { completed: 0, total: 0 };
+        summaries[s.taskId].total++;
+        if (s.completed) summaries[s.taskId].completed++;
     }
+    return summaries;
+}
+
+export async function addSubtask(taskId, text) {
+    const user = await getCurrentUser();
+    if (!user) throw new Error('Not logged in');
 
     if (!isSupabaseConfigured()) {
-        const msgs = getLocalChatMessages();
-        const msg = {
+        const subtasks = getLocalSubtasks();
+        const subtask = {
             id: generateId(),
-            userId: user.id,
-            userName: user.name,
-            userRole: user.role,
-            message,
-            recipientId: recipientId || null,
-            recipientName,
-            attachmentUrl,
-            attachmentName,
+            taskId,
+            text,
+            completed: false,
+            completedBy: null,
+            completedAt: null,
+            createdBy: user.id,
             createdAt: new Date().toISOString(),
         };
-        msgs.push(msg);
-        saveLocalChatMessages(msgs);
-        return msg;
-    }
-
-    const insertData = {
-        user_id: user.id,
-        user_name: user.name,
-        user_role: user.role,
-        message,
-    };
-    if (recipientId) {
-        insertData.recipient_id = recipientId;
-        insertData.recipient_name = recipientName;
-    }
-    if (attachmentUrl) {
-        insertData.attachment_url = attachmentUrl;
-        insertData.attachment_name = attachmentName;
+        subtasks.push(subtask);
+        saveLocalSubtasks(subtasks);
+        syncLocalTaskProgress(taskId);
+        return subtask;
     }
 
-    let { data, error } = await supabase
-        .from('chat_messages')
-        .insert(insertData)
+    const { data, error } = await supabase
+        .from('task_subtasks')
+        .insert({ task_id: taskId, text, created_by: user.id })
         .select()
         .single();
 
-    // If insert fails and we had attachment columns, retry without them
-    // (in case the DB hasn't been migrated with attachment columns yet)
-    if (error && (insertData.attachment_url || insertData.attachment_name)) {
-        const fallbackData = { ...insertData };
-        delete fallbackData.attachment_url;
-        delete fallbackData.attachment_name;
-        if (attachmentUrl) {
-            fallbackData.message = (message || '') + (message ? '\n' : '') + `[Voice message attached]`;
-        }
-        const retry = await supabase
-            .from('chat_messages')
-            .insert(fallbackData)
-            .select()
-            .single();
-        data = retry.data;
-        error = retry.error;
-    }
-
     if (error) throw new Error(error.message);
     return toCamelCase(data);
 }
 
-function buildConversationList(messages, currentUserId) {
-    const convos = new Map();
-
-    // Team chat is always first
-    const teamMsgs = messages.filter(m => !m.recipientId);
-    const latestTeamMsg = teamMsgs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
-    convos.set('team', {
-        id: 'team',
-        name: 'Team Chat',
-        type: 'team',
-        lastMessage: latestTeamMsg || null,
-        lastMessageTime: latestTeamMsg?.createdAt || '1970-01-01',
-    });
-
-    // DM conversations: group by the "other" user
-    const dmMsgs = messages.filter(m => m.recipientId)
-        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-    for (const msg of dmMsgs) {
-        const otherId = msg.userId === currentUserId ? msg.recipientId : msg.userId;
-        const otherName = msg.userId === currentUserId ? msg.recipientName : msg.userName;
-        if (!convos.has(otherId)) {
-            convos.set(otherId, {
-                id: otherId,
-                name: otherName || 'Unknown',
-                type: 'dm',
-                lastMessage: msg,
-                lastMessageTime: msg.createdAt,
-            });
-        }
-    }
-
-    const result = Array.from(convos.values());
-    result.sort((a, b) => {
-        if (a.type === 'team') return -1;
-        if (b.type === 'team') return 1;
-        return new Date(b.lastMessageTime) - new Date(a.lastMessageTime);
-    });
-    return result;
-}
-
-export async function getChatConversations() {
+export async function toggleSubtask(subtaskId) {
     const user = await getCurrentUser();
-    if (!user) return [];
+    if (!user) throw new Error('Not logged in');
 
     if (!isSupabaseConfigured()) {
-        const msgs = getLocalChatMessages();
-        return buildConversationList(msgs, user.id);
+        const subtasks = getLocalSubtasks();
+        const subtask = subtasks.find(s => s.id === subtaskId);
+        if (!subtask) throw new Error('Checklist item not found');
+        subtask.completed = !subtask.completed;
+        subtask.completedBy = subtask.completed ? user.id : null;
+        subtask.completedAt = subtask.completed ? new Date().toISOString() : null;
+        saveLocalSubtasks(subtasks);
+        syncLocalTaskProgress(subtask.taskId);
+        return subtask;
     }
 
-    const { data, error } = await supabase
-        .from('chat_messages')
-        .select('*')
-        .or(`recipient_id.is.null,user_id.eq.${user.id},recipient_id.eq.${user.id}`)
-        .order('created_at', { ascending: false })
-        .limit(500);
+    const { data: current, error: fetchError } = await supabase
+        .from('task_subtasks')
+        .select('completed')
+        .eq('id', subtaskId)
+        .single();
 
-    if (error) {
-        console.warn('Chat conversations error:', error.message);
-        return [];
+    if (fetchError) throw new Error(fetchError.message);
+
+    const completed = !current.completed;
+    const { data, error } = await supabase
+        .from('task_subtasks')
+        .update({
+            completed,
+            completed_by: completed ? user.id : null,
+            completed_at: completed ? new Date().toISOString() : null,
+        })
+        .eq('id', subtaskId)
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    return toCamelCase(data);
+}
+
+export async function deleteSubtask(subtaskId) {
+    if (!isSupabaseConfigured()) {
+        const subtasks = getLocalSubtasks();
+        const subtask = subtasks.find(s => s.id === subtaskId);
+        saveLocalSubtasks(subtasks.filter(s => s.id !== subtaskId));
+        if (subtask) syncLocalTaskProgress(subtask.taskId);
+        return;
     }
-    return buildConversationList((data || []).map(toCamelCase), user.id);
+
+    const { error } = await supabase
+        .from('task_subtasks')
+        .delete()
+        .eq('id', subtaskId);
+
+    if (error) throw new Error(error.message);
 }
 
 // ==========================================
-// Payment Transactions
+// Task Expenses (reimbursements)
 // ==========================================
+// Claimed by the freelancer with a receipt, approved or rejected by an admin.
+// Approved expenses add to what the task owes (tasks.expense_amount, kept by
+// the task_expenses_sync_task trigger in Supabase mode).
 
-export async function createPaymentTransaction(data) {
-    if (!isSupabaseConfigured()) {
-        // localStorage fallback
-        const txns = JSON.parse(localStorage.getItem('crm_payment_transactions') || '[]');
-        const txn = {
-            id: crypto.randomUUID(),
-            ...data,
-            createdAt: new Date().toISOString(),
-        };
-        txns.unshift(txn);
-        localStorage.setItem('crm_payment_transactions', JSON.stringify(txns));
-        return txn;
-    }
+const LOCAL_TASK_EXPENSES_KEY = 'crm_task_expenses';
 
-    const { data: result, error } = await supabase
-        .from('payment_transactions')
-        .insert([toSnakeCase(data)])
-        .select()
-        .single();
+function getLocalTaskExpenses() {
+    return JSON.parse(localStorage.getItem(LOCAL_TASK_EXPENSES_KEY) || '[]');
+}
 
-    if (error) throw new Error(error.message);
-    return toCamelCase(result);
+function saveLocalTaskExpenses(expenses) {
+    localStorage.setItem(LOCAL_TASK_EXPENSES_KEY, JSON.stringify(expenses));
 }
 
-export async function getPaymentTransactions(freelancerId = null, limit = 100) {
+function syncLocalTaskExpenses(taskId) {
+    const expenseAmount = getLocalTaskExpenses()
+        .filter(e => e.taskId === taskId && e.status === 'approved')
+        .reduce((s, e) => s + e.amount, 0);
+    _updateTask(taskId, { expenseAmount });
+    if (getLocalAllocations().some(a => a.taskId === taskId)) syncLocalTaskPayments([taskId]);
+}
+
+// Newest first; filters by taskId, freelancerId and/or status
+export async function getTaskExpenses({ taskId = null, freelancerId = null, status = null } = {}) {
     if (!isSupabaseConfigured()) {
-        let txns = JSON.parse(localStorage.getItem('crm_payment_transactions') || '[]');
-        if (freelancerId) txns = txns.filter(t => t.freelancerId === freelancerId);
-        return txns.slice(0, limit);
+        return getLocalTaskExpenses()
+            .filter(e => (!taskId || e.taskId === taskId) && (!freelancerId || e.freelancerId === freelancerId) && (!status || e.status === status))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
     }
 
     let query = supabase
-        .from('payment_transactions')
+        .from('task_expenses')
         .select('*')
-        .order('created_at', { ascending: false })
-        .limit(limit);
-
+        .order('created_at', { ascending: false });
+    if (taskId) query = query.eq('task_id', taskId);
     if (freelancerId) query = query.eq('freelancer_id', freelancerId);
+    if (status) query = query.eq('status', status);
 
     const { data, error } = await query;
     if (error) {
-        console.warn('Payment transactions table not available:', error.message);
+        console.warn('Task expenses table not available:', error.message);
         return [];
     }
     return (data || []).map(toCamelCase);
 }
 
-export async function getActivityLog(limit = 100) {
+// The receipt goes through the creatives bucket like any other task file
+export async function addTaskExpense(taskId, { category = 'other', description = '', amount, receipt = null }) {
+    const user = await getCurrentUser();
+    if (!user) throw new Error('Not logged in');
+    const task = await getTaskById(taskId);
+    if (!task) throw new Error('Task not found');
+    if (!task.assignedTo) throw new Error('Assign the task before recording expenses');
+    if (!EXPENSE_CATEGORIES[category]) throw new Error('Choose an expense category');
+    if (!description.trim()) throw new Error('Describe what was bought');
+    amount = Math.round((parseFloat(amount) || 0) * 100) / 100;
+    if (amount <= 0) throw new Error('Enter the amount paid');
+    if (!receipt) throw new Error('Attach the receipt');
+
+    const receiptUrl = await uploadCreativeFile(receipt, taskId, 'receipt') || await new Promise((resolve) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.readAsDataURL(receipt);
+    });
+    const freelancer = task.assignedTo === user.id ? user : await getUserById(task.assignedTo);
+    const expense = {
+        taskId,
+        freelancerId: task.assignedTo,
+        freelancerName: freelancer?.name || '',
+        category,
+        description: description.trim(),
+        amount,
+        receiptUrl,
+        receiptName: receipt.name,
+        status: 'pending',
+    };
+
+    let result;
     if (!isSupabaseConfigured()) {
-        return getLocalActivityLog()
-            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-            .slice(0, limit);
+        result = { id: generateId(), ...expense, createdAt: new Date().toISOString() };
+        const expenses = getLocalTaskExpenses();
+        expenses.push(result);
+        saveLocalTaskExpenses(expenses);
+    } else {
+        const { data, error } = await supabase
+            .from('task_expenses')
+            .insert(toSnakeCase(expense))
+            .select()
+            .single();
+        if (error) throw new Error(error.message);
+        result = toCamelCase(data);
+    }
+
+    const money = formatMoney(amount, task.currency);
+    try {
+        const admins = await getAdmins();
+        for (const admin of admins) {
+            await createNotification({
+                userId: admin.id,
+                type: 'expense',
+                title: 'Expense Claimed',
+                message: `${result.freelancerName} claimed ${money} for "${result.description}" on task #${task.slNo}.`,
+                taskId,
+            });
+        }
+    } catch (e) { console.warn('Notification error:', e); }
+
+    logActivity({ action: 'expense_claimed', entityType: 'task', entityId: taskId, details: `Claimed ${money} (${EXPENSE_CATEGORIES[category]}) on task #${task.slNo} "${task.client}"` }).catch(() => {});
+    return result;
+}
+
+// Admins approve or reject; either can be reversed while the expense is unbilled
+export async function reviewTaskExpense(expenseId, status, reason = '') {
+    const user = await getCurrentUser();
+    if (!['approved', 'rejected'].includes(status)) throw new Error('Invalid expense status');
+    if (status === 'rejected' && !reason.trim()) throw new Error('Give a reason for rejecting the expense');
+
+    const expense = (await getTaskExpenses()).find(e => e.id === expenseId);
+    if (!expense) throw new Error('Expense not found');
+    const task = await getTaskById(expense.taskId);
+    if (status === 'rejected' && expense.status === 'approved' && taskPaidAmount(task) > taskPayable(task) - expense.amount + 0.005) {
+        throw new Error('This expense has already been paid out');
+    }
+    // A task already marked paid owes the newly approved expense
+    if (status === 'approved' && task && task.paymentStatus === 'Paid') {
+        await updateTask(task.id, { paidAmount: taskPaidAmount(task), paymentStatus: 'Partial' });
+    }
+
+    const review = {
+        status,
+        reviewedBy: user.id,
+        reviewedByName: user.name,
+        reviewedAt: new Date().toISOString(),
+        rejectionReason: status === 'rejected' ? reason.trim() : null,
+    };
+
+    let result;
+    if (!isSupabaseConfigured()) {
+        const expenses = getLocalTaskExpenses();
+        result = Object.assign(expenses.find(e => e.id === expenseId), review);
+        saveLocalTaskExpenses(expenses);
+        syncLocalTaskExpenses(expense.taskId);
+    } else {
+        const { data, error } = await supabase
+            .from('task_expenses')
+            .update(toSnakeCase(review))
+            .eq('id', expenseId)
+            .select()
+            .single();
+        if (error) throw new Error(error.message);
+        result = toCamelCase(data);
+    }
+
+    const money = formatMoney(expense.amount, task?.currency);
+    if (expense.freelancerId) {
+        createNotification({
+            userId: expense.freelancerId,
+            type: 'expense',
+            title: status === 'approved' ? 'Expense Approved' : 'Expense Rejected',
+            message: status === 'approved'
+                ? `Your ${money} expense "${expense.description}" will be reimbursed with task #${task?.slNo}.`
+                : `Your ${money} expense "${expense.description}" was rejected: ${reason.trim()}`,
+            taskId: expense.taskId,
+        }).catch(e => console.warn('Notification error:', e));
+    }
+    logActivity({ action: `expense_${status}`, entityType: 'task', entityId: expense.taskId, details: `${status === 'approved' ? 'Approved' : 'Rejected'} ${money} expense "${expense.description}" from ${expense.freelancerName}` }).catch(() => {});
+    return result;
+}
+
+// Freelancers can withdraw a claim until it is reviewed
+export async function deleteTaskExpense(expenseId) {
+    if (!isSupabaseConfigured()) {
+        const expenses = getLocalTaskExpenses();
+        const expense = expenses.find(e => e.id === expenseId);
+        if (expense && expense.status !== 'pending') throw new Error('Only pending expenses can be withdrawn');
+        saveLocalTaskExpenses(expenses.filter(e => e.id !== expenseId));
+        return;
     }
 
+    const { error } = await supabase
+        .from('task_expenses')
+        .delete()
+        .eq('id', expenseId)
+        .eq('status', 'pending');
+
+    if (error) throw new Error(error.message);
+}
+
+// ==========================================
+// Task Dependencies (finish-to-start)
+// ==========================================
+// A task waits on its predecessors until each one is approved; pickUpTask
+// refuses to start it before then (pick_up_task checks too in Supabase mode).
+
+const LOCAL_TASK_DEPENDENCIES_KEY = 'crm_task_dependencies';
+
+function getLocalTaskDependencies() {
+    return JSON.parse(localStorage.getItem(LOCAL_TASK_DEPENDENCIES_KEY) || '[]');
+}
+
+function saveLocalTaskDependencies(dependencies) {
+    localStorage.setItem(LOCAL_TASK_DEPENDENCIES_KEY, JSON.stringify(dependencies));
+}
+
+export async function getTaskDependencies() {
+    if (!isSupabaseConfigured()) return getLocalTaskDependencies();
+
     const { data, error } = await supabase
-        .from('activity_log')
+        .from('task_dependencies')
+        .select('*');
+
+    if (error) {
+        console.warn('Task dependencies table not available:', error.message);
+        return [];
+    }
+    return (data || []).map(toCamelCase);
+}
+
+export async function addTaskDependency(taskId, predecessorId) {
+    const dependencies = await getTaskDependencies();
+    if (dependencies.some(d => d.taskId === taskId && d.predecessorId === predecessorId)) return;
+    if (createsDependencyCycle(dependencies, taskId, predecessorId)) {
+        throw new Error('That would make these tasks wait on each other');
+    }
+    const [task, predecessor] = await Promise.all([getTaskById(taskId), getTaskById(predecessorId)]);
+    if (!task || !predecessor) throw new Error('Task not found');
+
+    const user = await getCurrentUser();
+    const dependency = { taskId, predecessorId, createdBy: user ? user.id : null };
+    if (!isSupabaseConfigured()) {
+        dependencies.push({ ...dependency, createdAt: new Date().toISOString() });
+        saveLocalTaskDependencies(dependencies);
+    } else {
+        const { error } = await supabase
+            .from('task_dependencies')
+            .insert(toSnakeCase(dependency));
+        if (error) throw new Error(error.message);
+    }
+    logActivity({ action: 'dependency_added', entityType: 'task', entityId: taskId, details: `Task #${task.slNo} now waits on task #${predecessor.slNo}` }).catch(() => {});
+}
+
+export async function removeTaskDependency(taskId, predecessorId) {
+    if (!isSupabaseConfigured()) {
+        saveLocalTaskDependencies(getLocalTaskDependencies().filter(d => !(d.taskId === taskId && d.predecessorId === predecessorId)));
+    } else {
+        const { error } = await supabase
+            .from('task_dependencies')
+            .delete()
+            .eq('task_id', taskId)
+            .eq('predecessor_id', predecessorId);
+        if (error) throw new Error(error.message);
+    }
+    const [task, predecessor] = await Promise.all([getTaskById(taskId), getTaskById(predecessorId)]);
+    logActivity({ action: 'dependency_removed', entityType: 'task', entityId: taskId, details: `Task #${task?.slNo} no longer waits on task #${predecessor?.slNo}` }).catch(() => {});
+}
+
+// taskId → predecessors ({ id, slNo, client, status }) that aren't approved yet.
+// Freelancers can't read other people's tasks, so Supabase mode asks the
+// task_blockers() RPC, which only reports on the caller's own tasks.
+export async function getTaskBlockers() {
+    if (!isSupabaseConfigured()) {
+        const blocked = findBlockedTasks(await getTasks(), getLocalTaskDependencies());
+        return Object.fromEntries(Object.entries(blocked)
+            .map(([taskId, tasks]) => [taskId, tasks.map(t => ({ id: t.id, slNo: t.slNo, client: t.client, status: t.status }))]));
+    }
+
+    const { data, error } = await supabase.rpc('task_blockers');
+    if (error) {
+        console.warn('Task dependencies not available:', error.message);
+        return {};
+    }
+    const blocked = {};
+    for (const row of data || []) {
+        (blocked[row.task_id] = blocked[row.task_id] || []).push({
+            id: row.predecessor_id, slNo: row.predecessor_sl_no, client: row.predecessor_client, status: row.predecessor_status,
+        });
+    }
+    return blocked;
+}
+
+// ==========================================
+// Creative Versions
+// ==========================================
+
+const LOCAL_CREATIVE_VERSIONS_KEY = 'crm_creative_versions';
+
+function getLocalCreativeVersions() {
+    return JSON.parse(localStorage.getItem(LOCAL_CREATIVE_VERSIONS_KEY) || '[]');
+}
+
+function saveLocalCreativeVersions(versions) {
+    localStorage.setItem(LOCAL_CREATIVE_VERSIONS_KEY, JSON.stringify(versions));
+}
+
+function latestIterationId(task) {
+    const iterations = task.iterations || [];
+    return iterations.length > 0 ? iterations[iterations.length - 1].id : null;
+}
+
+function recordLocalCreativeVersion(task, uploadedBy) {
+    const versions = getLocalCreativeVersions();
+    const own = versions.filter(v => v.taskId === task.id);
+    versions.push({
+        id: generateId(),
+        taskId: task.id,
+        versionNumber: own.reduce((max, v) => Math.max(max, v.versionNumber), 0) + 1,
+        url: task.completedCreative,
+        iterationId: latestIterationId(task),
+        uploadedBy,
+        uploadedAt: task.completedCreativeAt || new Date().toISOString(),
+    });
+    saveLocalCreativeVersions(versions);
+}
+
+// Oldest first. Creatives uploaded before versioning existed show up as version 1.
+export async function getCreativeVersions(taskId) {
+    if (!isSupabaseConfigured()) {
+        let versions = getLocalCreativeVersions().filter(v => v.taskId === taskId);
+        if (versions.length === 0) {
+            const task = _getTaskById(taskId);
+            if (!task || !task.completedCreative) return [];
+            recordLocalCreativeVersion(task, task.assignedTo || null);
+            versions = getLocalCreativeVersions().filter(v => v.taskId === taskId);
+        }
+        return versions.sort((a, b) => a.versionNumber - b.versionNumber);
+    }
+
+    const { data, error } = await supabase
+        .from('creative_versions')
         .select('*')
-        .order('created_at', { ascending: false })
-        .limit(limit);
+        .eq('task_id', taskId)
+        .order('version_number', { ascending: true });
 
     if (error) {
-        console.warn('Activity log table not available:', error.message);
+        console.warn('Creative versions table not available:', error.message);
         return [];
     }
     return (data || []).map(toCamelCase);
 }
 
 // ==========================================
-// Projects (localStorage only for now)
+// Creative Annotations (feedback pins)
 // ==========================================
 
-export async function getProjects() { return _getProjects(); }
-export async function getProjectById(id) { return _getProjectById(id); }
-export async function getProjectsByClient(clientName) { return _getProjectsByClient(clientName); }
-export async function addProject(data) { return _addProject(data); }
-export async function updateProject(id, data) { return _updateProject(id, data); }
-export async function deleteProject(id) { return _deleteProject(id); }
+const LOCAL_ANNOTATIONS_KEY = 'crm_creative_annotations';
+
+function getLocalAnnotations() {
+    return JSON.parse(localStorage.getItem(LOCAL_ANNOTATIONS_KEY) || '[]');
+}
+
+function saveLocalAnnotations(annotations) {
+    localStorage.setItem(LOCAL_ANNOTATIONS_KEY, JSON.stringify(annotations));
+}
+
+// Pins dropped since the last iteration belong to the next one
+// (Supabase does this in the iterations_attach_annotations trigger)
+function attachLocalAnnotations(taskId, iterationId) {
+    const annotations = getLocalAnnotations();
+    annotations
+        .filter(a => a.taskId === taskId && !a.iterationId)
+        .forEach(a => { a.iterationId = iterationId; });
+    saveLocalAnnotations(annotations);
+}
+
+// All pins on a task, across versions. x / y are percentages of the image size.
+export async function getAnnotations(taskId) {
+    if (!isSupabaseConfigured()) {
+        return getLocalAnnotations()
+            .filter(a => a.taskId === taskId)
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    const { data, error } = await supabase
+        .from('creative_annotations')
+        .select('*')
+        .eq('task_id', taskId)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        console.warn('Annotations table not available:', error.message);
+        return [];
+    }
+    return (data || []).map(toCamelCase);
+}
+
+export async function addAnnotation({ taskId, versionId, x, y, comment }) {
+    const user = await getCurrentUser();
+    if (!user) throw new Error('Not logged in');
+    if (!(await isAdmin())) throw new Error('Only admins can add feedback pins');
+    if (!comment || !comment.trim()) throw new Error('Please enter a comment for the pin');
+
+    const existing = (await getAnnotations(taskId)).filter(a => a.versionId === versionId);
+    const annotation = {
+        taskId,
+        versionId,
+        number: existing.reduce((max, a) => Math.max(max, a.number), 0) + 1,
+        x: Math.min(100, Math.max(0, x)),
+        y: Math.min(100, Math.max(0, y)),
+        comment: comment.trim(),
+        createdBy: user.id,
+    };
+
+    if (!isSupabaseConfigured()) {
+        const annotations = getLocalAnnotations();
+        const created = { id: generateId(), ...annotation, iterationId: null, resolvedAt: null, resolvedBy: null, createdAt: new Date().toISOString() };
+        annotations.push(created);
+        saveLocalAnnotations(annotations);
+        return created;
+    }
+
+    const { data, error } = await supabase
+        .from('creative_annotations')
+        .insert(toSnakeCase(annotation))
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    return toCamelCase(data);
+}
+
+export async function setAnnotationResolved(annotationId, resolved) {
+    const user = await getCurrentUser();
+    if (!user) throw new Error('Not logged in');
+    const changes = {
+        resolvedAt: resolved ? new Date().toISOString() : null,
+        resolvedBy: resolved ? user.id : null,
+    };
+
+    if (!isSupabaseConfigured()) {
+        const annotations = getLocalAnnotations();
+        const annotation = annotations.find(a => a.id === annotationId);
+        if (!annotation) throw new Error('Pin not found');
+        Object.assign(annotation, changes);
+        saveLocalAnnotations(annotations);
+        return annotation;
+    }
+
+    const { data, error } = await supabase
+        .from('creative_annotations')
+        .update(toSnakeCase(changes))
+        .eq('id', annotationId)
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    return toCamelCase(data);
+}
+
+export async function deleteAnnotation(annotationId) {
+    if (!isSupabaseConfigured()) {
+        saveLocalAnnotations(getLocalAnnotations().filter(a => a.id !== annotationId));
+        return;
+    }
+
+    const { error } = await supabase
+        .from('creative_annotations')
+        .delete()
+        .eq('id', annotationId);
+
+    if (error) throw new Error(error.message);
+}
 
 // ==========================================
-// Agency Settings (localStorage only for now)
+// Time Entries
 // ==========================================
 
-export async function getAgencySettings() { return _getAgencySettings(); }
-export async function updateAgencySettings(data) { return _updateAgencySettings(data); }
+const LOCAL_TIME_ENTRIES_KEY = 'crm_time_entries';
+
+function getLocalTimeEntries() {
+    return JSON.parse(localStorage.getItem(LOCAL_TIME_ENTRIES_KEY) || '[]');
+}
+
+function saveLocalTimeEntries(entries) {
+    localStorage.setItem(LOCAL_TIME_ENTRIES_KEY, JSON.stringify(entries));
+}
+
+// Logged hours roll up into task.actualHours. In Supabase mode the
+// time_entries_sync_actual_hours trigger does this server-side.
+function syncLocalTaskActualHours(taskId) {
+    const logged = getLocalTimeEntries().filter(e => e.taskId === taskId && !(e.startedAt && !e.endedAt));
+    const total = logged.reduce((sum, e) => sum + (e.hours || 0), 0);
+    try {
+        _updateTask(taskId, { actualHours: logged.length > 0 ? Math.round(total * 100) / 100 : null });
+    } catch (e) { console.warn('Actual hours sync error:', e); }
+}
+
+function isRunningEntry(entry) {
+    return !!entry.startedAt && !entry.endedAt;
+}
+
+export async function getTimeEntries({ userId } = {}) {
+    if (!isSupabaseConfigured()) {
+        return getLocalTimeEntries()
+            .filter(e => !userId || e.userId === userId)
+            .sort((a, b) => new Date(b.date) - new Date(a.date));
+    }
+
+    let query = supabase
+        .from('time_entries')
+        .select('*')
+        .order('date', { ascending: false });
+    if (userId) query = query.eq('user_id', userId);
+
+    const { data, error } = await query;
+    if (error) {
+        console.warn('Time entries table not available:', error.message);
+        return [];
+    }
+    return (data || []).map(e => ({ ...toCamelCase(e), hours: parseFloat(e.hours) || 0 }));
+}
+
+export async function getRunningTimer() {
+    const user = await getCurrentUser();
+    if (!user) return null;
+    const entries = await getTimeEntries({ userId: user.id });
+    return entries.find(isRunningEntry) || null;
+}
+
+export async function startTimer(taskId) {
+    const user = await getCurrentUser();
+    if (!user) throw new Error('Not logged in');
+    if (await getRunningTimer()) throw new Error('A timer is already running');
+
+    const now = new Date().toISOString();
+
+    if (!isSupabaseConfigured()) {
+        const entries = getLocalTimeEntries();
+        const entry = {
+            id: generateId(),
+            taskId,
+            userId: user.id,
+            userName: user.name,
+            hours: 0,
+            description: 'Timer entry',
+            date: now,
+            startedAt: now,
+            endedAt: null,
+        };
+        entries.push(entry);
+        saveLocalTimeEntries(entries);
+        return entry;
+    }
+
+    const { data, error } = await supabase
+        .from('time_entries')
+        .insert({
+            task_id: taskId,
+            user_id: user.id,
+            user_name: user.name,
+            description: 'Timer entry',
+            date: now,
+            started_at: now,
+        })
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    return toCamelCase(data);
+}
+
+export async function stopTimer() {
+    const running = await getRunningTimer();
+    if (!running) throw new Error('No timer is running');
+
+    const endedAt = new Date().toISOString();
+    const hours = Math.round(((new Date(endedAt) - new Date(running.startedAt)) / 3600000) * 100) / 100;
+
+    if (!isSupabaseConfigured()) {
+        const entries = getLocalTimeEntries();
+        const entry = entries.find(e => e.id === running.id);
+        entry.endedAt = endedAt;
+        entry.hours = hours;
+        saveLocalTimeEntries(entries);
+        syncLocalTaskActualHours(entry.taskId);
+        return entry;
+    }
+
+    const { data, error } = await supabase
+        .from('time_entries')
+        .update({ ended_at: endedAt, hours })
+        .eq('id', running.id)
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    return { ...toCamelCase(data), hours };
+}
+
+export async function addTimeEntry({ taskId, hours, description }) {
+    const user = await getCurrentUser();
+    if (!user) throw new Error('Not logged in');
+
+    if (!isSupabaseConfigured()) {
+        const entries = getLocalTimeEntries();
+        const entry = {
+            id: generateId(),
+            taskId,
+            userId: user.id,
+            userName: user.name,
+            hours,
+            description: description || '',
+            date: new Date().toISOString(),
+            startedAt: null,
+            endedAt: null,
+        };
+        entries.push(entry);
+        saveLocalTimeEntries(entries);
+        syncLocalTaskActualHours(taskId);
+        return entry;
+    }
+
+    const { data, error } = await supabase
+        .from('time_entries')
+        .insert({
+            task_id: taskId,
+            user_id: user.id,
+            user_name: user.name,
+            hours,
+            description: description || '',
+        })
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    return { ...toCamelCase(data), hours };
+}
+
+export async function deleteTimeEntry(entryId) {
+    if (!isSupabaseConfigured()) {
+        const entries = getLocalTimeEntries();
+        const entry = entries.find(e => e.id === entryId);
+        saveLocalTimeEntries(entries.filter(e => e.id !== entryId));
+        if (entry) syncLocalTaskActualHours(entry.taskId);
+        return;
+    }
+
+    const { error } = await supabase
+        .from('time_entries')
+        .delete()
+        .eq('id', entryId);
+
+    if (error) throw new Error(error.message);
+}
+
+// ==========================================
+// Chat Messages
+// ==========================================
+
+const LOCAL_CHAT_KEY = 'crm_chat_messages';
+
+function getLocalChatMessages() {
+    return JSON.parse(localStorage.getItem(LOCAL_CHAT_KEY) || '[]');
+}
+
+function saveLocalChatMessages(msgs) {
+    localStorage.setItem(LOCAL_CHAT_KEY, JSON.stringify(msgs));
+}
+
+export async function getChatMessages(limit = 100, recipientId = null) {
+    const user = await getCurrentUser();
+    if (!user) return [];
+
+    if (!isSupabaseConfigured()) {
+        const msgs = getLocalChatMessages();
+        const filtered = recipientId
+            ? msgs.filter(m =>
+                (m.recipientId === recipientId && m.userId === user.id) ||
+                (m.userId === recipientId && m.recipientId === user.id)
+            )
+            : msgs.filter(m => !m.recipientId);
+        return filtered
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+            .slice(-limit);
+    }
+
+    let query = supabase
+        .from('chat_messages')
+        .select('*')
+        .order('created_at', { ascending: true })
+        .limit(limit);
+
+    if (recipientId) {
+        query = query.or(
+            `and(user_id.eq.${user.id},recipient_id.eq.${recipientId}),and(user_id.eq.${recipientId},recipient_id.eq.${user.id})`
+        );
+    } else {
+        query = query.is('recipient_id', null);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+        console.warn('Chat table not available:', error.message);
+        return [];
+    }
+    return (data || []).map(toCamelCase);
+}
+
+export async function sendChatMessage(message, recipientId = null, attachment = null) {
+    const user = await getCurrentUser();
+    if (!user) throw new Error('Not logged in');
+
+    let recipientName = null;
+    if (recipientId) {
+        const recipient = await getUserById(recipientId);
+        recipientName = recipient ? recipient.name : 'Unknown';
+    }
+
+    // Upload attachment to Supabase Storage if provided
+    let attachmentUrl = null;
+    let attachmentName = null;
+    if (attachment) {
+        attachmentName = attachment.name;
+        if (isSupabaseConfigured()) {
+            try {
+                const filePath = `chat/${Date.now()}_${attachment.name}`;
+                const { data: uploadData, error: uploadError } = await supabase.storage
+                    .from('creatives')
+                    .upload(filePath, attachment);
+                if (uploadError) throw uploadError;
+                const { data: urlData } = supabase.storage.from('creatives').getPublicUrl(filePath);
+                attachmentUrl = urlData.publicUrl;
+            } catch (e) {
+                // Fallback to data URL if storage upload fails
+                console.warn('Storage upload failed, using data URL fallback:', e);
+                attachmentUrl = await new Promise((resolve) => {
+                    const reader = new FileReader();
+                    reader.onload = () => resolve(reader.result);
+                    reader.readAsDataURL(attachment);
+                });
+            }
+        } else {
+            // localStorage fallback: store as data URL
+            attachmentUrl = await new Promise((resolve) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.readAsDataURL(attachment);
+            });
+        }
+    }
+
+    if (!isSupabaseConfigured()) {
+        const msgs = getLocalChatMessages();
+        const msg = {
+            id: generateId(),
+            userId: user.id,
+            userName: user.name,
+            userRole: user.role,
+            message,
+            recipientId: recipientId || null,
+            recipientName,
+            attachmentUrl,
+            attachmentName,
+            createdAt: new Date().toISOString(),
+        };
+        msgs.push(msg);
+        saveLocalChatMessages(msgs);
+        return msg;
+    }
+
+    const insertData = {
+        user_id: user.id,
+        user_name: user.name,
+        user_role: user.role,
+        message,
+    };
+    if (recipientId) {
+        insertData.recipient_id = recipientId;
+        insertData.recipient_name = recipientName;
+    }
+    if (attachmentUrl) {
+        insertData.attachment_url = attachmentUrl;
+        insertData.attachment_name = attachmentName;
+    }
+
+    let { data, error } = await supabase
+        .from('chat_messages')
+        .insert(insertData)
+        .select()
+        .single();
+
+    // If insert fails and we had attachment columns, retry without them
+    // (in case the DB hasn't been migrated with attachment columns yet)
+    if (error && (insertData.attachment_url || insertData.attachment_name)) {
+        const fallbackData = { ...insertData };
+        delete fallbackData.attachment_url;
+        delete fallbackData.attachment_name;
+        if (attachmentUrl) {
+            fallbackData.message = (message || '') + (message ? '\n' : '') + `[Voice message attached]`;
+        }
+        const retry = await supabase
+            .from('chat_messages')
+            .insert(fallbackData)
+            .select()
+            .single();
+        data = retry.data;
+        error = retry.error;
+    }
+
+    if (error) throw new Error(error.message);
+    return toCamelCase(data);
+}
+
+function buildConversationList(messages, currentUserId) {
+    const convos = new Map();
+
+    // Team chat is always first
+    const teamMsgs = messages.filter(m => !m.recipientId);
+    const latestTeamMsg = teamMsgs.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+    convos.set('team', {
+        id: 'team',
+        name: 'Team Chat',
+        type: 'team',
+        lastMessage: latestTeamMsg || null,
+        lastMessageTime: latestTeamMsg?.createdAt || '1970-01-01',
+    });
+
+    // DM conversations: group by the "other" user
+    const dmMsgs = messages.filter(m => m.recipientId)
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    for (const msg of dmMsgs) {
+        const otherId = msg.userId === currentUserId ? msg.recipientId : msg.userId;
+        const otherName = msg.userId === currentUserId ? msg.recipientName : msg.userName;
+        if (!convos.has(otherId)) {
+            convos.set(otherId, {
+                id: otherId,
+                name: otherName || 'Unknown',
+                type: 'dm',
+                lastMessage: msg,
+                lastMessageTime: msg.createdAt,
+            });
+        }
+    }
+
+    const result = Array.from(convos.values());
+    result.sort((a, b) => {
+        if (a.type === 'team') return -1;
+        if (b.type === 'team') return 1;
+        return new Date(b.lastMessageTime) - new Date(a.lastMessageTime);
+    });
+    return result;
+}
+
+export async function getChatConversations() {
+    const user = await getCurrentUser();
+    if (!user) return [];
+
+    if (!isSupabaseConfigured()) {
+        const msgs = getLocalChatMessages();
+        return buildConversationList(msgs, user.id);
+    }
+
+    const { data, error } = await supabase
+        .from('chat_messages')
+        .select('*')
+        .or(`recipient_id.is.null,user_id.eq.${user.id},recipient_id.eq.${user.id}`)
+        .order('created_at', { ascending: false })
+        .limit(500);
+
+    if (error) {
+        console.warn('Chat conversations error:', error.message);
+        return [];
+    }
+    return buildConversationList((data || []).map(toCamelCase), user.id);
+}
+
+// ==========================================
+// Payment Transactions
+// ==========================================
+
+export async function createPaymentTransaction(data) {
+    if (!isSupabaseConfigured()) {
+        // localStorage fallback
+        const txns = JSON.parse(localStorage.getItem('crm_payment_transactions') || '[]');
+        const txn = {
+            id: crypto.randomUUID(),
+            ...data,
+            createdAt: new Date().toISOString(),
+        };
+        txns.unshift(txn);
+        localStorage.setItem('crm_payment_transactions', JSON.stringify(txns));
+        return txn;
+    }
+
+    const { data: result, error } = await supabase
+        .from('payment_transactions')
+        .insert([toSnakeCase(data)])
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    return toCamelCase(result);
+}
+
+export async function getPaymentTransactions(freelancerId = null, limit = 100) {
+    if (!isSupabaseConfigured()) {
+        let txns = JSON.parse(localStorage.getItem('crm_payment_transactions') || '[]');
+        if (freelancerId) txns = txns.filter(t => t.freelancerId === freelancerId);
+        return txns.slice(0, limit);
+    }
+
+    let query = supabase
+        .from('payment_transactions')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (freelancerId) query = query.eq('freelancer_id', freelancerId);
+
+    const { data, error } = await query;
+    if (error) {
+        console.warn('Payment transactions table not available:', error.message);
+        return [];
+    }
+    return (data || []).map(toCamelCase);
+}
+
+// ---- Freelancer payouts (RazorpayX) ----
+// Payouts are created by the razorpay-create-payout edge function and move
+// through queued → processing → processed via webhook or status polls; tasks
+// only turn Paid once processed. Local mode has no bank on the other end, so
+// payouts are recorded as processed straight away.
+
+const LOCAL_PAYOUT_ACCOUNTS_KEY = 'crm_payout_accounts';
+
+export async function getPayoutAccount(freelancerId) {
+    if (!isSupabaseConfigured()) {
+        return JSON.parse(localStorage.getItem(LOCAL_PAYOUT_ACCOUNTS_KEY) || '{}')[freelancerId] || null;
+    }
+
+    const { data, error } = await supabase
+        .from('freelancer_payout_accounts')
+        .select('*')
+        .eq('freelancer_id', freelancerId)
+        .maybeSingle();
+
+    if (error) {
+        console.warn('Payout accounts table not available:', error.message);
+        return null;
+    }
+    return data ? toCamelCase(data) : null;
+}
+
+// Admin view: freelancerId → payout account
+export async function getPayoutAccounts() {
+    if (!isSupabaseConfigured()) {
+        return JSON.parse(localStorage.getItem(LOCAL_PAYOUT_ACCOUNTS_KEY) || '{}');
+    }
+
+    const { data, error } = await supabase
+        .from('freelancer_payout_accounts')
+        .select('*');
+
+    if (error) {
+        console.warn('Payout accounts table not available:', error.message);
+        return {};
+    }
+    return Object.fromEntries((data || []).map(row => [row.freelancer_id, toCamelCase(row)]));
+}
+
+export async function savePayoutAccount(freelancerId, account) {
+    const details = {
+        method: account.method,
+        accountName: account.method === 'bank' ? (account.accountName || '').trim() : '',
+        accountNumber: account.method === 'bank' ? (account.accountNumber || '').replace(/\s/g, '') : '',
+        ifsc: account.method === 'bank' ? (account.ifsc || '').trim().toUpperCase() : '',
+        upiId: account.method === 'upi' ? (account.upiId || '').trim() : '',
+        pan: (account.pan || '').trim().toUpperCase(),
+    };
+    const invalid = validatePayoutAccount(details);
+    if (invalid) throw new Error(invalid);
+
+    if (!isSupabaseConfigured()) {
+        const accounts = JSON.parse(localStorage.getItem(LOCAL_PAYOUT_ACCOUNTS_KEY) || '{}');
+        accounts[freelancerId] = { freelancerId, ...details, updatedAt: new Date().toISOString() };
+        localStorage.setItem(LOCAL_PAYOUT_ACCOUNTS_KEY, JSON.stringify(accounts));
+        return accounts[freelancerId];
+    }
+
+    const { data, error } = await supabase
+        .from('freelancer_payout_accounts')
+        .upsert(toSnakeCase({ freelancerId, ...details }))
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    return toCamelCase(data);
+}
+
+export async function createPayout(freelancerId) {
+    if (!isSupabaseConfigured()) {
+        const freelancer = await getUserById(freelancerId);
+        if (!(await getPayoutAccount(freelancerId))) {
+            throw new Error(`${freelancer?.name || 'This freelancer'} has not added bank or UPI details yet`);
+        }
+        const held = await inFlightTaskAmounts(freelancerId);
+        // RazorpayX only moves rupees; other currencies are recorded by hand
+        const allocations = (await getTasksByFreelancer(freelancerId))
+            .filter(t => (t.currency || DEFAULT_CURRENCY) === 'INR')
+            .map(t => ({ taskId: t.id, amount: taskBalance(t) - (held[t.id] || 0) }))
+            .filter(a => a.amount > 0);
+        const total = allocations.reduce((s, a) => s + a.amount, 0);
+        if (allocations.length === 0 || total <= 0) throw new Error('No pending payments');
+
+        const txn = await recordPayment({
+            freelancerId,
+            amount: total,
+            allocations,
+            status: 'processed',
+            notes: `Payout for ${allocations.length} task(s) (local mode — no transfer made)`,
+        });
+        return { transactionId: txn.id, status: txn.status, amount: total, tdsAmount: txn.tdsAmount, netAmount: txn.netAmount, taskCount: allocations.length, freelancerName: txn.freelancerName };
+    }
+
+    const response = await supabase.functions.invoke('razorpay-create-payout', {
+        body: { freelancerId },
+    });
+
+    if (response.error) throw new Error(response.error.message || 'Failed to create payout');
+    return response.data;
+}
+
+export async function refreshPayoutStatus(transactionId) {
+    if (!isSupabaseConfigured()) return null;
+
+    const response = await supabase.functions.invoke('razorpay-payout-status', {
+        body: { transactionId },
+    });
+
+    if (response.error) throw new Error(response.error.message || 'Failed to fetch payout status');
+    return response.data;
+}
+
+// ---- Allocations ----
+// A payment's amount is allocated against individual tasks, so one payment
+// can part-pay several tasks. Whatever is left unallocated is an advance.
+// In Supabase the payment_allocations triggers keep tasks.paid_amount and
+// payment_status in step; local mode does the same in syncLocalTaskPayments.
+
+const LOCAL_ALLOCATIONS_KEY = 'crm_payment_allocations';
+
+function getLocalAllocations() {
+    return JSON.parse(localStorage.getItem(LOCAL_ALLOCATIONS_KEY) || '[]');
+}
+
+function syncLocalTaskPayments(taskIds) {
+    const allocations = getLocalAllocations();
+    const settled = new Set(JSON.parse(localStorage.getItem('crm_payment_transactions') || '[]')
+        .filter(txn => SETTLED_PAYMENT_STATUSES.includes(txn.status))
+        .map(txn => txn.id));
+    for (const taskId of new Set(taskIds)) {
+        const task = _getTaskById(taskId);
+        if (!task) continue;
+        const paid = allocations
+            .filter(a => a.taskId === taskId && settled.has(a.transactionId))
+            .reduce((s, a) => s + a.amount, 0);
+        _updateTask(taskId, { paidAmount: paid, paymentStatus: allocatedPaymentStatus(task, paid) });
+    }
+}
+
+export async function getPaymentAllocations(freelancerId = null) {
+    if (!isSupabaseConfigured()) {
+        const allocations = getLocalAllocations();
+        return freelancerId ? allocations.filter(a => a.freelancerId === freelancerId) : allocations;
+    }
+
+    let query = supabase
+        .from('payment_allocations')
+        .select('*')
+        .order('created_at', { ascending: true });
+
+    if (freelancerId) query = query.eq('freelancer_id', freelancerId);
+
+    const { data, error } = await query;
+    if (error) {
+        console.warn('Payment allocations table not available:', error.message);
+        return [];
+    }
+    return (data || []).map(toCamelCase);
+}
+
+function assertAllocations(amount, allocations, tasks, currency = DEFAULT_CURRENCY) {
+    const allocated = allocations.reduce((s, a) => s + a.amount, 0);
+    if (!(amount > 0)) throw new Error('Payment amount must be greater than 0');
+    if (allocated > amount + 0.005) throw new Error('Allocations exceed the payment amount');
+    for (const a of allocations) {
+        const task = tasks.find(t => t.id === a.taskId);
+        if (!task) throw new Error('Task not found');
+        if ((task.currency || DEFAULT_CURRENCY) !== currency) throw new Error(`Task #${task.slNo} is billed in ${task.currency}, not ${currency}`);
+        if (a.amount > taskBalance(task) + 0.005) throw new Error(`Task #${task.slNo} only has ${formatMoney(taskBalance(task), currency)} outstanding`);
+    }
+}
+
+// Records a payment made outside RazorpayX (bank transfer, cash, advance).
+// TDS is only deducted from INR payments.
+export async function recordPayment({ freelancerId, amount, currency = DEFAULT_CURRENCY, allocations = [], reference = '', notes = '', status = 'success' }) {
+    amount = Math.round((parseFloat(amount) || 0) * 100) / 100;
+    allocations = allocations
+        .map(a => ({ taskId: a.taskId, amount: Math.round((parseFloat(a.amount) || 0) * 100) / 100 }))
+        .filter(a => a.amount > 0);
+    const tasks = await getTasksByFreelancer(freelancerId);
+    assertAllocations(amount, allocations, tasks, currency);
+
+    const freelancer = await getUserById(freelancerId);
+    const user = await getCurrentUser();
+    const allocated = allocations.reduce((s, a) => s + a.amount, 0);
+    const description = notes || (allocations.length === 0
+        ? 'Advance payment'
+        : `Paid against ${allocations.length} task(s)${amount > allocated ? ` + ${formatMoney(amount - allocated, currency)} advance` : ''}`);
+
+    const { settings, prior } = await getTdsContext(freelancerId);
+    const tds = calculateTds(amount, currency === 'INR' ? settings : null, prior);
+
+    const txn = await createPaymentTransaction({
+        freelancerId,
+        freelancerName: freelancer?.name || '',
+        paidBy: user.id,
+        paidByName: user.name,
+        amount,
+        currency,
+        status,
+        taskIds: allocations.map(a => a.taskId),
+        notes: reference.trim() ? `${description} — ref ${reference.trim()}` : description,
+        tdsSection: tds.section,
+        tdsRate: tds.rate,
+        tdsAmount: tds.tds,
+        netAmount: tds.net,
+    });
+
+    await addAllocations(txn, allocations);
+    const deducted = tds.tds > 0 ? ` (TDS ₹${tds.tds.toLocaleString('en-IN')} under ${tds.section})` : '';
+    logActivity({ action: 'payment_recorded', entityType: 'payment', entityId: txn.id, details: `Recorded ${formatMoney(amount, currency)} paid to "${txn.freelancerName}"${deducted}` }).catch(() => {});
+    return txn;
+}
+
+async function addAllocations(txn, allocations) {
+    if (allocations.length === 0) return;
+    const rows = allocations.map(a => ({
+        transactionId: txn.id,
+        taskId: a.taskId,
+        freelancerId: txn.freelancerId,
+        amount: a.amount,
+    }));
+
+    if (!isSupabaseConfigured()) {
+        const createdAt = new Date().toISOString();
+        localStorage.setItem(LOCAL_ALLOCATIONS_KEY, JSON.stringify([
+            ...getLocalAllocations(),
+            ...rows.map(row => ({ id: crypto.randomUUID(), ...row, createdAt })),
+        ]));
+        syncLocalTaskPayments(rows.map(row => row.taskId));
+        return;
+    }
+
+    const { error } = await supabase
+        .from('payment_allocations')
+        .insert(rows.map(toSnakeCase));
+    if (error) throw new Error(error.message);
+}
+
+// Works an advance off against the freelancer's oldest outstanding tasks
+export async function applyAdvance(transactionId) {
+    const txn = (await getPaymentTransactions(null, 1000)).find(t => t.id === transactionId);
+    if (!txn) throw new Error('Payment not found');
+    if (!SETTLED_PAYMENT_STATUSES.includes(txn.status)) throw new Error('Only settled payments can be applied');
+
+    let remaining = unallocatedAmount(txn, await getPaymentAllocations(txn.freelancerId));
+    if (remaining <= 0) throw new Error('Nothing left of this payment to apply');
+
+    const outstanding = (await getTasksByFreelancer(txn.freelancerId))
+        .filter(t => taskBalance(t) > 0 && (t.currency || DEFAULT_CURRENCY) === (txn.currency || DEFAULT_CURRENCY))
+        .sort((a, b) => new Date(a.date || a.createdAt) - new Date(b.date || b.createdAt));
+    const allocations = [];
+    for (const task of outstanding) {
+        if (remaining <= 0) break;
+        const amount = Math.min(taskBalance(task), remaining);
+        allocations.push({ taskId: task.id, amount });
+        remaining = Math.round((remaining - amount) * 100) / 100;
+    }
+    if (allocations.length === 0) throw new Error('No outstanding tasks to apply this advance to');
+
+    await addAllocations(txn, allocations);
+    return { applied: allocations.reduce((s, a) => s + a.amount, 0), currency: txn.currency || DEFAULT_CURRENCY, taskCount: allocations.length, remaining };
+}
+
+// One ledger per currency; tasks and payments in other currencies are left out
+export async function getFreelancerLedger(freelancerId, currency = DEFAULT_CURRENCY) {
+    const [tasks, transactions, allocations] = await Promise.all([
+        getTasksByFreelancer(freelancerId),
+        getPaymentTransactions(freelancerId, 1000),
+        getPaymentAllocations(freelancerId),
+    ]);
+    const inCurrency = item => (item.currency || DEFAULT_CURRENCY) === currency;
+    return { ...buildFreelancerLedger(tasks.filter(inCurrency), transactions.filter(inCurrency), allocations), currency };
+}
+
+// ---- TDS (sections 194C / 194J) ----
+// Rates are configured per freelancer by admins. `amount` on a transaction is
+// always the gross that settles tasks; tds_amount is withheld and net_amount
+// is what gets transferred. razorpay-create-payout applies the same rules
+// server-side (supabase/functions/_shared/tds.ts).
+
+const LOCAL_TDS_SETTINGS_KEY = 'crm_tds_settings';
+
+export async function getTdsSettings(freelancerId) {
+    if (!isSupabaseConfigured()) {
+        return JSON.parse(localStorage.getItem(LOCAL_TDS_SETTINGS_KEY) || '{}')[freelancerId] || null;
+    }
+
+    const { data, error } = await supabase
+        .from('freelancer_tds_settings')
+        .select('*')
+        .eq('freelancer_id', freelancerId)
+        .maybeSingle();
+
+    if (error) {
+        console.warn('TDS settings table not available:', error.message);
+        return null;
+    }
+    return data ? toCamelCase(data) : null;
+}
+
+// Admin view: freelancerId → TDS settings
+export async function getAllTdsSettings() {
+    if (!isSupabaseConfigured()) {
+        return JSON.parse(localStorage.getItem(LOCAL_TDS_SETTINGS_KEY) || '{}');
+    }
+
+    const { data, error } = await supabase
+        .from('freelancer_tds_settings')
+        .select('*');
+
+    if (error) {
+        console.warn('TDS settings table not available:', error.message);
+        return {};
+    }
+    return Object.fromEntries((data || []).map(row => [row.freelancer_id, toCamelCase(row)]));
+}
+
+export async function saveTdsSettings(freelancerId, { section, rate }) {
+    section = TDS_SECTIONS[section] ? section : null;
+    rate = section ? parseFloat(rate) : 0;
+    if (section && (isNaN(rate) || rate < 0 || rate > 100)) throw new Error('TDS rate must be between 0 and 100');
+
+    if (!isSupabaseConfigured()) {
+        const all = JSON.parse(localStorage.getItem(LOCAL_TDS_SETTINGS_KEY) || '{}');
+        all[freelancerId] = { freelancerId, section, rate, updatedAt: new Date().toISOString() };
+        localStorage.setItem(LOCAL_TDS_SETTINGS_KEY, JSON.stringify(all));
+        return all[freelancerId];
+    }
+
+    const { data, error } = await supabase
+        .from('freelancer_tds_settings')
+        .upsert(toSnakeCase({ freelancerId, section, rate }))
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    return toCamelCase(data);
+}
+
+// What calculateTds needs for the freelancer's next payment: their settings
+// (with whether a PAN is on file) and this financial year's payouts so far.
+// In-flight payouts count, since their TDS has already been withheld.
+export async function getTdsContext(freelancerId, date = new Date()) {
+    const [tdsSettings, account, transactions] = await Promise.all([
+        getTdsSettings(freelancerId),
+        getPayoutAccount(freelancerId),
+        getPaymentTransactions(freelancerId, 1000),
+    ]);
+    const fiscalYear = financialYear(date);
+    const prior = transactions
+        .filter(txn => txn.direction !== 'receipt'
+            && (txn.currency || DEFAULT_CURRENCY) === 'INR'
+            && [...SETTLED_PAYMENT_STATUSES, ...PAYOUT_IN_FLIGHT].includes(txn.status)
+            && financialYear(txn.createdAt) === fiscalYear)
+        .reduce((sum, txn) => ({
+            gross: sum.gross + (parseFloat(txn.amount) || 0),
+            tds: sum.tds + (parseFloat(txn.tdsAmount) || 0),
+        }), { gross: 0, tds: 0 });
+    return {
+        settings: tdsSettings ? { ...tdsSettings, hasPan: !!account?.pan } : null,
+        prior,
+    };
+}
+
+export async function getTdsStatement(fiscalYear, quarter, freelancerId = null) {
+    const [transactions, accounts] = await Promise.all([
+        getPaymentTransactions(freelancerId, 5000),
+        freelancerId ? getPayoutAccount(freelancerId).then(a => (a ? { [freelancerId]: a } : {})) : getPayoutAccounts(),
+    ]);
+    return buildTdsStatement(transactions, fiscalYear, quarter)
+        .map(row => ({ ...row, pan: accounts[row.freelancerId]?.pan || '' }));
+}
+
+// ---- Bank payout batches ----
+// For agencies paying through net banking rather than RazorpayX. The admin
+// uploads the generated file to the bank by hand, so each freelancer's
+// payment waits as 'pending' until the batch is marked settled with the
+// bank's reference. Pending payments hold their tasks' balances meanwhile.
+
+const LOCAL_PAYOUT_BATCHES_KEY = 'crm_payout_batches';
+
+// taskId → amount already riding on a payment that hasn't settled
+async function inFlightTaskAmounts(freelancerId) {
+    const [transactions, allocations] = await Promise.all([
+        getPaymentTransactions(freelancerId, 1000),
+        getPaymentAllocations(freelancerId),
+    ]);
+    const inFlight = new Set(transactions.filter(txn => PAYOUT_IN_FLIGHT.includes(txn.status)).map(txn => txn.id));
+    const held = {};
+    allocations
+        .filter(a => inFlight.has(a.transactionId))
+        .forEach(a => { held[a.taskId] = (held[a.taskId] || 0) + (parseFloat(a.amount) || 0); });
+    return held;
+}
+
+export async function getPayoutBatches(limit = 50) {
+    if (!isSupabaseConfigured()) {
+        return JSON.parse(localStorage.getItem(LOCAL_PAYOUT_BATCHES_KEY) || '[]').slice(0, limit);
+    }
+
+    const { data, error } = await supabase
+        .from('payout_batches')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) {
+        console.warn('Payout batches table not available:', error.message);
+        return [];
+    }
+    return (data || []).map(toCamelCase);
+}
+
+// Builds the bank file for the chosen freelancers' outstanding balances and
+// records one pending transaction (with TDS) per freelancer. Freelancers with
+// no bank account or nothing due are left out and reported in `skipped`.
+export async function createPayoutBatch({ bank, freelancerIds }) {
+    if (!BANK_PAYOUT_FORMATS[bank]) throw new Error('Choose a bank file format');
+    if (!freelancerIds?.length) throw new Error('Select at least one freelancer');
+
+    const agency = await getAgencySettings();
+    const debitAccount = (agency.payoutDebitAccount || '').replace(/\s/g, '');
+    if (bank === 'icici' && !debitAccount) throw new Error('Add the payout debit account in Settings first');
+
+    const id = crypto.randomUUID();
+    const batchRef = id.slice(0, 8).toUpperCase();
+    const accounts = await getPayoutAccounts();
+    const entries = [];
+    const skipped = [];
+
+    for (const freelancerId of freelancerIds) {
+        const freelancer = await getUserById(freelancerId);
+        const name = freelancer?.name || 'Unknown';
+        const account = accounts[freelancerId];
+        if (account?.method !== 'bank') {
+            skipped.push(`${name} (no bank account on file)`);
+            continue;
+        }
+
+        // Domestic bank files carry rupees only
+        const held = await inFlightTaskAmounts(freelancerId);
+        const allocations = (await getTasksByFreelancer(freelancerId))
+            .filter(t => (t.currency || DEFAULT_CURRENCY) === 'INR')
+            .map(t => ({ taskId: t.id, amount: Math.round((taskBalance(t) - (held[t.id] || 0)) * 100) / 100 }))
+            .filter(a => a.amount > 0);
+        const gross = Math.round(allocations.reduce((s, a) => s + a.amount, 0) * 100) / 100;
+        if (gross <= 0) {
+            skipped.push(`${name} (nothing due)`);
+            continue;
+        }
+
+        const { settings, prior } = await getTdsContext(freelancerId);
+        const tds = calculateTds(gross, settings, prior);
+        entries.push({ freelancerId, name, account, allocations, tds, reference: `${batchRef}-${entries.length + 1}` });
+    }
+    if (entries.length === 0) throw new Error(`Nothing to pay: ${skipped.join(', ')}`);
+
+    const file = buildBankPayoutFile(bank, entries.map(e => ({
+        accountName: e.account.accountName,
+        accountNumber: e.account.accountNumber,
+        ifsc: e.account.ifsc,
+        amount: e.tds.net,
+        reference: e.reference,
+        email: '',
+    })), { debitAccount, batchRef });
+
+    const user = await getCurrentUser();
+    const batch = {
+        id,
+        bank,
+        fileName: file.fileName,
+        fileContent: file.content,
+        status: 'pending',
+        totalAmount: Math.round(entries.reduce((s, e) => s + e.tds.net, 0) * 100) / 100,
+        freelancerCount: entries.length,
+        createdBy: user.id,
+        createdByName: user.name,
+    };
+
+    let saved;
+    if (!isSupabaseConfigured()) {
+        saved = { ...batch, bankReference: null, createdAt: new Date().toISOString(), settledAt: null };
+        localStorage.setItem(LOCAL_PAYOUT_BATCHES_KEY, JSON.stringify([saved, ...JSON.parse(localStorage.getItem(LOCAL_PAYOUT_BATCHES_KEY) || '[]')]));
+    } else {
+        const { data, error } = await supabase
+            .from('payout_batches')
+            .insert(toSnakeCase(batch))
+            .select()
+            .single();
+        if (error) throw new Error(error.message);
+        saved = toCamelCase(data);
+    }
+
+    for (const entry of entries) {
+        const txn = await createPaymentTransaction({
+            freelancerId: entry.freelancerId,
+            freelancerName: entry.name,
+            paidBy: user.id,
+            paidByName: user.name,
+            amount: entry.tds.gross,
+            currency: 'INR',
+            status: 'pending',
+            batchId: id,
+            taskIds: entry.allocations.map(a => a.taskId),
+            notes: `Bank batch ${batchRef} (${bank.toUpperCase()}) for ${entry.allocations.length} task(s) — ref ${entry.reference}`,
+            tdsSection: entry.tds.section,
+            tdsRate: entry.tds.rate,
+            tdsAmount: entry.tds.tds,
+            netAmount: entry.tds.net,
+        });
+        await addAllocations(txn, entry.allocations);
+    }
+
+    logActivity({ action: 'payout_batch_created', entityType: 'payment', entityId: id, details: `Generated ${bank.toUpperCase()} payout batch ${batchRef} for ${entries.length} freelancer(s), ₹${saved.totalAmount.toLocaleString('en-IN')}` }).catch(() => {});
+    return { batch: saved, skipped };
+}
+
+// Moves a pending batch and its transactions to settled / cancelled together
+async function closePayoutBatch(batchId, batchStatus, txnStatus, changes = {}) {
+    const now = new Date().toISOString();
+
+    if (!isSupabaseConfigured()) {
+        const batches = JSON.parse(localStorage.getItem(LOCAL_PAYOUT_BATCHES_KEY) || '[]');
+        const batch = batches.find(b => b.id === batchId);
+        if (!batch || batch.status !== 'pending') throw new Error('Only pending batches can be updated');
+        Object.assign(batch, { status: batchStatus, ...changes });
+        localStorage.setItem(LOCAL_PAYOUT_BATCHES_KEY, JSON.stringify(batches));
+
+        const txns = JSON.parse(localStorage.getItem('crm_payment_transactions') || '[]');
+        const taskIds = [];
+        txns.filter(txn => txn.batchId === batchId && txn.status === 'pending').forEach(txn => {
+            Object.assign(txn, { status: txnStatus, statusUpdatedAt: now, ...(changes.bankReference ? { utr: changes.bankReference } : {}) });
+            taskIds.push(...(txn.taskIds || []));
+        });
+        localStorage.setItem('crm_payment_transactions', JSON.stringify(txns));
+        syncLocalTaskPayments(taskIds);
+        return batch;
+    }
+
+    const { data: batch, error } = await supabase
+        .from('payout_batches')
+        .update({ status: batchStatus, ...toSnakeCase(changes) })
+        .eq('id', batchId)
+        .eq('status', 'pending')
+        .select()
+        .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!batch) throw new Error('Only pending batches can be updated');
+
+    // The payment_transactions_sync_tasks trigger settles the allocated tasks
+    const { error: txnError } = await supabase
+        .from('payment_transactions')
+        .update({ status: txnStatus, status_updated_at: now, ...(changes.bankReference ? { utr: changes.bankReference } : {}) })
+        .eq('batch_id', batchId)
+        .eq('status', 'pending');
+    if (txnError) throw new Error(txnError.message);
+    return toCamelCase(batch);
+}
+
+export async function settlePayoutBatch(batchId, bankReference) {
+    bankReference = (bankReference || '').trim();
+    if (!bankReference) throw new Error('Enter the bank reference for this batch');
+    const batch = await closePayoutBatch(batchId, 'settled', 'success', { bankReference, settledAt: new Date().toISOString() });
+    logActivity({ action: 'payout_batch_settled', entityType: 'payment', entityId: batchId, details: `Marked payout batch ${batchId.slice(0, 8).toUpperCase()} settled (bank ref ${bankReference})` }).catch(() => {});
+    return batch;
+}
+
+// For a file the bank rejected or that was never uploaded; releases its tasks
+export async function cancelPayoutBatch(batchId) {
+    const batch = await closePayoutBatch(batchId, 'cancelled', 'cancelled');
+    logActivity({ action: 'payout_batch_cancelled', entityType: 'payment', entityId: batchId, details: `Cancelled payout batch ${batchId.slice(0, 8).toUpperCase()}` }).catch(() => {});
+    return batch;
+}
+
+export async function getActivityLog(limit = 100) {
+    if (!isSupabaseConfigured()) {
+        return getLocalActivityLog()
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+            .slice(0, limit);
+    }
+
+    const { data, error } = await supabase
+        .from('activity_log')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+    if (error) {
+        console.warn('Activity log table not available:', error.message);
+        return [];
+    }
+    return (data || []).map(toCamelCase);
+}
+
+// ==========================================
+// Clients
+// ==========================================
+
+export async function getClients() {
+    if (!isSupabaseConfigured()) return _getClients();
+
+    const { data, error } = await supabase
+        .from('clients')
+        .select('*')
+        .order('name', { ascending: true });
+
+    if (error) throw new Error(error.message);
+    return (data || []).map(toCamelCase);
+}
+
+export async function getClientById(id) {
+    if (!isSupabaseConfigured()) return _getClientById(id);
+
+    const { data, error } = await supabase
+        .from('clients')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+    if (error) return null;
+    return data ? toCamelCase(data) : null;
+}
+
+export async function addClient(clientData) {
+    if (!isSupabaseConfigured()) {
+        const result = _addClient(clientData);
+        logActivity({ action: 'client_created', entityType: 'client', entityId: result.id, details: `Created client "${result.name}"` }).catch(() => {});
+        return result;
+    }
+
+    const { data, error } = await supabase
+        .from('clients')
+        .insert({
+            name: (clientData.name || '').trim(),
+            contact_person: clientData.contactPerson || '',
+            email: clientData.email || '',
+            phone: clientData.phone || '',
+            company: clientData.company || '',
+            notes: clientData.notes || '',
+            rates: clientData.rates || {},
+            gstin: (clientData.gstin || '').trim().toUpperCase(),
+            state: clientData.state || '',
+            address: clientData.address || '',
+            currency: clientData.currency || DEFAULT_CURRENCY,
+        })
+        .select()
+        .single();
+
+    if (error) throw new Error(error.code === '23505' ? 'Client with this name already exists' : error.message);
+    const client = toCamelCase(data);
+    logActivity({ action: 'client_created', entityType: 'client', entityId: client.id, details: `Created client "${client.name}"` }).catch(() => {});
+    return client;
+}
+
+export async function updateClient(id, clientData) {
+    if (!isSupabaseConfigured()) {
+        const result = _updateClient(id, clientData);
+        logActivity({ action: 'client_updated', entityType: 'client', entityId: id, details: `Updated client "${result.name}"` }).catch(() => {});
+        return result;
+    }
+
+    const snakeData = toSnakeCase(clientData);
+    delete snakeData.id;
+    delete snakeData.created_at;
+
+    // Linked tasks pick up a renamed client via the clients_sync_task_names trigger
+    const { data, error } = await supabase
+        .from('clients')
+        .update(snakeData)
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) throw new Error(error.code === '23505' ? 'Client with this name already exists' : error.message);
+    const client = toCamelCase(data);
+    logActivity({ action: 'client_updated', entityType: 'client', entityId: id, details: `Updated client "${client.name}"` }).catch(() => {});
+    return client;
+}
+
+export async function deleteClient(id) {
+    if (!isSupabaseConfigured()) {
+        _deleteClient(id);
+        logActivity({ action: 'client_deleted', entityType: 'client', entityId: id, details: `Deleted client` }).catch(() => {});
+        return;
+    }
+
+    const { error } = await supabase
+        .from('clients')
+        .delete()
+        .eq('id', id);
+
+    if (error) throw new Error(error.message);
+    logActivity({ action: 'client_deleted', entityType: 'client', entityId: id, details: `Deleted client` }).catch(() => {});
+}
+
+export async function findOrCreateClient(name) {
+    if (!isSupabaseConfigured()) return _findOrCreateClient(name);
+
+    const trimmed = (name || '').trim();
+    const { data: existing, error } = await supabase
+        .from('clients')
+        .select('*')
+        .ilike('name', trimmed.replace(/[\\%_]/g, m => `\\${m}`))
+        .limit(1);
+
+    if (error) throw new Error(error.message);
+    if (existing && existing.length > 0) return toCamelCase(existing[0]);
+    return addClient({ name: trimmed });
+}
+
+// ==========================================
+// Projects
+// ==========================================
+
+// Resolve a project's client to a client record (by id, else by name)
+async function linkProjectClient(data) {
+    if (data.clientId) {
+        const client = await getClientById(data.clientId);
+        return { ...data, client: client ? client.name : (data.client || '') };
+    }
+    if (data.client) {
+        const client = await findOrCreateClient(data.client);
+        return { ...data, client: client.name, clientId: client.id };
+    }
+    return data;
+}
+
+// Resolve a task's project to a project record, keeping the display name in sync
+async function linkTaskProject(data) {
+    if (data.projectId !== undefined) {
+        const project = data.projectId ? await getProjectById(data.projectId) : null;
+        return { ...data, projectId: project ? project.id : null, project: project ? project.name : '' };
+    }
+    if (data.project !== undefined) {
+        const project = data.project ? await getProjectByName(data.project) : null;
+        return { ...data, projectId: project ? project.id : null, project: project ? project.name : '' };
+    }
+    return data;
+}
+
+export async function getProjects() {
+    if (!isSupabaseConfigured()) return _getProjects();
+
+    const { data, error } = await supabase
+        .from('projects')
+        .select('*')
+        .order('created_at', { ascending: true });
+
+    if (error) throw new Error(error.message);
+    return (data || []).map(toCamelCase);
+}
+
+export async function getProjectById(id) {
+    if (!isSupabaseConfigured()) return _getProjectById(id);
+
+    const { data, error } = await supabase
+        .from('projects')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+    if (error) return null;
+    return data ? toCamelCase(data) : null;
+}
+
+export async function getProjectByName(name) {
+    if (!isSupabaseConfigured()) return _getProjectByName(name);
+
+    const { data, error } = await supabase
+        .from('projects')
+        .select('*')
+        .ilike('name', (name || '').trim().replace(/[\\%_]/g, m => `\\${m}`))
+        .limit(1);
+
+    if (error) throw new Error(error.message);
+    return data && data.length > 0 ? toCamelCase(data[0]) : null;
+}
+
+export async function getProjectsByClient(clientName) {
+    if (!isSupabaseConfigured()) return _getProjectsByClient(clientName);
+
+    const projects = await getProjects();
+    return projects.filter(p => (p.client || '').toLowerCase() === (clientName || '').toLowerCase());
+}
+
+export async function addProject(projectData) {
+    projectData = await linkProjectClient(projectData);
+    if (!isSupabaseConfigured()) return _addProject(projectData);
+
+    const { data, error } = await supabase
+        .from('projects')
+        .insert({
+            name: projectData.name || '',
+            client: projectData.client || '',
+            client_id: projectData.clientId || null,
+            type: projectData.type || 'One-Time',
+            start_date: projectData.startDate || null,
+            end_date: projectData.endDate || null,
+            status: projectData.status || 'Active',
+            notes: projectData.notes || '',
+            budget: projectData.budget ?? null,
+            monthly_quota: projectData.monthlyQuota ?? null,
+        })
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    return toCamelCase(data);
+}
+
+export async function updateProject(id, projectData) {
+    projectData = await linkProjectClient(projectData);
+    if (!isSupabaseConfigured()) return _updateProject(id, projectData);
+
+    const snakeData = toSnakeCase(projectData);
+    delete snakeData.id;
+    delete snakeData.created_at;
+
+    // Linked tasks pick up a renamed project via the projects_sync_task_names trigger
+    const { data, error } = await supabase
+        .from('projects')
+        .update(snakeData)
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    return toCamelCase(data);
+}
+
+export async function deleteProject(id) {
+    if (!isSupabaseConfigured()) {
+        _deleteProject(id);
+        saveLocalMilestones(getLocalMilestones().filter(m => m.projectId !== id));
+        return;
+    }
+
+    const { error } = await supabase
+        .from('projects')
+        .delete()
+        .eq('id', id);
+
+    if (error) throw new Error(error.message);
+}
+
+// ==========================================
+// Project Milestones
+// ==========================================
+
+const LOCAL_MILESTONES_KEY = 'crm_project_milestones';
+
+function getLocalMilestones() {
+    return JSON.parse(localStorage.getItem(LOCAL_MILESTONES_KEY) || '[]');
+}
+
+function saveLocalMilestones(milestones) {
+    localStorage.setItem(LOCAL_MILESTONES_KEY, JSON.stringify(milestones));
+}
+
+// Soonest first; every project's when projectId is null
+export async function getProjectMilestones(projectId = null) {
+    if (!isSupabaseConfigured()) {
+        return getLocalMilestones()
+            .filter(m => !projectId || m.projectId === projectId)
+            .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+    }
+
+    let query = supabase
+        .from('project_milestones')
+        .select('*')
+        .order('due_date', { ascending: true });
+    if (projectId) query = query.eq('project_id', projectId);
+
+    const { data, error } = await query;
+    if (error) {
+        console.warn('Project milestones table not available:', error.message);
+        return [];
+    }
+    return (data || []).map(toCamelCase);
+}
+
+export async function addProjectMilestone(projectId, { name, dueDate }) {
+    if (!name || !name.trim()) throw new Error('Name the milestone');
+    if (!dueDate) throw new Error('Pick a date for the milestone');
+    const project = await getProjectById(projectId);
+    if (!project) throw new Error('Project not found');
+
+    const milestone = { projectId, name: name.trim(), dueDate, completedAt: null };
+    let result;
+    if (!isSupabaseConfigured()) {
+        result = { id: generateId(), ...milestone, createdAt: new Date().toISOString() };
+        const milestones = getLocalMilestones();
+        milestones.push(result);
+        saveLocalMilestones(milestones);
+    } else {
+        const { data, error } = await supabase
+            .from('project_milestones')
+            .insert(toSnakeCase(milestone))
+            .select()
+            .single();
+        if (error) throw new Error(error.message);
+        result = toCamelCase(data);
+    }
+    logActivity({ action: 'milestone_added', entityType: 'project', entityId: projectId, details: `Added milestone "${result.name}" (${formatDate(dueDate)}) to ${project.name}` }).catch(() => {});
+    return result;
+}
+
+export async function setMilestoneCompleted(milestoneId, completed) {
+    const completedAt = completed ? new Date().toISOString() : null;
+    let result;
+    if (!isSupabaseConfigured()) {
+        const milestones = getLocalMilestones();
+        result = milestones.find(m => m.id === milestoneId);
+        if (!result) throw new Error('Milestone not found');
+        result.completedAt = completedAt;
+        saveLocalMilestones(milestones);
+    } else {
+        const { data, error } = await supabase
+            .from('project_milestones')
+            .update({ completed_at: completedAt })
+            .eq('id', milestoneId)
+            .select()
+            .single();
+        if (error) throw new Error(error.message);
+        result = toCamelCase(data);
+    }
+    if (completed) {
+        logActivity({ action: 'milestone_completed', entityType: 'project', entityId: result.projectId, details: `Completed milestone "${result.name}"` }).catch(() => {});
+    }
+    return result;
+}
+
+export async function deleteProjectMilestone(milestoneId) {
+    if (!isSupabaseConfigured()) {
+        saveLocalMilestones(getLocalMilestones().filter(m => m.id !== milestoneId));
+        return;
+    }
+
+    const { error } = await supabase
+        .from('project_milestones')
+        .delete()
+        .eq('id', milestoneId);
+
+    if (error) throw new Error(error.message);
+}
+
+// ==========================================
+// Recurring Tasks (retainer deliverables)
+// ==========================================
+
+const LOCAL_RECURRENCE_RULES_KEY = 'crm_recurrence_rules';
+
+function getLocalRecurrenceRules() {
+    return JSON.parse(localStorage.getItem(LOCAL_RECURRENCE_RULES_KEY) || '[]');
+}
+
+function saveLocalRecurrenceRules(rules) {
+    localStorage.setItem(LOCAL_RECURRENCE_RULES_KEY, JSON.stringify(rules));
+}
+
+function validateRecurrenceRule(data) {
+    const quantity = parseInt(data.quantity);
+    const dueDay = parseInt(data.dueDay);
+    if (!data.projectId) throw new Error('A recurring rule needs a project');
+    if (!data.type) throw new Error('Task type is required');
+    if (!(quantity >= 1 && quantity <= 100)) throw new Error('Quantity must be between 1 and 100');
+    if (!(dueDay >= 1 && dueDay <= 31)) throw new Error('Due day must be between 1 and 31');
+    return {
+        projectId: data.projectId,
+        templateId: data.templateId || null,
+        templateName: data.templateName || '',
+        type: data.type,
+        quantity,
+        amount: parseFloat(data.amount) || 0,
+        assignedTo: data.assignedTo || null,
+        dueDay,
+        description: (data.description || '').trim(),
+        active: data.active !== false,
+    };
+}
+
+export async function getRecurrenceRules(projectId = null) {
+    if (!isSupabaseConfigured()) {
+        return getLocalRecurrenceRules().filter(r => !projectId || r.projectId === projectId);
+    }
+
+    let query = supabase.from('recurrence_rules').select('*').order('created_at', { ascending: true });
+    if (projectId) query = query.eq('project_id', projectId);
+    const { data, error } = await query;
+
+    if (error) {
+        console.warn('Recurrence rules table not available:', error.message);
+        return [];
+    }
+    return (data || []).map(toCamelCase);
+}
+
+export async function addRecurrenceRule(data) {
+    const rule = validateRecurrenceRule(data);
+
+    if (!isSupabaseConfigured()) {
+        const rules = getLocalRecurrenceRules();
+        const created = { id: generateId(), ...rule, createdAt: new Date().toISOString() };
+        rules.push(created);
+        saveLocalRecurrenceRules(rules);
+        return created;
+    }
+
+    const { data: created, error } = await supabase
+        .from('recurrence_rules')
+        .insert(toSnakeCase(rule))
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    return toCamelCase(created);
+}
+
+export async function updateRecurrenceRule(id, data) {
+    if (!isSupabaseConfigured()) {
+        const rules = getLocalRecurrenceRules();
+        const index = rules.findIndex(r => r.id === id);
+        if (index === -1) throw new Error('Recurring rule not found');
+        rules[index] = { ...rules[index], ...validateRecurrenceRule({ ...rules[index], ...data }) };
+        saveLocalRecurrenceRules(rules);
+        return rules[index];
+    }
+
+    const { data: existing, error: fetchError } = await supabase
+        .from('recurrence_rules')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+    if (fetchError) throw new Error(fetchError.message);
+
+    const { data: updated, error } = await supabase
+        .from('recurrence_rules')
+        .update(toSnakeCase(validateRecurrenceRule({ ...toCamelCase(existing), ...data })))
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    return toCamelCase(updated);
+}
+
+export async function deleteRecurrenceRule(id) {
+    if (!isSupabaseConfigured()) {
+        saveLocalRecurrenceRules(getLocalRecurrenceRules().filter(r => r.id !== id));
+        return;
+    }
+
+    const { error } = await supabase
+        .from('recurrence_rules')
+        .delete()
+        .eq('id', id);
+
+    if (error) throw new Error(error.message);
+}
+
+// Due date for a month ('YYYY-MM'); days past the month's end fall on its last day
+function recurringDueDate(monthKey, dueDay) {
+    const [year, month] = monthKey.split('-').map(Number);
+    const lastDay = new Date(year, month, 0).getDate();
+    return `${monthKey}-${String(Math.min(dueDay, lastDay)).padStart(2, '0')}`;
+}
+
+// Create the tasks every active rule calls for in a month ('YYYY-MM').
+// Each task carries a recurrence key (rule:month:n), so re-running only fills
+// gaps and never duplicates.
+export async function generateRecurringTasks(monthKey) {
+    if (!/^\d{4}-\d{2}$/.test(monthKey || '')) throw new Error('Pick a month to generate tasks for');
+    const user = await getCurrentUser();
+    if (!user) throw new Error('Not logged in');
+
+    const rules = (await getRecurrenceRules()).filter(r => r.active);
+    const projects = await getProjects();
+    const clients = await getClients();
+    const existingKeys = new Set((await getTasks()).map(t => t.recurrenceKey).filter(Boolean));
+
+    let created = 0;
+    let skipped = 0;
+    for (const rule of rules) {
+        const project = projects.find(p => p.id === rule.projectId);
+        if (!project || project.status !== 'Active') continue;
+        // Respect the project's date range
+        if (project.startDate && project.startDate.slice(0, 7) > monthKey) continue;
+        if (project.endDate && project.endDate.slice(0, 7) < monthKey) continue;
+
+        for (let n = 1; n <= rule.quantity; n++) {
+            const recurrenceKey = `${rule.id}:${monthKey}:${n}`;
+            if (existingKeys.has(recurrenceKey)) {
+                skipped++;
+                continue;
+            }
+            try {
+                const task = await addTask({
+                    date: `${monthKey}-01`,
+                    dueDate: recurringDueDate(monthKey, rule.dueDay),
+                    client: project.client,
+                    clientId: project.clientId,
+                    project: project.name,
+                    projectId: project.id,
+                    type: rule.type,
+                    amount: rule.amount,
+                    billableAmount: clientRate(clients.find(c => c.id === project.clientId), rule.type),
+                    assignedTo: rule.assignedTo,
+                    assignedBy: user.id,
+                    description: rule.description,
+                    recurrenceKey,
+                });
+                if (rule.templateId) await addTemplateSubtasks(task.id, rule.templateId);
+                existingKeys.add(recurrenceKey);
+                created++;
+            } catch (err) {
+                // Someone else generated the same task meanwhile (unique recurrence_key)
+                if (err.message && err.message.includes('duplicate key')) {
+                    skipped++;
+                    continue;
+                }
+                throw err;
+            }
+        }
+    }
+
+    if (created > 0) {
+        logActivity({ action: 'recurring_tasks_generated', entityType: 'project', entityId: null, details: `Generated ${created} recurring task${created > 1 ? 's' : ''} for ${monthKey}` }).catch(() => {});
+    }
+    return { created, skipped };
+}
+
+// ==========================================
+// Agency Settings
+// ==========================================
+
+export async function getAgencySettings() {
+    if (!isSupabaseConfigured()) return _getAgencySettings();
+
+    const { data, error } = await supabase
+        .from('agency_settings')
+        .select('*')
+        .eq('id', 1)
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!data) return {};
+    const settings = toCamelCase(data);
+    delete settings.id;
+    delete settings.updatedAt;
+    return settings;
+}
+
+export async function updateAgencySettings(settingsData) {
+    if (!isSupabaseConfigured()) return _updateAgencySettings(settingsData);
+
+    const { data, error } = await supabase
+        .from('agency_settings')
+        .upsert({ ...toSnakeCase(settingsData), id: 1 })
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    const settings = toCamelCase(data);
+    delete settings.id;
+    delete settings.updatedAt;
+    return settings;
+}
+
+// ==========================================
+// Exchange Rates
+// ==========================================
+
+const LOCAL_EXCHANGE_RATES_KEY = 'crm_exchange_rates';
+
+export async function getBaseCurrency() {
+    return (await getAgencySettings()).baseCurrency || DEFAULT_CURRENCY;
+}
+
+// Newest first
+export async function getExchangeRates() {
+    if (!isSupabaseConfigured()) {
+        return JSON.parse(localStorage.getItem(LOCAL_EXCHANGE_RATES_KEY) || '[]')
+            .sort((a, b) => (a.rateDate < b.rateDate ? 1 : -1));
+    }
+
+    const { data, error } = await supabase
+        .from('exchange_rates')
+        .select('*')
+        .order('rate_date', { ascending: false });
+
+    if (error) {
+        console.warn('Exchange rates table not available:', error.message);
+        return [];
+    }
+    return (data || []).map(toCamelCase);
+}
+
+// Rates are entered against the current base currency; one per currency per day
+export async function saveExchangeRate({ currency, rateDate, rate }) {
+    const baseCurrency = await getBaseCurrency();
+    rate = parseFloat(rate);
+    if (!CURRENCIES[currency]) throw new Error('Choose a currency');
+    if (currency === baseCurrency) throw new Error(`${currency} is the base currency`);
+    if (!rateDate) throw new Error('Pick the date the rate applies from');
+    if (!(rate > 0)) throw new Error('Rate must be greater than 0');
+    const entry = { currency, baseCurrency, rateDate, rate };
+
+    if (!isSupabaseConfigured()) {
+        const rates = JSON.parse(localStorage.getItem(LOCAL_EXCHANGE_RATES_KEY) || '[]')
+            .filter(r => !(r.currency === currency && r.baseCurrency === baseCurrency && r.rateDate === rateDate));
+        rates.push({ ...entry, createdAt: new Date().toISOString() });
+        localStorage.setItem(LOCAL_EXCHANGE_RATES_KEY, JSON.stringify(rates));
+        return entry;
+    }
+
+    const user = await getCurrentUser();
+    const { data, error } = await supabase
+        .from('exchange_rates')
+        .upsert(toSnakeCase({ ...entry, createdBy: user?.id || null }))
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    return toCamelCase(data);
+}
+
+export async function deleteExchangeRate({ currency, baseCurrency, rateDate }) {
+    if (!isSupabaseConfigured()) {
+        localStorage.setItem(LOCAL_EXCHANGE_RATES_KEY, JSON.stringify(
+            JSON.parse(localStorage.getItem(LOCAL_EXCHANGE_RATES_KEY) || '[]')
+                .filter(r => !(r.currency === currency && r.baseCurrency === baseCurrency && r.rateDate === rateDate))));
+        return;
+    }
+
+    const { error } = await supabase
+        .from('exchange_rates')
+        .delete()
+        .match({ currency, base_currency: baseCurrency, rate_date: rateDate });
+
+    if (error) throw new Error(error.message);
+}
+
+// Converter into the agency's base currency; see createCurrencyConverter
+export async function getCurrencyConverter() {
+    const [baseCurrency, rates] = await Promise.all([getBaseCurrency(), getExchangeRates()]);
+    return createCurrencyConverter(rates, baseCurrency);
+}
+
+// ==========================================
+// Task Workflow
+// ==========================================
+
+export async function getWorkflow() {
+    if (!isSupabaseConfigured()) return _getWorkflow();
+
+    const { data, error } = await supabase
+        .from('task_workflow')
+        .select('states, transitions')
+        .eq('id', 1)
+        .maybeSingle();
+
+    if (error || !data) {
+        if (error) console.warn('Workflow table not available:', error.message);
+        return DEFAULT_WORKFLOW;
+    }
+    return { states: data.states, transitions: data.transitions };
+}
+
+export async function updateWorkflow(workflow) {
+    const validated = validateWorkflow(workflow);
+    if (!isSupabaseConfigured()) {
+        const result = _updateWorkflow(validated);
+        logActivity({ action: 'workflow_updated', entityType: 'settings', entityId: null, details: 'Updated task workflow' }).catch(() => {});
+        return result;
+    }
+
+    const { data, error } = await supabase
+        .from('task_workflow')
+        .upsert({ id: 1, states: validated.states, transitions: validated.transitions })
+        .select('states, transitions')
+        .single();
+
+    if (error) throw new Error(error.message);
+    logActivity({ action: 'workflow_updated', entityType: 'settings', entityId: null, details: 'Updated task workflow' }).catch(() => {});
+    return data;
+}
+
+// ==========================================
+// Task Templates
+// ==========================================
+
+export async function getTaskTemplates() {
+    if (!isSupabaseConfigured()) return _getTaskTemplates();
+
+    const { data, error } = await supabase
+        .from('task_templates')
+        .select('*')
+        .order('name', { ascending: true });
+
+    if (error) {
+        console.warn('Task templates table not available:', error.message);
+        return DEFAULT_TASK_TEMPLATES;
+    }
+    return (data || []).map(toCamelCase);
+}
+
+export async function getTaskTemplateById(id) {
+    if (!isSupabaseConfigured()) return _getTaskTemplateById(id);
+
+    const { data, error } = await supabase
+        .from('task_templates')
+        .select('*')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) {
+        console.warn('Task templates table not available:', error.message);
+        return DEFAULT_TASK_TEMPLATES.find(t => t.id === id) || null;
+    }
+    return data ? toCamelCase(data) : null;
+}
+
+export async function addTaskTemplate(templateData) {
+    const template = validateTaskTemplate(templateData);
+    if (!isSupabaseConfigured()) return _addTaskTemplate(template);
+
+    const { data, error } = await supabase
+        .from('task_templates')
+        .insert(toSnakeCase(template))
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    return toCamelCase(data);
+}
+
+export async function updateTaskTemplate(id, templateData) {
+    if (!isSupabaseConfigured()) return _updateTaskTemplate(id, templateData);
+
+    const existing = await getTaskTemplateById(id);
+    if (!existing) throw new Error('Template not found');
+
+    const { data, error } = await supabase
+        .from('task_templates')
+        .update(toSnakeCase(validateTaskTemplate({ ...existing, ...templateData })))
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) throw new Error(error.message);
+    return toCamelCase(data);
+}
+
+export async function deleteTaskTemplate(id) {
+    if (!isSupabaseConfigured()) return _deleteTaskTemplate(id);
+
+    const { error } = await supabase
+        .from('task_templates')
+        .delete()
+        .eq('id', id);
+
+    if (error) throw new Error(error.message);
+}
+
+// Pre-create a task's checklist from a template
+export async function addTemplateSubtasks(taskId, templateId) {
+    const template = await getTaskTemplateById(templateId);
+    if (!template) return;
+    for (const text of template.checklist || []) {
+        await addSubtask(taskId, text);
+    }
+}
+
+// ==========================================
+// Task Pricing
+// ==========================================
+
+// Rate card price for a task (or an unsaved draft with assignedTo/type/dueDate)
+export async function getTaskPrice(task) {
+    const freelancer = task.assignedTo ? await getUserById(task.assignedTo) : null;
+    const modifiers = getPricingModifiers(await getAgencySettings());
+    return calculateTaskPrice({
+        pricing: freelancer ? freelancer.pricing : null,
+        type: task.type,
+        dueDate: task.dueDate,
+        from: task.assignedAt,
+        iterations: task.iterations,
+    }, modifiers);
+}
+
+async function logAmountOverride(previous, task) {
+    if (!task || !task.amountOverridden) return;
+    if (previous && previous.amountOverridden && parseFloat(previous.amount) === parseFloat(task.amount)) return;
+    const { amount: rateCard } = await getTaskPrice(task);
+    await logActivity({
+        action: 'amount_overridden',
+        entityType: 'task',
+        entityId: task.id,
+        details: `Set amount of task #${task.slNo} "${task.client}" to ₹${(parseFloat(task.amount) || 0).toLocaleString('en-IN')} by hand (rate card ₹${rateCard.toLocaleString('en-IN')})`,
+    });
+}
+
+// ==========================================
+// Client Invoices
+// ==========================================
+
+const LOCAL_INVOICES_KEY = 'crm_invoices';
+
+function getLocalInvoices() {
+    return JSON.parse(localStorage.getItem(LOCAL_INVOICES_KEY) || '[]');
+}
+
+function saveLocalInvoices(invoices) {
+    localStorage.setItem(LOCAL_INVOICES_KEY, JSON.stringify(invoices));
+}
+
+function mapInvoiceFromDB(row) {
+    const invoice = toCamelCase(row);
+    invoice.items = (row.invoice_items || []).map(toCamelCase).sort((a, b) => a.position - b.position);
+    delete invoice.invoiceItems;
+    return invoice;
+}
+
+function invoiceLineDescription(task) {
+    return `${task.type}${task.project ? ` — ${task.project}` : ''} (Task #${task.slNo})`;
+}
+
+function expenseLine(expense) {
+    return {
+        taskId: expense.taskId,
+        expenseId: expense.id,
+        description: `Expense: ${expense.description} — ${EXPENSE_CATEGORIES[expense.category] || 'Other'} (Task #${expense.task.slNo})`,
+        amount: parseFloat(expense.amount) || 0,
+    };
+}
+
+// Newest first
+export async function getInvoices() {
+    if (!isSupabaseConfigured()) {
+        return getLocalInvoices().sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    const { data, error } = await supabase
+        .from('invoices')
+        .select('*, invoice_items(*)')
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        console.warn('Invoices table not available:', error.message);
+        return [];
+    }
+    return (data || []).map(mapInvoiceFromDB);
+}
+
+export async function getInvoiceById(id) {
+    if (!isSupabaseConfigured()) return getLocalInvoices().find(inv => inv.id === id) || null;
+
+    const { data, error } = await supabase
+        .from('invoices')
+        .select('*, invoice_items(*)')
+        .eq('id', id)
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    return data ? mapInvoiceFromDB(data) : null;
+}
+
+// Task id -> invoice for every task on an invoice that has not been voided
+export async function getInvoicedTasks() {
+    const invoiced = new Map();
+    for (const invoice of await getInvoices()) {
+        if (invoice.status === 'void') continue;
+        for (const item of invoice.items || []) {
+            if (item.taskId && !item.expenseId) invoiced.set(item.taskId, invoice);
+        }
+    }
+    return invoiced;
+}
+
+// Approved expenses on a client's approved tasks that are not on an open
+// invoice yet; they are billed at cost, even after the task itself was invoiced
+export async function getBillableExpenses(clientId, projectId = null) {
+    const client = await getClientById(clientId);
+    if (!client) return [];
+    const billed = new Set();
+    for (const invoice of await getInvoices()) {
+        if (invoice.status === 'void') continue;
+        (invoice.items || []).forEach(item => { if (item.expenseId) billed.add(item.expenseId); });
+    }
+    const tasks = new Map((await getTasks())
+        .filter(t => t.status === 'approved' &&
+            (t.clientId ? t.clientId === client.id : (t.client || '').toLowerCase() === client.name.toLowerCase()) &&
+            (!projectId || t.projectId === projectId))
+        .map(t => [t.id, t]));
+    return (await getTaskExpenses({ status: 'approved' }))
+        .filter(e => tasks.has(e.taskId) && !billed.has(e.id))
+        .map(e => ({ ...e, task: tasks.get(e.taskId) }));
+}
+
+// Approved tasks of a client (optionally one project) that are not on an open invoice yet
+export async function getBillableTasks(clientId, projectId = null) {
+    const client = await getClientById(clientId);
+    if (!client) return [];
+    const invoiced = await getInvoicedTasks();
+    return (await getTasks()).filter(t =>
+        t.status === 'approved' &&
+        !invoiced.has(t.id) &&
+        (t.clientId ? t.clientId === client.id : (t.client || '').toLowerCase() === client.name.toLowerCase()) &&
+        (!projectId || t.projectId === projectId));
+}
+
+// Drafts have no number yet; one is assigned when the invoice is sent
+export async function createInvoice({ clientId, projectId = null, taskIds = [], expenseIds = [], invoiceDate, dueDate, notes = '' }) {
+    const user = await getCurrentUser();
+    if (!user) throw new Error('Not logged in');
+    const client = await getClientById(clientId);
+    if (!client) throw new Error('Select a client');
+    if (!invoiceDate) throw new Error('Pick an invoice date');
+
+    const tasks = (await getBillableTasks(clientId, projectId)).filter(t => taskIds.includes(t.id));
+    const expenses = (await getBillableExpenses(clientId, projectId)).filter(e => expenseIds.includes(e.id));
+    if (tasks.length === 0 && expenses.length === 0) throw new Error('Select at least one approved task');
+    const currencies = [...new Set([...tasks, ...expenses.map(e => e.task)].map(t => t.currency || DEFAULT_CURRENCY))];
+    if (currencies.length > 1) throw new Error(`Selected tasks are billed in ${currencies.join(' and ')} — invoice each currency separately`);
+    const unpriced = tasks.filter(t => !(parseFloat(t.billableAmount) > 0));
+    if (unpriced.length) throw new Error(`Set a billable amount on ${unpriced.map(t => `#${t.slNo}`).join(', ')} before invoicing`);
+
+    const agency = await getAgencySettings();
+    const supplierState = agency.state || gstStateCode(agency.gstNumber);
+    // Unknown client state is treated as a supply within the agency's state
+    const placeOfSupply = client.state || gstStateCode(client.gstin) || supplierState;
+    const gstRate = agency.gstRate === undefined || agency.gstRate === null || agency.gstRate === ''
+        ? DEFAULT_GST_RATE
+        : parseFloat(agency.gstRate) || 0;
+
+    // Each task's expenses follow its own line
+    const lines = [];
+    for (const t of tasks) {
+        lines.push({ taskId: t.id, description: invoiceLineDescription(t), amount: parseFloat(t.billableAmount) || 0 });
+        expenses.filter(e => e.taskId === t.id).forEach(e => lines.push(expenseLine(e)));
+    }
+    expenses.filter(e => !tasks.some(t => t.id === e.taskId)).forEach(e => lines.push(expenseLine(e)));
+    const items = lines.map((line, i) => ({ ...line, position: i + 1 }));
+    const gst = calculateGst(items.reduce((sum, item) => sum + item.amount, 0), gstRate, supplierState, placeOfSupply);
+
+    const invoice = {
+        clientId: client.id,
+        projectId: projectId || null,
+        clientName: client.name,
+        clientGstin: client.gstin || '',
+        placeOfSupply: placeOfSupply || '',
+        invoiceDate,
+        dueDate: dueDate || null,
+        subtotal: gst.subtotal,
+        gstRate,
+        cgst: gst.cgst,
+        sgst: gst.sgst,
+        igst: gst.igst,
+        total: gst.total,
+        currency: currencies[0],
+        status: 'draft',
+        notes: notes.trim(),
+        createdBy: user.id,
+    };
+
+    let result;
+    if (!isSupabaseConfigured()) {
+        result = {
+            id: generateId(),
+            ...invoice,
+            invoiceNumber: null,
+            fiscalYear: null,
+            sequence: null,
+            items: items.map(item => ({ id: generateId(), ...item })),
+            createdAt: new Date().toISOString(),
+        };
+        const invoices = getLocalInvoices();
+        invoices.push(result);
+        saveLocalInvoices(invoices);
+    } else {
+        const { data, error } = await supabase
+            .from('invoices')
+            .insert(toSnakeCase(invoice))
+            .select()
+            .single();
+        if (error) throw new Error(error.message);
+
+        const { error: itemsError } = await supabase
+            .from('invoice_items')
+            .insert(items.map(item => ({ ...toSnakeCase(item), invoice_id: data.id })));
+        if (itemsError) {
+            await supabase.from('invoices').delete().eq('id', data.id);
+            throw new Error(itemsError.message);
+        }
+        result = await getInvoiceById(data.id);
+    }
+
+    logActivity({ action: 'invoice_created', entityType: 'invoice', entityId: result.id, details: `Drafted invoice for "${client.name}" (${formatMoney(result.total, result.currency)}, ${items.length} line${items.length === 1 ? '' : 's'})` }).catch(() => {});
+    return result;
+}
+
+const INVOICE_TRANSITIONS = { draft: ['sent'], sent: ['paid', 'void'] };
+
+// `reference` (UTR / cheque no.) is noted on the receipt recorded when an invoice is paid
+export async function updateInvoiceStatus(id, status, { reference = '' } = {}) {
+    const invoice = await getInvoiceById(id);
+    if (!invoice) throw new Error('Invoice not found');
+    if (!(INVOICE_TRANSITIONS[invoice.status] || []).includes(status)) {
+        throw new Error(`A ${invoice.status} invoice cannot be marked ${status}`);
+    }
+
+    const changes = { status };
+    if (status === 'sent') changes.sentAt = new Date().toISOString();
+    if (status === 'void') changes.voidedAt = new Date().toISOString();
+    if (status === 'paid') changes.paidAt = new Date().toISOString();
+
+    // The status moves first, guarded on the status we read, so a receipt is
+    // only recorded once the invoice is really paid (and not voided meanwhile)
+    if (!isSupabaseConfigured()) {
+        const invoices = getLocalInvoices();
+        const index = invoices.findIndex(inv => inv.id === id);
+        if (status === 'sent' && !invoice.invoiceNumber) {
+            const fiscalYear = financialYear(invoice.invoiceDate);
+            const sequence = invoices
+                .filter(inv => inv.fiscalYear === fiscalYear)
+                .reduce((max, inv) => Math.max(max, inv.sequence || 0), 0) + 1;
+            Object.assign(changes, { fiscalYear, sequence, invoiceNumber: formatInvoiceNumber(fiscalYear, sequence) });
+        }
+        invoices[index] = { ...invoices[index], ...changes };
+        saveLocalInvoices(invoices);
+    } else {
+        // The invoices_assign_number trigger numbers the invoice when it leaves draft
+        const { data, error } = await supabase
+            .from('invoices')
+            .update(toSnakeCase(changes))
+            .eq('id', id)
+            .eq('status', invoice.status)
+            .select('id');
+        if (error) throw new Error(error.message);
+        if (!data || data.length === 0) throw new Error('This invoice was changed by someone else — reload and try again');
+    }
+
+    if (status === 'paid') {
+        let receipt;
+        try {
+            receipt = await createPaymentTransaction({
+                direction: 'receipt',
+                clientId: invoice.clientId,
+                clientName: invoice.clientName,
+                invoiceId: invoice.id,
+                paidByName: invoice.clientName,
+                amount: parseFloat(invoice.total) || 0,
+                currency: invoice.currency || DEFAULT_CURRENCY,
+                status: 'success',
+                taskIds: invoice.items.map(item => item.taskId).filter(Boolean),
+                notes: `Invoice ${invoice.invoiceNumber}${reference.trim() ? ` — ref ${reference.trim()}` : ''}`,
+            });
+        } catch (err) {
+            // No receipt, so the invoice isn't paid either
+            await setInvoiceFields(id, { status: invoice.status, paidAt: null }).catch(() => {});
+            throw err;
+        }
+        await setInvoiceFields(id, { paymentTransactionId: receipt.id });
+    }
+
+    const result = await getInvoiceById(id);
+    logActivity({ action: `invoice_${status}`, entityType: 'invoice', entityId: id, details: `Marked invoice ${result.invoiceNumber || ''} for "${result.clientName}" as ${status}` }).catch(() => {});
+    return result;
+}
+
+async function setInvoiceFields(id, fields) {
+    if (!isSupabaseConfigured()) {
+        saveLocalInvoices(getLocalInvoices().map(inv => (inv.id === id ? { ...inv, ...fields } : inv)));
+        return;
+    }
+    const { error } = await supabase
+        .from('invoices')
+        .update(toSnakeCase(fields))
+        .eq('id', id);
+    if (error) throw new Error(error.message);
+}
+
+// Only drafts can be deleted; sent invoices keep their number and are voided instead
+export async function deleteInvoice(id) {
+    const invoice = await getInvoiceById(id);
+    if (!invoice) throw new Error('Invoice not found');
+    if (invoice.status !== 'draft') throw new Error('Only draft invoices can be deleted');
+
+    if (!isSupabaseConfigured()) {
+        saveLocalInvoices(getLocalInvoices().filter(inv => inv.id !== id));
+        return;
+    }
+
+    const { error } = await supabase
+        .from('invoices')
+        .delete()
+        .eq('id', id);
+
+    if (error) throw new Error(error.message);
+}
+
+// ==========================================
+// Client Review Links
+// ==========================================
+
+const LOCAL_REVIEW_LINKS_KEY = 'crm_review_links';
+
+function getLocalReviewLinks() {
+    return JSON.parse(localStorage.getItem(LOCAL_REVIEW_LINKS_KEY) || '[]');
+}
+
+function saveLocalReviewLinks(links) {
+    localStorage.setItem(LOCAL_REVIEW_LINKS_KEY, JSON.stringify(links));
+}
+
+function generateReviewToken() {
+    const bytes = crypto.getRandomValues(new Uint8Array(24));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+function isReviewLinkActive(link) {
+    return !link.revokedAt && new Date(link.expiresAt) > new Date();
+}
+
+export async function getReviewLinks(taskId) {
+    if (!isSupabaseConfigured()) {
+        return getLocalReviewLinks()
+            .filter(l => l.taskId === taskId)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    const { data, error } = await supabase
+        .from('review_links')
+        .select('*')
+        .eq('task_id', taskId)
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        console.warn('Review links table not available:', error.message);
+        return [];
+    }
+    return (data || []).map(toCamelCase);
+}
+
+export async function getActiveReviewLink(taskId) {
+    const links = await getReviewLinks(taskId);
+    return links.find(isReviewLinkActive) || null;
+}
+
+export async function createReviewLink(taskId, { clientName, expiresInDays = 7 } = {}) {
+    const user = await getCurrentUser();
+    if (!user) throw new Error('Not logged in');
+    const task = await getTaskById(taskId);
+    if (!task) throw new Error('Task not found');
+    if (!task.completedCreative) throw new Error('Upload a completed creative before sharing it for review');
+
+    const link = {
+        taskId,
+        token: generateReviewToken(),
+        clientName: (clientName || task.client || '').trim(),
+        expiresAt: new Date(Date.now() + expiresInDays * 86400000).toISOString(),
+        createdBy: user.id,
+    };
+
+    let result;
+    if (!isSupabaseConfigured()) {
+        result = { id: generateId(), ...link, revokedAt: null, decision: null, comment: '', respondedAt: null, createdAt: new Date().toISOString() };
+        const links = getLocalReviewLinks();
+        links.push(result);
+        saveLocalReviewLinks(links);
+    } else {
+        const { data, error } = await supabase
+            .from('review_links')
+            .insert(toSnakeCase(link))
+            .select()
+            .single();
+
+        if (error) throw new Error(error.message);
+        result = toCamelCase(data);
+    }
+
+    logActivity({ action: 'review_link_created', entityType: 'task', entityId: taskId, details: `Shared task #${task.slNo} for client review (expires ${formatDate(link.expiresAt)})` }).catch(() => {});
+    return result;
+}
+
+export async function revokeReviewLink(linkId) {
+    const revokedAt = new Date().toISOString();
+    let link;
+    if (!isSupabaseConfigured()) {
+        const links = getLocalReviewLinks();
+        link = links.find(l => l.id === linkId);
+        if (!link) throw new Error('Review link not found');
+        link.revokedAt = revokedAt;
+        saveLocalReviewLinks(links);
+    } else {
+        const { data, error } = await supabase
+            .from('review_links')
+            .update({ revoked_at: revokedAt })
+            .eq('id', linkId)
+            .select()
+            .single();
+
+        if (error) throw new Error(error.message);
+        link = toCamelCase(data);
+    }
+
+    logActivity({ action: 'review_link_revoked', entityType: 'task', entityId: link.taskId, details: 'Revoked client review link' }).catch(() => {});
+    return link;
+}
+
+// Everything the public review page may see for a token, or null when the
+// link is unknown, expired or revoked. Works without a logged-in user.
+export async function getClientReview(token) {
+    if (!isSupabaseConfigured()) {
+        const link = getLocalReviewLinks().find(l => l.token === token);
+        if (!link || !isReviewLinkActive(link)) return null;
+        const task = _getTaskById(link.taskId);
+        if (!task) return null;
+        return {
+            clientName: link.clientName,
+            expiresAt: link.expiresAt,
+            decision: link.decision,
+            comment: link.comment,
+            respondedAt: link.respondedAt,
+            task: {
+                slNo: task.slNo, client: task.client, type: task.type, description: task.description || '',
+                completedCreative: task.completedCreative, status: task.status,
+            },
+        };
+    }
+
+    const { data, error } = await supabase.rpc('get_client_review', { p_token: token });
+    if (error) throw new Error(error.message);
+    if (!data) return null;
+    const review = toCamelCase(data);
+    review.task = toCamelCase(review.task);
+    return review;
+}
+
+// decision: 'approved' | 'changes_requested'
+export async function submitClientReview(token, decision, comment = '') {
+    if (!['approved', 'changes_requested'].includes(decision)) throw new Error('Unknown review decision');
+    if (decision === 'changes_requested' && !comment.trim()) throw new Error('Please describe the changes you need');
+
+    if (isSupabaseConfigured()) {
+        const { error } = await supabase.rpc('submit_client_review', { p_token: token, p_decision: decision, p_comment: comment });
+        if (error) throw new Error(error.message);
+        return;
+    }
+
+    const links = getLocalReviewLinks();
+    const link = links.find(l => l.token === token);
+    if (!link || !isReviewLinkActive(link)) throw new Error('This review link is invalid or has expired');
+    const task = _getTaskById(link.taskId);
+    if (!task || task.status !== 'submitted') throw new Error('This creative is not awaiting review');
+
+    const reviewer = `${link.clientName || task.client || 'Client'} (client)`;
+    if (decision === 'approved') {
+        await approveTask(task.id, { reviewer });
+    } else {
+        await requestIteration(task.id, comment.trim(), 'client', { reviewer });
+    }
+
+    Object.assign(link, { decision, comment: comment.trim(), respondedAt: new Date().toISOString() });
+    saveLocalReviewLinks(links);
+}
+
+export function getReviewLinkUrl(token) {
+    return `${window.location.origin}${window.location.pathname}?review=${token}`;
+}
@@ -8,6 +8,9 @@ const STORAGE_KEYS = {
     SESSION: 'crm_session',
     PROJECTS: 'crm_projects',
     AGENCY: 'crm_agency',
+    CLIENTS: 'crm_clients',
+    WORKFLOW: 'crm_workflow',
+    TEMPLATES: 'crm_task_templates',
 };
 
 // --- Utility ---
@@ -102,11 +105,40 @@ function migrateTaskData() {
         if (!('estimatedHours' in t)) { t.estimatedHours = null; changed = true; }
         if (!('actualHours' in t)) { t.actualHours = null; changed = true; }
         if (!('progress' in t)) { t.progress = 0; changed = true; }
+        // Link free-text client names to client records
+        if (!('clientId' in t)) {
+            t.clientId = t.client ? findOrCreateClient(t.client).id : null;
+            changed = true;
+        }
+        // Link project names to project records
+        if (!('projectId' in t)) {
+            const project = t.project ? getProjectByName(t.project) : null;
+            t.projectId = project ? project.id : null;
+            changed = true;
+        }
+        // Price tasks from before client billing at the client's rate, else the freelancer amount
+        if (!('billableAmount' in t)) {
+            t.billableAmount = clientRate(t.clientId ? getClientById(t.clientId) : null, t.type) || parseFloat(t.amount) || 0;
+            changed = true;
+        }
     });
     if (changed) {
         localStorage.setItem(STORAGE_KEYS.TASKS, JSON.stringify(tasks));
     }
 
+    // Link project client names to client records
+    const projects = getProjects();
+    let projectsChanged = false;
+    projects.forEach(p => {
+        if (!('clientId' in p)) {
+            p.clientId = p.client ? findOrCreateClient(p.client).id : null;
+            projectsChanged = true;
+        }
+    });
+    if (projectsChanged) {
+        localStorage.setItem(STORAGE_KEYS.PROJECTS, JSON.stringify(projects));
+    }
+
     // Migrate users — add new fields
     const users = getUsers();
     let usersChanged = false;
@@ -251,7 +283,9 @@ function addTask(taskData) {
         slNo: maxSlNo + 1,
         date: taskData.date || new Date().toISOString().split('T')[0],
         client: taskData.client || '',
+        clientId: taskData.clientId || null,
         project: taskData.project || '',
+        projectId: taskData.projectId || null,
         category: taskData.category || '',
         type: taskData.type || 'Static',
         referenceCreative: taskData.referenceCreative || null,
@@ -260,6 +294,9 @@ function addTask(taskData) {
         editableFileShared: taskData.editableFileShared || 'No',
         creativeStatus: 'Pending',
         amount: taskData.amount || 0,
+        amountOverridden: !!taskData.amountOverridden,
+        billableAmount: taskData.billableAmount || 0,
+        currency: taskData.currency || DEFAULT_CURRENCY,
         paymentStatus: taskData.paymentStatus || 'Unpaid',
         assignedTo: taskData.assignedTo || null,
         assignedBy: taskData.assignedBy || null,
@@ -269,6 +306,7 @@ function addTask(taskData) {
         progress: taskData.progress || 0,
         description: taskData.description || '',
         sourceLink: taskData.sourceLink || '',
+        recurrenceKey: taskData.recurrenceKey || null,
         status: 'assigned',
         assignedAt: new Date().toISOString(),
         pickedUpAt: null,
@@ -375,7 +413,7 @@ function getStats(tasks) {
     const totalTasks = tasks.length;
     const totalAmount = tasks.reduce((sum, t) => sum + (parseFloat(t.amount) || 0), 0);
     const approved = tasks.filter(t => t.status === 'approved').length;
-    const pendingPayments = tasks.filter(t => t.paymentStatus === 'Unpaid' || t.paymentStatus === 'Pending').length;
+    const pendingPayments = tasks.filter(t => t.paymentStatus !== 'Paid').length;
     const totalIterations = tasks.reduce((sum, t) => sum + (t.iterations || []).length, 0);
     const inProgress = tasks.filter(t => t.status === 'in_progress').length;
     const submitted = tasks.filter(t => t.status === 'submitted').length;
@@ -398,6 +436,91 @@ function getFreelancerStats(freelancerId) {
 
 const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
 
+// ==========================================
+// Clients CRUD
+// ==========================================
+
+function getClients() {
+    return JSON.parse(localStorage.getItem(STORAGE_KEYS.CLIENTS) || '[]');
+}
+
+function getClientById(id) {
+    return getClients().find(c => c.id === id);
+}
+
+function getClientByName(name) {
+    const key = (name || '').trim().toLowerCase();
+    return getClients().find(c => (c.name || '').toLowerCase() === key);
+}
+
+function addClient(data) {
+    const clients = getClients();
+    if (clients.find(c => (c.name || '').toLowerCase() === (data.name || '').trim().toLowerCase())) {
+        throw new Error('Client with this name already exists');
+    }
+    const client = {
+        id: generateId(),
+        name: (data.name || '').trim(),
+        contactPerson: data.contactPerson || '',
+        email: data.email || '',
+        phone: data.phone || '',
+        company: data.company || '',
+        notes: data.notes || '',
+        rates: data.rates || {},
+        gstin: (data.gstin || '').trim().toUpperCase(),
+        state: data.state || '',
+        address: data.address || '',
+        currency: data.currency || DEFAULT_CURRENCY,
+        createdAt: new Date().toISOString(),
+    };
+    clients.push(client);
+    localStorage.setItem(STORAGE_KEYS.CLIENTS, JSON.stringify(clients));
+    return client;
+}
+
+function updateClient(id, data) {
+    const clients = getClients();
+    const index = clients.findIndex(c => c.id === id);
+    if (index === -1) throw new Error('Client not found');
+    clients[index] = { ...clients[index], ...data };
+    localStorage.setItem(STORAGE_KEYS.CLIENTS, JSON.stringify(clients));
+
+    // Keep the denormalized client name on linked tasks and projects in sync
+    if (data.name !== undefined) {
+        const tasks = getTasks();
+        let changed = false;
+        tasks.forEach(t => {
+            if (t.clientId === id && t.client !== data.name) { t.client = data.name; changed = true; }
+        });
+        if (changed) localStorage.setItem(STORAGE_KEYS.TASKS, JSON.stringify(tasks));
+
+        const projects = getProjects();
+        let projectsChanged = false;
+        projects.forEach(p => {
+            if (p.clientId === id && p.client !== data.name) { p.client = data.name; projectsChanged = true; }
+        });
+        if (projectsChanged) localStorage.setItem(STORAGE_KEYS.PROJECTS, JSON.stringify(projects));
+    }
+    return clients[index];
+}
+
+function deleteClient(id) {
+    const clients = getClients().filter(c => c.id !== id);
+    localStorage.setItem(STORAGE_KEYS.CLIENTS, JSON.stringify(clients));
+
+    // Unlink tasks (mirrors ON DELETE SET NULL)
+    const tasks = getTasks();
+    let changed = false;
+    tasks.forEach(t => {
+        if (t.clientId === id) { t.clientId = null; changed = true; }
+    });
+    if (changed) localStorage.setItem(STORAGE_KEYS.TASKS, JSON.stringify(tasks));
+}
+
+function findOrCreateClient(name) {
+    return getClientByName(name) || addClient({ name });
+}
+
 // ==========================================
 // Projects CRUD
 // ==========================================
@@ -410,6 +533,11 @@ function getProjectById(id) {
     return getProjects().find(p => p.id === id);
 }
 
+function getProjectByName(name) {
+    const key = (name || '').trim().toLowerCase();
+    return getProjects().find(p => (p.name || '').toLowerCase() === key);
+}
+
 function getProjectsByClient(clientName) {
     return getProjects().filter(p => (p.client || '').toLowerCase() === (clientName || '').toLowerCase());
 }
@@ -420,11 +548,14 @@ function addProject(data) {
         id: generateId(),
         name: data.name || '',
         client: data.client || '',
+        clientId: data.clientId || null,
         type: data.type || 'One-Time',
         startDate: data.startDate || null,
         endDate: data.endDate || null,
         status: data.status || 'Active',
         notes: data.notes || '',
+        budget: data.budget ?? null,
+        monthlyQuota: data.monthlyQuota ?? null,
         createdAt: new Date().toISOString(),
     };
     projects.push(project);
@@ -438,12 +569,30 @@ function updateProject(id, data) {
     if (index === -1) throw new Error('Project not found');
     projects[index] = { ...projects[index], ...data };
     localStorage.setItem(STORAGE_KEYS.PROJECTS, JSON.stringify(projects));
+
+    // Keep the denormalized project name on linked tasks in sync
+    if (data.name !== undefined) {
+        const tasks = getTasks();
+        let changed = false;
+        tasks.forEach(t => {
+            if (t.projectId === id && t.project !== data.name) { t.project = data.name; changed = true; }
+        });
+        if (changed) localStorage.setItem(STORAGE_KEYS.TASKS, JSON.stringify(tasks));
+    }
     return projects[index];
 }
 
 function deleteProject(id) {
     const projects = getProjects().filter(p => p.id !== id);
     localStorage.setItem(STORAGE_KEYS.PROJECTS, JSON.stringify(projects));
+
+    // Unlink tasks (mirrors ON DELETE SET NULL)
+    const tasks = getTasks();
+    let changed = false;
+    tasks.forEach(t => {
+        if (t.projectId === id) { t.projectId = null; changed = true; }
+    });
+    if (changed) localStorage.setItem(STORAGE_KEYS.TASKS, JSON.stringify(tasks));
 }
 
 // ==========================================
@@ -461,6 +610,108 @@ function updateAgencySettings(data) {
     return updated;
 }
 
+// ==========================================
+// Task Workflow
+// ==========================================
+
+// States the lifecycle functions (pick up, submit, approve, iterate, reject)
+// move tasks into. They can be relabelled but not removed.
+const CORE_TASK_STATES = ['assigned', 'in_progress', 'submitted', 'approved', 'iteration', 'rejected'];
+
+const WORKFLOW_ROLES = ['admin', 'freelancer'];
+
+const DEFAULT_WORKFLOW = {
+    states: [
+        { id: 'assigned', label: 'Assigned', color: 'var(--status-assigned)' },
+        { id: 'in_progress', label: 'In Progress', color: 'var(--status-in-progress)' },
+        { id: 'submitted', label: 'Submitted', color: 'var(--status-submitted)' },
+        { id: 'approved', label: 'Approved', color: 'var(--status-approved)' },
+        { id: 'iteration', label: 'Iteration', color: 'var(--status-iteration)' },
+        { id: 'rejected', label: 'Rejected', color: 'var(--status-rejected)' },
+    ],
+    transitions: [
+        { from: 'assigned', to: 'in_progress', roles: ['admin', 'freelancer'] },
+        { from: 'iteration', to: 'in_progress', roles: ['admin', 'freelancer'] },
+        { from: 'in_progress', to: 'submitted', roles: ['admin', 'freelancer'] },
+        { from: 'submitted', to: 'approved', roles: ['admin'] },
+        { from: 'submitted', to: 'iteration', roles: ['admin'] },
+        { from: 'submitted', to: 'rejected', roles: ['admin'] },
+        { from: 'rejected', to: 'assigned', roles: ['admin'] },
+    ],
+};
+
+function validateWorkflow(workflow) {
+    const states = workflow && Array.isArray(workflow.states) ? workflow.states : [];
+    const transitions = workflow && Array.isArray(workflow.transitions) ? workflow.transitions : [];
+    const ids = states.map(s => s.id);
+
+    for (const s of states) {
+        if (!s.id || !/^[a-z][a-z0-9_]*$/.test(s.id)) throw new Error(`Invalid state id "${s.id || ''}"`);
+        if (!(s.label || '').trim()) throw new Error(`State "${s.id}" needs a label`);
+        // Colors end up in style attributes, so only hex colors and theme variables
+        if (s.color && !/^(#[0-9a-f]{6}|var\(--status-[a-z0-9-]+\))$/i.test(s.color)) {
+            throw new Error(`State "${s.id}" has an invalid color`);
+        }
+    }
+    if (new Set(ids).size !== ids.length) throw new Error('State ids must be unique');
+    for (const core of CORE_TASK_STATES) {
+        if (!ids.includes(core)) throw new Error(`The "${core}" state cannot be removed`);
+    }
+    for (const t of transitions) {
+        if (!ids.includes(t.from) || !ids.includes(t.to)) throw new Error(`Transition ${t.from} → ${t.to} references an unknown state`);
+        if (t.from === t.to) throw new Error('A transition must change the state');
+        if (!Array.isArray(t.roles) || t.roles.length === 0) throw new Error(`Transition ${t.from} → ${t.to} needs at least one role`);
+        if (t.roles.some(r => !WORKFLOW_ROLES.includes(r))) throw new Error(`Transition ${t.from} → ${t.to} has an unknown role`);
+    }
+    const pairs = transitions.map(t => `${t.from}>${t.to}`);
+    if (new Set(pairs).size !== pairs.length) throw new Error('Duplicate transition');
+
+    return { states, transitions };
+}
+
+// superadmins act with admin permissions in the workflow
+function workflowRole(user) {
+    return user && (user.role === 'admin' || user.role === 'superadmin') ? 'admin' : 'freelancer';
+}
+
+function getWorkflowState(workflow, status) {
+    return workflow.states.find(s => s.id === status) || null;
+}
+
+function formatStatusLabel(workflow, status) {
+    const state = getWorkflowState(workflow, status);
+    return state ? state.label : status;
+}
+
+// Inline badge colors for custom states (core states are styled in CSS)
+function statusBadgeStyle(workflow, status) {
+    const state = getWorkflowState(workflow, status);
+    if (!state || CORE_TASK_STATES.includes(status) || !state.color) return '';
+    const color = sanitizeHTML(state.color);
+    return `style="background: color-mix(in srgb, ${color} 15%, transparent); color: ${color};"`;
+}
+
+function getAllowedTransitions(workflow, fromStatus, role) {
+    return workflow.transitions
+        .filter(t => t.from === fromStatus && t.roles.includes(role))
+        .map(t => t.to);
+}
+
+function canTransition(workflow, fromStatus, toStatus, role) {
+    return getAllowedTransitions(workflow, fromStatus, role).includes(toStatus);
+}
+
+function getWorkflow() {
+    const saved = localStorage.getItem(STORAGE_KEYS.WORKFLOW);
+    return saved ? JSON.parse(saved) : DEFAULT_WORKFLOW;
+}
+
+function updateWorkflow(workflow) {
+    const validated = validateWorkflow(workflow);
+    localStorage.setItem(STORAGE_KEYS.WORKFLOW, JSON.stringify(validated));
+    return validated;
+}
+
 // ==========================================
 // Task Categories
 // ==========================================
@@ -484,9 +735,670 @@ const TASK_CATEGORIES = [
 
 const PROJECT_TYPES = ['Retainer', 'One-Time', 'Campaign', 'Consultation'];
 
+// ==========================================
+// Task Types & Templates
+// ==========================================
+
+const TASK_TYPES = ['Static', 'Animated', 'Video', 'Carousel', 'Reels', 'Logo', 'Branding', 'Other'];
+
+// Starting set; agencies edit their own in Settings
+const DEFAULT_TASK_TEMPLATES = [
+    { id: 'tpl-logo', name: 'Logo Design', type: 'Logo', category: 'Design & Creative', amount: 5000, estimatedHours: 12, description: 'Design a logo with 3 concept options', checklist: ['Mood board', '3 concepts', 'Final files (SVG, PNG)'], assignedTo: null },
+    { id: 'tpl-static', name: 'Social Media Post', type: 'Static', category: 'Content Creation', amount: 500, estimatedHours: 2, description: 'Single social media post design', checklist: [], assignedTo: null },
+    { id: 'tpl-video', name: 'Video Edit', type: 'Video', category: 'Content Creation', amount: 3000, estimatedHours: 8, description: 'Edit and produce a video', checklist: [], assignedTo: null },
+    { id: 'tpl-branding', name: 'Branding Package', type: 'Branding', category: 'Design & Creative', amount: 15000, estimatedHours: 40, description: 'Complete branding package', checklist: ['Logo', 'Color palette', 'Typography', 'Brand guidelines PDF'], assignedTo: null },
+    { id: 'tpl-carousel', name: 'Carousel Design', type: 'Carousel', category: 'Content Creation', amount: 1500, estimatedHours: 4, description: 'Multi-slide carousel for social media', checklist: [], assignedTo: null },
+    { id: 'tpl-reels', name: 'Reels/Short Video', type: 'Reels', category: 'Content Creation', amount: 2000, estimatedHours: 5, description: 'Short-form video content', checklist: [], assignedTo: null },
+];
+
+function validateTaskTemplate(data) {
+    const name = (data.name || '').trim();
+    if (!name) throw new Error('Template name is required');
+    if (!TASK_TYPES.includes(data.type)) throw new Error('Pick a valid task type');
+    const checklist = (Array.isArray(data.checklist) ? data.checklist : [])
+        .map(item => String(item).trim())
+        .filter(Boolean);
+    return {
+        name,
+        type: data.type,
+        category: data.category || '',
+        amount: parseFloat(data.amount) || 0,
+        estimatedHours: parseFloat(data.estimatedHours) || null,
+        description: (data.description || '').trim(),
+        checklist,
+        assignedTo: data.assignedTo || null,
+    };
+}
+
+function getTaskTemplates() {
+    const saved = localStorage.getItem(STORAGE_KEYS.TEMPLATES);
+    return saved ? JSON.parse(saved) : DEFAULT_TASK_TEMPLATES;
+}
+
+function getTaskTemplateById(id) {
+    return getTaskTemplates().find(t => t.id === id) || null;
+}
+
+function addTaskTemplate(data) {
+    const templates = getTaskTemplates();
+    const template = { id: generateId(), ...validateTaskTemplate(data) };
+    localStorage.setItem(STORAGE_KEYS.TEMPLATES, JSON.stringify([...templates, template]));
+    return template;
+}
+
+function updateTaskTemplate(id, data) {
+    const templates = getTaskTemplates();
+    const index = templates.findIndex(t => t.id === id);
+    if (index === -1) throw new Error('Template not found');
+    templates[index] = { id, ...validateTaskTemplate({ ...templates[index], ...data }) };
+    localStorage.setItem(STORAGE_KEYS.TEMPLATES, JSON.stringify(templates));
+    return templates[index];
+}
+
+function deleteTaskTemplate(id) {
+    const templates = getTaskTemplates().filter(t => t.id !== id);
+    localStorage.setItem(STORAGE_KEYS.TEMPLATES, JSON.stringify(templates));
+}
+
+// ==========================================
+// Task Pricing
+// ==========================================
+
+// Agencies tune these in Settings; stored on the agency settings record
+const DEFAULT_PRICING_MODIFIERS = {
+    rushWithinHours: 48,
+    rushSurchargePercent: 50,
+    clientIterationPercent: 20,
+};
+
+function getPricingModifiers(agency = {}) {
+    const value = key => {
+        const n = parseFloat(agency[key]);
+        return Number.isFinite(n) && n >= 0 ? n : DEFAULT_PRICING_MODIFIERS[key];
+    };
+    return {
+        rushWithinHours: value('rushWithinHours'),
+        rushSurchargePercent: value('rushSurchargePercent'),
+        clientIterationPercent: value('clientIterationPercent'),
+    };
+}
+
+// Rate card price for a task. `from` is when the work was handed over (defaults to now);
+// a due date closer than rushWithinHours adds the rush surcharge, and every iteration
+// the client caused adds clientIterationPercent of the base rate.
+function calculateTaskPrice({ pricing, type, dueDate, from, iterations }, modifiers = DEFAULT_PRICING_MODIFIERS) {
+    const base = parseFloat((pricing || {})[type]) || 0;
+    const hoursToDue = dueDate ? (new Date(dueDate) - new Date(from || Date.now())) / 3600000 : Infinity;
+    const isRush = modifiers.rushWithinHours > 0 && hoursToDue < modifiers.rushWithinHours;
+    const rush = isRush ? base * modifiers.rushSurchargePercent / 100 : 0;
+    const clientIterations = (iterations || []).filter(it => it.blame === 'client').length;
+    const iterationCharge = base * modifiers.clientIterationPercent / 100 * clientIterations;
+    const round = n => Math.round(n * 100) / 100;
+    return {
+        base,
+        isRush,
+        rush: round(rush),
+        clientIterations,
+        iterationCharge: round(iterationCharge),
+        amount: round(base + rush + iterationCharge),
+    };
+}
+
+// `amount` is what the freelancer is paid; `billableAmount` is what the client is charged
+function clientRate(client, type) {
+    return parseFloat(((client && client.rates) || {})[type]) || 0;
+}
+
+function taskMargin(task) {
+    const billable = parseFloat(task.billableAmount) || 0;
+    const cost = parseFloat(task.amount) || 0;
+    return { billable, cost, margin: billable - cost };
+}
+
+// Pass a converter's toBase to total tasks billed in different currencies
+function summarizeMargin(tasks, toBase = null) {
+    const totals = tasks.reduce((sum, t) => {
+        const m = taskMargin(t);
+        sum.billable += toBase ? toBase(m.billable, t.currency, t.date) : m.billable;
+        sum.cost += toBase ? toBase(m.cost, t.currency, t.date) : m.cost;
+        return sum;
+    }, { billable: 0, cost: 0 });
+    totals.margin = totals.billable - totals.cost;
+    totals.marginPercent = totals.billable > 0 ? Math.round((totals.margin / totals.billable) * 100) : 0;
+    return totals;
+}
+
+// ==========================================
+// Currencies & exchange rates
+// ==========================================
+
+// A task's `amount` and `billableAmount` are both in the task's currency;
+// anything without one is INR
+const DEFAULT_CURRENCY = 'INR';
+const CURRENCIES = {
+    INR: { label: 'Indian Rupee', symbol: '₹', locale: 'en-IN', decimals: 2 },
+    USD: { label: 'US Dollar', symbol: '$', locale: 'en-US', decimals: 2 },
+    AED: { label: 'UAE Dirham', symbol: 'AED ', locale: 'en-AE', decimals: 2 },
+    EUR: { label: 'Euro', symbol: '€', locale: 'en-IE', decimals: 2 },
+    GBP: { label: 'British Pound', symbol: '£', locale: 'en-GB', decimals: 2 },
+};
+
+function formatMoney(amount, currency = DEFAULT_CURRENCY, options = {}) {
+    const c = CURRENCIES[currency || DEFAULT_CURRENCY];
+    const value = (parseFloat(amount) || 0).toLocaleString(c ? c.locale : 'en-IN', options);
+    return c ? `${c.symbol}${value}` : `${currency} ${value}`;
+}
+
+// Smallest unit a payment gateway expects (paise, cents, fils)
+function toMinorUnits(amount, currency = DEFAULT_CURRENCY) {
+    const decimals = (CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY]).decimals;
+    return Math.round((parseFloat(amount) || 0) * 10 ** decimals);
+}
+
+// Rates are { currency, baseCurrency, rateDate, rate }: one unit of `currency`
+// is worth `rate` of `baseCurrency` from rateDate until the next entry.
+// Returns null when no rate is on file for that date.
+function exchangeRateOn(rates, from, to, date) {
+    if (from === to) return 1;
+    const day = String(date || new Date().toISOString()).split('T')[0];
+    const pick = (currency, base) => rates
+        .filter(r => r.currency === currency && r.baseCurrency === base && r.rateDate <= day)
+        .sort((a, b) => (a.rateDate < b.rateDate ? 1 : -1))[0];
+    const direct = pick(from, to);
+    if (direct) return parseFloat(direct.rate);
+    const inverse = pick(to, from);
+    return inverse && parseFloat(inverse.rate) ? 1 / parseFloat(inverse.rate) : null;
+}
+
+// `toBase(amount, currency, date)` converts at the rate on that date;
+// currencies with no rate on file are counted as 0 and listed in `missing`
+function createCurrencyConverter(rates, baseCurrency = DEFAULT_CURRENCY) {
+    const missing = new Set();
+    function toBase(amount, currency, date) {
+        const value = parseFloat(amount) || 0;
+        const from = currency || DEFAULT_CURRENCY;
+        if (from === baseCurrency || value === 0) return value;
+        const rate = exchangeRateOn(rates, from, baseCurrency, date);
+        if (rate === null) {
+            missing.add(from);
+            return 0;
+        }
+        return Math.round(value * rate * 100) / 100;
+    }
+    return { baseCurrency, toBase, missing, format: (amount, options) => formatMoney(amount, baseCurrency, options) };
+}
+
+// ==========================================
+// Invoicing (GST)
+// ==========================================
+
+// GST state codes; the first two digits of a GSTIN
+const INDIAN_STATES = [
+    { code: '01', name: 'Jammu and Kashmir' }, { code: '02', name: 'Himachal Pradesh' },
+    { code: '03', name: 'Punjab' }, { code: '04', name: 'Chandigarh' },
+    { code: '05', name: 'Uttarakhand' }, { code: '06', name: 'Haryana' },
+    { code: '07', name: 'Delhi' }, { code: '08', name: 'Rajasthan' },
+    { code: '09', name: 'Uttar Pradesh' }, { code: '10', name: 'Bihar' },
+    { code: '11', name: 'Sikkim' }, { code: '12', name: 'Arunachal Pradesh' },
+    { code: '13', name: 'Nagaland' }, { code: '14', name: 'Manipur' },
+    { code: '15', name: 'Mizoram' }, { code: '16', name: 'Tripura' },
+    { code: '17', name: 'Meghalaya' }, { code: '18', name: 'Assam' },
+    { code: '19', name: 'West Bengal' }, { code: '20', name: 'Jharkhand' },
+    { code: '21', name: 'Odisha' }, { code: '22', name: 'Chhattisgarh' },
+    { code: '23', name: 'Madhya Pradesh' }, { code: '24', name: 'Gujarat' },
+    { code: '26', name: 'Dadra and Nagar Haveli and Daman and Diu' }, { code: '27', name: 'Maharashtra' },
+    { code: '29', name: 'Karnataka' }, { code: '30', name: 'Goa' },
+    { code: '31', name: 'Lakshadweep' }, { code: '32', name: 'Kerala' },
+    { code: '33', name: 'Tamil Nadu' }, { code: '34', name: 'Puducherry' },
+    { code: '35', name: 'Andaman and Nicobar Islands' }, { code: '36', name: 'Telangana' },
+    { code: '37', name: 'Andhra Pradesh' }, { code: '38', name: 'Ladakh' },
+    { code: '97', name: 'Other Territory' },
+];
+
+// void invoices keep their number but release their tasks for re-billing
+const INVOICE_STATUSES = ['draft', 'sent', 'paid', 'void'];
+const DEFAULT_GST_RATE = 18;
+
+function gstStateCode(gstin) {
+    const code = (gstin || '').trim().slice(0, 2);
+    return INDIAN_STATES.some(st => st.code === code) ? code : '';
+}
+
+function stateName(code) {
+    return (INDIAN_STATES.find(st => st.code === code) || {}).name || '';
+}
+
+// Indian financial year (April–March) of a date, e.g. '2026-27'
+function financialYear(date) {
+    const d = new Date(date);
+    const start = d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+function formatInvoiceNumber(fiscalYear, sequence) {
+    return `INV/${fiscalYear}/${String(sequence).padStart(4, '0')}`;
+}
+
+// Supply within the agency's state is taxed as CGST + SGST, across states as IGST
+function calculateGst(subtotal, rate, supplierState, placeOfSupply) {
+    const round = n => Math.round(n * 100) / 100;
+    const tax = round(subtotal * rate / 100);
+    const interState = !!(supplierState && placeOfSupply && supplierState !== placeOfSupply);
+    const cgst = interState ? 0 : round(tax / 2);
+    const sgst = interState ? 0 : round(tax - cgst);
+    const igst = interState ? tax : 0;
+    return { subtotal: round(subtotal), rate, interState, cgst, sgst, igst, total: round(subtotal + tax) };
+}
+
+// ==========================================
+// Freelancer Payouts (RazorpayX)
+// ==========================================
+
+const PAYOUT_METHODS = ['bank', 'upi'];
+// RazorpayX payout lifecycle; only 'processed' means the money reached the freelancer
+const PAYOUT_STATUSES = ['queued', 'pending', 'processing', 'processed', 'reversed', 'rejected', 'cancelled', 'failed'];
+const PAYOUT_IN_FLIGHT = ['queued', 'pending', 'processing'];
+
+// Returns an error message, or '' when the details can receive a payout
+function validatePayoutAccount(account) {
+    if (!PAYOUT_METHODS.includes(account.method)) return 'Choose bank transfer or UPI';
+    if (account.pan && !/^[A-Z]{5}[0-9]{4}[A-Z]$/.test(account.pan)) return 'Enter a valid PAN, e.g. ABCDE1234F';
+    if (account.method === 'upi') {
+        return /^[\w.-]{2,256}@[a-zA-Z][a-zA-Z0-9]{1,63}$/.test(account.upiId || '') ? '' : 'Enter a valid UPI ID, e.g. name@okhdfc';
+    }
+    if (!(account.accountName || '').trim()) return 'Enter the account holder name';
+    if (!/^\d{9,18}$/.test(account.accountNumber || '')) return 'Account number must be 9–18 digits';
+    if (!/^[A-Z]{4}0[A-Z0-9]{6}$/.test(account.ifsc || '')) return 'Enter a valid IFSC, e.g. HDFC0001234';
+    return '';
+}
+
+// Masked for display, e.g. 'HDFC0001234 ••••6789' or the UPI ID
+function describePayoutAccount(account) {
+    if (!account) return '';
+    if (account.method === 'upi') return account.upiId;
+    return `${account.ifsc} ••••${(account.accountNumber || '').slice(-4)}`;
+}
+
+// ==========================================
+// Payment Allocations & Freelancer Ledger
+// ==========================================
+
+// Only these transaction statuses mean money actually reached the freelancer
+const SETTLED_PAYMENT_STATUSES = ['success', 'processed'];
+
+// What the freelancer is owed for a task: the fee plus approved expenses
+function taskPayable(task) {
+    return (parseFloat(task.amount) || 0) + (parseFloat(task.expenseAmount) || 0);
+}
+
+// Tasks marked Paid without allocations (before partial payments existed, or
+// by hand) count as fully paid
+function taskPaidAmount(task) {
+    const amount = taskPayable(task);
+    if (task.paymentStatus === 'Paid') return amount;
+    return Math.min(parseFloat(task.paidAmount) || 0, amount);
+}
+
+function taskBalance(task) {
+    return Math.max(taskPayable(task) - taskPaidAmount(task), 0);
+}
+
+// Derived status once a task has allocations against it
+function allocatedPaymentStatus(task, paid) {
+    const amount = taskPayable(task);
+    if (amount > 0 && paid >= amount) return 'Paid';
+    return paid > 0 ? 'Partial' : 'Unpaid';
+}
+
+// Part of a transaction not yet allocated to tasks, i.e. an advance. Older
+// transactions without allocations paid their taskIds in full.
+function unallocatedAmount(txn, allocations) {
+    const own = allocations.filter(a => a.transactionId === txn.id);
+    if (own.length === 0) return (txn.taskIds || []).length > 0 ? 0 : parseFloat(txn.amount) || 0;
+    const allocated = own.reduce((s, a) => s + (parseFloat(a.amount) || 0), 0);
+    return Math.max(Math.round(((parseFloat(txn.amount) || 0) - allocated) * 100) / 100, 0);
+}
+
+// Chronological debits (task fees) and credits (settled payments) for one
+// freelancer. A positive balance is owed to the freelancer; a negative one is
+// an advance they have not yet worked off.
+function buildFreelancerLedger(tasks, transactions, allocations) {
+    const payouts = transactions.filter(txn => txn.direction !== 'receipt' && SETTLED_PAYMENT_STATUSES.includes(txn.status));
+    const entries = [
+        ...tasks.filter(t => (parseFloat(t.amount) || 0) > 0).map(t => ({
+            date: t.date || t.createdAt,
+            kind: 'task',
+            ref: t.id,
+            description: `#${t.slNo} ${[t.client, t.type].filter(Boolean).join(' — ')}`.trim(),
+            debit: parseFloat(t.amount) || 0,
+            credit: 0,
+        })),
+        ...tasks.filter(t => (parseFloat(t.expenseAmount) || 0) > 0).map(t => ({
+            date: t.date || t.createdAt,
+            kind: 'task',
+            ref: t.id,
+            description: `#${t.slNo} approved expenses`,
+            debit: parseFloat(t.expenseAmount) || 0,
+            credit: 0,
+        })),
+        ...payouts.map(txn => ({
+            date: txn.createdAt,
+            kind: 'payment',
+            ref: txn.id,
+            description: txn.notes || 'Payment',
+            debit: 0,
+            credit: parseFloat(txn.amount) || 0,
+            unallocated: unallocatedAmount(txn, allocations),
+        })),
+    ].sort((a, b) => new Date(a.date) - new Date(b.date) || (a.kind === 'task' ? -1 : 1));
+
+    let balance = 0;
+    for (const entry of entries) {
+        balance = Math.round((balance + entry.debit - entry.credit) * 100) / 100;
+        entry.balance = balance;
+    }
+
+    const earned = entries.reduce((s, e) => s + e.debit, 0);
+    const paid = entries.reduce((s, e) => s + e.credit, 0);
+    const advance = payouts.reduce((s, txn) => s + unallocatedAmount(txn, allocations), 0);
+    return { entries, earned, paid, balance, advance };
+}
+
+// ==========================================
+// Task dependencies (finish-to-start)
+// ==========================================
+
+// Dependencies are { taskId, predecessorId }: taskId can't start until
+// predecessorId is approved. Returns taskId → unfinished predecessor tasks.
+function findBlockedTasks(tasks, dependencies) {
+    const byId = new Map(tasks.map(t => [t.id, t]));
+    const blocked = {};
+    for (const d of dependencies) {
+        const predecessor = byId.get(d.predecessorId);
+        if (!predecessor || predecessor.status === 'approved') continue;
+        (blocked[d.taskId] = blocked[d.taskId] || []).push(predecessor);
+    }
+    return blocked;
+}
+
+// Whether making taskId wait on predecessorId would close a loop, i.e.
+// predecessorId already (indirectly) waits on taskId
+function createsDependencyCycle(dependencies, taskId, predecessorId) {
+    if (taskId === predecessorId) return true;
+    const seen = new Set();
+    const stack = [predecessorId];
+    while (stack.length > 0) {
+        const current = stack.pop();
+        if (current === taskId) return true;
+        if (seen.has(current)) continue;
+        seen.add(current);
+        dependencies.filter(d => d.taskId === current).forEach(d => stack.push(d.predecessorId));
+    }
+    return false;
+}
+
+// ==========================================
+// Project tracking
+// ==========================================
+
+// Budget, spend and progress for one project's tasks. Rejected tasks don't
+// count; money is converted with toBase since the budget is in base currency.
+function summarizeProject(project, tasks, toBase) {
+    const live = tasks.filter(t => t.status !== 'rejected');
+    const approved = live.filter(t => t.status === 'approved').length;
+    const committed = Math.round(live.reduce((s, t) => s + toBase(taskPayable(t), t.currency, t.date), 0) * 100) / 100;
+    const paid = Math.round(live.reduce((s, t) => s + toBase(taskPaidAmount(t), t.currency, t.date), 0) * 100) / 100;
+    const budget = project.budget === null || project.budget === undefined || project.budget === '' ? null : parseFloat(project.budget);
+    return {
+        taskCount: live.length,
+        approved,
+        completion: live.length > 0 ? Math.round((approved / live.length) * 100) : 0,
+        committed,
+        paid,
+        outstanding: Math.round((committed - paid) * 100) / 100,
+        budget,
+        remaining: budget === null ? null : Math.round((budget - committed) * 100) / 100,
+    };
+}
+
+// Cumulative committed spend by task date, sampled about weekly from the
+// project's start to its end (or the last task / today, whichever is later)
+function projectBurn(project, tasks, toBase, today = new Date().toISOString().split('T')[0]) {
+    const live = tasks
+        .filter(t => t.status !== 'rejected' && (t.date || t.dueDate))
+        .map(t => ({ day: (t.date || t.dueDate).split('T')[0], amount: toBase(taskPayable(t), t.currency, t.date) }))
+        .sort((a, b) => a.day.localeCompare(b.day));
+    const start = project.startDate || (live[0] && live[0].day);
+    if (!start) return [];
+    const end = [project.endDate, live.length > 0 ? live[live.length - 1].day : null, project.endDate ? null : today]
+        .filter(Boolean)
+        .reduce((latest, day) => (day > latest ? day : latest), start);
+
+    const dayMs = 1000 * 60 * 60 * 24;
+    const span = Math.round((Date.parse(end) - Date.parse(start)) / dayMs);
+    const step = Math.max(7, Math.ceil(span / 52));
+    const points = [];
+    for (let offset = 0; ; offset = Math.min(offset + step, span)) {
+        const day = new Date(Date.parse(start) + offset * dayMs).toISOString().split('T')[0];
+        const committed = live.filter(t => t.day <= day).reduce((s, t) => s + t.amount, 0);
+        points.push({ day, committed: Math.round(committed * 100) / 100 });
+        if (offset >= span) break;
+    }
+    return points;
+}
+
+// Deliverables per month against a retainer's quota, for the last few months
+function retainerQuotaUsage(project, tasks, months = 6, today = new Date()) {
+    const usage = [];
+    for (let i = months - 1; i >= 0; i--) {
+        const d = new Date(today.getFullYear(), today.getMonth() - i, 1);
+        const month = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+        if (project.startDate && month < project.startDate.slice(0, 7)) continue;
+        const used = tasks.filter(t => t.status !== 'rejected' && (t.date || '').startsWith(month)).length;
+        usage.push({ month, label: `${MONTHS[d.getMonth()]} ${d.getFullYear()}`, used, quota: project.monthlyQuota || 0 });
+    }
+    return usage;
+}
+
+// ==========================================
+// Task expenses (reimbursements)
+// ==========================================
+
+const EXPENSE_CATEGORIES = {
+    stock_photo: 'Stock photo',
+    font: 'Font licence',
+    music: 'Music / audio',
+    other: 'Other',
+};
+const EXPENSE_STATUSES = ['pending', 'approved', 'rejected'];
+
+// ==========================================
+// Bank payout batch files (net banking bulk upload)
+// ==========================================
+
+const BANK_PAYOUT_FORMATS = {
+    hdfc: { label: 'HDFC Bank — ENet bulk upload (CSV)', extension: 'csv', ifscPrefix: 'HDFC' },
+    icici: { label: 'ICICI Bank — CIB bulk upload (fixed-width)', extension: 'txt', ifscPrefix: 'ICIC' },
+};
+// Transfers at or above this go by RTGS rather than NEFT
+const RTGS_MIN_AMOUNT = 200000;
+
+// ICICI record layout: [field, width]. Text is left-aligned and space-padded,
+// the amount right-aligned and zero-padded with two implied decimals.
+const ICICI_PAYOUT_LAYOUT = [
+    ['paymentMode', 3], ['debitAccount', 12], ['accountNumber', 20], ['name', 35],
+    ['amount', 15], ['ifsc', 11], ['valueDate', 8], ['reference', 20], ['email', 50],
+];
+
+// Banks reject most punctuation in names and narrations
+function bankSafeText(text, maxLength) {
+    return String(text || '').replace(/[^A-Za-z0-9 .\-/]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, maxLength);
+}
+
+function bankTransferMode(bank, ifsc, amount) {
+    const sameBank = ifsc.startsWith(BANK_PAYOUT_FORMATS[bank].ifscPrefix);
+    if (bank === 'hdfc') return sameBank ? 'I' : amount >= RTGS_MIN_AMOUNT ? 'R' : 'N';
+    return sameBank ? 'WIB' : amount >= RTGS_MIN_AMOUNT ? 'RTG' : 'NEF';
+}
+
+// `rows` are { accountName, accountNumber, ifsc, amount, reference, email };
+// amount is what leaves the account, i.e. net of TDS
+function buildBankPayoutFile(bank, rows, { debitAccount = '', date = new Date(), batchRef = '' } = {}) {
+    if (!BANK_PAYOUT_FORMATS[bank]) throw new Error('Unsupported bank format');
+    const d = new Date(date);
+    const dd = String(d.getDate()).padStart(2, '0');
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    const fileDate = `${d.getFullYear()}${mm}${dd}`;
+
+    let content;
+    if (bank === 'hdfc') {
+        // Transaction type, beneficiary code, account, amount, name, 7 location /
+        // address fields, customer reference, 7 payment detail lines, cheque no,
+        // value date, MICR, IFSC, bank name, branch, email
+        content = rows.map(row => [
+            bankTransferMode(bank, row.ifsc, row.amount),
+            '',
+            row.accountNumber,
+            row.amount.toFixed(2),
+            bankSafeText(row.accountName, 40),
+            '', '', '', '', '', '', '',
+            bankSafeText(row.reference, 20),
+            bankSafeText(batchRef, 30), '', '', '', '', '', '',
+            '',
+            `${dd}/${mm}/${d.getFullYear()}`,
+            '',
+            row.ifsc,
+            '', '',
+            row.email || '',
+        ].join(',')).join('\r\n');
+    } else {
+        content = rows.map(row => {
+            const values = {
+                paymentMode: bankTransferMode(bank, row.ifsc, row.amount),
+                debitAccount,
+                accountNumber: row.accountNumber,
+                name: bankSafeText(row.accountName, 35),
+                amount: String(Math.round(row.amount * 100)),
+                ifsc: row.ifsc,
+                valueDate: `${dd}${mm}${d.getFullYear()}`,
+                reference: bankSafeText(row.reference, 20),
+                email: row.email || '',
+            };
+            return ICICI_PAYOUT_LAYOUT.map(([field, width]) => field === 'amount'
+                ? values[field].padStart(width, '0').slice(-width)
+                : String(values[field]).padEnd(width, ' ').slice(0, width)).join('');
+        }).join('\r\n');
+    }
+
+    return {
+        content: content + '\r\n',
+        fileName: `${bank}-payouts-${fileDate}${batchRef ? `-${batchRef}` : ''}.${BANK_PAYOUT_FORMATS[bank].extension}`,
+    };
+}
+
+// ==========================================
+// TDS on freelancer payments (sections 194C / 194J)
+// ==========================================
+
+// Thresholds are per financial year; 194C also applies to any single
+// payment above its single-payment limit
+const TDS_SECTIONS = {
+    '194C': { label: '194C — Contractor', defaultRate: 1, singleThreshold: 30000, annualThreshold: 100000 },
+    '194J': { label: '194J — Professional / technical fees', defaultRate: 10, singleThreshold: null, annualThreshold: 50000 },
+};
+// Section 206AA: payees without a PAN are deducted at 20% or the normal rate, whichever is higher
+const TDS_NO_PAN_RATE = 20;
+
+// `prior` is what was already paid and deducted this financial year. Once a
+// threshold is crossed, TDS is due on the year's aggregate, so the first
+// deducting payment catches up on earlier undeducted ones.
+function calculateTds(gross, settings, prior = { gross: 0, tds: 0 }) {
+    const round = n => Math.round(n * 100) / 100;
+    const section = settings && TDS_SECTIONS[settings.section] ? settings.section : null;
+    if (!section || !(gross > 0)) return { section: null, rate: 0, gross: round(gross || 0), tds: 0, net: round(gross || 0), thresholdCrossed: false };
+
+    const limits = TDS_SECTIONS[section];
+    const baseRate = parseFloat(settings.rate) >= 0 ? parseFloat(settings.rate) : limits.defaultRate;
+    const rate = settings.hasPan === false ? Math.max(baseRate, TDS_NO_PAN_RATE) : baseRate;
+    const aggregate = (prior.gross || 0) + gross;
+    const thresholdCrossed = aggregate > limits.annualThreshold
+        || (limits.singleThreshold !== null && gross > limits.singleThreshold);
+
+    let tds = 0;
+    if (thresholdCrossed) {
+        // A single 194C payment over the limit, below the annual limit, is taxed on its own
+        const base = aggregate > limits.annualThreshold ? aggregate : gross;
+        const alreadyDeducted = aggregate > limits.annualThreshold ? prior.tds || 0 : 0;
+        tds = Math.min(Math.max(round(base * rate / 100) - alreadyDeducted, 0), gross);
+    }
+    return { section, rate, gross: round(gross), tds: round(tds), net: round(gross - tds), thresholdCrossed };
+}
+
+// Quarter of the Indian financial year: Q1 = April–June … Q4 = January–March
+function financialQuarter(date) {
+    const month = new Date(date).getMonth();
+    return { fiscalYear: financialYear(date), quarter: month >= 3 ? Math.floor((month - 3) / 3) + 1 : 4 };
+}
+
+function quarterRange(fiscalYear, quarter) {
+    const startYear = parseInt(fiscalYear);
+    const startMonth = (quarter - 1) * 3 + 3; // April = 3
+    const from = new Date(startYear, startMonth, 1);
+    const to = new Date(startYear, startMonth + 3, 0);
+    const iso = d => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    return { from: iso(from), to: iso(to) };
+}
+
+// Per-freelancer gross / TDS / net for settled payouts in one quarter
+function buildTdsStatement(transactions, fiscalYear, quarter) {
+    const byFreelancer = {};
+    transactions
+        .filter(txn => txn.direction !== 'receipt' && SETTLED_PAYMENT_STATUSES.includes(txn.status))
+        .filter(txn => {
+            const q = financialQuarter(txn.createdAt);
+            return q.fiscalYear === fiscalYear && q.quarter === quarter;
+        })
+        .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+        .forEach(txn => {
+            const gross = parseFloat(txn.amount) || 0;
+            const tds = parseFloat(txn.tdsAmount) || 0;
+            const row = byFreelancer[txn.freelancerId] ||= {
+                freelancerId: txn.freelancerId,
+                freelancerName: txn.freelancerName,
+                sections: new Set(),
+                payments: [],
+                gross: 0,
+                tds: 0,
+                net: 0,
+            };
+            if (txn.tdsSection) row.sections.add(txn.tdsSection);
+            row.payments.push({ id: txn.id, date: txn.createdAt, gross, tds, net: gross - tds, section: txn.tdsSection || '', rate: parseFloat(txn.tdsRate) || 0, reference: txn.utr || txn.razorpayPayoutId || '' });
+            row.gross += gross;
+            row.tds += tds;
+            row.net += gross - tds;
+        });
+    return Object.values(byFreelancer)
+        .map(row => ({ ...row, sections: [...row.sections].join(', ') }))
+        .sort((a, b) => (a.freelancerName || '').localeCompare(b.freelancerName || ''));
+}
+
 export {
-    STORAGE_KEYS, MONTHS, TASK_CATEGORIES, PROJECT_TYPES,
+    STORAGE_KEYS, MONTHS, TASK_CATEGORIES, PROJECT_TYPES, TASK_TYPES,
+    CORE_TASK_STATES, WORKFLOW_ROLES, DEFAULT_WORKFLOW, DEFAULT_TASK_TEMPLATES,
     generateId, formatDate, formatDateTime, timeDiff, sanitizeHTML,
+    validateWorkflow, workflowRole, getWorkflowState, formatStatusLabel, statusBadgeStyle,
+    getAllowedTransitions, canTransition, validateTaskTemplate,
+    DEFAULT_PRICING_MODIFIERS, getPricingModifiers, calculateTaskPrice,
+    clientRate, taskMargin, summarizeMargin,
+    INDIAN_STATES, INVOICE_STATUSES, DEFAULT_GST_RATE,
+    gstStateCode, stateName, financialYear, formatInvoiceNumber, calculateGst,
+    PAYOUT_METHODS, PAYOUT_STATUSES, PAYOUT_IN_FLIGHT, validatePayoutAccount, describePayoutAccount,
+    SETTLED_PAYMENT_STATUSES, taskPayable, taskPaidAmount, taskBalance, allocatedPaymentStatus, unallocatedAmount, buildFreelancerLedger,
+    EXPENSE_CATEGORIES, EXPENSE_STATUSES, findBlockedTasks, createsDependencyCycle,
+    summarizeProject, projectBurn, retainerQuotaUsage,
+    TDS_SECTIONS, TDS_NO_PAN_RATE, calculateTds, financialQuarter, quarterRange, buildTdsStatement,
+    BANK_PAYOUT_FORMATS, buildBankPayoutFile,
+    DEFAULT_CURRENCY, CURRENCIES, formatMoney, toMinorUnits, exchangeRateOn, createCurrencyConverter,
     seedData, migrateTaskData,
     getUsers, getUserById, getFreelancers, getAdmins, addUser, updateUser, deleteUser,
     login, logout, getCurrentUser, isAdmin, isSuperAdmin,
@@ -494,6 +1406,9 @@ export {
     addTask, updateTask, deleteTask,
     pickUpTask, uploadCompletedCreative, submitTask, approveTask, rejectTask, requestIteration, resolveIteration,
     getStats, getFreelancerStats,
-    getProjects, getProjectById, getProjectsByClient, addProject, updateProject, deleteProject,
+    getClients, getClientById, getClientByName, addClient, updateClient, deleteClient, findOrCreateClient,
+    getProjects, getProjectById, getProjectByName, getProjectsByClient, addProject, updateProject, deleteProject,
     getAgencySettings, updateAgencySettings,
+    getWorkflow, updateWorkflow,
+    getTaskTemplates, getTaskTemplateById, addTaskTemplate, updateTaskTemplate, deleteTaskTemplate,
 };
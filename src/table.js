@@ -7,8 +7,11 @@ import {
     getUserById, getFreelancers, deleteTask as deleteTaskFromStore,
     pickUpTask, submitTask, approveTask, rejectTask, requestIteration, resolveIteration,
     addTask, updateTask, uploadCompletedCreative, getTaskById,
-    uploadCreativeFile, getProjects,
+    uploadCreativeFile, getProjects, getClients, getSubtaskSummaries,
+    getWorkflow, transitionTask, formatStatusLabel, statusBadgeStyle, getAllowedTransitions, canTransition,
+    getAnnotations, getTaskPrice, clientRate, getTaskBlockers, getTaskTemplates, getTaskTemplateById, addTemplateSubtasks,
     MONTHS, TASK_CATEGORIES, formatDate, formatDateTime, sanitizeHTML,
+    CURRENCIES, DEFAULT_CURRENCY, formatMoney, getBaseCurrency, getExchangeRates, exchangeRateOn,
 } from './store-async.js';
 import { showToast } from './toast.js';
 import { validateImageFile } from './validation.js';
@@ -18,20 +21,17 @@ function capitalize(str) {
     return str ? str.charAt(0).toUpperCase() + str.slice(1) : '';
 }
 
+function blockedBadge(waitingOn) {
+    const title = `Waiting on ${waitingOn.map(p => `#${p.slNo} ${p.client || ''}`.trim()).join(', ')}`;
+    return `<span class="badge badge-blocked" title="${sanitizeHTML(title)}">Blocked</span>`;
+}
+
 // ==========================================
 // Task Templates
 // ==========================================
 
-const TASK_TEMPLATES = [
-    { name: 'Logo Design', type: 'Logo', amount: 5000, description: 'Design a logo with 3 concept options' },
-    { name: 'Social Media Post', type: 'Static', amount: 500, description: 'Single social media post design' },
-    { name: 'Video Edit', type: 'Video', amount: 3000, description: 'Edit and produce a video' },
-    { name: 'Branding Package', type: 'Branding', amount: 15000, description: 'Complete branding package' },
-    { name: 'Carousel Design', type: 'Carousel', amount: 1500, description: 'Multi-slide carousel for social media' },
-    { name: 'Reels/Short Video', type: 'Reels', amount: 2000, description: 'Short-form video content' },
-];
-
-window.showTemplateModal = function () {
+window.showTemplateModal = async function () {
+    const templates = await getTaskTemplates();
     const overlay = document.createElement('div');
     overlay.className = 'modal-overlay';
     overlay.innerHTML = `
@@ -41,37 +41,32 @@ window.showTemplateModal = function () {
         <button class="btn-icon" onclick="this.closest('.modal-overlay').remove()">&#x2715;</button>
       </div>
       <div class="modal-body">
-        <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 8px;">Choose a template to pre-fill a new task.</p>
+        <p style="color: var(--text-secondary); font-size: 0.85rem; margin-bottom: 8px;">Choose a template to pre-fill a new task. Templates are managed in Settings.</p>
+        ${templates.length === 0 ? '<div class="empty-state"><p>No templates yet</p></div>' : `
         <div class="template-grid">
-          ${TASK_TEMPLATES.map((t, i) => `
-            <div class="template-card" onclick="useTemplate(${i})">
+          ${templates.map(t => `
+            <div class="template-card" onclick="useTemplate('${t.id}')">
               <h4>${sanitizeHTML(t.name)}</h4>
-              <div class="template-meta">Type: ${sanitizeHTML(t.type)}</div>
+              <div class="template-meta">Type: ${sanitizeHTML(t.type)}${t.category ? ` · ${sanitizeHTML(t.category)}` : ''}</div>
+              <div class="template-meta">${formatMoney(t.amount)}${t.estimatedHours ? ` · ${t.estimatedHours}h` : ''}${t.checklist && t.checklist.length ? ` · ${t.checklist.length} checklist item${t.checklist.length === 1 ? '' : 's'}` : ''}</div>
               <div class="template-meta" style="margin-top:6px; font-style:italic;">${sanitizeHTML(t.description)}</div>
             </div>
           `).join('')}
         </div>
+        `}
       </div>
     </div>
   `;
     document.body.appendChild(overlay);
 };
 
-window.useTemplate = async function (index) {
-    const template = TASK_TEMPLATES[index];
+window.useTemplate = async function (templateId) {
+    const template = await getTaskTemplateById(templateId);
     if (!template) return;
     // Close template modal
     const existing = document.querySelector('.modal-overlay');
     if (existing) existing.remove();
-    // Open the add-task modal, then pre-fill template values after it renders
-    await showTaskModal(null);
-    // Now pre-fill the fields from the template
-    setTimeout(() => {
-        const typeEl = document.getElementById('task-type');
-        const descEl = document.getElementById('task-description');
-        if (typeEl) typeEl.value = template.type;
-        if (descEl) descEl.value = template.description;
-    }, 50);
+    await showTaskModal(null, template);
 };
 
 // ==========================================
@@ -213,6 +208,10 @@ async function renderTable() {
 
     // Freelancers for filter dropdown
     const freelancers = adminUser ? await getFreelancers() : [];
+    const subtaskSummaries = await getSubtaskSummaries();
+    const blockers = await getTaskBlockers();
+    const workflow = await getWorkflow();
+    const role = adminUser ? 'admin' : 'freelancer';
 
     // Month tabs
     const monthTabs = MONTHS.map((m, i) => `
@@ -289,27 +288,32 @@ async function renderTable() {
                 ? `<td onclick="event.stopPropagation();"><input type="checkbox" ${selectedIds.includes(t.id) ? 'checked' : ''} onchange="toggleTaskSelection('${t.id}')" /></td>`
                 : '';
 
-            // Actions based on role
+            // Actions based on role and the workflow transitions it may perform
+            const moves = getAllowedTransitions(workflow, t.status, role);
+            const customMoves = moves
+                .filter(to => !['in_progress', 'submitted', 'approved', 'iteration', 'rejected'].includes(to))
+                .map(to => `<button class="btn btn-sm btn-secondary" onclick="event.stopPropagation(); handleTransitionTask('${t.id}', '${to}')" title="Move to ${sanitizeHTML(formatStatusLabel(workflow, to))}">→ ${sanitizeHTML(formatStatusLabel(workflow, to))}</button>`)
+                .join('');
             let actionsHTML = '';
             if (adminUser) {
                 actionsHTML = `
           <button class="btn-icon" onclick="event.stopPropagation(); openEditTaskModal('${t.id}')" title="Edit">${icons.edit}</button>
           <button class="btn-icon" onclick="event.stopPropagation(); handleDeleteTask('${t.id}')" title="Delete">${icons.trash}</button>
-          ${t.status === 'submitted' ? `
-            <button class="btn-icon" onclick="event.stopPropagation(); handleApproveTask('${t.id}')" title="Approve" style="color: var(--status-approved);">${icons.check}</button>
-            <button class="btn-icon" onclick="event.stopPropagation(); openRejectModal('${t.id}')" title="Reject" style="color: var(--status-rejected);">${icons.x}</button>
-            <button class="btn-icon" onclick="event.stopPropagation(); openIterationModal('${t.id}')" title="Request Iteration" style="color: var(--status-iteration);">${icons.refresh}</button>
-          ` : ''}
+          ${moves.includes('approved') ? `<button class="btn-icon" onclick="event.stopPropagation(); handleApproveTask('${t.id}')" title="Approve" style="color: var(--status-approved);">${icons.check}</button>` : ''}
+          ${moves.includes('rejected') ? `<button class="btn-icon" onclick="event.stopPropagation(); openRejectModal('${t.id}')" title="Reject" style="color: var(--status-rejected);">${icons.x}</button>` : ''}
+          ${moves.includes('iteration') ? `<button class="btn-icon" onclick="event.stopPropagation(); openIterationModal('${t.id}')" title="Request Iteration" style="color: var(--status-iteration);">${icons.refresh}</button>` : ''}
+          ${customMoves}
         `;
             } else {
-                if (t.status === 'assigned' || t.status === 'iteration') {
-                    actionsHTML = `<button class="btn btn-sm btn-primary" onclick="event.stopPropagation(); handlePickUp('${t.id}')">Pick Up</button>`;
-                } else if (t.status === 'in_progress') {
+                if (moves.includes('in_progress')) {
+                    actionsHTML = `<button class="btn btn-sm btn-primary" onclick="event.stopPropagation(); handlePickUp('${t.id}')" ${blockers[t.id] ? 'disabled title="Waiting on another task"' : ''}>Pick Up</button>`;
+                } else if (t.status === 'in_progress' && moves.includes('submitted')) {
                     actionsHTML = `
             <button class="btn btn-sm btn-secondary" onclick="event.stopPropagation(); openUploadCreativeModal('${t.id}')">Upload</button>
             <button class="btn btn-sm btn-primary" onclick="event.stopPropagation(); openSubmitModal('${t.id}')">Submit</button>
           `;
                 }
+                actionsHTML += customMoves;
             }
 
             return `
@@ -323,9 +327,13 @@ async function renderTable() {
           <td>${sanitizeHTML(t.project) || '—'}</td>
           <td>${creativeCol}</td>
           <td>${sanitizeHTML(t.editableFileShared)}</td>
-          <td><span class="badge badge-${t.status}">${formatStatusLabel(t.status)}</span></td>
+          <td>
+            <span class="badge badge-${t.status}" ${statusBadgeStyle(workflow, t.status)}>${sanitizeHTML(formatStatusLabel(workflow, t.status))}</span>
+            ${blockers[t.id] ? blockedBadge(blockers[t.id]) : ''}
+            ${subtaskSummaries[t.id] ? `<div class="table-checklist-count" title="Checklist">☑ ${subtaskSummaries[t.id].completed}/${subtaskSummaries[t.id].total}</div>` : ''}
+          </td>
           <td><span class="badge priority-${t.priority || 'medium'}">${capitalize(t.priority || 'medium')}</span></td>
-          <td>₹${(parseFloat(t.amount) || 0).toLocaleString('en-IN')}</td>
+          <td>${formatMoney(t.amount, t.currency)}${t.amountOverridden ? ' <span class="amount-override-flag" title="Set by hand, not from the rate card">✎</span>' : ''}</td>
           <td><span class="badge badge-${(t.paymentStatus || 'unpaid').toLowerCase()}">${sanitizeHTML(t.paymentStatus) || 'Unpaid'}</span></td>
           <td class="${t.dueDate && t.dueDate.split('T')[0] < new Date().toISOString().split('T')[0] && !['approved', 'rejected'].includes(t.status) ? 'overdue-cell' : ''}">${t.dueDate ? (t.dueDate.includes('T') ? formatDateTime(t.dueDate) : formatDate(t.dueDate)) : '—'}</td>
           <td>${adminUser ? freelancerName : ''}</td>
@@ -377,17 +385,13 @@ async function renderTable() {
             </div>
             <select class="filter-select" onchange="handleStatusFilter(this.value)" id="status-filter">
               <option value="all" ${sf === 'all' ? 'selected' : ''}>All Status</option>
-              <option value="assigned" ${sf === 'assigned' ? 'selected' : ''}>Assigned</option>
-              <option value="in_progress" ${sf === 'in_progress' ? 'selected' : ''}>In Progress</option>
-              <option value="submitted" ${sf === 'submitted' ? 'selected' : ''}>Submitted</option>
-              <option value="approved" ${sf === 'approved' ? 'selected' : ''}>Approved</option>
-              <option value="iteration" ${sf === 'iteration' ? 'selected' : ''}>Iteration</option>
-              <option value="rejected" ${sf === 'rejected' ? 'selected' : ''}>Rejected</option>
+              ${workflow.states.map(st => `<option value="${st.id}" ${sf === st.id ? 'selected' : ''}>${sanitizeHTML(st.label)}</option>`).join('')}
             </select>
             <select class="filter-select" onchange="handlePaymentFilter(this.value)" id="payment-filter">
               <option value="all" ${pf === 'all' ? 'selected' : ''}>All Payments</option>
               <option value="Unpaid" ${pf === 'Unpaid' ? 'selected' : ''}>Unpaid</option>
               <option value="Pending" ${pf === 'Pending' ? 'selected' : ''}>Pending</option>
+              <option value="Partial" ${pf === 'Partial' ? 'selected' : ''}>Partial</option>
               <option value="Paid" ${pf === 'Paid' ? 'selected' : ''}>Paid</option>
             </select>
             <select class="filter-select" onchange="handleTypeFilter(this.value)" id="type-filter">
@@ -467,18 +471,6 @@ async function renderTable() {
   `;
 }
 
-function formatStatusLabel(status) {
-    const labels = {
-        'assigned': 'Assigned',
-        'in_progress': 'In Progress',
-        'submitted': 'Submitted',
-        'approved': 'Approved',
-        'iteration': 'Iteration',
-        'rejected': 'Rejected',
-    };
-    return labels[status] || status;
-}
-
 // ==========================================
 // Global Handlers
 // ==========================================
@@ -571,16 +563,35 @@ window.handleDeleteTask = function (id) {
 };
 
 window.handleApproveTask = async function (id) {
-    await approveTask(id);
-    showToast('Task approved!', 'success');
-    await window.renderApp();
+    try {
+        await approveTask(id);
+        showToast('Task approved!', 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
 };
 
 window.handlePickUp = async function (id) {
-    await resolveIteration(id);
-    await pickUpTask(id);
-    showToast('Task picked up! Get started.', 'success');
-    await window.renderApp();
+    try {
+        await pickUpTask(id);
+        await resolveIteration(id);
+        showToast('Task picked up! Get started.', 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.handleTransitionTask = async function (id, toStatus) {
+    try {
+        const workflow = await getWorkflow();
+        await transitionTask(id, toStatus);
+        showToast(`Task moved to ${formatStatusLabel(workflow, toStatus)}`, 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
 };
 
 // ==========================================
@@ -617,10 +628,11 @@ window.toggleAllSelection = async function (checked) {
 
 window.handleBulkApprove = async function () {
     const ids = window.appState.selectedTaskIds || [];
+    const workflow = await getWorkflow();
     let count = 0;
     for (const id of ids) {
         const task = await getTaskById(id);
-        if (task && task.status === 'submitted') {
+        if (task && canTransition(workflow, task.status, 'approved', 'admin')) {
             await approveTask(id);
             count++;
         }
@@ -653,7 +665,8 @@ window.handleBulkClear = async function () {
 
 window.exportCSV = async function () {
     const tasks = await getFilteredTasks();
-    const headers = ['Sl No', 'Date', 'Client', 'Type', 'Status', 'Amount', 'Payment', 'Due Date', 'Assigned To', 'Iterations'];
+    const workflow = await getWorkflow();
+    const headers = ['Sl No', 'Date', 'Client', 'Type', 'Status', 'Amount', 'Currency', 'Payment', 'Due Date', 'Assigned To', 'Iterations'];
     const freelancerCache = {};
     for (const t of tasks) {
         if (t.assignedTo && !freelancerCache[t.assignedTo]) {
@@ -667,8 +680,9 @@ window.exportCSV = async function () {
             t.date,
             `"${(t.client || '').replace(/"/g, '""')}"`,
             t.type,
-            formatStatusLabel(t.status),
+            `"${formatStatusLabel(workflow, t.status).replace(/"/g, '""')}"`,
             t.amount || 0,
+            t.currency || DEFAULT_CURRENCY,
             t.paymentStatus || 'Unpaid',
             t.dueDate || '',
             freelancer ? `"${freelancer.name.replace(/"/g, '""')}"` : '',
@@ -698,6 +712,30 @@ window.openLightbox = function (src) {
     document.body.appendChild(overlay);
 };
 
+// Side-by-side view of two images from a list ({ src, label }), each side switchable
+window.openCompareLightbox = function (images, leftIndex, rightIndex) {
+    const overlay = document.createElement('div');
+    overlay.className = 'lightbox-overlay lightbox-compare';
+    const pane = (side, index) => `
+      <div class="lightbox-compare-pane">
+        <select class="form-control" data-side="${side}">
+          ${images.map((img, i) => `<option value="${i}" ${i === index ? 'selected' : ''}>${sanitizeHTML(img.label)}</option>`).join('')}
+        </select>
+        <img src="${images[index].src}" alt="${sanitizeHTML(images[index].label)}" data-side="${side}" />
+      </div>
+    `;
+    overlay.innerHTML = `${pane('left', leftIndex)}${pane('right', rightIndex)}`;
+
+    overlay.querySelectorAll('select').forEach(select => {
+        select.onclick = (e) => e.stopPropagation();
+        select.onchange = () => {
+            overlay.querySelector(`img[data-side="${select.dataset.side}"]`).src = images[select.value].src;
+        };
+    });
+    overlay.onclick = () => overlay.remove();
+    document.body.appendChild(overlay);
+};
+
 // ==========================================
 // Confirm Dialog
 // ==========================================
@@ -737,11 +775,17 @@ window.openEditTaskModal = async function (id) {
     if (task) await showTaskModal(task);
 };
 
-async function showTaskModal(task) {
+async function showTaskModal(task, template = null) {
     const isEdit = !!task;
+    // A template only pre-fills a new task; editing always shows the task's own values
+    const prefill = task || template || {};
     const freelancers = await getFreelancers();
     const projects = await getProjects();
+    const clients = await getClients();
     const user = await getCurrentUser();
+    const baseCurrency = await getBaseCurrency();
+    const exchangeRates = await getExchangeRates();
+    const currency = prefill.currency || baseCurrency;
 
     const overlay = document.createElement('div');
     overlay.className = 'modal-overlay';
@@ -760,7 +804,10 @@ async function showTaskModal(task) {
             </div>
             <div class="form-group">
               <label>Client</label>
-              <input type="text" class="form-control" id="task-client" value="${task ? sanitizeHTML(task.client) : ''}" placeholder="Client name" required />
+              <input type="text" class="form-control" id="task-client" value="${task ? sanitizeHTML(task.client) : ''}" placeholder="Client name" list="task-client-list" autocomplete="off" required />
+              <datalist id="task-client-list">
+                ${clients.map(c => `<option value="${sanitizeHTML(c.name)}"></option>`).join('')}
+              </datalist>
             </div>
           </div>
           <div class="form-row">
@@ -768,14 +815,14 @@ async function showTaskModal(task) {
               <label>Project</label>
               <select class="form-control" id="task-project">
                 <option value="">No Project</option>
-                ${projects.map(p => `<option value="${p.name}" ${task && task.project === p.name ? 'selected' : ''}>${sanitizeHTML(p.name)} (${sanitizeHTML(p.client)})</option>`).join('')}
+                ${projects.map(p => `<option value="${p.id}" ${task && task.projectId === p.id ? 'selected' : ''}>${sanitizeHTML(p.name)} (${sanitizeHTML(p.client)})</option>`).join('')}
               </select>
             </div>
             <div class="form-group">
               <label>Category</label>
               <select class="form-control" id="task-category">
                 <option value="">No Category</option>
-                ${TASK_CATEGORIES.map(c => `<option value="${c}" ${task && task.category === c ? 'selected' : ''}>${c}</option>`).join('')}
+                ${TASK_CATEGORIES.map(c => `<option value="${c}" ${prefill.category === c ? 'selected' : ''}>${c}</option>`).join('')}
               </select>
             </div>
           </div>
@@ -783,14 +830,14 @@ async function showTaskModal(task) {
             <div class="form-group">
               <label>Type</label>
               <select class="form-control" id="task-type">
-                <option value="Static" ${task && task.type === 'Static' ? 'selected' : ''}>Static</option>
-                <option value="Animated" ${task && task.type === 'Animated' ? 'selected' : ''}>Animated</option>
-                <option value="Video" ${task && task.type === 'Video' ? 'selected' : ''}>Video</option>
-                <option value="Carousel" ${task && task.type === 'Carousel' ? 'selected' : ''}>Carousel</option>
-                <option value="Reels" ${task && task.type === 'Reels' ? 'selected' : ''}>Reels</option>
-                <option value="Logo" ${task && task.type === 'Logo' ? 'selected' : ''}>Logo</option>
-                <option value="Branding" ${task && task.type === 'Branding' ? 'selected' : ''}>Branding</option>
-                <option value="Other" ${task && task.type === 'Other' ? 'selected' : ''}>Other</option>
+                <option value="Static" ${prefill.type === 'Static' ? 'selected' : ''}>Static</option>
+                <option value="Animated" ${prefill.type === 'Animated' ? 'selected' : ''}>Animated</option>
+                <option value="Video" ${prefill.type === 'Video' ? 'selected' : ''}>Video</option>
+                <option value="Carousel" ${prefill.type === 'Carousel' ? 'selected' : ''}>Carousel</option>
+                <option value="Reels" ${prefill.type === 'Reels' ? 'selected' : ''}>Reels</option>
+                <option value="Logo" ${prefill.type === 'Logo' ? 'selected' : ''}>Logo</option>
+                <option value="Branding" ${prefill.type === 'Branding' ? 'selected' : ''}>Branding</option>
+                <option value="Other" ${prefill.type === 'Other' ? 'selected' : ''}>Other</option>
               </select>
             </div>
             <div class="form-group">
@@ -798,7 +845,7 @@ async function showTaskModal(task) {
               <select class="form-control" id="task-assigned">
                 <option value="">Select Freelancer</option>
                 ${freelancers.map(f => `
-                  <option value="${f.id}" data-pricing='${JSON.stringify(f.pricing || {})}' ${task && task.assignedTo === f.id ? 'selected' : ''}>${sanitizeHTML(f.name)}</option>
+                  <option value="${f.id}" ${prefill.assignedTo === f.id ? 'selected' : ''}>${sanitizeHTML(f.name)}</option>
                 `).join('')}
               </select>
             </div>
@@ -811,6 +858,24 @@ async function showTaskModal(task) {
                 <option value="Yes" ${task && task.editableFileShared === 'Yes' ? 'selected' : ''}>Yes</option>
               </select>
             </div>
+            <div class="form-group">
+              <label>Currency</label>
+              <select class="form-control" id="task-currency">
+                ${Object.keys(CURRENCIES).map(code => `<option value="${code}" ${code === currency ? 'selected' : ''}>${code}</option>`).join('')}
+              </select>
+            </div>
+          </div>
+          <div class="form-row">
+            <div class="form-group">
+              <label>Freelancer Cost</label>
+              <input type="number" class="form-control" id="task-amount" value="${task ? parseFloat(task.amount) || 0 : 0}" min="0" />
+              <div class="amount-hint" id="task-amount-hint"></div>
+            </div>
+            <div class="form-group">
+              <label>Client Price</label>
+              <input type="number" class="form-control" id="task-billable" value="${task ? parseFloat(task.billableAmount) || 0 : 0}" min="0" />
+              <div class="amount-hint" id="task-billable-hint"></div>
+            </div>
           </div>
           <div class="form-row">
             <div class="form-group">
@@ -826,7 +891,7 @@ async function showTaskModal(task) {
           <div class="form-row">
             <div class="form-group">
               <label>Estimated Hours</label>
-              <input type="number" class="form-control" id="task-est-hours" value="${task ? task.estimatedHours || '' : ''}" placeholder="0" min="0" step="0.5" />
+              <input type="number" class="form-control" id="task-est-hours" value="${prefill.estimatedHours || ''}" placeholder="0" min="0" step="0.5" />
             </div>
             <div class="form-group">
               <label>Progress %</label>
@@ -845,8 +910,14 @@ async function showTaskModal(task) {
           </div>
           <div class="form-group">
             <label>Description</label>
-            <textarea class="form-control" id="task-description" rows="3" placeholder="Task description or notes...">${task ? sanitizeHTML(task.description || '') : ''}</textarea>
+            <textarea class="form-control" id="task-description" rows="3" placeholder="Task description or notes...">${sanitizeHTML(prefill.description || '')}</textarea>
           </div>
+          ${template && template.checklist && template.checklist.length ? `
+            <div class="form-group">
+              <label>Checklist from "${sanitizeHTML(template.name)}"</label>
+              <div class="template-meta">${template.checklist.map(item => sanitizeHTML(item)).join(' · ')}</div>
+            </div>
+          ` : ''}
           <div class="form-group">
             <label>Source Link (Drive, Figma, etc.)</label>
             <input type="url" class="form-control" id="task-source-link" value="${task ? sanitizeHTML(task.sourceLink || '') : ''}" placeholder="https://drive.google.com/..." />
@@ -930,30 +1001,135 @@ async function showTaskModal(task) {
         previewContainer.innerHTML = '';
     };
 
+    const readDueDate = () => {
+        const dueDateVal = overlay.querySelector('#task-due-date').value;
+        const dueTimeVal = overlay.querySelector('#task-due-time').value;
+        return dueDateVal ? (dueTimeVal ? `${dueDateVal}T${dueTimeVal}` : dueDateVal) : null;
+    };
+
+    // Both amounts are in the task's currency. A new task follows its client's
+    // billing currency until the currency is picked by hand.
+    const currencyEl = overlay.querySelector('#task-currency');
+    let currencyPicked = isEdit;
+    const findClient = () => {
+        const clientName = overlay.querySelector('#task-client').value.trim().toLowerCase();
+        return clients.find(c => c.name.toLowerCase() === clientName);
+    };
+    overlay.querySelector('#task-client').addEventListener('change', () => {
+        const client = findClient();
+        if (!currencyPicked && client) currencyEl.value = client.currency || DEFAULT_CURRENCY;
+    });
+    currencyEl.addEventListener('change', () => {
+        currencyPicked = true;
+        repriced = true;
+        refreshPrice();
+    });
+
+    // Amount follows the freelancer's rate card until the admin types their own.
+    // An existing task keeps its saved amount until something that prices it
+    // (assignee, type, due date or currency) changes.
+    const amountEl = overlay.querySelector('#task-amount');
+    const amountHint = overlay.querySelector('#task-amount-hint');
+    let amountOverridden = !!(task && task.amountOverridden);
+    let repriced = !isEdit;
+    let rateCardAmount = 0;
+
+    async function refreshPrice() {
+        const type = overlay.querySelector('#task-type').value;
+        const price = await getTaskPrice({
+            ...(task || {}),
+            assignedTo: overlay.querySelector('#task-assigned').value || null,
+            type,
+            dueDate: readDueDate(),
+        });
+        // Templates carry a package price for freelancers without a rate for the type
+        const templateAmount = !price.base && template && template.type === type ? parseFloat(template.amount) || 0 : 0;
+        // Rate cards and templates are priced in the base currency
+        const taskCurrency = currencyEl.value;
+        const rate = exchangeRateOn(exchangeRates, baseCurrency, taskCurrency, overlay.querySelector('#task-date').value);
+        const converted = n => (rate === null ? 0 : Math.round(n * rate * 100) / 100);
+        rateCardAmount = converted(templateAmount || price.amount);
+        // Never swap a real amount for 0 when there's no rate to price it with
+        const priced = rate !== null && rateCardAmount > 0;
+        if (!amountOverridden && repriced && priced) amountEl.value = rateCardAmount;
+        const keptSaved = !amountOverridden && !repriced && priced && (parseFloat(amountEl.value) || 0) !== rateCardAmount;
+
+        const money = n => formatMoney(converted(n), taskCurrency);
+        const parts = templateAmount ? [`Template price ${money(templateAmount)}`] : [`Rate ${money(price.base)}`];
+        if (price.rush) parts.push(`rush ${money(price.rush)}`);
+        if (price.iterationCharge) parts.push(`${price.clientIterations} client iteration${price.clientIterations === 1 ? '' : 's'} ${money(price.iterationCharge)}`);
+        amountHint.innerHTML = rate === null
+            ? `No ${taskCurrency} exchange rate on file — enter the amount`
+            : amountOverridden
+                ? `<span class="amount-override-flag">✎ Manual amount</span> — rate card ${formatMoney(rateCardAmount, taskCurrency)} · <a href="#" id="task-amount-reset">Use rate card</a>`
+                : keptSaved
+                    ? `Saved amount kept — rate card now ${formatMoney(rateCardAmount, taskCurrency)} · <a href="#" id="task-amount-reset">Use rate card</a>`
+                    : parts.join(' + ');
+        const resetLink = amountHint.querySelector('#task-amount-reset');
+        if (resetLink) resetLink.onclick = (e) => {
+            e.preventDefault();
+            amountOverridden = false;
+            repriced = true;
+            refreshPrice();
+        };
+        refreshBillable();
+    }
+
+    ['#task-assigned', '#task-type', '#task-due-date', '#task-due-time'].forEach(sel => {
+        overlay.querySelector(sel).addEventListener('change', () => {
+            repriced = true;
+            refreshPrice();
+        });
+    });
+    // The task date only picks the exchange rate; it doesn't reprice a saved task
+    overlay.querySelector('#task-date').addEventListener('change', refreshPrice);
+    amountEl.addEventListener('input', () => {
+        amountOverridden = (parseFloat(amountEl.value) || 0) !== rateCardAmount;
+        refreshPrice();
+    });
+
+    // Client price follows the client's rate card until edited
+    const billableEl = overlay.querySelector('#task-billable');
+    const billableHint = overlay.querySelector('#task-billable-hint');
+    let billableEdited = !!(task && parseFloat(task.billableAmount));
+
+    function refreshBillable() {
+        const client = findClient();
+        const taskCurrency = currencyEl.value;
+        // Client rates are in the client's billing currency
+        const rate = client && (client.currency || DEFAULT_CURRENCY) === taskCurrency
+            ? clientRate(client, overlay.querySelector('#task-type').value)
+            : 0;
+        if (!billableEdited && rate) billableEl.value = rate;
+        const margin = (parseFloat(billableEl.value) || 0) - (parseFloat(amountEl.value) || 0);
+        billableHint.innerHTML = `${rate ? `Client rate ${formatMoney(rate, taskCurrency)} · ` : ''}Margin <span style="color:${margin < 0 ? 'var(--status-rejected)' : 'var(--status-approved)'};">${formatMoney(margin, taskCurrency)}</span>`;
+    }
+
+    ['#task-client', '#task-type'].forEach(sel => {
+        overlay.querySelector(sel).addEventListener('change', refreshBillable);
+    });
+    billableEl.addEventListener('input', () => {
+        billableEdited = true;
+        refreshBillable();
+    });
+    refreshPrice();
+
     // Save
     overlay.querySelector('#task-save-btn').onclick = async () => {
         const date = overlay.querySelector('#task-date').value;
         const client = overlay.querySelector('#task-client').value;
         const type = overlay.querySelector('#task-type').value;
-        const assignedEl = overlay.querySelector('#task-assigned');
-        const assignedTo = assignedEl.value;
-        // Auto-calculate amount from freelancer's pricing for the selected type
-        let amount = 0;
-        const selectedOption = assignedEl.options[assignedEl.selectedIndex];
-        if (selectedOption && selectedOption.dataset.pricing) {
-            try {
-                const pricing = JSON.parse(selectedOption.dataset.pricing);
-                amount = pricing[type] || 0;
-            } catch (e) { /* ignore */ }
-        }
+        const assignedTo = overlay.querySelector('#task-assigned').value;
+        await refreshPrice();
+        const amount = parseFloat(amountEl.value) || 0;
+        const billableAmount = parseFloat(billableEl.value) || 0;
+        const currency = currencyEl.value;
         const editableFileShared = overlay.querySelector('#task-editable').value;
-        const dueDateVal = overlay.querySelector('#task-due-date').value;
-        const dueTimeVal = overlay.querySelector('#task-due-time').value;
-        const dueDate = dueDateVal ? (dueTimeVal ? `${dueDateVal}T${dueTimeVal}` : dueDateVal) : null;
+        const dueDate = readDueDate();
         const description = overlay.querySelector('#task-description').value.trim();
         const sourceLink = overlay.querySelector('#task-source-link').value.trim();
         const priority = overlay.querySelector('#task-priority').value;
-        const project = overlay.querySelector('#task-project').value;
+        const projectId = overlay.querySelector('#task-project').value || null;
         const category = overlay.querySelector('#task-category').value;
         const estimatedHours = parseFloat(overlay.querySelector('#task-est-hours').value) || null;
         const progress = parseInt(overlay.querySelector('#task-progress').value) || 0;
@@ -966,20 +1142,21 @@ async function showTaskModal(task) {
         if (isEdit) {
             await updateTask(task.id, {
                 date, client, type, assignedTo: assignedTo || null,
-                amount: parseFloat(amount) || 0, editableFileShared,
+                amount, amountOverridden: amountOverridden && amount !== rateCardAmount, billableAmount, currency, editableFileShared,
                 referenceCreative: creativeData, month: new Date(date).getMonth(),
                 dueDate, description, sourceLink, priority,
-                project, category, estimatedHours, progress,
+                projectId, category, estimatedHours, progress,
             });
             showToast('Task updated!', 'success');
         } else {
-            await addTask({
+            const newTask = await addTask({
                 date, client, type, assignedTo: assignedTo || null,
-                amount: parseFloat(amount) || 0, editableFileShared,
+                amount, amountOverridden: amountOverridden && amount !== rateCardAmount, billableAmount, currency, editableFileShared,
                 referenceCreative: creativeData, assignedBy: user.id,
                 dueDate, description, sourceLink, priority,
-                project, category, estimatedHours, progress,
+                projectId, category, estimatedHours, progress,
             });
+            if (template) await addTemplateSubtasks(newTask.id, template.id);
             showToast('Task created!', 'success');
         }
 
@@ -1206,7 +1383,9 @@ window.openSubmitModal = async function (taskId) {
 // Request Iteration Modal (Admin)
 // ==========================================
 
-window.openIterationModal = function (taskId) {
+window.openIterationModal = async function (taskId) {
+    // Pins dropped since the last iteration are attached to this one
+    const pendingPins = (await getAnnotations(taskId)).filter(a => !a.iterationId);
     const overlay = document.createElement('div');
     overlay.className = 'modal-overlay';
     overlay.innerHTML = `
@@ -1218,8 +1397,21 @@ window.openIterationModal = function (taskId) {
       <div class="modal-body">
         <div class="form-group">
           <label>Reason for iteration</label>
-          <textarea class="form-control" id="iter-reason" rows="3" placeholder="Explain why this needs revision..." required></textarea>
+          <textarea class="form-control" id="iter-reason" rows="3" placeholder="${pendingPins.length > 0 ? 'Optional — the feedback pins below explain the changes' : 'Explain why this needs revision...'}" ${pendingPins.length > 0 ? '' : 'required'}></textarea>
         </div>
+        ${pendingPins.length > 0 ? `
+          <div class="form-group">
+            <label>Feedback pins attached (${pendingPins.length})</label>
+            <div class="annotation-list" style="margin-top: 0;">
+              ${pendingPins.map(a => `
+                <div class="annotation-list-item">
+                  <span class="annotation-pin-label">${a.number}</span>
+                  <span class="annotation-comment">${sanitizeHTML(a.comment)}</span>
+                </div>
+              `).join('')}
+            </div>
+          </div>
+        ` : ''}
         <div class="form-group">
           <label>Iteration caused by</label>
           <div style="display: flex; gap: 10px; margin-top: 6px;">
@@ -1249,16 +1441,23 @@ window.openIterationModal = function (taskId) {
     overlay.querySelector('#iter-cancel-btn').onclick = closeModal;
 
     overlay.querySelector('#iter-submit-btn').onclick = async () => {
-        const reason = overlay.querySelector('#iter-reason').value;
+        let reason = overlay.querySelector('#iter-reason').value;
         const blame = overlay.querySelector('input[name="blame"]:checked').value;
+        if (!reason.trim() && pendingPins.length > 0) {
+            reason = `See ${pendingPins.length} feedback pin${pendingPins.length > 1 ? 's' : ''}`;
+        }
         if (!reason.trim()) {
             showToast('Please enter a reason', 'error');
             return;
         }
-        await requestIteration(taskId, reason, blame);
-        showToast('Iteration requested', 'info');
-        closeModal();
-        await window.renderApp();
+        try {
+            await requestIteration(taskId, reason, blame);
+            showToast('Iteration requested', 'info');
+            closeModal();
+            await window.renderApp();
+        } catch (err) {
+            showToast(err.message, 'error');
+        }
     };
 };
 
@@ -1296,10 +1495,14 @@ window.openRejectModal = function (taskId) {
 
     overlay.querySelector('#reject-confirm-btn').onclick = async () => {
         const reason = overlay.querySelector('#reject-reason').value;
-        await rejectTask(taskId, reason);
-        showToast('Task rejected', 'info');
-        closeModal();
-        await window.renderApp();
+        try {
+            await rejectTask(taskId, reason);
+            showToast('Task rejected', 'info');
+            closeModal();
+            await window.renderApp();
+        } catch (err) {
+            showToast(err.message, 'error');
+        }
     };
 };
 
@@ -1315,6 +1518,7 @@ window.showBulkEditModal = async function () {
     }
 
     const freelancers = await getFreelancers();
+    const workflow = await getWorkflow();
 
     const overlay = document.createElement('div');
     overlay.className = 'modal-overlay';
@@ -1330,12 +1534,7 @@ window.showBulkEditModal = async function () {
             <label>Status</label>
             <select class="form-control" id="bulk-status">
               <option value="">— Keep Current —</option>
-              <option value="assigned">Assigned</option>
-              <option value="in_progress">In Progress</option>
-              <option value="submitted">Submitted</option>
-              <option value="approved">Approved</option>
-              <option value="iteration">Iteration</option>
-              <option value="rejected">Rejected</option>
+              ${workflow.states.map(st => `<option value="${st.id}">${sanitizeHTML(st.label)}</option>`).join('')}
             </select>
           </div>
           <div class="form-group">
@@ -1385,12 +1584,18 @@ window.showBulkEditModal = async function () {
         if (assignedTo) changes.assignedTo = assignedTo;
 
         let count = 0;
+        let skipped = 0;
         for (const id of ids) {
-            await updateTask(id, changes);
-            count++;
+            try {
+                await updateTask(id, changes);
+                count++;
+            } catch (err) {
+                // Status changes the workflow doesn't allow from a task's current state
+                skipped++;
+            }
         }
         window.appState.selectedTaskIds = [];
-        showToast(`${count} task${count !== 1 ? 's' : ''} updated`, 'success');
+        showToast(`${count} task${count !== 1 ? 's' : ''} updated${skipped ? `, ${skipped} skipped (transition not allowed)` : ''}`, skipped ? 'info' : 'success');
         closeModal();
         await window.renderApp();
     };
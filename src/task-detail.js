@@ -5,8 +5,15 @@
 import {
     getTaskById, getUserById, isAdmin, getCurrentUser, formatDate, formatDateTime, timeDiff, sanitizeHTML,
     rejectTask, updateTask, getTaskComments, addTaskComment, deleteTaskComment,
+    getSubtasks, addSubtask, toggleSubtask, deleteSubtask, getCreativeVersions,
+    getAnnotations, addAnnotation, setAnnotationResolved, deleteAnnotation, taskMargin, formatMoney,
+    getWorkflow, formatStatusLabel, statusBadgeStyle, getAllowedTransitions,
+    getReviewLinks, getActiveReviewLink, createReviewLink, revokeReviewLink, getReviewLinkUrl,
+    getTaskExpenses, addTaskExpense, reviewTaskExpense, deleteTaskExpense, EXPENSE_CATEGORIES,
+    getTasks, getTaskDependencies, addTaskDependency, removeTaskDependency, getTaskBlockers, createsDependencyCycle,
 } from './store-async.js';
 import { showToast } from './toast.js';
+import { validateFile } from './validation.js';
 import icons from './icons.js';
 
 async function renderTaskDetail(taskId) {
@@ -31,33 +38,61 @@ async function renderTaskDetail(taskId) {
     const freelancer = task.assignedTo ? await getUserById(task.assignedTo) : null;
     const assigner = task.assignedBy ? await getUserById(task.assignedBy) : null;
     const iterations = task.iterations || [];
+    const { margin } = taskMargin(task);
 
     // Time calculations
     const pickupTime = timeDiff(task.assignedAt, task.pickedUpAt);
     const workTime = timeDiff(task.pickedUpAt, task.submittedAt);
 
-    // Status label
-    const statusLabel = {
-        'assigned': 'Assigned',
-        'in_progress': 'In Progress',
-        'submitted': 'Submitted',
-        'approved': 'Approved',
-        'iteration': 'Iteration',
-        'rejected': 'Rejected',
-    }[task.status] || task.status;
+    // Status label and the transitions this user may perform
+    const workflow = await getWorkflow();
+    const statusLabel = sanitizeHTML(formatStatusLabel(workflow, task.status));
+    const moves = getAllowedTransitions(workflow, task.status, adminUser ? 'admin' : 'freelancer');
+    const customMoves = moves.filter(to => !['in_progress', 'submitted', 'approved', 'iteration', 'rejected'].includes(to));
 
     // Reference Creative
     const refCreativeHTML = task.referenceCreative
         ? `<img src="${task.referenceCreative}" style="max-width: 300px; border-radius: var(--radius-md); border: 1px solid var(--border-color); cursor: pointer;" onclick="openLightbox('${task.referenceCreative.replace(/'/g, "\\'")}')" alt="Reference Creative" />`
         : `<span style="color: var(--text-muted);">No reference creative</span>`;
 
-    // Completed Creative
-    const completedCreativeHTML = task.completedCreative
-        ? `<div>
-            <img src="${task.completedCreative}" style="max-width: 300px; border-radius: var(--radius-md); border: 1px solid var(--border-color); cursor: pointer;" onclick="openLightbox('${task.completedCreative.replace(/'/g, "\\'")}')" alt="Completed Creative" />
-            ${task.completedCreativeAt ? `<div style="font-size: 0.75rem; color: var(--text-muted); margin-top: 6px;">Uploaded ${formatDateTime(task.completedCreativeAt)}</div>` : ''}
-           </div>`
-        : `<span style="color: var(--text-muted);">No completed creative yet</span>`;
+    // Completed Creative — every upload is kept as a version; show the selected one
+    const versions = await getCreativeVersions(taskId);
+    const selectedVersion = versions.find(v => v.id === window.appState.creativeVersionId)
+        || (task.completedCreative ? versions[versions.length - 1] : null);
+    const iterationById = id => iterations.find(it => it.id === id);
+    const annotations = await getAnnotations(taskId);
+    const canResolvePins = adminUser || task.assignedTo === currentUser.id;
+
+    let completedCreativeHTML;
+    if (selectedVersion) {
+        const selectedIndex = versions.indexOf(selectedVersion);
+        const triggeredBy = iterationById(selectedVersion.iterationId);
+        const compareWith = selectedIndex > 0 ? versions[selectedIndex - 1] : versions[1];
+        completedCreativeHTML = `<div>
+            ${versions.length > 1 ? `
+              <div class="version-switcher">
+                ${versions.map(v => `
+                  <button class="version-chip ${v.id === selectedVersion.id ? 'active' : ''}" onclick="selectCreativeVersion('${v.id}')"
+                          title="${iterationById(v.iterationId) ? `Answers iteration #${iterationById(v.iterationId).number}` : 'Initial upload'}">
+                    v${v.versionNumber}${v === versions[versions.length - 1] ? ' · Latest' : ''}
+                  </button>
+                `).join('')}
+                <button class="btn btn-sm btn-outline" onclick="compareCreativeVersions('${taskId}', '${compareWith.id}', '${selectedVersion.id}')">Compare</button>
+              </div>
+            ` : ''}
+            <div class="annotation-stage" style="max-width: 300px;" onclick="openAnnotationLightbox('${taskId}', '${selectedVersion.id}')" title="${adminUser ? 'Click to add feedback pins' : 'Click to view feedback pins'}">
+              <img src="${selectedVersion.url}" alt="Completed Creative v${selectedVersion.versionNumber}" />
+              ${renderPins(annotations.filter(a => a.versionId === selectedVersion.id))}
+            </div>
+            <div style="font-size: 0.75rem; color: var(--text-muted); margin-top: 6px;">
+              Version ${selectedVersion.versionNumber} · Uploaded ${formatDateTime(selectedVersion.uploadedAt)}
+              ${triggeredBy ? `<br/>In response to iteration #${triggeredBy.number} (${capitalize(triggeredBy.blame)}): ${sanitizeHTML(triggeredBy.reason)}` : ''}
+            </div>
+            ${renderPinList(annotations, versions, canResolvePins, adminUser)}
+           </div>`;
+    } else {
+        completedCreativeHTML = `<span style="color: var(--text-muted);">No completed creative yet</span>`;
+    }
 
     // Timeline events
     let timelineItems = [];
@@ -74,7 +109,7 @@ async function renderTaskDetail(taskId) {
         timelineItems.push({
             cls: 'iteration',
             time: formatDateTime(iter.requestedAt),
-            content: `<strong>Iteration #${iter.number} requested</strong> — <span class="badge badge-${iter.blame}">${capitalize(iter.blame)}</span><br/><span style="color: var(--text-secondary); font-size: 0.82rem;">${sanitizeHTML(iter.reason)}</span>`,
+            content: `<strong>Iteration #${iter.number} requested</strong> — <span class="badge badge-${iter.blame}">${capitalize(iter.blame)}</span><br/><span style="color: var(--text-secondary); font-size: 0.82rem;">${sanitizeHTML(iter.reason)}${pinCountLabel(annotations, iter.id)}</span>`,
         });
         if (iter.resolvedAt) {
             timelineItems.push({
@@ -93,14 +128,14 @@ async function renderTaskDetail(taskId) {
         });
     }
 
-    // Creative upload event
-    if (task.completedCreativeAt) {
+    // Creative upload events, one per version
+    versions.forEach(v => {
         timelineItems.push({
             cls: 'submitted',
-            time: formatDateTime(task.completedCreativeAt),
-            content: `<strong>Creative uploaded</strong> by ${freelancer ? sanitizeHTML(freelancer.name) : 'Freelancer'}`,
+            time: formatDateTime(v.uploadedAt),
+            content: `<strong>Creative v${v.versionNumber} uploaded</strong> by ${freelancer ? sanitizeHTML(freelancer.name) : 'Freelancer'}`,
         });
-    }
+    });
 
     if (task.submittedAt) {
         timelineItems.push({
@@ -150,18 +185,32 @@ async function renderTaskDetail(taskId) {
                 <th>Caused By</th>
                 <th>Requested At</th>
                 <th>Resolved At</th>
+                <th>Pins</th>
+                <th>Rejected Version</th>
+                <th>Fixed In</th>
               </tr>
             </thead>
             <tbody>
-              ${iterations.map(iter => `
+              ${iterations.map(iter => {
+                  // The version on screen when the iteration was requested, and the first upload answering it
+                  const rejected = versions.filter(v => new Date(v.uploadedAt) <= new Date(iter.requestedAt)).pop();
+                  const fixedIn = versions.find(v => v.iterationId === iter.id);
+                  const versionLink = v => v
+                      ? `<button class="version-chip" onclick="selectCreativeVersion('${v.id}')">v${v.versionNumber}</button>`
+                      : '<span style="color: var(--text-muted);">—</span>';
+                  return `
                 <tr>
                   <td>${iter.number}</td>
                   <td>${sanitizeHTML(iter.reason)}</td>
                   <td><span class="badge badge-${iter.blame}">${capitalize(iter.blame)}</span></td>
                   <td>${formatDateTime(iter.requestedAt)}</td>
                   <td>${iter.resolvedAt ? formatDateTime(iter.resolvedAt) : '<span style="color: var(--text-muted);">Pending</span>'}</td>
+                  <td>${annotations.filter(a => a.iterationId === iter.id).length || '—'}</td>
+                  <td>${versionLink(rejected)}</td>
+                  <td>${versionLink(fixedIn)}</td>
                 </tr>
-              `).join('')}
+              `;
+              }).join('')}
             </tbody>
           </table>
         </div>
@@ -193,22 +242,29 @@ async function renderTaskDetail(taskId) {
     }
 
     // Show upload button for freelancers when in_progress
-    const isFreelancerOnTask = !adminUser && task.status === 'in_progress';
+    const isFreelancerOnTask = !adminUser && task.status === 'in_progress' && moves.includes('submitted');
 
     return `
     <div class="page-header">
       <div style="display: flex; align-items: center; gap: 16px;">
         <button class="btn btn-secondary btn-sm" onclick="navigateTo('tasks')" id="back-to-tasks-btn">← Back</button>
         <h1>Task #${task.slNo}</h1>
-        <span class="badge badge-${task.status}">${statusLabel}</span>
+        <span class="badge badge-${task.status}" ${statusBadgeStyle(workflow, task.status)}>${statusLabel}</span>
       </div>
       <div style="display: flex; gap: 8px;">
-        ${adminUser && task.status === 'submitted' ? `
+        ${adminUser && moves.includes('approved') ? `
           <button class="btn btn-sm btn-primary" onclick="handleApproveTask('${task.id}')" id="approve-task-btn">Approve</button>
+        ` : ''}
+        ${adminUser && moves.includes('rejected') ? `
           <button class="btn btn-sm btn-danger" onclick="openRejectModal('${task.id}')" id="reject-task-btn">Reject</button>
+        ` : ''}
+        ${adminUser && moves.includes('iteration') ? `
           <button class="btn btn-sm btn-secondary" onclick="openIterationModal('${task.id}')" id="iterate-task-btn">Iterate</button>
         ` : ''}
-        ${!adminUser && (task.status === 'assigned' || task.status === 'iteration') ? `
+        ${customMoves.map(to => `
+          <button class="btn btn-sm btn-secondary" onclick="handleTransitionTask('${task.id}', '${to}')">→ ${sanitizeHTML(formatStatusLabel(workflow, to))}</button>
+        `).join('')}
+        ${!adminUser && moves.includes('in_progress') ? `
           <button class="btn btn-sm btn-primary" onclick="handlePickUp('${task.id}')" id="pickup-task-btn">Pick Up</button>
         ` : ''}
         ${isFreelancerOnTask ? `
@@ -225,7 +281,7 @@ async function renderTaskDetail(taskId) {
         </div>
         <div class="detail-field">
           <div class="field-label">Project</div>
-          <div class="field-value">${sanitizeHTML(task.project) || '—'}</div>
+          <div class="field-value">${adminUser && task.projectId ? `<a href="#" onclick="event.preventDefault(); navigateTo('project-detail', { selectedProjectId: '${task.projectId}' })">${sanitizeHTML(task.project)}</a>` : sanitizeHTML(task.project) || '—'}</div>
         </div>
         <div class="detail-field">
           <div class="field-label">Date</div>
@@ -240,9 +296,17 @@ async function renderTaskDetail(taskId) {
           <div class="field-value">${sanitizeHTML(task.category) || '—'}</div>
         </div>
         <div class="detail-field">
-          <div class="field-label">Amount</div>
-          <div class="field-value">₹${(parseFloat(task.amount) || 0).toLocaleString('en-IN')}</div>
+          <div class="field-label">${adminUser ? 'Freelancer Cost' : 'Amount'}</div>
+          <div class="field-value">${formatMoney(task.amount, task.currency)}${task.amountOverridden ? ' <span class="amount-override-flag" title="Set by hand, not from the rate card">✎ manual</span>' : ''}</div>
         </div>
+        ${adminUser ? `
+        <div class="detail-field">
+          <div class="field-label">Client Price</div>
+          <div class="field-value">${formatMoney(task.billableAmount, task.currency)}
+            <span style="font-size:0.8rem;color:${margin < 0 ? 'var(--status-rejected)' : 'var(--text-muted)'};">(margin ${formatMoney(margin, task.currency)})</span>
+          </div>
+        </div>
+        ` : ''}
         <div class="detail-field">
           <div class="field-label">Payment Status</div>
           <div class="field-value"><span class="badge badge-${(task.paymentStatus || 'unpaid').toLowerCase()}">${sanitizeHTML(task.paymentStatus) || 'Unpaid'}</span></div>
@@ -352,7 +416,11 @@ async function renderTaskDetail(taskId) {
 
       ${await renderCommentsSection(taskId, currentUser)}
 
-      ${renderChecklistSection(taskId)}
+      ${await renderChecklistSection(taskId)}
+
+      ${await renderDependenciesSection(task, adminUser, workflow)}
+
+      ${adminUser || task.assignedTo === currentUser.id ? await renderExpensesSection(task, currentUser, adminUser) : ''}
 
       ${task.completedCreative ? `
       <div class="task-detail-section">
@@ -372,6 +440,7 @@ async function renderTaskDetail(taskId) {
           </button>
         </div>
       </div>
+      ${adminUser ? await renderReviewLinksSection(task) : ''}
       ` : ''}
     </div>
   `;
@@ -464,12 +533,14 @@ window.shareToWhatsApp = async function (taskId) {
     if (!task) return;
 
     const freelancer = task.assignedTo ? await getUserById(task.assignedTo) : null;
+    const reviewLink = await getActiveReviewLink(taskId);
     const text = [
         `*Task #${task.slNo} — ${task.client}*`,
         `Type: ${task.type}`,
         `Status: ${task.status}`,
         freelancer ? `Freelancer: ${freelancer.name}` : '',
         task.completedCreative ? `\nCreative: ${task.completedCreative}` : '',
+        reviewLink ? `\nReview & approve: ${getReviewLinkUrl(reviewLink.token)}` : '',
     ].filter(Boolean).join('\n');
 
     const url = `https://api.whatsapp.com/send?text=${encodeURIComponent(text)}`;
@@ -485,6 +556,7 @@ window.shareViaEmail = async function (taskId) {
     if (!task) return;
 
     const freelancer = task.assignedTo ? await getUserById(task.assignedTo) : null;
+    const reviewLink = await getActiveReviewLink(taskId);
     const subject = `Creative: Task #${task.slNo} — ${task.client} (${task.type})`;
     const body = [
         `Task #${task.slNo} — ${task.client}`,
@@ -492,6 +564,7 @@ window.shareViaEmail = async function (taskId) {
         `Status: ${task.status}`,
         freelancer ? `Freelancer: ${freelancer.name}` : '',
         task.completedCreative ? `\nCreative: ${task.completedCreative}` : '',
+        reviewLink ? `\nReview & approve: ${getReviewLinkUrl(reviewLink.token)}` : '',
     ].filter(Boolean).join('\n');
 
     window.open(`mailto:?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`);
@@ -521,25 +594,28 @@ window.downloadCreative = async function (taskId) {
 // Copy Creative Link
 // ==========================================
 
-window.copyCreativeLink = async function (taskId) {
-    const task = await getTaskById(taskId);
-    if (!task || !task.completedCreative) {
-        showToast('No creative link available', 'error');
-        return;
-    }
+async function copyToClipboard(text) {
     try {
-        await navigator.clipboard.writeText(task.completedCreative);
-        showToast('Link copied to clipboard!', 'success');
+        await navigator.clipboard.writeText(text);
     } catch {
         // Fallback for older browsers
         const input = document.createElement('input');
-        input.value = task.completedCreative;
+        input.value = text;
         document.body.appendChild(input);
         input.select();
         document.execCommand('copy');
         document.body.removeChild(input);
-        showToast('Link copied to clipboard!', 'success');
     }
+    showToast('Link copied to clipboard!', 'success');
+}
+
+window.copyCreativeLink = async function (taskId) {
+    const task = await getTaskById(taskId);
+    if (!task || !task.completedCreative) {
+        showToast('No creative link available', 'error');
+        return;
+    }
+    await copyToClipboard(task.completedCreative);
 };
 
 function capitalize(str) {
@@ -639,32 +715,8 @@ window.insertMention = function (name) {
 // Subtasks / Checklist
 // ==========================================
 
-function getSubtasks(taskId) {
-    const all = JSON.parse(localStorage.getItem('crm_subtasks') || '[]');
-    return all.filter(s => s.taskId === taskId);
-}
-
-function addSubtaskToStore(taskId, text) {
-    const all = JSON.parse(localStorage.getItem('crm_subtasks') || '[]');
-    all.push({ id: crypto.randomUUID(), taskId, text, completed: false });
-    localStorage.setItem('crm_subtasks', JSON.stringify(all));
-}
-
-function toggleSubtaskInStore(subtaskId) {
-    const all = JSON.parse(localStorage.getItem('crm_subtasks') || '[]');
-    const st = all.find(s => s.id === subtaskId);
-    if (st) st.completed = !st.completed;
-    localStorage.setItem('crm_subtasks', JSON.stringify(all));
-}
-
-function deleteSubtaskFromStore(subtaskId) {
-    let all = JSON.parse(localStorage.getItem('crm_subtasks') || '[]');
-    all = all.filter(s => s.id !== subtaskId);
-    localStorage.setItem('crm_subtasks', JSON.stringify(all));
-}
-
-function renderChecklistSection(taskId) {
-    const subtasks = getSubtasks(taskId);
+async function renderChecklistSection(taskId) {
+    const subtasks = await getSubtasks(taskId);
     const total = subtasks.length;
     const completed = subtasks.filter(s => s.completed).length;
     const pct = total > 0 ? Math.round((completed / total) * 100) : 0;
@@ -682,6 +734,7 @@ function renderChecklistSection(taskId) {
     return `
     <div class="task-detail-section">
       <h3>${icons.tasks} Checklist ${total > 0 ? `(${completed}/${total})` : ''}</h3>
+      ${total > 0 ? `<p style="color: var(--text-muted); font-size: 0.8rem; margin-bottom: 8px;">Task progress is set from this checklist.</p>` : ''}
       ${total > 0 ? `
         <div class="subtask-progress">
           <div class="subtask-progress-fill" style="width: ${pct}%;"></div>
@@ -698,7 +751,7 @@ function renderChecklistSection(taskId) {
   `;
 }
 
-window.addSubtask = function (taskId) {
+window.addSubtask = async function (taskId) {
     const input = document.getElementById('subtask-input');
     if (!input) return;
     const text = input.value.trim();
@@ -706,20 +759,478 @@ window.addSubtask = function (taskId) {
         showToast('Please enter a checklist item', 'error');
         return;
     }
-    addSubtaskToStore(taskId, text);
-    showToast('Checklist item added', 'success');
-    window.renderApp();
+    try {
+        await addSubtask(taskId, text);
+        showToast('Checklist item added', 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
 };
 
-window.toggleSubtask = function (subtaskId, taskId) {
-    toggleSubtaskInStore(subtaskId);
-    window.renderApp();
+window.toggleSubtask = async function (subtaskId, taskId) {
+    try {
+        await toggleSubtask(subtaskId);
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
 };
 
-window.deleteSubtask = function (subtaskId, taskId) {
-    deleteSubtaskFromStore(subtaskId);
-    showToast('Checklist item removed', 'info');
-    window.renderApp();
+window.deleteSubtask = async function (subtaskId, taskId) {
+    try {
+        await deleteSubtask(subtaskId);
+        showToast('Checklist item removed', 'info');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+// ==========================================
+// Dependencies (finish-to-start)
+// ==========================================
+
+async function renderDependenciesSection(task, adminUser, workflow) {
+    const waitingOn = (await getTaskBlockers())[task.id] || [];
+    const statusBadge = t => `<span class="badge badge-${t.status}" ${statusBadgeStyle(workflow, t.status)}>${sanitizeHTML(formatStatusLabel(workflow, t.status))}</span>`;
+
+    // Freelancers only see what they're waiting on
+    if (!adminUser) {
+        if (waitingOn.length === 0) return '';
+        return `
+        <div class="task-detail-section">
+          <h3>${icons.link} Waiting On</h3>
+          <p style="color: var(--text-muted); font-size: 0.8rem; margin-bottom: 8px;">This task can be picked up once these are approved.</p>
+          <div class="review-link-list">
+            ${waitingOn.map(p => `
+              <div class="review-link-item">
+                ${statusBadge(p)}
+                <span class="review-link-info"><strong>#${p.slNo}</strong> ${sanitizeHTML(p.client || '')}</span>
+              </div>
+            `).join('')}
+          </div>
+        </div>`;
+    }
+
+    const [dependencies, tasks] = await Promise.all([getTaskDependencies(), getTasks()]);
+    const byId = new Map(tasks.map(t => [t.id, t]));
+    const predecessors = dependencies.filter(d => d.taskId === task.id).map(d => byId.get(d.predecessorId)).filter(Boolean);
+    const successors = dependencies.filter(d => d.predecessorId === task.id).map(d => byId.get(d.taskId)).filter(Boolean);
+    const candidates = tasks
+        .filter(t => t.id !== task.id && !predecessors.includes(t) && !createsDependencyCycle(dependencies, task.id, t.id))
+        .sort((a, b) => (b.slNo || 0) - (a.slNo || 0));
+
+    const taskLine = (t, removeArgs) => `
+        <div class="review-link-item">
+          ${statusBadge(t)}
+          <span class="review-link-info" onclick="navigateTo('task-detail', { selectedTaskId: '${t.id}' })" style="cursor: pointer;">
+            <strong>#${t.slNo}</strong> ${sanitizeHTML(t.client || '')} · ${sanitizeHTML(t.type || '')}
+            ${t.dueDate ? `<span style="color: var(--text-muted);"> · due ${formatDate(t.dueDate)}</span>` : ''}
+          </span>
+          <button class="btn-icon" onclick="handleRemoveDependency(${removeArgs})" title="Remove dependency">${icons.x}</button>
+        </div>`;
+
+    return `
+    <div class="task-detail-section">
+      <h3>${icons.link} Dependencies ${waitingOn.length > 0 ? '<span class="badge badge-blocked">Blocked</span>' : ''}</h3>
+      <p style="color: var(--text-muted); font-size: 0.8rem; margin-bottom: 8px;">This task can't be picked up until every task it waits on is approved.</p>
+      <div class="review-link-list">
+        ${predecessors.length === 0 ? `<p style="color: var(--text-muted); font-size: 0.85rem;">Not waiting on any task.</p>` : predecessors.map(p => taskLine(p, `'${task.id}', '${p.id}'`)).join('')}
+      </div>
+      <div class="subtask-add">
+        <select class="form-control" id="dependency-predecessor">
+          <option value="">Waits on…</option>
+          ${candidates.map(t => `<option value="${t.id}">#${t.slNo} ${sanitizeHTML(t.client || '')} — ${sanitizeHTML(t.type || '')}</option>`).join('')}
+        </select>
+        <button class="btn btn-primary btn-sm" onclick="handleAddDependency('${task.id}')">${icons.plus} Add</button>
+      </div>
+      ${successors.length > 0 ? `
+      <h4 style="margin: 12px 0 6px; font-size: 0.85rem;">Blocks</h4>
+      <div class="review-link-list">
+        ${successors.map(s => taskLine(s, `'${s.id}', '${task.id}'`)).join('')}
+      </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+window.handleAddDependency = async function (taskId) {
+    const predecessorId = document.getElementById('dependency-predecessor')?.value;
+    if (!predecessorId) {
+        showToast('Choose the task this one waits on', 'error');
+        return;
+    }
+    try {
+        await addTaskDependency(taskId, predecessorId);
+        showToast('Dependency added', 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.handleRemoveDependency = async function (taskId, predecessorId) {
+    try {
+        await removeTaskDependency(taskId, predecessorId);
+        showToast('Dependency removed', 'info');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+// ==========================================
+// Expenses (reimbursements)
+// ==========================================
+
+const EXPENSE_BADGES = { pending: 'submitted', approved: 'approved', rejected: 'rejected' };
+
+async function renderExpensesSection(task, currentUser, adminUser) {
+    const expenses = await getTaskExpenses({ taskId: task.id });
+    const approvedTotal = expenses.filter(e => e.status === 'approved').reduce((s, e) => s + (parseFloat(e.amount) || 0), 0);
+    const canClaim = task.assignedTo === currentUser.id;
+
+    const expenseListHTML = expenses.length === 0
+        ? `<p style="color: var(--text-muted); font-size: 0.85rem;">No expenses recorded.${canClaim ? ' Add stock photos, fonts or music you paid for on this task.' : ''}</p>`
+        : expenses.map(e => `
+            <div class="review-link-item">
+              <span class="badge badge-${EXPENSE_BADGES[e.status]}">${e.status}</span>
+              <span class="review-link-info">
+                <strong>${formatMoney(e.amount, task.currency)}</strong> · ${sanitizeHTML(e.description)}
+                <span style="color: var(--text-muted);">(${EXPENSE_CATEGORIES[e.category] || 'Other'})</span>
+                ${e.receiptUrl ? ` · <a href="${sanitizeHTML(e.receiptUrl)}" target="_blank" rel="noopener noreferrer" style="color: var(--accent);">${icons.fileText} ${sanitizeHTML(e.receiptName || 'Receipt')}</a>` : ''}
+                <br><span style="color: var(--text-muted); font-size: 0.75rem;">
+                  ${sanitizeHTML(e.freelancerName)} · ${formatDate(e.createdAt)}
+                  ${e.reviewedAt ? ` · ${e.status} by ${sanitizeHTML(e.reviewedByName || '')} ${formatDate(e.reviewedAt)}` : ''}
+                  ${e.rejectionReason ? ` — "${sanitizeHTML(e.rejectionReason)}"` : ''}
+                </span>
+              </span>
+              ${adminUser && e.status !== 'approved' ? `<button class="btn btn-sm btn-primary" onclick="handleReviewExpense('${e.id}', 'approved')">Approve</button>` : ''}
+              ${adminUser && e.status !== 'rejected' ? `<button class="btn btn-sm btn-danger" onclick="handleReviewExpense('${e.id}', 'rejected')">Reject</button>` : ''}
+              ${!adminUser && e.status === 'pending' ? `<button class="btn-icon" onclick="handleDeleteExpense('${e.id}')" title="Withdraw">${icons.trash}</button>` : ''}
+            </div>
+          `).join('');
+
+    return `
+    <div class="task-detail-section">
+      <h3>${icons.dollarSign} Expenses ${approvedTotal > 0 ? `(${formatMoney(approvedTotal, task.currency)} approved)` : ''}</h3>
+      ${approvedTotal > 0 ? `<p style="color: var(--text-muted); font-size: 0.8rem; margin-bottom: 8px;">Approved expenses are reimbursed with the task fee and billed to the client at cost.</p>` : ''}
+      <div class="review-link-list">
+        ${expenseListHTML}
+      </div>
+      ${canClaim ? `
+      <div class="subtask-add" style="flex-wrap: wrap;">
+        <select class="form-control" id="expense-category" style="width: auto;">
+          ${Object.entries(EXPENSE_CATEGORIES).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+        </select>
+        <input type="text" id="expense-description" placeholder="What did you buy?" />
+        <input type="number" class="form-control" id="expense-amount" placeholder="Amount (${task.currency || 'INR'})" min="0" step="0.01" style="width: 140px;" />
+        <input type="file" id="expense-receipt" accept="image/*,application/pdf" style="font-size: 0.8rem;" />
+        <button class="btn btn-primary btn-sm" onclick="handleAddExpense('${task.id}')">${icons.plus} Add Expense</button>
+      </div>
+      ` : ''}
+    </div>
+  `;
+}
+
+window.handleAddExpense = async function (taskId) {
+    const receipt = document.getElementById('expense-receipt')?.files[0] || null;
+    if (receipt) {
+        const validation = validateFile(receipt);
+        if (!validation.valid) {
+            showToast(validation.error, 'error');
+            return;
+        }
+    }
+    try {
+        await addTaskExpense(taskId, {
+            category: document.getElementById('expense-category').value,
+            description: document.getElementById('expense-description').value,
+            amount: document.getElementById('expense-amount').value,
+            receipt,
+        });
+        showToast('Expense sent for approval', 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.handleReviewExpense = async function (expenseId, status) {
+    let reason = '';
+    if (status === 'rejected') {
+        reason = prompt('Why is this expense being rejected?');
+        if (reason === null) return;
+    }
+    try {
+        await reviewTaskExpense(expenseId, status, reason);
+        showToast(status === 'approved' ? 'Expense approved' : 'Expense rejected', status === 'approved' ? 'success' : 'info');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.handleDeleteExpense = async function (expenseId) {
+    if (!confirm('Withdraw this expense claim?')) return;
+    try {
+        await deleteTaskExpense(expenseId);
+        showToast('Expense withdrawn', 'info');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+// ==========================================
+// Creative Versions
+// ==========================================
+
+window.selectCreativeVersion = async function (versionId) {
+    window.appState.creativeVersionId = versionId;
+    await window.renderApp();
+};
+
+window.compareCreativeVersions = async function (taskId, leftId, rightId) {
+    const versions = await getCreativeVersions(taskId);
+    const images = versions.map(v => ({ src: v.url, label: `v${v.versionNumber} · ${formatDateTime(v.uploadedAt)}` }));
+    window.openCompareLightbox(
+        images,
+        versions.findIndex(v => v.id === leftId),
+        versions.findIndex(v => v.id === rightId),
+    );
+};
+
+// ==========================================
+// Feedback Pins
+// ==========================================
+
+function renderPins(pins) {
+    return pins.map(a => `
+      <span class="annotation-pin ${a.resolvedAt ? 'resolved' : ''}" style="left: ${a.x}%; top: ${a.y}%;" title="${sanitizeHTML(a.comment)}">${a.number}</span>
+    `).join('');
+}
+
+function pinCountLabel(annotations, iterationId) {
+    const count = annotations.filter(a => a.iterationId === iterationId).length;
+    return count > 0 ? ` (+${count} pin${count > 1 ? 's' : ''})` : '';
+}
+
+function renderPinList(annotations, versions, canResolve, adminUser) {
+    if (annotations.length === 0) return '';
+    const open = annotations.filter(a => !a.resolvedAt).length;
+    const versionNumber = id => (versions.find(v => v.id === id) || {}).versionNumber || '?';
+    return `
+      <div class="annotation-list">
+        <div class="annotation-list-title">Feedback pins — ${open} open of ${annotations.length}${open > 0 && !adminUser ? ' · resolve every pin before submitting' : ''}</div>
+        ${annotations.map(a => `
+          <div class="annotation-list-item ${a.resolvedAt ? 'resolved' : ''}">
+            <input type="checkbox" ${a.resolvedAt ? 'checked' : ''} ${canResolve ? '' : 'disabled'} onchange="handleResolveAnnotation('${a.id}', this.checked)" title="Resolved" />
+            <span class="annotation-pin-label">v${versionNumber(a.versionId)} · ${a.number}</span>
+            <span class="annotation-comment">${sanitizeHTML(a.comment)}</span>
+            ${adminUser ? `<span class="subtask-delete" onclick="handleDeleteAnnotation('${a.id}')">${icons.trash}</span>` : ''}
+          </div>
+        `).join('')}
+      </div>
+    `;
+}
+
+// Lightbox with pins overlaid. Admins click the image to drop a pin; the
+// side panel lists this version's pins with resolve toggles.
+window.openAnnotationLightbox = async function (taskId, versionId) {
+    const adminUser = await isAdmin();
+    const currentUser = await getCurrentUser();
+    const task = await getTaskById(taskId);
+    const version = (await getCreativeVersions(taskId)).find(v => v.id === versionId);
+    if (!task || !version) return;
+    const canResolve = adminUser || task.assignedTo === currentUser.id;
+
+    const overlay = document.createElement('div');
+    overlay.className = 'lightbox-overlay annotation-lightbox';
+    document.body.appendChild(overlay);
+    let draft = null;
+
+    const close = async () => {
+        overlay.remove();
+        await window.renderApp();
+    };
+
+    const render = async () => {
+        const pins = (await getAnnotations(taskId)).filter(a => a.versionId === versionId);
+        overlay.innerHTML = `
+          <div class="annotation-stage annotation-stage-large ${adminUser ? 'editable' : ''}">
+            <img src="${version.url}" alt="Creative v${version.versionNumber}" />
+            ${renderPins(pins)}
+            ${draft ? `<span class="annotation-pin draft" style="left: ${draft.x}%; top: ${draft.y}%;">+</span>` : ''}
+          </div>
+          <div class="annotation-panel">
+            <div style="display: flex; justify-content: space-between; align-items: center;">
+              <h3>Feedback pins · v${version.versionNumber}</h3>
+              <button class="btn-icon" data-action="close">✕</button>
+            </div>
+            ${adminUser ? `<p class="annotation-hint">${draft ? 'Describe the change for this spot.' : 'Click on the creative to drop a pin.'}</p>` : ''}
+            ${draft ? `
+              <textarea class="form-control" id="annotation-comment" rows="3" placeholder="e.g. Make this logo larger"></textarea>
+              <div style="display: flex; gap: 8px; margin: 8px 0 16px;">
+                <button class="btn btn-sm btn-secondary" data-action="cancel">Cancel</button>
+                <button class="btn btn-sm btn-primary" data-action="add">Add Pin</button>
+              </div>
+            ` : ''}
+            ${pins.length === 0 ? '<p class="annotation-hint">No pins on this version.</p>' : pins.map(a => `
+              <div class="annotation-list-item ${a.resolvedAt ? 'resolved' : ''}">
+                <input type="checkbox" ${a.resolvedAt ? 'checked' : ''} ${canResolve ? '' : 'disabled'} data-resolve="${a.id}" title="Resolved" />
+                <span class="annotation-pin-label">${a.number}</span>
+                <span class="annotation-comment">${sanitizeHTML(a.comment)}</span>
+              </div>
+            `).join('')}
+          </div>
+        `;
+
+        overlay.querySelector('[data-action="close"]').onclick = close;
+        overlay.querySelectorAll('[data-resolve]').forEach(box => {
+            box.onchange = async () => {
+                try {
+                    await setAnnotationResolved(box.dataset.resolve, box.checked);
+                    await render();
+                } catch (err) {
+                    showToast(err.message, 'error');
+                }
+            };
+        });
+
+        if (!adminUser) return;
+        const img = overlay.querySelector('.annotation-stage img');
+        img.onclick = async (e) => {
+            const rect = img.getBoundingClientRect();
+            draft = {
+                x: Math.round(((e.clientX - rect.left) / rect.width) * 10000) / 100,
+                y: Math.round(((e.clientY - rect.top) / rect.height) * 10000) / 100,
+            };
+            await render();
+            overlay.querySelector('#annotation-comment').focus();
+        };
+        if (draft) {
+            overlay.querySelector('[data-action="cancel"]').onclick = async () => {
+                draft = null;
+                await render();
+            };
+            overlay.querySelector('[data-action="add"]').onclick = async () => {
+                try {
+                    await addAnnotation({ taskId, versionId, ...draft, comment: overlay.querySelector('#annotation-comment').value });
+                    draft = null;
+                    await render();
+                } catch (err) {
+                    showToast(err.message, 'error');
+                }
+            };
+        }
+    };
+
+    overlay.onclick = (e) => { if (e.target === overlay) close(); };
+    await render();
+};
+
+window.handleResolveAnnotation = async function (annotationId, resolved) {
+    try {
+        await setAnnotationResolved(annotationId, resolved);
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.handleDeleteAnnotation = async function (annotationId) {
+    try {
+        await deleteAnnotation(annotationId);
+        showToast('Pin removed', 'info');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+// ==========================================
+// Client Review Links (admin)
+// ==========================================
+
+function reviewLinkStatus(link) {
+    if (link.revokedAt) return { label: 'Revoked', badge: 'rejected' };
+    if (new Date(link.expiresAt) <= new Date()) return { label: 'Expired', badge: 'assigned' };
+    if (link.decision === 'approved') return { label: 'Approved', badge: 'approved' };
+    if (link.decision === 'changes_requested') return { label: 'Changes Requested', badge: 'iteration' };
+    return { label: 'Active', badge: 'submitted' };
+}
+
+async function renderReviewLinksSection(task) {
+    const links = await getReviewLinks(task.id);
+
+    const linksHTML = links.length === 0
+        ? `<p style="color: var(--text-muted); font-size: 0.85rem;">No review links yet. Create one to let the client approve or request changes without logging in.</p>`
+        : links.map(l => {
+            const status = reviewLinkStatus(l);
+            const live = !l.revokedAt && new Date(l.expiresAt) > new Date();
+            return `
+            <div class="review-link-item">
+              <span class="badge badge-${status.badge}">${status.label}</span>
+              <span class="review-link-info">
+                ${sanitizeHTML(l.clientName || 'Client')} · ${l.revokedAt ? `revoked ${formatDate(l.revokedAt)}` : `${live ? 'expires' : 'expired'} ${formatDate(l.expiresAt)}`}
+                ${l.comment ? `<br><span style="color: var(--text-muted);">"${sanitizeHTML(l.comment)}"</span>` : ''}
+              </span>
+              ${live ? `
+                <button class="btn btn-sm btn-outline" onclick="copyReviewLink('${l.token}')">${icons.link} Copy</button>
+                <button class="btn btn-sm btn-danger" onclick="handleRevokeReviewLink('${l.id}')">Revoke</button>
+              ` : ''}
+            </div>
+          `;
+        }).join('');
+
+    return `
+    <div class="task-detail-section">
+      <h3>${icons.link} Client Review Links</h3>
+      <div class="review-link-list">
+        ${linksHTML}
+      </div>
+      <div class="subtask-add">
+        <input type="text" id="review-client-name" placeholder="Client contact name" value="${sanitizeHTML(task.client || '')}" />
+        <select class="form-control" id="review-expiry" style="width: auto;">
+          <option value="1">Expires in 1 day</option>
+          <option value="3">Expires in 3 days</option>
+          <option value="7" selected>Expires in 7 days</option>
+          <option value="14">Expires in 14 days</option>
+          <option value="30">Expires in 30 days</option>
+        </select>
+        <button class="btn btn-primary btn-sm" onclick="handleCreateReviewLink('${task.id}')">${icons.plus} Create Link</button>
+      </div>
+    </div>
+  `;
+}
+
+window.handleCreateReviewLink = async function (taskId) {
+    const clientName = document.getElementById('review-client-name')?.value || '';
+    const expiresInDays = parseInt(document.getElementById('review-expiry')?.value) || 7;
+    try {
+        const link = await createReviewLink(taskId, { clientName, expiresInDays });
+        await window.renderApp();
+        await copyToClipboard(getReviewLinkUrl(link.token));
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
+};
+
+window.copyReviewLink = async function (token) {
+    await copyToClipboard(getReviewLinkUrl(token));
+};
+
+window.handleRevokeReviewLink = async function (linkId) {
+    if (!confirm('Revoke this review link? The client will no longer be able to open it.')) return;
+    try {
+        await revokeReviewLink(linkId);
+        showToast('Review link revoked', 'info');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
 };
 
 export { renderTaskDetail };
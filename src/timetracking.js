@@ -2,33 +2,32 @@
 // CRM Tracker — Time Tracking
 // ==========================================
 
-import { getCurrentUser, isAdmin, getTasks, getTasksByFreelancer, sanitizeHTML } from './store-async.js';
+import {
+    getCurrentUser, isAdmin, getTasks, getTasksByFreelancer, sanitizeHTML,
+    getTimeEntries, getRunningTimer, startTimer, stopTimer, addTimeEntry, deleteTimeEntry,
+} from './store-async.js';
 import { showToast } from './toast.js';
 import icons from './icons.js';
 
-function getTimeEntries() {
-    return JSON.parse(localStorage.getItem('crm_time_entries') || '[]');
-}
-
-function saveTimeEntries(entries) {
-    localStorage.setItem('crm_time_entries', JSON.stringify(entries));
-}
-
-// Active timer state
+// Display tick for the running timer. The start time itself is persisted
+// on the running time entry, so the timer survives reloads.
 let timerInterval = null;
 let timerStart = null;
-let timerTaskId = null;
 
 async function renderTimeTracking() {
     const user = await getCurrentUser();
     const adminUser = await isAdmin();
     const tasks = adminUser ? await getTasks() : await getTasksByFreelancer(user.id);
-    const entries = getTimeEntries().filter(e => adminUser || e.userId === user.id);
+    const running = await getRunningTimer();
+    const entries = (adminUser ? await getTimeEntries() : await getTimeEntries({ userId: user.id }))
+        .filter(e => !(e.startedAt && !e.endedAt));
 
     // Active tasks for timer
     const activeTasks = tasks.filter(t => ['assigned', 'in_progress', 'iteration'].includes(t.status));
 
-    const isTimerRunning = timerInterval !== null;
+    syncTimerTick(running);
+    const isTimerRunning = !!running;
+    const timerTaskId = running ? running.taskId : null;
     const timerTaskName = timerTaskId ? (tasks.find(t => t.id === timerTaskId)?.client || '—') : '';
 
     // Summary
@@ -40,17 +39,18 @@ async function renderTimeTracking() {
 
     let tableRows = '';
     if (recentEntries.length === 0) {
-        tableRows = `<tr><td colspan="5"><div class="empty-state"><div class="empty-icon">${icons.clock}</div><div class="empty-title">No time entries yet</div></div></td></tr>`;
+        tableRows = `<tr><td colspan="${adminUser ? 6 : 5}"><div class="empty-state"><div class="empty-icon">${icons.clock}</div><div class="empty-title">No time entries yet</div></div></td></tr>`;
     } else {
         tableRows = recentEntries.map(e => {
             const task = tasks.find(t => t.id === e.taskId);
             return `
                 <tr>
                     <td>${sanitizeHTML(task?.client || e.taskName || '—')}</td>
+                    ${adminUser ? `<td>${sanitizeHTML(e.userName || '—')}</td>` : ''}
                     <td>${e.hours.toFixed(2)}h</td>
                     <td>${sanitizeHTML(e.description || '—')}</td>
                     <td>${new Date(e.date).toLocaleDateString('en-IN')}</td>
-                    <td><button class="btn btn-secondary btn-sm" onclick="deleteTimeEntry('${e.id}')" style="font-size:0.7rem;">✕</button></td>
+                    <td>${adminUser || e.userId === user.id ? `<button class="btn btn-secondary btn-sm" onclick="handleDeleteTimeEntry('${e.id}')" style="font-size:0.7rem;">✕</button>` : ''}</td>
                 </tr>
             `;
         }).join('');
@@ -81,8 +81,8 @@ async function renderTimeTracking() {
           </select>
           <div id="timer-display" style="font-size:1.4rem;font-weight:600;font-variant-numeric:tabular-nums;min-width:80px;">${isTimerRunning ? getTimerDisplay() : '00:00:00'}</div>
           ${isTimerRunning
-            ? `<button class="btn btn-primary" onclick="stopTimer()" style="background:#d63031;">Stop</button>`
-            : `<button class="btn btn-primary" onclick="startTimer()">Start</button>`
+            ? `<button class="btn btn-primary" onclick="handleStopTimer()" style="background:#d63031;">Stop</button>`
+            : `<button class="btn btn-primary" onclick="handleStartTimer()">Start</button>`
           }
         </div>
         ${isTimerRunning ? `<div style="margin-top:8px;color:var(--text-secondary);font-size:0.85rem;">Tracking: ${sanitizeHTML(timerTaskName)}</div>` : ''}
@@ -104,7 +104,7 @@ async function renderTimeTracking() {
       <div class="table-container">
         <table class="data-table">
           <thead>
-            <tr><th>Task</th><th>Hours</th><th>Description</th><th>Date</th><th></th></tr>
+            <tr><th>Task</th>${adminUser ? '<th>Logged By</th>' : ''}<th>Hours</th><th>Description</th><th>Date</th><th></th></tr>
           </thead>
           <tbody>${tableRows}</tbody>
         </table>
@@ -113,49 +113,49 @@ async function renderTimeTracking() {
   `;
 }
 
+function syncTimerTick(running) {
+    if (!running) {
+        if (timerInterval) clearInterval(timerInterval);
+        timerInterval = null;
+        timerStart = null;
+        return;
+    }
+    timerStart = new Date(running.startedAt).getTime();
+    if (timerInterval) return;
+    timerInterval = setInterval(() => {
+        const display = document.getElementById('timer-display');
+        if (display) display.textContent = getTimerDisplay();
+    }, 1000);
+}
+
 function getTimerDisplay() {
     if (!timerStart) return '00:00:00';
-    const elapsed = Math.floor((Date.now() - timerStart) / 1000);
+    const elapsed = Math.max(0, Math.floor((Date.now() - timerStart) / 1000));
     const h = Math.floor(elapsed / 3600);
     const m = Math.floor((elapsed % 3600) / 60);
     const s = elapsed % 60;
     return `${String(h).padStart(2,'0')}:${String(m).padStart(2,'0')}:${String(s).padStart(2,'0')}`;
 }
 
-window.startTimer = function() {
+window.handleStartTimer = async function() {
     const taskId = document.getElementById('timer-task')?.value;
     if (!taskId) { showToast('Select a task first', 'error'); return; }
-    timerTaskId = taskId;
-    timerStart = Date.now();
-    timerInterval = setInterval(() => {
-        const display = document.getElementById('timer-display');
-        if (display) display.textContent = getTimerDisplay();
-    }, 1000);
-    window.renderApp();
+    try {
+        await startTimer(taskId);
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
 };
 
-window.stopTimer = async function() {
-    if (!timerStart || !timerTaskId) return;
-    const elapsed = (Date.now() - timerStart) / 1000 / 3600; // hours
-    const entries = getTimeEntries();
-    const { getCurrentUser: getUser } = await import('./store-async.js');
-    const user = await getUser();
-    entries.push({
-        id: crypto.randomUUID(),
-        taskId: timerTaskId,
-        userId: user.id,
-        userName: user.name,
-        hours: Math.round(elapsed * 100) / 100,
-        description: 'Timer entry',
-        date: new Date().toISOString(),
-    });
-    saveTimeEntries(entries);
-    clearInterval(timerInterval);
-    timerInterval = null;
-    timerStart = null;
-    timerTaskId = null;
-    showToast(`Logged ${elapsed.toFixed(2)} hours`, 'success');
-    window.renderApp();
+window.handleStopTimer = async function() {
+    try {
+        const entry = await stopTimer();
+        showToast(`Logged ${entry.hours.toFixed(2)} hours`, 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
 };
 
 window.addManualTimeEntry = async function() {
@@ -163,29 +163,23 @@ window.addManualTimeEntry = async function() {
     const hours = parseFloat(document.getElementById('manual-hours')?.value);
     const desc = document.getElementById('manual-desc')?.value?.trim() || '';
     if (!taskId || !hours || hours <= 0) { showToast('Select task and enter hours', 'error'); return; }
-    const { getCurrentUser: getUser } = await import('./store-async.js');
-    const user = await getUser();
-    const entries = getTimeEntries();
-    entries.push({
-        id: crypto.randomUUID(),
-        taskId,
-        userId: user.id,
-        userName: user.name,
-        hours,
-        description: desc,
-        date: new Date().toISOString(),
-    });
-    saveTimeEntries(entries);
-    showToast('Time entry added', 'success');
-    window.renderApp();
+    try {
+        await addTimeEntry({ taskId, hours, description: desc });
+        showToast('Time entry added', 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
 };
 
-window.deleteTimeEntry = function(id) {
-    let entries = getTimeEntries();
-    entries = entries.filter(e => e.id !== id);
-    saveTimeEntries(entries);
-    showToast('Entry deleted', 'success');
-    window.renderApp();
+window.handleDeleteTimeEntry = async function(id) {
+    try {
+        await deleteTimeEntry(id);
+        showToast('Entry deleted', 'success');
+        await window.renderApp();
+    } catch (err) {
+        showToast(err.message, 'error');
+    }
 };
 
 export { renderTimeTracking };
@@ -6,6 +6,7 @@ import {
     getCurrentUser, isAdmin, isSuperAdmin,
     getUsers, addUser, updateUser, deleteUser as deleteUserFromStore,
     getTasks, getStats, sanitizeHTML,
+    TDS_SECTIONS, getTdsSettings, saveTdsSettings,
 } from './store-async.js';
 import { showToast } from './toast.js';
 import icons from './icons.js';
@@ -112,6 +113,7 @@ window.openEditUserModal = async function (id) {
 async function showUserModal(user, defaultRole) {
     const isEdit = !!user;
     const superAdminCheck = await isSuperAdmin();
+    const tds = isEdit && user.role === 'freelancer' ? await getTdsSettings(user.id) : null;
 
     const overlay = document.createElement('div');
     overlay.className = 'modal-overlay';
@@ -160,6 +162,19 @@ async function showUserModal(user, defaultRole) {
                 </select>
               </div>
             </div>
+            <div class="form-row">
+              <div class="form-group">
+                <label>TDS Section</label>
+                <select class="form-control" id="user-tds-section" onchange="syncTdsRate()">
+                  <option value="">No TDS</option>
+                  ${Object.entries(TDS_SECTIONS).map(([code, s]) => `<option value="${code}" ${tds?.section === code ? 'selected' : ''}>${s.label}</option>`).join('')}
+                </select>
+              </div>
+              <div class="form-group">
+                <label>TDS Rate (%)</label>
+                <input type="number" class="form-control" id="user-tds-rate" value="${tds?.section ? tds.rate : ''}" min="0" max="100" step="0.01" ${tds?.section ? '' : 'disabled'} />
+              </div>
+            </div>
           </div>
           <div id="pricing-section" style="${(user?.role || defaultRole) === 'freelancer' ? '' : 'display:none;'}">
             <div style="margin-bottom: 8px; font-weight: 600; font-size: 0.85rem; color: var(--text-primary);">Pricing per Type (₹)</div>
@@ -219,6 +234,14 @@ async function showUserModal(user, defaultRole) {
         if (extraSection) extraSection.style.display = role === 'freelancer' ? '' : 'none';
     };
 
+    // Picking a section fills in its standard rate; admins can override it
+    window.syncTdsRate = function () {
+        const section = overlay.querySelector('#user-tds-section').value;
+        const rateInput = overlay.querySelector('#user-tds-rate');
+        rateInput.disabled = !section;
+        rateInput.value = section ? TDS_SECTIONS[section].defaultRate : '';
+    };
+
     overlay.querySelector('#user-save-btn').onclick = async () => {
         const name = overlay.querySelector('#user-name').value.trim();
         const email = overlay.querySelector('#user-email').value.trim();
@@ -247,14 +270,26 @@ async function showUserModal(user, defaultRole) {
             return;
         }
 
+        const tdsSection = overlay.querySelector('#user-tds-section')?.value || null;
+        const tdsRate = overlay.querySelector('#user-tds-rate')?.value;
+        if (role === 'freelancer' && tdsSection && !(parseFloat(tdsRate) >= 0 && parseFloat(tdsRate) <= 100)) {
+            showToast('TDS rate must be between 0 and 100', 'error');
+            return;
+        }
+
         try {
+            let saved;
             if (isEdit) {
-                await updateUser(user.id, { name, password, role, pricing, points, badge, phone, specialization, userStatus });
+                saved = await updateUser(user.id, { name, password, role, pricing, points, badge, phone, specialization, userStatus });
                 showToast('User updated!', 'success');
             } else {
-                await addUser({ name, email, password, role, pricing, points, badge, phone, specialization, userStatus });
+                saved = await addUser({ name, email, password, role, pricing, points, badge, phone, specialization, userStatus });
                 showToast('User created!', 'success');
             }
+            const userId = saved?.id || user?.id;
+            if (role === 'freelancer' && userId && (tdsSection || tds?.section)) {
+                await saveTdsSettings(userId, { section: tdsSection, rate: tdsRate });
+            }
             closeModal();
             await window.renderApp();
         } catch (err) {
@@ -0,0 +1,214 @@
+// ==========================================
+// Shared helpers for the Razorpay edge functions
+// RAZORPAY_API_BASE points the functions at scripts/razorpay-stub.js when
+// testing locally; it defaults to the live API.
+// ==========================================
+
+import { createClient, SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+export const corsHeaders = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+};
+
+export function json(body: unknown, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' },
+    });
+}
+
+export function serviceClient(): SupabaseClient {
+    return createClient(
+        Deno.env.get('SUPABASE_URL')!,
+        Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!,
+        { auth: { autoRefreshToken: false, persistSession: false } }
+    );
+}
+
+// Resolves the calling admin's profile, or returns the error response to send
+export async function requireAdmin(req: Request): Promise<{ profile?: { id: string; name: string; role: string }; error?: Response }> {
+    const authHeader = req.headers.get('Authorization');
+    if (!authHeader) return { error: json({ error: 'Missing authorization header' }, 401) };
+
+    const anonClient = createClient(
+        Deno.env.get('SUPABASE_URL')!,
+        Deno.env.get('SUPABASE_ANON_KEY')!,
+        { global: { headers: { Authorization: authHeader } } }
+    );
+
+    const { data: { user: caller } } = await anonClient.auth.getUser();
+    if (!caller) return { error: json({ error: 'Unauthorized' }, 401) };
+
+    const { data: profile } = await anonClient
+        .from('profiles')
+        .select('id, name, role')
+        .eq('id', caller.id)
+        .single();
+
+    if (!profile || !['admin', 'superadmin'].includes(profile.role)) {
+        return { error: json({ error: 'Admin access required' }, 403) };
+    }
+    return { profile };
+}
+
+// ---- Razorpay API ----
+
+export async function razorpayRequest(method: string, path: string, body?: unknown, headers: Record<string, string> = {}) {
+    const base = Deno.env.get('RAZORPAY_API_BASE') || 'https://api.razorpay.com/v1';
+    const credentials = btoa(`${Deno.env.get('RAZORPAY_KEY_ID')}:${Deno.env.get('RAZORPAY_KEY_SECRET')}`);
+
+    const res = await fetch(`${base}${path}`, {
+        method,
+        headers: { Authorization: `Basic ${credentials}`, 'Content-Type': 'application/json', ...headers },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data?.error?.description || `Razorpay request failed (${res.status})`);
+    return data;
+}
+
+// Orders and payouts here are rupee-only; Razorpay takes amounts in paise.
+// Tasks in other currencies never reach these functions.
+export function toPaise(rupees: number) {
+    return Math.round(rupees * 100);
+}
+
+// ---- Signatures ----
+
+export async function hmacSha256Hex(secret: string, message: string) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(message));
+    return Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Constant-time so the comparison doesn't leak how much of a forged signature matched
+export function safeEqual(a: string, b: string) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+}
+
+// ---- Settlement ----
+
+// Marks the order's pending transaction successful; the
+// payment_transactions_sync_tasks trigger then settles its allocated tasks.
+// Claiming the row with a status-guarded UPDATE makes this safe to run from
+// both the verify call and the webhook, in either order.
+export async function settleOrder(db: SupabaseClient, orderId: string, paymentId: string, signature: string | null = null) {
+    const { data: txn, error } = await db
+        .from('payment_transactions')
+        .update({
+            status: 'success',
+            razorpay_payment_id: paymentId,
+            razorpay_signature: signature,
+            verified_at: new Date().toISOString(),
+        })
+        .eq('razorpay_order_id', orderId)
+        .in('status', ['pending', 'failed'])
+        .select()
+        .maybeSingle();
+
+    if (error) throw new Error(error.message);
+    if (!txn) {
+        // Already settled by the other path, or not one of our orders
+        const { data: existing } = await db
+            .from('payment_transactions')
+            .select('*')
+            .eq('razorpay_order_id', orderId)
+            .maybeSingle();
+        return existing;
+    }
+
+    await db.from('activity_log').insert({
+        user_id: txn.paid_by,
+        user_name: txn.paid_by_name,
+        action: 'payment_confirmed',
+        entity_type: 'payment',
+        entity_id: txn.id,
+        details: `Razorpay payment of ₹${Number(txn.amount).toLocaleString('en-IN')} to ${txn.freelancer_name} confirmed (${paymentId})`,
+    });
+
+    return txn;
+}
+
+// ---- Payouts (RazorpayX) ----
+
+const PAYOUT_FAILED = ['reversed', 'rejected', 'cancelled', 'failed'];
+
+// How far along a payout is. Webhooks and polls can arrive out of order, so a
+// status only applies if it ranks above the stored one: a late 'queued' or
+// 'processing' never pulls a settled payout back in flight.
+const PAYOUT_RANK: Record<string, number> = {
+    queued: 0,
+    pending: 0,
+    processing: 1,
+    processed: 2,
+    reversed: 2,
+    rejected: 2,
+    cancelled: 2,
+    failed: 2,
+};
+
+// Failed payouts are final; a processed one can only be reversed by the bank
+function isPayoutUpdate(from: string, to: string) {
+    if (from === 'processed') return to === 'reversed';
+    return PAYOUT_RANK[to] > (PAYOUT_RANK[from] ?? -1);
+}
+
+// Records a payout's latest status on its transaction. Its allocations count
+// towards the tasks only while it is 'processed', so a reversal re-opens
+// them. The UPDATE is guarded on the status we read, so the webhook
+// and a status poll racing each other apply each change once.
+export async function applyPayoutStatus(db: SupabaseClient, payout: { id: string; status: string; utr?: string; mode?: string; status_details?: { description?: string } }) {
+    const { data: txn } = await db
+        .from('payment_transactions')
+        .select('*')
+        .eq('razorpay_payout_id', payout.id)
+        .maybeSingle();
+    if (!txn) return null;
+    if (!isPayoutUpdate(txn.status, payout.status)) return txn;
+
+    const { data: updated, error } = await db
+        .from('payment_transactions')
+        .update({
+            status: payout.status,
+            utr: payout.utr || txn.utr,
+            payout_mode: payout.mode || txn.payout_mode,
+            status_updated_at: new Date().toISOString(),
+            notes: PAYOUT_FAILED.includes(payout.status) && payout.status_details?.description
+                ? `${payout.status}: ${payout.status_details.description}`
+                : txn.notes,
+        })
+        .eq('id', txn.id)
+        .eq('status', txn.status)
+        .select()
+        .maybeSingle();
+    if (error) throw new Error(error.message);
+    if (!updated) return null;
+
+    // The payment_transactions_sync_tasks trigger moves the payout's allocated
+    // tasks to Paid / Partial / Unpaid as the status changes
+    if (payout.status === 'processed' || PAYOUT_FAILED.includes(payout.status)) {
+        const amount = `₹${Number(updated.amount).toLocaleString('en-IN')}`;
+        await db.from('activity_log').insert({
+            user_id: updated.paid_by,
+            user_name: updated.paid_by_name,
+            action: payout.status === 'processed' ? 'payout_processed' : 'payout_failed',
+            entity_type: 'payment',
+            entity_id: updated.id,
+            details: payout.status === 'processed'
+                ? `Payout of ${amount} to ${updated.freelancer_name} processed${payout.utr ? ` (UTR ${payout.utr})` : ''}`
+                : `Payout of ${amount} to ${updated.freelancer_name} ${payout.status}`,
+        });
+    }
+
+    return updated;
+}
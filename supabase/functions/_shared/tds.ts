@@ -0,0 +1,77 @@
+// ==========================================
+// Shared TDS rules for payout edge functions
+// Mirrors calculateTds() in src/store.js — keep the two in step.
+// ==========================================
+
+import { SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2';
+
+export const TDS_SECTIONS: Record<string, { singleThreshold: number | null; annualThreshold: number }> = {
+    '194C': { singleThreshold: 30000, annualThreshold: 100000 },
+    '194J': { singleThreshold: null, annualThreshold: 50000 },
+};
+const TDS_NO_PAN_RATE = 20;
+const round = (n: number) => Math.round(n * 100) / 100;
+
+export interface TdsResult {
+    section: string | null;
+    rate: number;
+    gross: number;
+    tds: number;
+    net: number;
+}
+
+export function financialYear(date: Date) {
+    const start = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+}
+
+export function calculateTds(
+    gross: number,
+    settings: { section: string | null; rate: number; hasPan: boolean } | null,
+    prior = { gross: 0, tds: 0 },
+): TdsResult {
+    const section = settings?.section && TDS_SECTIONS[settings.section] ? settings.section : null;
+    if (!section || !(gross > 0)) return { section: null, rate: 0, gross: round(gross), tds: 0, net: round(gross) };
+
+    const limits = TDS_SECTIONS[section];
+    const rate = settings!.hasPan ? Number(settings!.rate) : Math.max(Number(settings!.rate), TDS_NO_PAN_RATE);
+    const aggregate = prior.gross + gross;
+    const overAnnual = aggregate > limits.annualThreshold;
+    const overSingle = limits.singleThreshold !== null && gross > limits.singleThreshold;
+
+    let tds = 0;
+    if (overAnnual) {
+        tds = round(aggregate * rate / 100) - prior.tds;
+    } else if (overSingle) {
+        tds = round(gross * rate / 100);
+    }
+    tds = round(Math.min(Math.max(tds, 0), gross));
+    return { section, rate, gross: round(gross), tds, net: round(gross - tds) };
+}
+
+// TDS on the freelancer's next payment of `gross`, counting this financial
+// year's settled and in-flight rupee payouts (TDS only applies to INR)
+export async function tdsForPayout(db: SupabaseClient, freelancerId: string, gross: number, pan: string) {
+    const { data: settings } = await db
+        .from('freelancer_tds_settings')
+        .select('section, rate')
+        .eq('freelancer_id', freelancerId)
+        .maybeSingle();
+    if (!settings?.section) return calculateTds(gross, null);
+
+    const fiscalYear = financialYear(new Date());
+    const { data: earlier } = await db
+        .from('payment_transactions')
+        .select('amount, currency, tds_amount, created_at, direction')
+        .eq('freelancer_id', freelancerId)
+        .eq('currency', 'INR')
+        .in('status', ['success', 'processed', 'queued', 'pending', 'processing']);
+    const prior = (earlier || [])
+        .filter(txn => txn.direction !== 'receipt' && financialYear(new Date(txn.created_at)) === fiscalYear)
+        .reduce((sum, txn) => ({
+            gross: sum.gross + (Number(txn.amount) || 0),
+            tds: sum.tds + (Number(txn.tds_amount) || 0),
+        }), { gross: 0, tds: 0 });
+
+    return calculateTds(gross, { section: settings.section, rate: Number(settings.rate), hasPan: !!pan }, prior);
+}
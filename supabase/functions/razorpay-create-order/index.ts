@@ -0,0 +1,134 @@
+// ==========================================
+// Supabase Edge Function — Razorpay Create Order
+// Totals a freelancer's outstanding balance server-side, records a pending
+// transaction with its allocations and TDS, and opens a Razorpay order for
+// the net amount (requires admin role). Tasks settle through the allocations
+// once the order is paid — see razorpay-verify-payment and razorpay-webhook.
+// ==========================================
+
+import { corsHeaders, json, serviceClient, requireAdmin, razorpayRequest, toPaise } from '../_shared/razorpay.ts';
+import { tdsForPayout } from '../_shared/tds.ts';
+
+Deno.serve(async (req) => {
+    if (req.method === 'OPTIONS') {
+        return new Response(null, { headers: corsHeaders });
+    }
+
+    try {
+        const { profile: caller, error: authError } = await requireAdmin(req);
+        if (authError) return authError;
+
+        const { freelancerId } = await req.json();
+        if (!freelancerId) return json({ error: 'Missing required field: freelancerId' }, 400);
+
+        const db = serviceClient();
+
+        const { data: freelancer } = await db
+            .from('profiles')
+            .select('id, name')
+            .eq('id', freelancerId)
+            .single();
+        if (!freelancer) return json({ error: 'Freelancer not found' }, 404);
+
+        // Tasks already riding on an order, payout or bank batch that hasn't
+        // settled can't be paid twice
+        const { data: inFlight } = await db
+            .from('payment_transactions')
+            .select('task_ids')
+            .eq('freelancer_id', freelancerId)
+            .neq('direction', 'receipt')
+            .in('status', ['queued', 'pending', 'processing']);
+        const busy = new Set((inFlight || []).flatMap(txn => txn.task_ids || []));
+
+        // The amount comes from the database, never from the browser. Orders
+        // are in rupees, so only INR tasks are included.
+        const { data: unpaid, error: taskError } = await db
+            .from('tasks')
+            .select('id, amount, expense_amount, paid_amount')
+            .eq('assigned_to', freelancerId)
+            .eq('currency', 'INR')
+            .neq('payment_status', 'Paid');
+        if (taskError) return json({ error: taskError.message }, 400);
+
+        // Part-paid tasks only need their outstanding balance
+        const tasks = (unpaid || [])
+            .filter(t => !busy.has(t.id))
+            .map(t => ({
+                id: t.id,
+                balance: Math.round(((Number(t.amount) || 0) + (Number(t.expense_amount) || 0) - (Number(t.paid_amount) || 0)) * 100) / 100,
+            }))
+            .filter(t => t.balance > 0);
+        const total = Math.round(tasks.reduce((s, t) => s + t.balance, 0) * 100) / 100;
+        if (tasks.length === 0 || total <= 0) {
+            return json({ error: busy.size > 0 ? 'A payment for these tasks is already in progress' : 'No pending payments' }, 400);
+        }
+
+        const { data: account } = await db
+            .from('freelancer_payout_accounts')
+            .select('pan')
+            .eq('freelancer_id', freelancerId)
+            .maybeSingle();
+        const tds = await tdsForPayout(db, freelancer.id, total, account?.pan || '');
+        if (tds.net <= 0) return json({ error: 'Nothing left to pay after TDS' }, 400);
+
+        const { data: txn, error: txnError } = await db
+            .from('payment_transactions')
+            .insert({
+                freelancer_id: freelancer.id,
+                freelancer_name: freelancer.name,
+                paid_by: caller!.id,
+                paid_by_name: caller!.name,
+                amount: total,
+                currency: 'INR',
+                status: 'pending',
+                task_ids: tasks.map(t => t.id),
+                notes: `Paying ${tasks.length} task(s) via Razorpay`,
+                tds_section: tds.section,
+                tds_rate: tds.rate,
+                tds_amount: tds.tds,
+                net_amount: tds.net,
+            })
+            .select()
+            .single();
+        if (txnError) return json({ error: txnError.message }, 400);
+
+        // Counted towards paid_amount only once the order is paid
+        const { error: allocationError } = await db
+            .from('payment_allocations')
+            .insert(tasks.map(t => ({ transaction_id: txn.id, task_id: t.id, freelancer_id: freelancer.id, amount: t.balance })));
+        if (allocationError) {
+            await db.from('payment_transactions').delete().eq('id', txn.id);
+            return json({ error: allocationError.message }, 400);
+        }
+
+        let order;
+        try {
+            order = await razorpayRequest('POST', '/orders', {
+                amount: toPaise(tds.net),
+                currency: 'INR',
+                receipt: txn.id,
+                notes: { freelancer_id: freelancer.id, transaction_id: txn.id },
+            });
+        } catch (err) {
+            await db.from('payment_transactions').delete().eq('id', txn.id);
+            return json({ error: err.message }, 502);
+        }
+
+        await db
+            .from('payment_transactions')
+            .update({ razorpay_order_id: order.id })
+            .eq('id', txn.id);
+
+        return json({
+            orderId: order.id,
+            amount: order.amount,
+            currency: order.currency,
+            keyId: Deno.env.get('RAZORPAY_KEY_ID'),
+            transactionId: txn.id,
+            taskCount: tasks.length,
+            freelancerName: freelancer.name,
+        });
+    } catch (err) {
+        return json({ error: err.message }, 500);
+    }
+});
@@ -0,0 +1,184 @@
+// ==========================================
+// Supabase Edge Function — RazorpayX Create Payout
+// Sends a freelancer's outstanding balance, less any TDS, to their bank
+// account or UPI ID from the agency's RazorpayX account (requires admin
+// role). Tasks settle for the gross balance; only the net is transferred.
+// Tasks stay unpaid until the payout is processed — see razorpay-webhook
+// and razorpay-payout-status.
+// ==========================================
+
+import {
+    corsHeaders, json, serviceClient, requireAdmin, razorpayRequest, applyPayoutStatus, toPaise,
+} from '../_shared/razorpay.ts';
+import { tdsForPayout } from '../_shared/tds.ts';
+
+// IMPS tops out at ₹5 lakh per transfer
+const IMPS_LIMIT_PAISE = 5_00_000 * 100;
+
+Deno.serve(async (req) => {
+    if (req.method === 'OPTIONS') {
+        return new Response(null, { headers: corsHeaders });
+    }
+
+    try {
+        const { profile: caller, error: authError } = await requireAdmin(req);
+        if (authError) return authError;
+
+        const { freelancerId } = await req.json();
+        if (!freelancerId) return json({ error: 'Missing required field: freelancerId' }, 400);
+
+        const db = serviceClient();
+
+        const { data: freelancer } = await db
+            .from('profiles')
+            .select('id, name, email, phone')
+            .eq('id', freelancerId)
+            .single();
+        if (!freelancer) return json({ error: 'Freelancer not found' }, 404);
+
+        const { data: account } = await db
+            .from('freelancer_payout_accounts')
+            .select('*')
+            .eq('freelancer_id', freelancerId)
+            .maybeSingle();
+        if (!account) return json({ error: `${freelancer.name} has not added bank or UPI details yet` }, 400);
+
+        // Tasks already riding on a payout or bank batch that hasn't settled
+        // can't be paid twice
+        const { data: inFlight } = await db
+            .from('payment_transactions')
+            .select('task_ids')
+            .eq('freelancer_id', freelancerId)
+            .neq('direction', 'receipt')
+            .in('status', ['queued', 'pending', 'processing']);
+        const busy = new Set((inFlight || []).flatMap(txn => txn.task_ids || []));
+
+        // RazorpayX only moves rupees; tasks in other currencies are paid by hand
+        const { data: unpaid, error: taskError } = await db
+            .from('tasks')
+            .select('id, amount, expense_amount, paid_amount')
+            .eq('assigned_to', freelancerId)
+            .eq('currency', 'INR')
+            .neq('payment_status', 'Paid');
+        if (taskError) return json({ error: taskError.message }, 400);
+
+        // Part-paid tasks only need their outstanding balance; approved
+        // expenses are reimbursed with the fee
+        const tasks = (unpaid || [])
+            .filter(t => !busy.has(t.id))
+            .map(t => ({
+                id: t.id,
+                balance: Math.round(((Number(t.amount) || 0) + (Number(t.expense_amount) || 0) - (Number(t.paid_amount) || 0)) * 100) / 100,
+            }))
+            .filter(t => t.balance > 0);
+        const total = Math.round(tasks.reduce((s, t) => s + t.balance, 0) * 100) / 100;
+        if (tasks.length === 0 || total <= 0) {
+            return json({ error: busy.size > 0 ? 'A payout for these tasks is already in progress' : 'No pending payments' }, 400);
+        }
+
+        // Contact and fund account are created once per set of details
+        let contactId = account.razorpay_contact_id;
+        if (!contactId) {
+            const contact = await razorpayRequest('POST', '/contacts', {
+                name: freelancer.name,
+                email: freelancer.email || undefined,
+                contact: freelancer.phone || undefined,
+                type: 'vendor',
+                reference_id: freelancer.id,
+            });
+            contactId = contact.id;
+        }
+
+        let fundAccountId = account.razorpay_fund_account_id;
+        if (!fundAccountId) {
+            const fundAccount = await razorpayRequest('POST', '/fund_accounts', account.method === 'upi'
+                ? { contact_id: contactId, account_type: 'vpa', vpa: { address: account.upi_id } }
+                : {
+                    contact_id: contactId,
+                    account_type: 'bank_account',
+                    bank_account: { name: account.account_name, ifsc: account.ifsc, account_number: account.account_number },
+                });
+            fundAccountId = fundAccount.id;
+        }
+
+        await db
+            .from('freelancer_payout_accounts')
+            .update({ razorpay_contact_id: contactId, razorpay_fund_account_id: fundAccountId })
+            .eq('freelancer_id', freelancerId);
+
+        const tds = await tdsForPayout(db, freelancer.id, total, account.pan || '');
+        if (tds.net <= 0) return json({ error: 'Nothing left to transfer after TDS' }, 400);
+        const amountInPaise = toPaise(tds.net);
+        const mode = account.method === 'upi' ? 'UPI' : amountInPaise > IMPS_LIMIT_PAISE ? 'NEFT' : 'IMPS';
+
+        const { data: txn, error: txnError } = await db
+            .from('payment_transactions')
+            .insert({
+                freelancer_id: freelancer.id,
+                freelancer_name: freelancer.name,
+                paid_by: caller!.id,
+                paid_by_name: caller!.name,
+                amount: total,
+                currency: 'INR',
+                status: 'queued',
+                payout_mode: mode,
+                task_ids: tasks.map(t => t.id),
+                notes: `Payout for ${tasks.length} task(s) via RazorpayX`,
+                tds_section: tds.section,
+                tds_rate: tds.rate,
+                tds_amount: tds.tds,
+                net_amount: tds.net,
+            })
+            .select()
+            .single();
+        if (txnError) return json({ error: txnError.message }, 400);
+
+        // Counted towards paid_amount only once the payout is processed
+        const { error: allocationError } = await db
+            .from('payment_allocations')
+            .insert(tasks.map(t => ({ transaction_id: txn.id, task_id: t.id, freelancer_id: freelancer.id, amount: t.balance })));
+        if (allocationError) {
+            await db.from('payment_transactions').delete().eq('id', txn.id);
+            return json({ error: allocationError.message }, 400);
+        }
+
+        let payout;
+        try {
+            payout = await razorpayRequest('POST', '/payouts', {
+                account_number: Deno.env.get('RAZORPAYX_ACCOUNT_NUMBER'),
+                fund_account_id: fundAccountId,
+                amount: amountInPaise,
+                currency: 'INR',
+                mode,
+                purpose: 'payout',
+                queue_if_low_balance: true,
+                reference_id: txn.id,
+                narration: 'Freelancer payout',
+            }, { 'X-Payout-Idempotency': txn.id });
+        } catch (err) {
+            await db.from('payment_transactions').update({ status: 'failed', notes: `Failed: ${err.message}` }).eq('id', txn.id);
+            return json({ error: err.message }, 502);
+        }
+
+        await db
+            .from('payment_transactions')
+            .update({ razorpay_payout_id: payout.id })
+            .eq('id', txn.id);
+
+        // Payouts can come back already processed (UPI usually does)
+        const settled = await applyPayoutStatus(db, payout);
+
+        return json({
+            transactionId: txn.id,
+            payoutId: payout.id,
+            status: settled?.status || payout.status,
+            amount: total,
+            tdsAmount: tds.tds,
+            netAmount: tds.net,
+            taskCount: tasks.length,
+            freelancerName: freelancer.name,
+        });
+    } catch (err) {
+        return json({ error: err.message }, 500);
+    }
+});
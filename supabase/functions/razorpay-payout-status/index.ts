@@ -0,0 +1,38 @@
+// ==========================================
+// Supabase Edge Function — RazorpayX Payout Status
+// Polls RazorpayX for a payout's current status, for when webhooks are not
+// configured or a delivery was missed (requires admin role)
+// ==========================================
+
+import {
+    corsHeaders, json, serviceClient, requireAdmin, razorpayRequest, applyPayoutStatus,
+} from '../_shared/razorpay.ts';
+
+Deno.serve(async (req) => {
+    if (req.method === 'OPTIONS') {
+        return new Response(null, { headers: corsHeaders });
+    }
+
+    try {
+        const { error: authError } = await requireAdmin(req);
+        if (authError) return authError;
+
+        const { transactionId } = await req.json();
+        if (!transactionId) return json({ error: 'Missing required field: transactionId' }, 400);
+
+        const db = serviceClient();
+        const { data: txn } = await db
+            .from('payment_transactions')
+            .select('*')
+            .eq('id', transactionId)
+            .maybeSingle();
+        if (!txn?.razorpay_payout_id) return json({ error: 'Not a RazorpayX payout' }, 404);
+
+        const payout = await razorpayRequest('GET', `/payouts/${txn.razorpay_payout_id}`);
+        await applyPayoutStatus(db, payout);
+
+        return json({ transactionId, payoutId: payout.id, status: payout.status, utr: payout.utr || null });
+    } catch (err) {
+        return json({ error: err.message }, 500);
+    }
+});
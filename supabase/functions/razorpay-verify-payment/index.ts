@@ -0,0 +1,58 @@
+// ==========================================
+// Supabase Edge Function — Razorpay Verify Payment
+// Checks the Checkout signature and the payment itself before settling the
+// order's transaction, which settles its allocated tasks (requires admin role)
+// ==========================================
+
+import {
+    corsHeaders, json, serviceClient, requireAdmin, razorpayRequest, hmacSha256Hex, safeEqual, settleOrder, toPaise,
+} from '../_shared/razorpay.ts';
+
+Deno.serve(async (req) => {
+    if (req.method === 'OPTIONS') {
+        return new Response(null, { headers: corsHeaders });
+    }
+
+    try {
+        const { error: authError } = await requireAdmin(req);
+        if (authError) return authError;
+
+        const {
+            razorpay_order_id: orderId,
+            razorpay_payment_id: paymentId,
+            razorpay_signature: signature,
+        } = await req.json();
+        if (!orderId || !paymentId || !signature) {
+            return json({ error: 'Missing required fields: razorpay_order_id, razorpay_payment_id, razorpay_signature' }, 400);
+        }
+
+        // Checkout signs "<order_id>|<payment_id>" with the key secret
+        const expected = await hmacSha256Hex(Deno.env.get('RAZORPAY_KEY_SECRET')!, `${orderId}|${paymentId}`);
+        if (!safeEqual(expected, signature)) {
+            return json({ error: 'Payment signature verification failed' }, 400);
+        }
+
+        const db = serviceClient();
+        const { data: txn } = await db
+            .from('payment_transactions')
+            .select('*')
+            .eq('razorpay_order_id', orderId)
+            .maybeSingle();
+        if (!txn) return json({ error: 'Unknown Razorpay order' }, 404);
+
+        // A valid signature proves the pair came from Razorpay; still confirm
+        // the payment belongs to this order for the amount we asked for (net of TDS)
+        const payment = await razorpayRequest('GET', `/payments/${paymentId}`);
+        if (payment.order_id !== orderId
+            || payment.currency !== 'INR'
+            || payment.amount !== toPaise(Number(txn.net_amount ?? txn.amount))
+            || !['authorized', 'captured'].includes(payment.status)) {
+            return json({ error: 'Payment does not match the order' }, 400);
+        }
+
+        const settled = await settleOrder(db, orderId, paymentId, signature);
+        return json({ status: settled?.status, transactionId: settled?.id });
+    } catch (err) {
+        return json({ error: err.message }, 500);
+    }
+});
@@ -0,0 +1,93 @@
+// ==========================================
+// Supabase Edge Function — Razorpay Webhook
+// Receives payment and RazorpayX payout events, so orders settle even when
+// the browser closes before the verify call and payouts update as they move
+// through the banking system. Deploy with --no-verify-jwt; the
+// X-Razorpay-Signature header authenticates the request instead.
+// ==========================================
+
+import { SupabaseClient } from 'https://esm.sh/@supabase/supabase-js@2';
+import { json, serviceClient, hmacSha256Hex, safeEqual, settleOrder, applyPayoutStatus } from '../_shared/razorpay.ts';
+
+Deno.serve(async (req) => {
+    if (req.method !== 'POST') {
+        return json({ error: 'Method not allowed' }, 405);
+    }
+
+    try {
+        // The signature covers the raw body, so read it before parsing
+        const rawBody = await req.text();
+        const signature = req.headers.get('X-Razorpay-Signature') || '';
+        const expected = await hmacSha256Hex(Deno.env.get('RAZORPAY_WEBHOOK_SECRET')!, rawBody);
+        if (!safeEqual(expected, signature)) {
+            return json({ error: 'Invalid webhook signature' }, 401);
+        }
+
+        const event = JSON.parse(rawBody);
+        const payment = event.payload?.payment?.entity;
+        const payout = event.payload?.payout?.entity;
+        const orderId = payment?.order_id || event.payload?.order?.entity?.id;
+        const db = serviceClient();
+
+        // Razorpay retries deliveries; the event id makes each one apply once
+        const eventId = req.headers.get('X-Razorpay-Event-Id')
+            || `${event.event}:${payout ? `${payout.id}:${payout.status}` : payment?.id || orderId}`;
+        const { error: dupError } = await db
+            .from('razorpay_webhook_events')
+            .insert({ id: eventId, event: event.event, order_id: orderId, payload: event });
+        if (dupError) {
+            if (dupError.code === '23505') return json({ status: 'duplicate' });
+            return json({ error: dupError.message }, 500);
+        }
+
+        if (!orderId && !payout) return json({ status: 'ignored' });
+
+        try {
+            if (payout) {
+                const txn = await applyPayoutStatus(db, payout);
+                return json({ status: txn?.status || 'unknown_payout' });
+            }
+            return await handleEvent(db, event.event, orderId, payment);
+        } catch (err) {
+            // Forget the delivery so Razorpay's retry gets another go
+            await db.from('razorpay_webhook_events').delete().eq('id', eventId);
+            throw err;
+        }
+    } catch (err) {
+        return json({ error: err.message }, 500);
+    }
+});
+
+// Applies one verified event to the order's transaction
+async function handleEvent(db: SupabaseClient, eventName: string, orderId: string, payment: any) {
+    switch (eventName) {
+        case 'payment.captured':
+        case 'order.paid': {
+            const settled = await settleOrder(db, orderId, payment?.id || '');
+            return json({ status: settled?.status || 'unknown_order' });
+        }
+        case 'payment.failed': {
+            const reason = payment?.error_description || payment?.error_reason || 'Unknown error';
+            const { data: txn } = await db
+                .from('payment_transactions')
+                .update({ status: 'failed', razorpay_payment_id: payment?.id, notes: `Failed: ${reason}` })
+                .eq('razorpay_order_id', orderId)
+                .eq('status', 'pending')
+                .select()
+                .maybeSingle();
+            if (txn) {
+                await db.from('activity_log').insert({
+                    user_id: txn.paid_by,
+                    user_name: txn.paid_by_name,
+                    action: 'payment_failed',
+                    entity_type: 'payment',
+                    entity_id: txn.id,
+                    details: `Razorpay payment to ${txn.freelancer_name} failed: ${reason}`,
+                });
+            }
+            return json({ status: 'failed' });
+        }
+        default:
+            return json({ status: 'ignored' });
+    }
+}
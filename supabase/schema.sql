@@ -427,3 +427,1977 @@ CREATE POLICY "Admins can insert payment transactions"
     WITH CHECK (
         EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
     );
+
+-- ==========================================
+-- Clients
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS clients (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    contact_person TEXT NOT NULL DEFAULT '',
+    email TEXT NOT NULL DEFAULT '',
+    phone TEXT NOT NULL DEFAULT '',
+    company TEXT NOT NULL DEFAULT '',
+    notes TEXT NOT NULL DEFAULT '',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Client names are unique regardless of case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clients_name_lower ON clients(lower(name));
+
+CREATE TRIGGER clients_updated_at
+    BEFORE UPDATE ON clients
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+-- Tasks reference clients by foreign key; tasks.client keeps the display name
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS client_id UUID REFERENCES clients(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_client_id ON tasks(client_id);
+
+-- Backfill: create a client for every distinct task client name, then link tasks
+INSERT INTO clients (name)
+SELECT DISTINCT ON (lower(trim(client))) trim(client)
+FROM tasks
+WHERE trim(client) <> ''
+ORDER BY lower(trim(client))
+ON CONFLICT DO NOTHING;
+
+UPDATE tasks
+SET client_id = clients.id
+FROM clients
+WHERE tasks.client_id IS NULL
+AND lower(trim(tasks.client)) = lower(clients.name);
+
+-- Renaming a client renames it on every linked task
+CREATE OR REPLACE FUNCTION sync_client_name_to_tasks()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.name IS DISTINCT FROM OLD.name THEN
+        UPDATE tasks SET client = NEW.name WHERE client_id = NEW.id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER clients_sync_task_names
+    AFTER UPDATE OF name ON clients
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_client_name_to_tasks();
+
+ALTER TABLE clients ENABLE ROW LEVEL SECURITY;
+
+-- Client contact details are admin-only
+CREATE POLICY "Admins can view clients"
+    ON clients FOR SELECT
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+CREATE POLICY "Admins can insert clients"
+    ON clients FOR INSERT
+    TO authenticated
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+CREATE POLICY "Admins can update clients"
+    ON clients FOR UPDATE
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+CREATE POLICY "Admins can delete clients"
+    ON clients FOR DELETE
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+-- ==========================================
+-- Projects
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS projects (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    client_id UUID REFERENCES clients(id) ON DELETE SET NULL,
+    client TEXT NOT NULL DEFAULT '',
+    type TEXT NOT NULL DEFAULT 'One-Time' CHECK (type IN ('Retainer', 'One-Time', 'Campaign', 'Consultation')),
+    start_date DATE,
+    end_date DATE,
+    status TEXT NOT NULL DEFAULT 'Active' CHECK (status IN ('Active', 'Completed', 'On Hold', 'Cancelled')),
+    notes TEXT NOT NULL DEFAULT '',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_projects_client_id ON projects(client_id);
+
+CREATE TRIGGER projects_updated_at
+    BEFORE UPDATE ON projects
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+-- Tasks reference projects by foreign key; tasks.project keeps the display name
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS project TEXT NOT NULL DEFAULT '';
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS project_id UUID REFERENCES projects(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_project_id ON tasks(project_id);
+
+-- Renaming a project renames it on every linked task
+CREATE OR REPLACE FUNCTION sync_project_name_to_tasks()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.name IS DISTINCT FROM OLD.name THEN
+        UPDATE tasks SET project = NEW.name WHERE project_id = NEW.id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER projects_sync_task_names
+    AFTER UPDATE OF name ON projects
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_project_name_to_tasks();
+
+-- Renaming a client renames it on every linked project
+CREATE OR REPLACE FUNCTION sync_client_name_to_projects()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.name IS DISTINCT FROM OLD.name THEN
+        UPDATE projects SET client = NEW.name WHERE client_id = NEW.id;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER clients_sync_project_names
+    AFTER UPDATE OF name ON clients
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_client_name_to_projects();
+
+ALTER TABLE projects ENABLE ROW LEVEL SECURITY;
+
+-- Everyone can read projects (task views show project names); only admins write
+CREATE POLICY "Authenticated users can view projects"
+    ON projects FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Admins can insert projects"
+    ON projects FOR INSERT
+    TO authenticated
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+CREATE POLICY "Admins can update projects"
+    ON projects FOR UPDATE
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+CREATE POLICY "Admins can delete projects"
+    ON projects FOR DELETE
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+-- ==========================================
+-- Agency Settings (single row, id = 1)
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS agency_settings (
+    id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    name TEXT NOT NULL DEFAULT '',
+    registration_no TEXT NOT NULL DEFAULT '',
+    address TEXT NOT NULL DEFAULT '',
+    phone TEXT NOT NULL DEFAULT '',
+    email TEXT NOT NULL DEFAULT '',
+    website TEXT NOT NULL DEFAULT '',
+    gst_number TEXT NOT NULL DEFAULT '',
+    pan_number TEXT NOT NULL DEFAULT '',
+    bank_details TEXT NOT NULL DEFAULT '',
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+INSERT INTO agency_settings (id) VALUES (1) ON CONFLICT DO NOTHING;
+
+CREATE TRIGGER agency_settings_updated_at
+    BEFORE UPDATE ON agency_settings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+ALTER TABLE agency_settings ENABLE ROW LEVEL SECURITY;
+
+-- Agency details appear on invoices, so everyone can read; only admins write
+CREATE POLICY "Authenticated users can view agency settings"
+    ON agency_settings FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Admins can insert agency settings"
+    ON agency_settings FOR INSERT
+    TO authenticated
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+CREATE POLICY "Admins can update agency settings"
+    ON agency_settings FOR UPDATE
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+-- ==========================================
+-- Task Subtasks (Checklist)
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS task_subtasks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    text TEXT NOT NULL,
+    completed BOOLEAN NOT NULL DEFAULT false,
+    completed_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    completed_at TIMESTAMPTZ,
+    created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_subtasks_task_id ON task_subtasks(task_id);
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS progress INTEGER NOT NULL DEFAULT 0 CHECK (progress BETWEEN 0 AND 100);
+
+-- Checklist completion drives tasks.progress; removing the last item resets
+-- it to 0. SECURITY DEFINER so a freelancer ticking an item updates progress
+-- regardless of task policies.
+CREATE OR REPLACE FUNCTION sync_task_progress_from_subtasks()
+RETURNS TRIGGER AS $$
+DECLARE
+    target_task UUID := COALESCE(NEW.task_id, OLD.task_id);
+    total INTEGER;
+    done INTEGER;
+BEGIN
+    SELECT count(*), count(*) FILTER (WHERE completed)
+    INTO total, done
+    FROM task_subtasks
+    WHERE task_id = target_task;
+
+    UPDATE tasks
+    SET progress = CASE WHEN total > 0 THEN round(done * 100.0 / total) ELSE 0 END
+    WHERE id = target_task;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER task_subtasks_sync_progress
+    AFTER INSERT OR UPDATE OF completed OR DELETE ON task_subtasks
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_task_progress_from_subtasks();
+
+ALTER TABLE task_subtasks ENABLE ROW LEVEL SECURITY;
+
+-- Subtasks follow task access: admins see all, freelancers see their assigned tasks
+CREATE POLICY "Users can view subtasks for accessible tasks"
+    ON task_subtasks FOR SELECT
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+        OR EXISTS (SELECT 1 FROM tasks WHERE tasks.id = task_subtasks.task_id AND tasks.assigned_to = auth.uid())
+    );
+
+CREATE POLICY "Users can add subtasks to accessible tasks"
+    ON task_subtasks FOR INSERT
+    TO authenticated
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+        OR EXISTS (SELECT 1 FROM tasks WHERE tasks.id = task_subtasks.task_id AND tasks.assigned_to = auth.uid())
+    );
+
+CREATE POLICY "Users can update subtasks on accessible tasks"
+    ON task_subtasks FOR UPDATE
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+        OR EXISTS (SELECT 1 FROM tasks WHERE tasks.id = task_subtasks.task_id AND tasks.assigned_to = auth.uid())
+    );
+
+CREATE POLICY "Users can delete subtasks on accessible tasks"
+    ON task_subtasks FOR DELETE
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+        OR EXISTS (SELECT 1 FROM tasks WHERE tasks.id = task_subtasks.task_id AND tasks.assigned_to = auth.uid())
+    );
+
+-- ==========================================
+-- Time Entries
+-- ==========================================
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS estimated_hours NUMERIC(8,2);
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS actual_hours NUMERIC(8,2);
+
+CREATE TABLE IF NOT EXISTS time_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    user_name TEXT NOT NULL DEFAULT '',
+    hours NUMERIC(8,2) NOT NULL DEFAULT 0 CHECK (hours >= 0),
+    description TEXT NOT NULL DEFAULT '',
+    date TIMESTAMPTZ NOT NULL DEFAULT now(),
+    -- Set while a timer is running (ended_at IS NULL); persisted so timers survive reloads
+    started_at TIMESTAMPTZ,
+    ended_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_time_entries_task_id ON time_entries(task_id);
+CREATE INDEX IF NOT EXISTS idx_time_entries_user_id ON time_entries(user_id);
+
+-- At most one running timer per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_time_entries_running
+    ON time_entries(user_id)
+    WHERE started_at IS NOT NULL AND ended_at IS NULL;
+
+-- Logged hours roll up into tasks.actual_hours. SECURITY DEFINER so any
+-- user's entry updates the total regardless of task policies.
+CREATE OR REPLACE FUNCTION sync_task_actual_hours()
+RETURNS TRIGGER AS $$
+DECLARE
+    target_task UUID := COALESCE(NEW.task_id, OLD.task_id);
+BEGIN
+    UPDATE tasks
+    SET actual_hours = (
+        SELECT sum(hours)
+        FROM time_entries
+        WHERE task_id = target_task
+        AND NOT (started_at IS NOT NULL AND ended_at IS NULL)
+    )
+    WHERE id = target_task;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER time_entries_sync_actual_hours
+    AFTER INSERT OR UPDATE OR DELETE ON time_entries
+    FOR EACH ROW
+    EXECUTE FUNCTION sync_task_actual_hours();
+
+ALTER TABLE time_entries ENABLE ROW LEVEL SECURITY;
+
+-- Users manage their own entries; admins can view and correct all
+CREATE POLICY "Users can view own time entries or admins all"
+    ON time_entries FOR SELECT
+    TO authenticated
+    USING (
+        user_id = auth.uid()
+        OR EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+-- Time is only logged against tasks assigned to the user (admins log against any)
+CREATE POLICY "Users can log own time"
+    ON time_entries FOR INSERT
+    TO authenticated
+    WITH CHECK (
+        user_id = auth.uid()
+        AND (
+            EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+            OR EXISTS (SELECT 1 FROM tasks t WHERE t.id = task_id AND t.assigned_to = auth.uid())
+        )
+    );
+
+CREATE POLICY "Users can update own time entries"
+    ON time_entries FOR UPDATE
+    TO authenticated
+    USING (user_id = auth.uid())
+    WITH CHECK (
+        user_id = auth.uid()
+        AND (
+            EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+            OR EXISTS (SELECT 1 FROM tasks t WHERE t.id = task_id AND t.assigned_to = auth.uid())
+        )
+    );
+
+CREATE POLICY "Users can delete own time entries or admins any"
+    ON time_entries FOR DELETE
+    TO authenticated
+    USING (
+        user_id = auth.uid()
+        OR EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+-- ==========================================
+-- Task Workflow (single row, id = 1)
+-- ==========================================
+
+-- states: [{ id, label, color }], transitions: [{ from, to, roles: ['admin' | 'freelancer'] }]
+CREATE TABLE IF NOT EXISTS task_workflow (
+    id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+    states JSONB NOT NULL,
+    transitions JSONB NOT NULL,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+INSERT INTO task_workflow (id, states, transitions) VALUES (
+    1,
+    '[
+        {"id": "assigned", "label": "Assigned", "color": "var(--status-assigned)"},
+        {"id": "in_progress", "label": "In Progress", "color": "var(--status-in-progress)"},
+        {"id": "submitted", "label": "Submitted", "color": "var(--status-submitted)"},
+        {"id": "approved", "label": "Approved", "color": "var(--status-approved)"},
+        {"id": "iteration", "label": "Iteration", "color": "var(--status-iteration)"},
+        {"id": "rejected", "label": "Rejected", "color": "var(--status-rejected)"}
+    ]'::jsonb,
+    '[
+        {"from": "assigned", "to": "in_progress", "roles": ["admin", "freelancer"]},
+        {"from": "iteration", "to": "in_progress", "roles": ["admin", "freelancer"]},
+        {"from": "in_progress", "to": "submitted", "roles": ["admin", "freelancer"]},
+        {"from": "submitted", "to": "approved", "roles": ["admin"]},
+        {"from": "submitted", "to": "iteration", "roles": ["admin"]},
+        {"from": "submitted", "to": "rejected", "roles": ["admin"]},
+        {"from": "rejected", "to": "assigned", "roles": ["admin"]}
+    ]'::jsonb
+) ON CONFLICT DO NOTHING;
+
+CREATE TRIGGER task_workflow_updated_at
+    BEFORE UPDATE ON task_workflow
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+-- Task statuses come from the workflow instead of a fixed CHECK list
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_status_check;
+
+CREATE OR REPLACE FUNCTION validate_task_status()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM task_workflow, jsonb_array_elements(task_workflow.states) AS state
+        WHERE task_workflow.id = 1 AND state->>'id' = NEW.status
+    ) THEN
+        RAISE EXCEPTION 'Unknown task status "%"', NEW.status;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER tasks_validate_status
+    BEFORE INSERT OR UPDATE OF status ON tasks
+    FOR EACH ROW
+    EXECUTE FUNCTION validate_task_status();
+
+ALTER TABLE task_workflow ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view the workflow"
+    ON task_workflow FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Admins can insert the workflow"
+    ON task_workflow FOR INSERT
+    TO authenticated
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+CREATE POLICY "Admins can update the workflow"
+    ON task_workflow FOR UPDATE
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+-- ==========================================
+-- Task Lifecycle Enforcement
+-- ==========================================
+
+-- Whether the workflow lets `actor_role` ('admin' | 'freelancer') move a task between two states
+CREATE OR REPLACE FUNCTION workflow_allows(from_status TEXT, to_status TEXT, actor_role TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1
+        FROM task_workflow, jsonb_array_elements(task_workflow.transitions) AS t
+        WHERE task_workflow.id = 1
+        AND t->>'from' = from_status
+        AND t->>'to' = to_status
+        AND t->'roles' ? actor_role
+    );
+$$ LANGUAGE sql STABLE;
+
+-- Every task update passes through here, whether from an RPC below or a raw
+-- UPDATE. Freelancers may only follow their workflow transitions (never into
+-- approved / rejected / iteration) and touch creative and progress fields;
+-- approval, payment status and amount are admin-only. Nobody, service role
+-- included, can start a task while a predecessor (task_dependencies, below)
+-- is unapproved.
+CREATE OR REPLACE FUNCTION enforce_task_lifecycle()
+RETURNS TRIGGER AS $$
+DECLARE
+    caller_role TEXT;
+    actor TEXT;
+    waiting_on TEXT;
+    freelancer_columns TEXT[] := ARRAY[
+        'status', 'picked_up_at', 'submitted_at',
+        'completed_creative', 'completed_creative_at', 'editable_file_shared',
+        'progress', 'actual_hours', 'updated_at'
+    ];
+BEGIN
+    IF NEW.status = 'in_progress' AND OLD.status IS DISTINCT FROM 'in_progress' THEN
+        SELECT string_agg('#' || p.sl_no, ', ' ORDER BY p.sl_no) INTO waiting_on
+        FROM task_dependencies d
+        JOIN tasks p ON p.id = d.predecessor_id
+        WHERE d.task_id = NEW.id AND p.status <> 'approved';
+        IF waiting_on IS NOT NULL THEN
+            RAISE EXCEPTION 'Waiting on task % to be approved first', waiting_on
+                USING ERRCODE = '42501';
+        END IF;
+    END IF;
+
+    -- Service-role calls (edge functions, webhooks) carry no user and are trusted,
+    -- as are decisions made through a client review link (submit_client_review)
+    IF auth.uid() IS NULL OR current_setting('app.client_review', true) = 'on' THEN
+        RETURN NEW;
+    END IF;
+
+    SELECT role INTO caller_role FROM profiles WHERE id = auth.uid();
+    actor := CASE WHEN caller_role IN ('admin', 'superadmin') THEN 'admin' ELSE 'freelancer' END;
+
+    IF NEW.status IS DISTINCT FROM OLD.status THEN
+        IF actor = 'freelancer' AND NEW.status IN ('approved', 'rejected', 'iteration') THEN
+            RAISE EXCEPTION 'Only admins can approve, reject or request iterations'
+                USING ERRCODE = '42501';
+        END IF;
+        IF NOT workflow_allows(OLD.status, NEW.status, actor) THEN
+            RAISE EXCEPTION 'Cannot move task from % to %', OLD.status, NEW.status
+                USING ERRCODE = '42501';
+        END IF;
+    END IF;
+
+    IF actor = 'freelancer'
+        AND (to_jsonb(NEW) - freelancer_columns) IS DISTINCT FROM (to_jsonb(OLD) - freelancer_columns) THEN
+        RAISE EXCEPTION 'Freelancers can only update task status, creative and progress fields'
+            USING ERRCODE = '42501';
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER tasks_enforce_lifecycle
+    BEFORE UPDATE ON tasks
+    FOR EACH ROW
+    EXECUTE FUNCTION enforce_task_lifecycle();
+
+-- Only admins record iterations (requesting one is an admin transition)
+DROP POLICY IF EXISTS "Authenticated users can insert iterations" ON iterations;
+
+CREATE POLICY "Admins can insert iterations"
+    ON iterations FOR INSERT
+    TO authenticated
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+-- Lifecycle RPCs. SECURITY INVOKER so RLS and the trigger above still apply;
+-- they exist to make multi-column and multi-table changes atomic.
+CREATE OR REPLACE FUNCTION pick_up_task(p_task_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE tasks SET status = 'in_progress', picked_up_at = now() WHERE id = p_task_id;
+    IF NOT FOUND THEN RAISE EXCEPTION 'Task not found'; END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+CREATE OR REPLACE FUNCTION submit_task(p_task_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE tasks SET status = 'submitted', submitted_at = now()
+    WHERE id = p_task_id AND completed_creative IS NOT NULL;
+    IF NOT FOUND THEN RAISE EXCEPTION 'Task not found or no completed creative uploaded'; END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+CREATE OR REPLACE FUNCTION approve_task(p_task_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE tasks SET status = 'approved', creative_status = 'Approved' WHERE id = p_task_id;
+    IF NOT FOUND THEN RAISE EXCEPTION 'Task not found'; END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+CREATE OR REPLACE FUNCTION reject_task(p_task_id UUID, p_reason TEXT)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE tasks
+    SET status = 'rejected', creative_status = 'Rejected', rejected_at = now(), rejection_reason = COALESCE(p_reason, '')
+    WHERE id = p_task_id;
+    IF NOT FOUND THEN RAISE EXCEPTION 'Task not found'; END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+CREATE OR REPLACE FUNCTION request_iteration(p_task_id UUID, p_reason TEXT, p_blame TEXT)
+RETURNS VOID AS $$
+BEGIN
+    INSERT INTO iterations (task_id, number, reason, blame, requested_at)
+    SELECT p_task_id, COUNT(*) + 1, p_reason, p_blame, now()
+    FROM iterations WHERE task_id = p_task_id;
+
+    UPDATE tasks
+    SET status = 'iteration', creative_status = 'Iteration', picked_up_at = NULL, submitted_at = NULL
+    WHERE id = p_task_id;
+    IF NOT FOUND THEN RAISE EXCEPTION 'Task not found'; END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+-- Moves along custom workflow stages that need no extra data
+CREATE OR REPLACE FUNCTION transition_task(p_task_id UUID, p_status TEXT)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE tasks SET status = p_status WHERE id = p_task_id;
+    IF NOT FOUND THEN RAISE EXCEPTION 'Task not found'; END IF;
+END;
+$$ LANGUAGE plpgsql SECURITY INVOKER;
+
+GRANT EXECUTE ON FUNCTION pick_up_task(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION submit_task(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION approve_task(UUID) TO authenticated;
+GRANT EXECUTE ON FUNCTION reject_task(UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION request_iteration(UUID, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION transition_task(UUID, TEXT) TO authenticated;
+
+-- ==========================================
+-- Client Review Links
+-- ==========================================
+
+-- Token links that let a client view a task's completed creative without an
+-- account and approve it or request changes
+CREATE TABLE IF NOT EXISTS review_links (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    token TEXT NOT NULL UNIQUE,
+    client_name TEXT NOT NULL DEFAULT '',
+    expires_at TIMESTAMPTZ NOT NULL,
+    revoked_at TIMESTAMPTZ,
+    decision TEXT CHECK (decision IN ('approved', 'changes_requested')),
+    comment TEXT NOT NULL DEFAULT '',
+    responded_at TIMESTAMPTZ,
+    created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_links_task_id ON review_links(task_id);
+
+ALTER TABLE review_links ENABLE ROW LEVEL SECURITY;
+
+-- Clients never read the table directly; they go through the RPCs below
+CREATE POLICY "Admins can manage review links"
+    ON review_links FOR ALL
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    )
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+-- Read-only view of the task behind a live link (NULL when expired or revoked)
+CREATE OR REPLACE FUNCTION get_client_review(p_token TEXT)
+RETURNS JSONB AS $$
+    SELECT jsonb_build_object(
+        'client_name', l.client_name,
+        'expires_at', l.expires_at,
+        'decision', l.decision,
+        'comment', l.comment,
+        'responded_at', l.responded_at,
+        'task', jsonb_build_object(
+            'sl_no', t.sl_no,
+            'client', t.client,
+            'type', t.type,
+            'description', t.description,
+            'completed_creative', t.completed_creative,
+            'status', t.status
+        )
+    )
+    FROM review_links l
+    JOIN tasks t ON t.id = l.task_id
+    WHERE l.token = p_token
+    AND l.revoked_at IS NULL
+    AND l.expires_at > now();
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- The client's decision runs the same approve_task / request_iteration
+-- functions an admin would, with the iteration blamed on the client.
+-- Definer rights don't change auth.uid(), so a signed-in freelancer opening
+-- the link would still look like a freelancer to the lifecycle trigger; the
+-- transaction-local app.client_review flag tells the trigger to let the
+-- change through once the workflow check here has passed.
+CREATE OR REPLACE FUNCTION submit_client_review(p_token TEXT, p_decision TEXT, p_comment TEXT)
+RETURNS VOID AS $$
+DECLARE
+    link review_links%ROWTYPE;
+    task tasks%ROWTYPE;
+    reviewer TEXT;
+    review_comment TEXT := trim(COALESCE(p_comment, ''));
+BEGIN
+    SELECT * INTO link FROM review_links
+    WHERE token = p_token AND revoked_at IS NULL AND expires_at > now()
+    FOR UPDATE;
+    IF NOT FOUND THEN RAISE EXCEPTION 'This review link is invalid or has expired'; END IF;
+
+    SELECT * INTO task FROM tasks WHERE id = link.task_id FOR UPDATE;
+    IF NOT FOUND OR task.status <> 'submitted' THEN
+        RAISE EXCEPTION 'This creative is not awaiting review';
+    END IF;
+
+    reviewer := COALESCE(NULLIF(link.client_name, ''), NULLIF(task.client, ''), 'Client') || ' (client)';
+    PERFORM set_config('app.client_review', 'on', true);
+
+    IF p_decision = 'approved' THEN
+        IF NOT workflow_allows(task.status, 'approved', 'admin') THEN
+            RAISE EXCEPTION 'This creative cannot be approved right now';
+        END IF;
+        PERFORM approve_task(task.id);
+
+        IF task.assigned_to IS NOT NULL THEN
+            INSERT INTO notifications (user_id, type, title, message, task_id)
+            VALUES (task.assigned_to, 'approved', 'Task Approved',
+                format('Task #%s "%s" has been approved by the client!', task.sl_no, task.client), task.id);
+        END IF;
+
+        INSERT INTO activity_log (user_name, action, entity_type, entity_id, details)
+        VALUES (reviewer, 'task_approved', 'task', task.id::TEXT,
+            format('Client approved task #%s "%s" via review link', task.sl_no, task.client));
+    ELSIF p_decision = 'changes_requested' THEN
+        IF review_comment = '' THEN RAISE EXCEPTION 'Please describe the changes you need'; END IF;
+        IF NOT workflow_allows(task.status, 'iteration', 'admin') THEN
+            RAISE EXCEPTION 'Changes cannot be requested right now';
+        END IF;
+        PERFORM request_iteration(task.id, review_comment, 'client');
+
+        IF task.assigned_to IS NOT NULL THEN
+            INSERT INTO notifications (user_id, type, title, message, task_id)
+            VALUES (task.assigned_to, 'iteration', 'Iteration Requested',
+                format('Task #%s "%s" needs revision. Reason: %s', task.sl_no, task.client, review_comment), task.id);
+        END IF;
+
+        INSERT INTO activity_log (user_name, action, entity_type, entity_id, details)
+        VALUES (reviewer, 'iteration_requested', 'task', task.id::TEXT,
+            format('Requested iteration on task #%s "%s" (blame: client). Reason: %s', task.sl_no, task.client, review_comment));
+    ELSE
+        RAISE EXCEPTION 'Unknown review decision';
+    END IF;
+
+    UPDATE review_links
+    SET decision = p_decision, comment = review_comment, responded_at = now()
+    WHERE id = link.id;
+
+    PERFORM set_config('app.client_review', 'off', true);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION get_client_review(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION submit_client_review(TEXT, TEXT, TEXT) TO anon, authenticated;
+
+-- ==========================================
+-- Creative Versions
+-- ==========================================
+
+-- Every completed creative ever uploaded for a task. iteration_id is the
+-- iteration the upload answered (NULL for work done before any iteration).
+CREATE TABLE IF NOT EXISTS creative_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    url TEXT NOT NULL,
+    iteration_id UUID REFERENCES iterations(id) ON DELETE SET NULL,
+    uploaded_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    uploaded_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    UNIQUE (task_id, version_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_creative_versions_task_id ON creative_versions(task_id);
+
+-- Keep existing creatives as version 1
+INSERT INTO creative_versions (task_id, version_number, url, uploaded_by, uploaded_at)
+SELECT id, 1, completed_creative, assigned_to, COALESCE(completed_creative_at, updated_at, now())
+FROM tasks
+WHERE completed_creative IS NOT NULL
+AND NOT EXISTS (SELECT 1 FROM creative_versions WHERE creative_versions.task_id = tasks.id);
+
+-- Each new completed_creative becomes the next version, linked to the latest
+-- iteration. SECURITY DEFINER so freelancers need no insert policy.
+CREATE OR REPLACE FUNCTION record_creative_version()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.completed_creative IS NOT NULL
+        AND NEW.completed_creative IS DISTINCT FROM OLD.completed_creative THEN
+        INSERT INTO creative_versions (task_id, version_number, url, iteration_id, uploaded_by, uploaded_at)
+        VALUES (
+            NEW.id,
+            COALESCE((SELECT max(version_number) FROM creative_versions WHERE task_id = NEW.id), 0) + 1,
+            NEW.completed_creative,
+            (SELECT id FROM iterations WHERE task_id = NEW.id ORDER BY number DESC LIMIT 1),
+            auth.uid(),
+            COALESCE(NEW.completed_creative_at, now())
+        );
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER tasks_record_creative_version
+    AFTER UPDATE OF completed_creative ON tasks
+    FOR EACH ROW
+    EXECUTE FUNCTION record_creative_version();
+
+ALTER TABLE creative_versions ENABLE ROW LEVEL SECURITY;
+
+-- Versions follow task access; rows are only written by the trigger above
+CREATE POLICY "Users can view creative versions for accessible tasks"
+    ON creative_versions FOR SELECT
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+        OR EXISTS (SELECT 1 FROM tasks WHERE tasks.id = creative_versions.task_id AND tasks.assigned_to = auth.uid())
+    );
+
+-- ==========================================
+-- Creative Annotations (feedback pins)
+-- ==========================================
+
+-- Numbered pins an admin drops on a creative version. x / y are percentages of
+-- the image size; iteration_id is filled in when the next iteration is requested.
+CREATE TABLE IF NOT EXISTS creative_annotations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    version_id UUID NOT NULL REFERENCES creative_versions(id) ON DELETE CASCADE,
+    iteration_id UUID REFERENCES iterations(id) ON DELETE SET NULL,
+    number INTEGER NOT NULL,
+    x NUMERIC(5, 2) NOT NULL CHECK (x BETWEEN 0 AND 100),
+    y NUMERIC(5, 2) NOT NULL CHECK (y BETWEEN 0 AND 100),
+    comment TEXT NOT NULL,
+    created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    resolved_at TIMESTAMPTZ,
+    resolved_by UUID REFERENCES profiles(id) ON DELETE SET NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_creative_annotations_task_id ON creative_annotations(task_id);
+
+-- Pins dropped since the previous iteration travel with the new one
+CREATE OR REPLACE FUNCTION attach_annotations_to_iteration()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE creative_annotations
+    SET iteration_id = NEW.id
+    WHERE task_id = NEW.task_id AND iteration_id IS NULL;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER iterations_attach_annotations
+    AFTER INSERT ON iterations
+    FOR EACH ROW
+    EXECUTE FUNCTION attach_annotations_to_iteration();
+
+-- Freelancers may only resolve or reopen pins
+CREATE OR REPLACE FUNCTION guard_annotation_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.uid() IS NOT NULL
+        AND NOT EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+        AND (to_jsonb(NEW) - ARRAY['resolved_at', 'resolved_by']) IS DISTINCT FROM (to_jsonb(OLD) - ARRAY['resolved_at', 'resolved_by']) THEN
+        RAISE EXCEPTION 'Freelancers can only resolve feedback pins' USING ERRCODE = '42501';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER creative_annotations_guard_update
+    BEFORE UPDATE ON creative_annotations
+    FOR EACH ROW
+    EXECUTE FUNCTION guard_annotation_update();
+
+-- A task cannot be submitted while any of its pins is still open
+CREATE OR REPLACE FUNCTION block_submit_with_open_annotations()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.status = 'submitted' AND OLD.status IS DISTINCT FROM 'submitted'
+        AND EXISTS (SELECT 1 FROM creative_annotations WHERE task_id = NEW.id AND resolved_at IS NULL) THEN
+        RAISE EXCEPTION 'Resolve all feedback pins before submitting';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER tasks_block_submit_with_open_annotations
+    BEFORE UPDATE OF status ON tasks
+    FOR EACH ROW
+    EXECUTE FUNCTION block_submit_with_open_annotations();
+
+ALTER TABLE creative_annotations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view annotations for accessible tasks"
+    ON creative_annotations FOR SELECT
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+        OR EXISTS (SELECT 1 FROM tasks WHERE tasks.id = creative_annotations.task_id AND tasks.assigned_to = auth.uid())
+    );
+
+CREATE POLICY "Admins can add annotations"
+    ON creative_annotations FOR INSERT
+    TO authenticated
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+CREATE POLICY "Users can update annotations on accessible tasks"
+    ON creative_annotations FOR UPDATE
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+        OR EXISTS (SELECT 1 FROM tasks WHERE tasks.id = creative_annotations.task_id AND tasks.assigned_to = auth.uid())
+    );
+
+CREATE POLICY "Admins can delete annotations"
+    ON creative_annotations FOR DELETE
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+-- ==========================================
+-- Recurring Tasks (retainer deliverables)
+-- ==========================================
+
+-- "8 Static every month, assign to X, due on the 25th" for a project
+CREATE TABLE IF NOT EXISTS recurrence_rules (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    template_name TEXT NOT NULL DEFAULT '',
+    type TEXT NOT NULL,
+    quantity INTEGER NOT NULL CHECK (quantity BETWEEN 1 AND 100),
+    amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    assigned_to UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    due_day INTEGER NOT NULL CHECK (due_day BETWEEN 1 AND 31),
+    description TEXT NOT NULL DEFAULT '',
+    active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recurrence_rules_project_id ON recurrence_rules(project_id);
+
+CREATE TRIGGER recurrence_rules_updated_at
+    BEFORE UPDATE ON recurrence_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+-- rule:month:n for generated tasks; unique so re-running generation never duplicates
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence_key TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tasks_recurrence_key ON tasks(recurrence_key) WHERE recurrence_key IS NOT NULL;
+
+ALTER TABLE recurrence_rules ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage recurrence rules"
+    ON recurrence_rules FOR ALL
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    )
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+-- ==========================================
+-- Task Templates
+-- ==========================================
+
+-- Agency-defined packages used by the template picker and recurring rules.
+-- checklist is a JSON array of item texts pre-created as subtasks.
+CREATE TABLE IF NOT EXISTS task_templates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name TEXT NOT NULL,
+    type TEXT NOT NULL,
+    category TEXT NOT NULL DEFAULT '',
+    amount NUMERIC(10, 2) NOT NULL DEFAULT 0,
+    estimated_hours NUMERIC(6, 2),
+    description TEXT NOT NULL DEFAULT '',
+    checklist JSONB NOT NULL DEFAULT '[]'::jsonb,
+    assigned_to UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TRIGGER task_templates_updated_at
+    BEFORE UPDATE ON task_templates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+-- Starting set (matches DEFAULT_TASK_TEMPLATES in store.js)
+INSERT INTO task_templates (name, type, category, amount, estimated_hours, description, checklist)
+SELECT * FROM (VALUES
+    ('Logo Design', 'Logo', 'Design & Creative', 5000, 12, 'Design a logo with 3 concept options', '["Mood board", "3 concepts", "Final files (SVG, PNG)"]'::jsonb),
+    ('Social Media Post', 'Static', 'Content Creation', 500, 2, 'Single social media post design', '[]'::jsonb),
+    ('Video Edit', 'Video', 'Content Creation', 3000, 8, 'Edit and produce a video', '[]'::jsonb),
+    ('Branding Package', 'Branding', 'Design & Creative', 15000, 40, 'Complete branding package', '["Logo", "Color palette", "Typography", "Brand guidelines PDF"]'::jsonb),
+    ('Carousel Design', 'Carousel', 'Content Creation', 1500, 4, 'Multi-slide carousel for social media', '[]'::jsonb),
+    ('Reels/Short Video', 'Reels', 'Content Creation', 2000, 5, 'Short-form video content', '[]'::jsonb)
+) AS defaults(name, type, category, amount, estimated_hours, description, checklist)
+WHERE NOT EXISTS (SELECT 1 FROM task_templates);
+
+-- Recurring rules can come from a template (its checklist is pre-created on each task)
+ALTER TABLE recurrence_rules ADD COLUMN IF NOT EXISTS template_id UUID REFERENCES task_templates(id) ON DELETE SET NULL;
+
+ALTER TABLE task_templates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view task templates"
+    ON task_templates FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Admins can manage task templates"
+    ON task_templates FOR ALL
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    )
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+-- ==========================================
+-- Task Pricing
+-- ==========================================
+
+-- Amounts come from the freelancer's rate card (profiles.pricing) plus these
+-- modifiers; amount_overridden marks amounts an admin typed in by hand
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS amount_overridden BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE agency_settings ADD COLUMN IF NOT EXISTS rush_within_hours NUMERIC NOT NULL DEFAULT 48;
+ALTER TABLE agency_settings ADD COLUMN IF NOT EXISTS rush_surcharge_percent NUMERIC NOT NULL DEFAULT 50;
+ALTER TABLE agency_settings ADD COLUMN IF NOT EXISTS client_iteration_percent NUMERIC NOT NULL DEFAULT 20;
+
+-- Every client-caused iteration adds client_iteration_percent of the base rate,
+-- whether it came from an admin or a client review link
+CREATE OR REPLACE FUNCTION charge_client_iteration()
+RETURNS TRIGGER AS $$
+DECLARE
+    base_rate NUMERIC;
+    percent NUMERIC;
+BEGIN
+    IF NEW.blame IS DISTINCT FROM 'client' THEN RETURN NEW; END IF;
+
+    SELECT COALESCE((p.pricing ->> t.type)::NUMERIC, 0) INTO base_rate
+    FROM tasks t
+    LEFT JOIN profiles p ON p.id = t.assigned_to
+    WHERE t.id = NEW.task_id AND NOT t.amount_overridden;
+
+    IF base_rate IS NULL OR base_rate = 0 THEN RETURN NEW; END IF;
+
+    SELECT COALESCE(client_iteration_percent, 20) INTO percent FROM agency_settings WHERE id = 1;
+
+    UPDATE tasks
+    SET amount = amount + ROUND(base_rate * COALESCE(percent, 20) / 100, 2)
+    WHERE id = NEW.task_id;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER iterations_charge_client_iteration
+    AFTER INSERT ON iterations
+    FOR EACH ROW
+    EXECUTE FUNCTION charge_client_iteration();
+
+-- ==========================================
+-- Client Billing
+-- ==========================================
+
+-- tasks.amount is the freelancer's cost (payouts); billable_amount is the
+-- client's price (invoices). clients.rates is the client's rate card per task type.
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS billable_amount NUMERIC(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS rates JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Backfill: tasks from before client billing are priced at the client's rate
+-- for their type, falling back to the freelancer amount
+UPDATE tasks
+SET billable_amount = COALESCE(NULLIF(clients.rates ->> tasks.type, '')::NUMERIC, tasks.amount)
+FROM clients
+WHERE tasks.client_id = clients.id
+AND tasks.billable_amount = 0;
+
+UPDATE tasks
+SET billable_amount = amount
+WHERE client_id IS NULL
+AND billable_amount = 0;
+
+-- ==========================================
+-- Client Invoices (GST)
+-- ==========================================
+
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS gstin TEXT NOT NULL DEFAULT '';
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS state TEXT NOT NULL DEFAULT '';     -- GST state code, e.g. '27'
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS address TEXT NOT NULL DEFAULT '';
+
+-- Agency's own state (defaults to the GSTIN prefix in the app) and GST rate
+ALTER TABLE agency_settings ADD COLUMN IF NOT EXISTS state TEXT NOT NULL DEFAULT '';
+ALTER TABLE agency_settings ADD COLUMN IF NOT EXISTS gst_rate NUMERIC NOT NULL DEFAULT 18;
+
+CREATE TABLE IF NOT EXISTS invoices (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    invoice_number TEXT UNIQUE,          -- assigned when the invoice leaves draft
+    fiscal_year TEXT,
+    sequence INTEGER,
+    client_id UUID REFERENCES clients(id) ON DELETE SET NULL,
+    project_id UUID REFERENCES projects(id) ON DELETE SET NULL,
+    client_name TEXT NOT NULL DEFAULT '',
+    client_gstin TEXT NOT NULL DEFAULT '',
+    place_of_supply TEXT NOT NULL DEFAULT '',
+    invoice_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    due_date DATE,
+    subtotal NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    gst_rate NUMERIC NOT NULL DEFAULT 18,
+    cgst NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    sgst NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    igst NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    total NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'sent', 'paid')),
+    notes TEXT NOT NULL DEFAULT '',
+    created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    sent_at TIMESTAMPTZ,
+    paid_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoices_client_id ON invoices(client_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_status ON invoices(status);
+
+CREATE TRIGGER invoices_updated_at
+    BEFORE UPDATE ON invoices
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+CREATE TABLE IF NOT EXISTS invoice_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    task_id UUID REFERENCES tasks(id) ON DELETE SET NULL,
+    description TEXT NOT NULL DEFAULT '',
+    amount NUMERIC(12, 2) NOT NULL DEFAULT 0,
+    position INTEGER NOT NULL DEFAULT 1
+);
+
+CREATE INDEX IF NOT EXISTS idx_invoice_items_invoice_id ON invoice_items(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_items_task_id ON invoice_items(task_id);
+
+-- Sequential numbers per Indian financial year (April–March)
+CREATE TABLE IF NOT EXISTS invoice_sequences (
+    fiscal_year TEXT PRIMARY KEY,
+    last_number INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE OR REPLACE FUNCTION financial_year_of(d DATE)
+RETURNS TEXT AS $$
+    SELECT CASE WHEN EXTRACT(MONTH FROM d) >= 4
+        THEN EXTRACT(YEAR FROM d)::INT || '-' || lpad(((EXTRACT(YEAR FROM d)::INT + 1) % 100)::TEXT, 2, '0')
+        ELSE (EXTRACT(YEAR FROM d)::INT - 1) || '-' || lpad((EXTRACT(YEAR FROM d)::INT % 100)::TEXT, 2, '0')
+    END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Numbers the invoice when it leaves draft, so deleted drafts leave no gaps.
+-- The row lock on invoice_sequences serialises concurrent numbering.
+CREATE OR REPLACE FUNCTION assign_invoice_number()
+RETURNS TRIGGER AS $$
+DECLARE
+    next_number INTEGER;
+BEGIN
+    IF NEW.status = 'draft' OR NEW.invoice_number IS NOT NULL THEN
+        RETURN NEW;
+    END IF;
+
+    NEW.fiscal_year := financial_year_of(NEW.invoice_date);
+    INSERT INTO invoice_sequences (fiscal_year, last_number)
+    VALUES (NEW.fiscal_year, 1)
+    ON CONFLICT (fiscal_year) DO UPDATE SET last_number = invoice_sequences.last_number + 1
+    RETURNING last_number INTO next_number;
+
+    NEW.sequence := next_number;
+    NEW.invoice_number := 'INV/' || NEW.fiscal_year || '/' || lpad(next_number::TEXT, 4, '0');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER invoices_assign_number
+    BEFORE INSERT OR UPDATE OF status ON invoices
+    FOR EACH ROW
+    EXECUTE FUNCTION assign_invoice_number();
+
+ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoice_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoice_sequences ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage invoices"
+    ON invoices FOR ALL
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    )
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+CREATE POLICY "Admins can manage invoice items"
+    ON invoice_items FOR ALL
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    )
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+-- ==========================================
+-- Invoice Settlement & Double-Billing Guard
+-- ==========================================
+
+-- Voided invoices keep their number but release their tasks
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_status_check;
+ALTER TABLE invoices ADD CONSTRAINT invoices_status_check CHECK (status IN ('draft', 'sent', 'paid', 'void'));
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS voided_at TIMESTAMPTZ;
+
+-- payment_transactions also records client receipts: direction = 'receipt',
+-- no freelancer, linked to the invoice it settles
+ALTER TABLE payment_transactions ALTER COLUMN freelancer_id DROP NOT NULL;
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS direction TEXT NOT NULL DEFAULT 'payout' CHECK (direction IN ('payout', 'receipt'));
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS client_id UUID REFERENCES clients(id) ON DELETE SET NULL;
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS client_name TEXT NOT NULL DEFAULT '';
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS invoice_id UUID REFERENCES invoices(id) ON DELETE SET NULL;
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS payment_transaction_id UUID REFERENCES payment_transactions(id) ON DELETE SET NULL;
+
+-- A task can be on at most one invoice that has not been voided
+CREATE OR REPLACE FUNCTION prevent_double_billing()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.task_id IS NULL THEN RETURN NEW; END IF;
+    -- Serialise concurrent invoices for the same task
+    PERFORM pg_advisory_xact_lock(hashtext(NEW.task_id::TEXT));
+    IF EXISTS (
+        SELECT 1 FROM invoice_items ii
+        JOIN invoices i ON i.id = ii.invoice_id
+        WHERE ii.task_id = NEW.task_id
+          AND ii.invoice_id <> NEW.invoice_id
+          AND i.status <> 'void'
+    ) THEN
+        RAISE EXCEPTION 'Task is already on an open invoice';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER invoice_items_prevent_double_billing
+    BEFORE INSERT OR UPDATE OF task_id ON invoice_items
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_double_billing();
+
+-- ==========================================
+-- Razorpay Orders & Webhooks
+-- ==========================================
+
+-- Razorpay payouts are created as 'pending' by the razorpay-create-order edge
+-- function and only settled by razorpay-verify-payment / razorpay-webhook
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS razorpay_signature TEXT;
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS verified_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_transactions_razorpay_order
+    ON payment_transactions(razorpay_order_id) WHERE razorpay_order_id IS NOT NULL;
+
+-- Browsers cannot record Razorpay transactions themselves: a client-side
+-- "success" is exactly what the edge functions exist to replace
+CREATE OR REPLACE FUNCTION guard_razorpay_transactions()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.uid() IS NOT NULL
+        AND (NEW.razorpay_order_id IS NOT NULL OR NEW.razorpay_payment_id IS NOT NULL) THEN
+        RAISE EXCEPTION 'Razorpay transactions are recorded by the payment edge functions'
+            USING ERRCODE = '42501';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER payment_transactions_guard_razorpay
+    BEFORE INSERT ON payment_transactions
+    FOR EACH ROW
+    EXECUTE FUNCTION guard_razorpay_transactions();
+
+-- One row per delivered webhook event, so retried deliveries apply once
+CREATE TABLE IF NOT EXISTS razorpay_webhook_events (
+    id TEXT PRIMARY KEY,
+    event TEXT NOT NULL,
+    order_id TEXT,
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    received_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_razorpay_webhook_events_order ON razorpay_webhook_events(order_id);
+
+ALTER TABLE razorpay_webhook_events ENABLE ROW LEVEL SECURITY;
+
+-- Written only by the webhook (service role); admins can inspect deliveries
+CREATE POLICY "Admins can view razorpay webhook events"
+    ON razorpay_webhook_events FOR SELECT
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+-- ==========================================
+-- Freelancer Payouts (RazorpayX)
+-- ==========================================
+
+-- Bank / UPI details live outside profiles, which every user can read
+CREATE TABLE IF NOT EXISTS freelancer_payout_accounts (
+    freelancer_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+    method TEXT NOT NULL CHECK (method IN ('bank', 'upi')),
+    account_name TEXT NOT NULL DEFAULT '',
+    account_number TEXT NOT NULL DEFAULT '',
+    ifsc TEXT NOT NULL DEFAULT '',
+    upi_id TEXT NOT NULL DEFAULT '',
+    -- RazorpayX objects created from these details; cleared whenever they change
+    razorpay_contact_id TEXT,
+    razorpay_fund_account_id TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TRIGGER freelancer_payout_accounts_updated_at
+    BEFORE UPDATE ON freelancer_payout_accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+-- New details need a new fund account; browsers can't point payouts at a stale one
+CREATE OR REPLACE FUNCTION reset_payout_fund_account()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.uid() IS NOT NULL THEN
+        IF TG_OP = 'INSERT' THEN
+            NEW.razorpay_contact_id := NULL;
+            NEW.razorpay_fund_account_id := NULL;
+        ELSE
+            NEW.razorpay_contact_id := OLD.razorpay_contact_id;
+            IF (NEW.method, NEW.account_name, NEW.account_number, NEW.ifsc, NEW.upi_id)
+                IS DISTINCT FROM (OLD.method, OLD.account_name, OLD.account_number, OLD.ifsc, OLD.upi_id) THEN
+                NEW.razorpay_fund_account_id := NULL;
+            ELSE
+                NEW.razorpay_fund_account_id := OLD.razorpay_fund_account_id;
+            END IF;
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER freelancer_payout_accounts_reset_fund_account
+    BEFORE INSERT OR UPDATE ON freelancer_payout_accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION reset_payout_fund_account();
+
+ALTER TABLE freelancer_payout_accounts ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Freelancers can manage own payout account"
+    ON freelancer_payout_accounts FOR ALL
+    TO authenticated
+    USING (freelancer_id = auth.uid())
+    WITH CHECK (freelancer_id = auth.uid());
+
+CREATE POLICY "Admins can view payout accounts"
+    ON freelancer_payout_accounts FOR SELECT
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+-- Payout transactions follow the RazorpayX lifecycle; tasks turn Paid only
+-- when the payout reaches 'processed' (see the razorpay-* edge functions)
+ALTER TABLE payment_transactions DROP CONSTRAINT IF EXISTS payment_transactions_status_check;
+ALTER TABLE payment_transactions ADD CONSTRAINT payment_transactions_status_check CHECK (status IN (
+    'success', 'failed', 'pending',
+    'queued', 'processing', 'processed', 'reversed', 'rejected', 'cancelled'
+));
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS razorpay_payout_id TEXT;
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS payout_mode TEXT;
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS utr TEXT;
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS status_updated_at TIMESTAMPTZ;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_transactions_razorpay_payout
+    ON payment_transactions(razorpay_payout_id) WHERE razorpay_payout_id IS NOT NULL;
+
+CREATE OR REPLACE FUNCTION guard_razorpay_transactions()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF auth.uid() IS NOT NULL
+        AND (NEW.razorpay_order_id IS NOT NULL OR NEW.razorpay_payment_id IS NOT NULL OR NEW.razorpay_payout_id IS NOT NULL) THEN
+        RAISE EXCEPTION 'Razorpay transactions are recorded by the payment edge functions'
+            USING ERRCODE = '42501';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ==========================================
+-- Payment Allocations (partial payments & advances)
+-- ==========================================
+
+-- 'Partial' is derived from allocations; see sync_task_payment()
+ALTER TABLE tasks DROP CONSTRAINT IF EXISTS tasks_payment_status_check;
+ALTER TABLE tasks ADD CONSTRAINT tasks_payment_status_check CHECK (payment_status IN ('Unpaid', 'Pending', 'Partial', 'Paid'));
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS paid_amount NUMERIC(10,2) NOT NULL DEFAULT 0;
+
+-- How much of a payment went to which task. Whatever part of a transaction
+-- has no allocation is an advance to the freelancer.
+CREATE TABLE IF NOT EXISTS payment_allocations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    transaction_id UUID NOT NULL REFERENCES payment_transactions(id) ON DELETE CASCADE,
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    freelancer_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    amount NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_allocations_transaction ON payment_allocations(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_payment_allocations_task ON payment_allocations(task_id);
+CREATE INDEX IF NOT EXISTS idx_payment_allocations_freelancer ON payment_allocations(freelancer_id);
+
+-- A transaction can't allocate more than it carries
+CREATE OR REPLACE FUNCTION check_payment_allocation()
+RETURNS TRIGGER AS $$
+DECLARE
+    txn_amount NUMERIC;
+    allocated NUMERIC;
+BEGIN
+    SELECT amount INTO txn_amount FROM payment_transactions WHERE id = NEW.transaction_id FOR UPDATE;
+    SELECT COALESCE(SUM(amount), 0) INTO allocated
+    FROM payment_allocations WHERE transaction_id = NEW.transaction_id AND id <> NEW.id;
+    IF allocated + NEW.amount > txn_amount THEN
+        RAISE EXCEPTION 'Allocations exceed the payment amount';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER payment_allocations_check_amount
+    BEFORE INSERT OR UPDATE ON payment_allocations
+    FOR EACH ROW
+    EXECUTE FUNCTION check_payment_allocation();
+
+-- paid_amount counts allocations whose transaction settled ('success' or a
+-- 'processed' payout); payment_status follows it once a task has allocations
+CREATE OR REPLACE FUNCTION sync_task_payment(target_task UUID)
+RETURNS VOID AS $$
+DECLARE
+    paid NUMERIC;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM payment_allocations WHERE task_id = target_task) THEN
+        RETURN;
+    END IF;
+
+    SELECT COALESCE(SUM(pa.amount), 0) INTO paid
+    FROM payment_allocations pa
+    JOIN payment_transactions pt ON pt.id = pa.transaction_id
+    WHERE pa.task_id = target_task
+      AND pt.status IN ('success', 'processed');
+
+    UPDATE tasks SET
+        paid_amount = paid,
+        payment_status = CASE
+            WHEN amount > 0 AND paid >= amount THEN 'Paid'
+            WHEN paid > 0 THEN 'Partial'
+            ELSE 'Unpaid'
+        END
+    WHERE id = target_task;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION payment_allocations_sync_task()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM sync_task_payment(COALESCE(NEW.task_id, OLD.task_id));
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER payment_allocations_sync_task
+    AFTER INSERT OR UPDATE OR DELETE ON payment_allocations
+    FOR EACH ROW
+    EXECUTE FUNCTION payment_allocations_sync_task();
+
+-- A payout settling (or being reversed) changes what its allocations count for
+CREATE OR REPLACE FUNCTION payment_transactions_sync_tasks()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM sync_task_payment(task_id) FROM payment_allocations WHERE transaction_id = NEW.id;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER payment_transactions_sync_tasks
+    AFTER UPDATE OF status ON payment_transactions
+    FOR EACH ROW
+    WHEN (OLD.status IS DISTINCT FROM NEW.status)
+    EXECUTE FUNCTION payment_transactions_sync_tasks();
+
+ALTER TABLE payment_allocations ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage payment allocations"
+    ON payment_allocations FOR ALL
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    )
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+CREATE POLICY "Freelancers can view own payment allocations"
+    ON payment_allocations FOR SELECT
+    TO authenticated
+    USING (freelancer_id = auth.uid());
+
+-- ==========================================
+-- TDS on Freelancer Payments (sections 194C / 194J)
+-- ==========================================
+
+-- Set by admins per freelancer; no row (or a NULL section) means no deduction
+CREATE TABLE IF NOT EXISTS freelancer_tds_settings (
+    freelancer_id UUID PRIMARY KEY REFERENCES profiles(id) ON DELETE CASCADE,
+    section TEXT CHECK (section IN ('194C', '194J')),
+    rate NUMERIC(5,2) NOT NULL DEFAULT 0 CHECK (rate >= 0 AND rate <= 100),
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE TRIGGER freelancer_tds_settings_updated_at
+    BEFORE UPDATE ON freelancer_tds_settings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+ALTER TABLE freelancer_tds_settings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage TDS settings"
+    ON freelancer_tds_settings FOR ALL
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    )
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+CREATE POLICY "Freelancers can view own TDS settings"
+    ON freelancer_tds_settings FOR SELECT
+    TO authenticated
+    USING (freelancer_id = auth.uid());
+
+-- PAN decides the rate (section 206AA) and goes on the TDS statement
+ALTER TABLE freelancer_payout_accounts ADD COLUMN IF NOT EXISTS pan TEXT NOT NULL DEFAULT '';
+
+-- `amount` stays the gross that allocations settle against; net_amount is
+-- what actually reaches the freelancer
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS tds_section TEXT;
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS tds_rate NUMERIC(5,2) NOT NULL DEFAULT 0;
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS tds_amount NUMERIC(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS net_amount NUMERIC(10,2);
+
+-- ==========================================
+-- Bank Payout Batches (net banking bulk upload)
+-- ==========================================
+
+-- One uploaded file; each freelancer in it gets a 'pending' payment
+-- transaction that settles (or is cancelled) with the batch
+CREATE TABLE IF NOT EXISTS payout_batches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    bank TEXT NOT NULL CHECK (bank IN ('hdfc', 'icici')),
+    file_name TEXT NOT NULL,
+    file_content TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'settled', 'cancelled')),
+    -- Net of TDS, i.e. what leaves the debit account
+    total_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+    freelancer_count INTEGER NOT NULL DEFAULT 0,
+    bank_reference TEXT,
+    created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_by_name TEXT NOT NULL DEFAULT '',
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    settled_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_payout_batches_created_at ON payout_batches(created_at DESC);
+
+ALTER TABLE payout_batches ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage payout batches"
+    ON payout_batches FOR ALL
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    )
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+ALTER TABLE payment_transactions ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES payout_batches(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_payment_transactions_batch ON payment_transactions(batch_id) WHERE batch_id IS NOT NULL;
+
+-- Settling or cancelling a batch moves its transactions out of 'pending';
+-- everything else on payment_transactions stays insert-only for browsers
+CREATE POLICY "Admins can update batch payment transactions"
+    ON payment_transactions FOR UPDATE
+    TO authenticated
+    USING (
+        batch_id IS NOT NULL
+        AND EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    )
+    WITH CHECK (
+        batch_id IS NOT NULL
+        AND EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+-- Debit account printed into bank upload files
+ALTER TABLE agency_settings ADD COLUMN IF NOT EXISTS payout_debit_account TEXT NOT NULL DEFAULT '';
+
+-- ==========================================
+-- Multi-currency
+-- ==========================================
+
+-- A task's amount and billable_amount are both in its currency
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'INR';
+-- New tasks for a client start in the client's billing currency
+ALTER TABLE clients ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'INR';
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS currency TEXT NOT NULL DEFAULT 'INR';
+-- Reporting currency; analytics converts everything into it
+ALTER TABLE agency_settings ADD COLUMN IF NOT EXISTS base_currency TEXT NOT NULL DEFAULT 'INR';
+
+-- One unit of `currency` is worth `rate` of `base_currency` from rate_date
+-- until the next entry
+CREATE TABLE IF NOT EXISTS exchange_rates (
+    currency TEXT NOT NULL,
+    base_currency TEXT NOT NULL,
+    rate_date DATE NOT NULL,
+    rate NUMERIC(14,6) NOT NULL CHECK (rate > 0),
+    created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    PRIMARY KEY (currency, base_currency, rate_date),
+    CHECK (currency <> base_currency)
+);
+
+ALTER TABLE exchange_rates ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Authenticated users can view exchange rates"
+    ON exchange_rates FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Admins can manage exchange rates"
+    ON exchange_rates FOR ALL
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    )
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+-- Allocations settle a task only with money in the task's own currency
+CREATE OR REPLACE FUNCTION check_payment_allocation()
+RETURNS TRIGGER AS $$
+DECLARE
+    txn_amount NUMERIC;
+    txn_currency TEXT;
+    allocated NUMERIC;
+BEGIN
+    SELECT amount, currency INTO txn_amount, txn_currency FROM payment_transactions WHERE id = NEW.transaction_id FOR UPDATE;
+    IF txn_currency IS DISTINCT FROM (SELECT currency FROM tasks WHERE id = NEW.task_id) THEN
+        RAISE EXCEPTION 'Payment currency does not match the task currency';
+    END IF;
+    SELECT COALESCE(SUM(amount), 0) INTO allocated
+    FROM payment_allocations WHERE transaction_id = NEW.transaction_id AND id <> NEW.id;
+    IF allocated + NEW.amount > txn_amount THEN
+        RAISE EXCEPTION 'Allocations exceed the payment amount';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ==========================================
+-- Task Expenses (reimbursements)
+-- ==========================================
+
+-- Stock photos, fonts, music etc. a freelancer bought for a task, in the
+-- task's currency. Approved expenses are owed on top of the task fee and
+-- billed to the client as their own invoice lines.
+CREATE TABLE IF NOT EXISTS task_expenses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    freelancer_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    freelancer_name TEXT NOT NULL DEFAULT '',
+    category TEXT NOT NULL DEFAULT 'other' CHECK (category IN ('stock_photo', 'font', 'music', 'other')),
+    description TEXT NOT NULL,
+    amount NUMERIC(10,2) NOT NULL CHECK (amount > 0),
+    receipt_url TEXT,
+    receipt_name TEXT,
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    reviewed_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    reviewed_by_name TEXT,
+    reviewed_at TIMESTAMPTZ,
+    rejection_reason TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_expenses_task ON task_expenses(task_id);
+CREATE INDEX IF NOT EXISTS idx_task_expenses_freelancer ON task_expenses(freelancer_id);
+CREATE INDEX IF NOT EXISTS idx_task_expenses_status ON task_expenses(status);
+
+CREATE TRIGGER task_expenses_updated_at
+    BEFORE UPDATE ON task_expenses
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+ALTER TABLE task_expenses ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Admins can manage task expenses"
+    ON task_expenses FOR ALL
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    )
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+CREATE POLICY "Freelancers can view own task expenses"
+    ON task_expenses FOR SELECT
+    TO authenticated
+    USING (freelancer_id = auth.uid());
+
+-- Only as pending, and only against their own tasks
+CREATE POLICY "Freelancers can claim expenses on own tasks"
+    ON task_expenses FOR INSERT
+    TO authenticated
+    WITH CHECK (
+        freelancer_id = auth.uid()
+        AND status = 'pending'
+        AND EXISTS (SELECT 1 FROM tasks WHERE id = task_id AND assigned_to = auth.uid())
+    );
+
+CREATE POLICY "Freelancers can withdraw own pending expenses"
+    ON task_expenses FOR DELETE
+    TO authenticated
+    USING (freelancer_id = auth.uid() AND status = 'pending');
+
+-- Approved expenses owed on the task, kept by task_expenses_sync_task
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS expense_amount NUMERIC(10,2) NOT NULL DEFAULT 0;
+
+-- A task is paid once its fee and its approved expenses are
+CREATE OR REPLACE FUNCTION sync_task_payment(target_task UUID)
+RETURNS VOID AS $$
+DECLARE
+    paid NUMERIC;
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM payment_allocations WHERE task_id = target_task) THEN
+        RETURN;
+    END IF;
+
+    SELECT COALESCE(SUM(pa.amount), 0) INTO paid
+    FROM payment_allocations pa
+    JOIN payment_transactions pt ON pt.id = pa.transaction_id
+    WHERE pa.task_id = target_task
+      AND pt.status IN ('success', 'processed');
+
+    UPDATE tasks SET
+        paid_amount = paid,
+        payment_status = CASE
+            WHEN amount + expense_amount > 0 AND paid >= amount + expense_amount THEN 'Paid'
+            WHEN paid > 0 THEN 'Partial'
+            ELSE 'Unpaid'
+        END
+    WHERE id = target_task;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION task_expenses_sync_task()
+RETURNS TRIGGER AS $$
+DECLARE
+    target_task UUID := COALESCE(NEW.task_id, OLD.task_id);
+BEGIN
+    UPDATE tasks SET expense_amount = (
+        SELECT COALESCE(SUM(amount), 0) FROM task_expenses
+        WHERE task_id = target_task AND status = 'approved'
+    ) WHERE id = target_task;
+    PERFORM sync_task_payment(target_task);
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+CREATE TRIGGER task_expenses_sync_task
+    AFTER INSERT OR UPDATE OF status, amount OR DELETE ON task_expenses
+    FOR EACH ROW
+    EXECUTE FUNCTION task_expenses_sync_task();
+
+-- Expense lines sit next to their task's line on an invoice
+ALTER TABLE invoice_items ADD COLUMN IF NOT EXISTS expense_id UUID REFERENCES task_expenses(id) ON DELETE SET NULL;
+
+CREATE OR REPLACE FUNCTION prevent_double_billing()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.task_id IS NULL THEN RETURN NEW; END IF;
+    -- Serialise concurrent invoices for the same task
+    PERFORM pg_advisory_xact_lock(hashtext(NEW.task_id::TEXT));
+    IF EXISTS (
+        SELECT 1 FROM invoice_items ii
+        JOIN invoices i ON i.id = ii.invoice_id
+        WHERE ii.task_id = NEW.task_id
+          AND ii.expense_id IS NOT DISTINCT FROM NEW.expense_id
+          AND ii.invoice_id <> NEW.invoice_id
+          AND i.status <> 'void'
+    ) THEN
+        RAISE EXCEPTION '% is already on an open invoice', CASE WHEN NEW.expense_id IS NULL THEN 'Task' ELSE 'Expense' END;
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS invoice_items_prevent_double_billing ON invoice_items;
+CREATE TRIGGER invoice_items_prevent_double_billing
+    BEFORE INSERT OR UPDATE OF task_id, expense_id ON invoice_items
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_double_billing();
+
+-- ==========================================
+-- Task Dependencies (finish-to-start)
+-- ==========================================
+
+-- task_id can't be picked up until predecessor_id is approved
+CREATE TABLE IF NOT EXISTS task_dependencies (
+    task_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    predecessor_id UUID NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+    created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+    created_at TIMESTAMPTZ DEFAULT now(),
+    PRIMARY KEY (task_id, predecessor_id),
+    CHECK (task_id <> predecessor_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_dependencies_predecessor ON task_dependencies(predecessor_id);
+
+ALTER TABLE task_dependencies ENABLE ROW LEVEL SECURITY;
+
+-- Only ids; the tasks themselves stay behind the tasks policies
+CREATE POLICY "Authenticated users can view task dependencies"
+    ON task_dependencies FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Admins can manage task dependencies"
+    ON task_dependencies FOR ALL
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    )
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );
+
+-- Refuse a dependency that would leave tasks waiting on each other
+CREATE OR REPLACE FUNCTION prevent_dependency_cycle()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext('task_dependencies'));
+    IF EXISTS (
+        WITH RECURSIVE upstream(id) AS (
+            SELECT NEW.predecessor_id
+            UNION
+            SELECT d.predecessor_id FROM task_dependencies d JOIN upstream u ON d.task_id = u.id
+        )
+        SELECT 1 FROM upstream WHERE id = NEW.task_id
+    ) THEN
+        RAISE EXCEPTION 'That would make these tasks wait on each other';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS task_dependencies_prevent_cycle ON task_dependencies;
+CREATE TRIGGER task_dependencies_prevent_cycle
+    BEFORE INSERT OR UPDATE ON task_dependencies
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_dependency_cycle();
+
+-- Unapproved predecessors of the caller's tasks (every task for admins).
+-- Definer rights so freelancers see what they're waiting on even when the
+-- predecessor is someone else's task.
+CREATE OR REPLACE FUNCTION task_blockers()
+RETURNS TABLE (task_id UUID, predecessor_id UUID, predecessor_sl_no INTEGER, predecessor_client TEXT, predecessor_status TEXT) AS $$
+    SELECT d.task_id, p.id, p.sl_no, p.client, p.status
+    FROM task_dependencies d
+    JOIN tasks t ON t.id = d.task_id
+    JOIN tasks p ON p.id = d.predecessor_id
+    WHERE p.status <> 'approved'
+      AND (
+          t.assigned_to = auth.uid()
+          OR EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+      );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION task_blockers() TO authenticated;
+
+-- ==========================================
+-- Project Budgets and Milestones
+-- ==========================================
+
+-- Budget is in the agency's base currency; a retainer's monthly quota is the
+-- number of deliverables the client gets each month
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS budget NUMERIC(12,2) CHECK (budget IS NULL OR budget >= 0);
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS monthly_quota INTEGER CHECK (monthly_quota IS NULL OR monthly_quota > 0);
+
+CREATE TABLE IF NOT EXISTS project_milestones (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    project_id UUID NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    due_date DATE NOT NULL,
+    completed_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+CREATE INDEX IF NOT EXISTS idx_project_milestones_project ON project_milestones(project_id, due_date);
+
+DROP TRIGGER IF EXISTS project_milestones_updated_at ON project_milestones;
+CREATE TRIGGER project_milestones_updated_at
+    BEFORE UPDATE ON project_milestones
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at();
+
+ALTER TABLE project_milestones ENABLE ROW LEVEL SECURITY;
+
+-- Milestones show on everyone's Timeline, like project names
+CREATE POLICY "Authenticated users can view project milestones"
+    ON project_milestones FOR SELECT
+    TO authenticated
+    USING (true);
+
+CREATE POLICY "Admins can manage project milestones"
+    ON project_milestones FOR ALL
+    TO authenticated
+    USING (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    )
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM profiles WHERE id = auth.uid() AND role IN ('admin', 'superadmin'))
+    );